@@ -0,0 +1,23 @@
+-- Migration 014: Task lifecycle states
+-- status now covers the full lifecycle (enforced in app, see reminder.js TASK_TRANSITIONS):
+--   pending      — open, not started
+--   in_progress  — assignee is working on it
+--   blocked      — assignee is blocked (blocked_reason); reminders are paused
+--   completed    — done
+--   cancelled    — reporter cancelled it; reminders stop
+-- "Reopen" moves completed/cancelled back to pending and restarts reminders.
+
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS blocked_reason    TEXT,          -- why the assignee is blocked (set while status = 'blocked')
+    ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;   -- when status last changed
+
+-- Reminder/overdue indexes: both crons now scan pending + in_progress tasks
+DROP INDEX IF EXISTS tasks_reminder_idx;
+CREATE INDEX IF NOT EXISTS tasks_reminder_idx
+    ON tasks (status, reminder_interval_hours, assignee_open_id)
+    WHERE status IN ('pending', 'in_progress');
+
+DROP INDEX IF EXISTS tasks_overdue_idx;
+CREATE INDEX IF NOT EXISTS tasks_overdue_idx
+    ON tasks (deadline, deadline_notified_at)
+    WHERE status IN ('pending', 'in_progress');
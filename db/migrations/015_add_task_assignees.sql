@@ -0,0 +1,42 @@
+-- Migration 015: Multi-assignee tasks
+-- task_assignees holds one row per assignee, each with its own completion status and proof.
+-- tasks.assignee_id / assignee_open_id remain the *primary* assignee (first listed) so
+-- single-assignee code paths and the admin UI keep working.
+-- tasks.completion_mode decides when the task itself closes:
+--   any — as soon as one assignee completes
+--   all — only when every assignee has completed
+
+CREATE TABLE IF NOT EXISTS task_assignees (
+    id               SERIAL PRIMARY KEY,
+    task_id          INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    assignee_id      VARCHAR(255) NOT NULL,                    -- feishu_user_id, or open_id when unknown
+    assignee_open_id VARCHAR(255),                             -- open_id (ou_xxx, for messaging)
+    position         SMALLINT NOT NULL DEFAULT 0,              -- 0 = primary assignee
+    status           VARCHAR(20) NOT NULL DEFAULT 'pending',   -- pending | completed
+    proof            TEXT,
+    completed_at     TIMESTAMPTZ,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (task_id, assignee_id)
+);
+
+CREATE INDEX IF NOT EXISTS task_assignees_open_id_idx ON task_assignees (assignee_open_id, status);
+CREATE INDEX IF NOT EXISTS task_assignees_assignee_id_idx ON task_assignees (assignee_id, status);
+
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS completion_mode VARCHAR(3) NOT NULL DEFAULT 'all'
+        CHECK (completion_mode IN ('any', 'all'));
+
+-- Backfill: every existing task gets its primary assignee row
+INSERT INTO task_assignees (task_id, assignee_id, assignee_open_id, position, status, proof, completed_at)
+SELECT id, assignee_id, assignee_open_id, 0,
+       CASE WHEN status = 'completed' THEN 'completed' ELSE 'pending' END,
+       CASE WHEN status = 'completed' THEN proof END,
+       CASE WHEN status = 'completed' THEN completed_at END
+FROM tasks
+ON CONFLICT (task_id, assignee_id) DO NOTHING;
+
+-- Scheduled tasks: extra assignees for each created task (target_open_id / target_tag stays primary)
+ALTER TABLE scheduled_tasks
+    ADD COLUMN IF NOT EXISTS co_assignee_open_ids TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS completion_mode VARCHAR(3) NOT NULL DEFAULT 'all'
+        CHECK (completion_mode IN ('any', 'all'));
@@ -0,0 +1,22 @@
+-- Migration 016: Checklists inside a task
+-- Ordered steps the assignee ticks off ("完成 2.3" in chat, or from the dashboard).
+-- A task can only be completed once every required item is done, unless the caller
+-- explicitly forces it.
+
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+    id          SERIAL PRIMARY KEY,
+    task_id     INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    position    SMALLINT NOT NULL,                 -- 1-based, as shown to users
+    title       VARCHAR(200) NOT NULL,
+    required    BOOLEAN NOT NULL DEFAULT TRUE,
+    done        BOOLEAN NOT NULL DEFAULT FALSE,
+    done_by     VARCHAR(255),                      -- feishu_user_id / open_id of whoever ticked it
+    done_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (task_id, position)
+);
+
+-- Scheduled tasks: checklist template copied into every created task
+-- [{ "title": "...", "required": true }, ...]
+ALTER TABLE scheduled_tasks
+    ADD COLUMN IF NOT EXISTS checklist JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,22 @@
+-- Migration 017: Task dependencies
+-- task_dependencies links a task to the tasks it waits for ("reconcile" depends on
+-- "upload bank statements"). A dependency is resolved once its task is completed or cancelled.
+-- While any dependency is unresolved the task is "waiting": the assignee is not notified
+-- on creation and receives no reminders. When the last one resolves, the flag is cleared
+-- and the assignee gets a "you can start now" DM.
+-- Cycles are rejected by the API before inserting.
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    task_id        INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    depends_on_id  INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_by     VARCHAR(255),
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (task_id, depends_on_id),
+    CHECK (task_id <> depends_on_id)
+);
+
+CREATE INDEX IF NOT EXISTS task_dependencies_depends_on_idx ON task_dependencies (depends_on_id);
+
+-- Set while the task has unresolved dependencies; cleared exactly once when they resolve
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS waiting_on_dependencies BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,17 @@
+-- Migration 018: Completion approval
+-- Tasks with requires_approval go to status 'awaiting_review' when the assignee completes
+-- them instead of closing. The reporter then accepts (→ completed) or rejects with a
+-- comment (→ in_progress, every assignee owes their share again, reminders restart).
+
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS submitted_at      TIMESTAMPTZ,   -- last submission for review
+    ADD COLUMN IF NOT EXISTS review_comment    TEXT;          -- reporter's comment on the last rejection
+
+CREATE INDEX IF NOT EXISTS tasks_awaiting_review_idx
+    ON tasks (reporter_open_id)
+    WHERE status = 'awaiting_review';
+
+-- Scheduled tasks: every created task requires approval
+ALTER TABLE scheduled_tasks
+    ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,32 @@
+-- Migration 019: Task comments and activity timeline
+-- task_comments is the per-task discussion thread (Feishu reply / "/comment ID", dashboard,
+-- agent API). task_messages remembers the bot DMs sent about a task (assignment, reminders,
+-- overdue alerts, comment notifications): they show up on the timeline, and a Feishu reply to
+-- one of them is filed as a comment on that task. State changes and edits come from audit_logs.
+
+CREATE TABLE IF NOT EXISTS task_comments (
+    id              SERIAL PRIMARY KEY,
+    task_id         INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    author_id       VARCHAR(255),                  -- feishu_user_id / open_id / admin id
+    author_open_id  VARCHAR(255),
+    author_name     VARCHAR(255),
+    body            TEXT NOT NULL,
+    source          VARCHAR(20) NOT NULL DEFAULT 'web',  -- feishu / web / agent
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS task_comments_task_idx ON task_comments (task_id, created_at);
+
+CREATE TABLE IF NOT EXISTS task_messages (
+    id                 SERIAL PRIMARY KEY,
+    task_id            INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    message_id         VARCHAR(100) UNIQUE,        -- Feishu message_id (NULL if the API did not return one)
+    recipient_open_id  VARCHAR(255),
+    kind               VARCHAR(20) NOT NULL,       -- assigned / reminder / overdue / comment
+    sent_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS task_messages_task_idx ON task_messages (task_id, sent_at);
+
+-- Timeline reads a task's audit entries
+CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs (target_type, target_id);
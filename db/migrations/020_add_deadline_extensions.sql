@@ -0,0 +1,23 @@
+-- Migration 020: Deadline-extension requests
+-- An assignee asks for a later deadline from chat / the agent; the reporter approves or
+-- rejects it. Only one request per task can be pending at a time. Snoozing a reminder
+-- needs no schema change: it moves last_reminded_at so the next interval lands later.
+
+CREATE TABLE IF NOT EXISTS deadline_extension_requests (
+    id                  SERIAL PRIMARY KEY,
+    task_id             INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    requested_by        VARCHAR(255),                  -- feishu_user_id / open_id of the assignee
+    requester_open_id   VARCHAR(255),                  -- DM'd with the decision
+    requester_name      VARCHAR(255),
+    current_deadline    TIMESTAMPTZ,                   -- deadline when the request was made
+    requested_deadline  TIMESTAMPTZ NOT NULL,
+    reason              TEXT,
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending / approved / rejected
+    decided_by          VARCHAR(255),
+    decision_comment    TEXT,
+    decided_at          TIMESTAMPTZ,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS deadline_extension_pending_uniq
+    ON deadline_extension_requests (task_id) WHERE status = 'pending';
@@ -0,0 +1,9 @@
+-- Migration 021: Deadline times and per-user timezones
+-- tasks.deadline is already TIMESTAMPTZ; what was missing is whose clock a "2026-03-01" or
+-- "18:00" is read on. users.timezone is the IANA zone Feishu messages are formatted in and
+-- date-only input is interpreted in (NULL = server DEFAULT_TIMEZONE). scheduled_tasks already
+-- has a timezone for its cron; deadline_time adds the time of day its tasks fall due.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(50);
+
+ALTER TABLE scheduled_tasks ADD COLUMN IF NOT EXISTS deadline_time VARCHAR(5);  -- 'HH:MM', NULL = 00:00
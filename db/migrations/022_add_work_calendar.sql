@@ -0,0 +1,16 @@
+-- Migration 022: Quiet hours and working-day calendar
+-- The calendar (quiet hours, working weekdays, holidays, roll-forward switches) lives in the
+-- settings table under 'work_calendar' and is edited from the settings page. Users can add
+-- their own quiet hours on top, read in their users.timezone. scheduled_tasks.deferred_run_at
+-- holds a run that fired on a non-working day and waits for the next working day.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_start VARCHAR(5);  -- 'HH:MM', NULL = none
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_end   VARCHAR(5);
+
+ALTER TABLE scheduled_tasks ADD COLUMN IF NOT EXISTS deferred_run_at TIMESTAMPTZ;
+
+INSERT INTO settings (key, value, description) VALUES
+    ('work_calendar',
+     '{"quietHours": {"start": "22:00", "end": "08:00"}, "workdays": [1, 2, 3, 4, 5], "holidays": [], "rollDeadlines": false, "rollScheduledRuns": false}',
+     '工作日历：免打扰时段、工作日与节假日')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,29 @@
+-- Migration 023: Escalation chains for overdue tasks
+-- An escalation policy is a list of steps ("1 day overdue → reporter, 3 days → the
+-- assignee's manager, 5 days → group chat") attached to a priority and/or a tag; the most
+-- specific enabled policy applies to a task. task_escalations records every step that has
+-- fired for a task so the reminder cron never fires it twice. users.manager_open_id is who
+-- a "manager" step goes to.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS manager_open_id VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    id          SERIAL PRIMARY KEY,
+    name        VARCHAR(200) NOT NULL,
+    priority    VARCHAR(2),                     -- p0 / p1 / p2; NULL = any priority
+    target_tag  VARCHAR(100),                   -- task target_tag or assignee user tag; NULL = any
+    steps       JSONB NOT NULL DEFAULT '[]',    -- [{ afterHours, target: reporter|manager|user|chat, openId?, chatId? }]
+    enabled     BOOLEAN NOT NULL DEFAULT true,
+    created_by  VARCHAR(64),
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS task_escalations (
+    task_id     INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    policy_id   INTEGER NOT NULL REFERENCES escalation_policies(id) ON DELETE CASCADE,
+    step        SMALLINT NOT NULL,              -- index into the policy's steps
+    recipient   VARCHAR(255),                   -- open_id or chat_id the step went to
+    outcome     VARCHAR(20) NOT NULL,           -- sent / skipped (no recipient) / failed
+    fired_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (task_id, policy_id, step)
+);
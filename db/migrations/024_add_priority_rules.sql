@@ -0,0 +1,14 @@
+-- Migration 024: Automatic priority escalation as deadlines approach
+-- The rules ("p2 → p1 24 hours before the deadline, p1 → p0 once overdue") and the reminder
+-- interval each priority tightens to live in the settings table under 'priority_rules' and
+-- are edited from the settings page. tasks.priority_raised_from / priority_raised_at record
+-- the last automatic raise so the next reminder can mention it.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority_raised_from VARCHAR(2);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority_raised_at   TIMESTAMPTZ;
+
+INSERT INTO settings (key, value, description) VALUES
+    ('priority_rules',
+     '{"enabled": false, "rules": [{"from": "p2", "to": "p1", "hoursBeforeDeadline": 24}, {"from": "p1", "to": "p0", "hoursBeforeDeadline": 0}], "reminderIntervals": {"p0": 4, "p1": 12}}',
+     '优先级自动提升：临近截止时提升优先级并缩短提醒间隔')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,10 @@
+-- Migration 025: Daily digest instead of one DM per task per interval
+-- users.reminder_mode = 'digest' replaces that user's interval reminders with one message a
+-- day at users.digest_time (in users.timezone) listing every open task. users.reporter_digest
+-- adds the open tasks they assigned to others to the same message. last_digest_on is the
+-- local date of the last digest and doubles as the claim between concurrent cron runs.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reminder_mode   VARCHAR(10) NOT NULL DEFAULT 'per_task';  -- per_task / digest
+ALTER TABLE users ADD COLUMN IF NOT EXISTS digest_time     VARCHAR(5)  NOT NULL DEFAULT '09:00';     -- 'HH:MM'
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reporter_digest BOOLEAN     NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_digest_on  DATE;
@@ -0,0 +1,19 @@
+-- Migration 026: Group chat support
+-- The bot answers in a group chat only when @mentioned. Each group it has been mentioned in
+-- gets a group_chats row (created on first mention) holding that group's settings: a master
+-- switch, per-feature switches that can turn a feature off for everyone in the group, and a
+-- default tag that /add uses when nobody is @mentioned. tasks.source_chat_id remembers which
+-- group a task was created in, for the group's task board (「群任务」).
+
+CREATE TABLE IF NOT EXISTS group_chats (
+    chat_id     VARCHAR(64) PRIMARY KEY,
+    name        VARCHAR(255),
+    enabled     BOOLEAN NOT NULL DEFAULT true,
+    features    JSONB NOT NULL DEFAULT '{}',    -- { featureId: false } turns a feature off in this group
+    default_tag VARCHAR(100),                   -- /add without @mentions auto-assigns within this tag
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source_chat_id VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_tasks_source_chat ON tasks (source_chat_id) WHERE source_chat_id IS NOT NULL;
@@ -0,0 +1,22 @@
+-- Migration 027: Message attachments
+-- Images and files sent to the bot as completion proof are downloaded from Feishu (message
+-- resources are only reachable with the bot's token) and kept here. The task's proof then
+-- carries a link to GET /api/attachments/:id. (message_id, file_key) identifies the resource,
+-- so a redelivered or re-used message does not store it twice.
+
+CREATE TABLE IF NOT EXISTS attachments (
+    id           SERIAL PRIMARY KEY,
+    task_id      INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+    message_id   VARCHAR(64) NOT NULL,
+    file_key     VARCHAR(255) NOT NULL,
+    kind         VARCHAR(10) NOT NULL CHECK (kind IN ('image', 'file')),
+    file_name    VARCHAR(255),
+    mime_type    VARCHAR(100),
+    size_bytes   INTEGER NOT NULL,
+    data         BYTEA NOT NULL,
+    uploaded_by  VARCHAR(100),                -- sender's feishu user_id / open_id
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (message_id, file_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_task ON attachments (task_id) WHERE task_id IS NOT NULL;
@@ -0,0 +1,14 @@
+-- Migration 028: Feishu lifecycle events
+-- users.active goes false when the contact is deleted or resigns in Feishu (contact.user.*
+-- events); inactive users drop out of tag auto-assignment and their open tasks are handed
+-- over. group_chats.bot_removed_at is set when the bot is removed from a group and cleared
+-- when it is added back. conversation_history.message_id lets a recalled Feishu message be
+-- scrubbed from the agent's history.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+
+ALTER TABLE group_chats ADD COLUMN IF NOT EXISTS bot_removed_at TIMESTAMPTZ;
+
+ALTER TABLE conversation_history ADD COLUMN IF NOT EXISTS message_id VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_conv_history_message ON conversation_history (message_id) WHERE message_id IS NOT NULL;
@@ -0,0 +1,30 @@
+-- Migration 029: Durable outbound message queue
+-- Bot DMs about tasks (assignments, reminders, reporter notifications) are written here —
+-- inside the same transaction that marks a reminder as sent — and delivered by the outbox
+-- worker (services/outbox.js), so a Feishu outage delays messages instead of losing them.
+-- A failed delivery is retried with exponential backoff until max attempts, then stays
+-- 'failed' for an admin to retry. While a row is 'sending', next_attempt_at is the lease:
+-- a worker that died mid-batch leaves rows that are picked up again once it expires.
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id               SERIAL PRIMARY KEY,
+    receive_id       VARCHAR(255) NOT NULL,
+    receive_id_type  VARCHAR(10) NOT NULL DEFAULT 'open_id',
+    msg_type         VARCHAR(20) NOT NULL DEFAULT 'text' CHECK (msg_type IN ('text', 'interactive')),
+    content          JSONB NOT NULL,              -- text: the string; interactive: the card
+    task_id          INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+    kind             VARCHAR(20),                 -- task_messages.kind, recorded once delivered
+    status           VARCHAR(10) NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts         INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error       TEXT,
+    message_id       VARCHAR(100),                -- Feishu message_id once sent
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at          TIMESTAMPTZ,
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_due ON outbound_messages (next_attempt_at)
+    WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_outbound_status ON outbound_messages (status, created_at DESC);
@@ -0,0 +1,24 @@
+-- Migration 030: Shared webhook dedup and rate-limit state
+-- With STATE_STORE=postgres, every server instance behind a load balancer uses these tables
+-- instead of per-process memory: processed_events remembers Feishu event ids (a redelivered
+-- event is handled once, whichever instance receives it) and rate_limit_counters holds one
+-- fixed-window counter per client key. Rows expire (expires_at) and are pruned by each
+-- instance every minute. Both are UNLOGGED: the contents are short-lived and losing them in
+-- a database crash only means a few events could be handled twice.
+
+CREATE UNLOGGED TABLE IF NOT EXISTS processed_events (
+    event_id    VARCHAR(128) PRIMARY KEY,
+    expires_at  TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_events_expires ON processed_events (expires_at);
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+    key           VARCHAR(255) NOT NULL,       -- client key, e.g. the request IP
+    window_start  TIMESTAMPTZ NOT NULL,
+    expires_at    TIMESTAMPTZ NOT NULL,        -- window_start + window length
+    count         INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires ON rate_limit_counters (expires_at);
@@ -0,0 +1,14 @@
+-- Migration 031: One row per scheduled task fire
+-- Every server instance registers the same cron jobs, so with several replicas each fire
+-- reaches all of them. The first instance to insert (scheduled_task_id, fire_time) owns the
+-- fire and creates the task; the others hit the unique constraint and skip it. No instance
+-- is special, so when one goes down the remaining ones keep creating tasks.
+
+CREATE TABLE IF NOT EXISTS scheduled_task_runs (
+    id                 SERIAL PRIMARY KEY,
+    scheduled_task_id  INTEGER NOT NULL REFERENCES scheduled_tasks(id) ON DELETE CASCADE,
+    fire_time          TIMESTAMPTZ NOT NULL,     -- the cron slot, truncated to its minute (or second)
+    instance           VARCHAR(255),             -- hostname:pid of the instance that claimed it
+    created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (scheduled_task_id, fire_time)
+);
@@ -0,0 +1,32 @@
+-- Migration 032: Scheduled task run history
+-- scheduled_task_runs (031) only held the per-fire claim. Each row now also records what the
+-- run did: who it was assigned to, the task it created, and the error when it failed. Runs
+-- can be started by cron, by runDeferred() for a fire held over from a non-working day, or
+-- manually (POST /api/scheduled-tasks/:id/run). Only cron fires need the one-row-per-slot
+-- claim, so the unique constraint becomes a partial index.
+
+ALTER TABLE scheduled_task_runs
+    ADD COLUMN IF NOT EXISTS source            VARCHAR(16) NOT NULL DEFAULT 'cron'
+        CHECK (source IN ('cron', 'deferred', 'manual')),
+    ADD COLUMN IF NOT EXISTS status            VARCHAR(16) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'created', 'deferred', 'skipped', 'failed')),
+    ADD COLUMN IF NOT EXISTS assignee_open_id  VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS assignee_name     VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS task_id           INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS error             TEXT,         -- failure, or why the run was skipped / deferred
+    ADD COLUMN IF NOT EXISTS triggered_by      VARCHAR(255), -- actor of a manual run
+    ADD COLUMN IF NOT EXISTS finished_at       TIMESTAMPTZ;
+
+-- Claims recorded before this migration carry no outcome (nearly all of them created a task);
+-- close them instead of leaving them 'running' forever
+UPDATE scheduled_task_runs SET status = 'created', finished_at = created_at
+WHERE status = 'running' AND finished_at IS NULL;
+
+ALTER TABLE scheduled_task_runs
+    DROP CONSTRAINT IF EXISTS scheduled_task_runs_scheduled_task_id_fire_time_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_scheduled_task_runs_cron_fire
+    ON scheduled_task_runs (scheduled_task_id, fire_time) WHERE source = 'cron';
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_task_runs_history
+    ON scheduled_task_runs (scheduled_task_id, fire_time DESC);
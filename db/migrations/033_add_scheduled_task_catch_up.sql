@@ -0,0 +1,25 @@
+-- Migration 033: Catch up on scheduled task runs missed while the server was down
+-- node-cron only fires while a server is running. On startup the runner compares each
+-- enabled scheduled task's last cron fire with its schedule and, following catch_up, creates
+-- the runs it missed:
+--   none   — skip them (the behaviour before this migration)
+--   latest — only the most recent missed run (default: one overdue report, not five)
+--   all    — every missed run, oldest first
+-- rescheduled_at is stamped when a task is re-enabled or its schedule / timezone is edited:
+-- slots before that were not missed, the task was paused or on another schedule.
+-- Catch-up runs are recorded with source 'catch_up' and claim the cron slot they stand in
+-- for, so a missed fire is made up once however many instances start.
+
+ALTER TABLE scheduled_tasks
+    ADD COLUMN IF NOT EXISTS catch_up VARCHAR(8) NOT NULL DEFAULT 'latest'
+        CHECK (catch_up IN ('none', 'latest', 'all')),
+    ADD COLUMN IF NOT EXISTS rescheduled_at TIMESTAMPTZ;
+
+ALTER TABLE scheduled_task_runs DROP CONSTRAINT IF EXISTS scheduled_task_runs_source_check;
+ALTER TABLE scheduled_task_runs
+    ADD CONSTRAINT scheduled_task_runs_source_check
+        CHECK (source IN ('cron', 'catch_up', 'deferred', 'manual'));
+
+DROP INDEX IF EXISTS uq_scheduled_task_runs_cron_fire;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_scheduled_task_runs_cron_fire
+    ON scheduled_task_runs (scheduled_task_id, fire_time) WHERE source IN ('cron', 'catch_up');
@@ -0,0 +1,8 @@
+-- Migration 034: Calendar-aware scheduled tasks
+-- Schedules may now use calendar rules in the day fields (L, LW, BD3, 1#2, 5L — see the
+-- scheduled tasks section of docs/api.md); they live in the existing schedule column.
+-- skip_holidays: a fire that lands on one of the work calendar's holidays is recorded as a
+-- skipped run instead of creating a task. Off keeps the behaviour before this migration.
+
+ALTER TABLE scheduled_tasks
+    ADD COLUMN IF NOT EXISTS skip_holidays BOOLEAN NOT NULL DEFAULT false;
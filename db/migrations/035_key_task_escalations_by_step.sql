@@ -0,0 +1,24 @@
+-- Migration 035: Identify fired escalation steps by what they are, not where they are
+-- task_escalations.step is the step's index in the policy's steps, so inserting, removing
+-- or reordering steps on a policy in use made fired records point at other steps: a step
+-- could fire twice, or be skipped, for tasks already past earlier steps. step_key names the
+-- step by its content — "<afterHours>h:<target>[:<openId|chatId>]", e.g. "72h:manager",
+-- "120h:chat:oc_x" (escalation.stepKey) — and replaces step in the primary key. step stays
+-- as the index the step had when it fired, for the audit trail.
+
+ALTER TABLE task_escalations ADD COLUMN IF NOT EXISTS step_key VARCHAR(300);
+
+-- Existing records: the step at that index today
+UPDATE task_escalations e
+SET step_key = (s.step->>'afterHours') || 'h:' || (s.step->>'target')
+               || COALESCE(':' || COALESCE(s.step->>'openId', s.step->>'chatId'), '')
+FROM escalation_policies p,
+     jsonb_array_elements(p.steps) WITH ORDINALITY AS s(step, n)
+WHERE e.step_key IS NULL AND p.id = e.policy_id AND s.n - 1 = e.step;
+
+-- Indexes past the end of the policy no longer name a step
+UPDATE task_escalations SET step_key = '#' || step WHERE step_key IS NULL;
+
+ALTER TABLE task_escalations ALTER COLUMN step_key SET NOT NULL;
+ALTER TABLE task_escalations DROP CONSTRAINT IF EXISTS task_escalations_pkey;
+ALTER TABLE task_escalations ADD PRIMARY KEY (task_id, policy_id, step_key);
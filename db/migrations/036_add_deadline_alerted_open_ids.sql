@@ -0,0 +1,9 @@
+-- Migration 036: Track the overdue alert per recipient
+-- deadline_notified_at marked the whole task as alerted as soon as anyone could be told, so an
+-- assignee or reporter who was in quiet time at that moment never got the alert.
+-- deadline_alerted_open_ids lists who has had the alert for the current deadline; the cron
+-- keeps retrying the rest, and sets deadline_notified_at once everyone has it. It is cleared
+-- together with deadline_notified_at (new deadline, approved extension, reopen).
+
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS deadline_alerted_open_ids TEXT[] NOT NULL DEFAULT '{}';
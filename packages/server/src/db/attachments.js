@@ -0,0 +1,26 @@
+const pool = require('./pool');
+
+const attachmentsDb = {
+  /**
+   * Store a downloaded message resource. Storing the same (message_id, file_key) again
+   * returns the existing row, linked to the task when it was not linked yet.
+   */
+  async create({ taskId = null, messageId, fileKey, kind, fileName = null, mimeType = null, data, uploadedBy = null }) {
+    const { rows } = await pool.query(
+      `INSERT INTO attachments (task_id, message_id, file_key, kind, file_name, mime_type, size_bytes, data, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (message_id, file_key) DO UPDATE SET task_id = COALESCE(attachments.task_id, EXCLUDED.task_id)
+       RETURNING id, task_id, message_id, file_key, kind, file_name, mime_type, size_bytes, uploaded_by, created_at`,
+      [taskId, messageId, fileKey, kind, fileName, mimeType, data.length, data, uploadedBy]
+    );
+    return rows[0];
+  },
+
+  /** The attachment with its content (data) */
+  async get(id) {
+    const { rows } = await pool.query('SELECT * FROM attachments WHERE id = $1', [id]);
+    return rows[0] || null;
+  },
+};
+
+module.exports = attachmentsDb;
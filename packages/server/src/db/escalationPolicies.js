@@ -0,0 +1,88 @@
+const pool = require('./pool');
+
+/** Normalize empty string to null for optional text fields */
+const nullIfEmpty = (v) => (v === '' || v === null || v === undefined ? null : v);
+
+const escalationPoliciesDb = {
+  async list() {
+    const { rows } = await pool.query('SELECT * FROM escalation_policies ORDER BY id');
+    return rows;
+  },
+
+  async listEnabled() {
+    const { rows } = await pool.query('SELECT * FROM escalation_policies WHERE enabled ORDER BY id');
+    return rows;
+  },
+
+  async get(id) {
+    const { rows } = await pool.query('SELECT * FROM escalation_policies WHERE id = $1', [id]);
+    return rows[0] || null;
+  },
+
+  async create({ name, priority, targetTag, steps, enabled, createdBy }) {
+    const { rows } = await pool.query(
+      `INSERT INTO escalation_policies (name, priority, target_tag, steps, enabled, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, nullIfEmpty(priority), nullIfEmpty(targetTag), JSON.stringify(steps ?? []),
+       enabled ?? true, nullIfEmpty(createdBy)]
+    );
+    return rows[0];
+  },
+
+  async update(id, { name, priority, targetTag, steps, enabled }) {
+    const fields = [], values = [];
+    let i = 1;
+    const set = (col, val) => { if (val !== undefined) { fields.push(`${col}=$${i++}`); values.push(val); } };
+    set('name', name);
+    if (priority !== undefined) set('priority', nullIfEmpty(priority));
+    if (targetTag !== undefined) set('target_tag', nullIfEmpty(targetTag));
+    if (steps !== undefined) set('steps', JSON.stringify(steps ?? []));
+    set('enabled', enabled);
+    if (!fields.length) return null;
+    values.push(id);
+    const { rows } = await pool.query(
+      `UPDATE escalation_policies SET ${fields.join(',')} WHERE id=$${i} RETURNING *`,
+      values
+    );
+    return rows[0] ?? null;
+  },
+
+  async remove(id) {
+    const { rows } = await pool.query('DELETE FROM escalation_policies WHERE id=$1 RETURNING *', [id]);
+    return rows[0] ?? null;
+  },
+
+  /**
+   * Record that a step fired. The primary key (task, policy, stepKey) makes this the claim:
+   * returns false when the step was already recorded (another cron run got there first).
+   * Pass a transaction client as db to claim the step together with queueing its message.
+   * @param {object} fired
+   * @param {number} fired.taskId
+   * @param {number} fired.policyId
+   * @param {string} fired.stepKey - escalation.stepKey() of the step
+   * @param {number} fired.step - the step's index in the policy when it fired
+   * @param {string|null} fired.recipient
+   * @param {'sent'|'skipped'} fired.outcome
+   */
+  async recordStep({ taskId, policyId, stepKey, step, recipient, outcome }, db = pool) {
+    const { rowCount } = await db.query(
+      `INSERT INTO task_escalations (task_id, policy_id, step_key, step, recipient, outcome)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT DO NOTHING`,
+      [taskId, policyId, stepKey, step, recipient ?? null, outcome]
+    );
+    return rowCount > 0;
+  },
+
+  /**
+   * Forget the steps fired for a task, so its policy runs again from the first step. For a new
+   * deadline (edit, approved extension) or a reopen — overdue time is measured afresh.
+   * Pass a transaction client as db to clear them together with the deadline change.
+   */
+  async clearFiredSteps(taskId, db = pool) {
+    await db.query('DELETE FROM task_escalations WHERE task_id = $1', [taskId]);
+  },
+};
+
+module.exports = escalationPoliciesDb;
@@ -0,0 +1,84 @@
+const pool = require('./pool');
+
+/** Normalize empty string to null for optional text fields */
+const nullIfEmpty = (v) => (v === '' || v === null || v === undefined ? null : v);
+
+const groupChatsDb = {
+  async list() {
+    const { rows } = await pool.query(
+      `SELECT g.*,
+              (SELECT COUNT(*)::int FROM tasks t
+               WHERE t.source_chat_id = g.chat_id
+                 AND t.status IN ('pending', 'in_progress', 'blocked', 'awaiting_review')) AS open_tasks
+       FROM group_chats g
+       ORDER BY g.created_at`
+    );
+    return rows;
+  },
+
+  async get(chatId) {
+    const { rows } = await pool.query('SELECT * FROM group_chats WHERE chat_id = $1', [chatId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * The group's row, created with defaults the first time the bot is mentioned there.
+   * A name is filled in when the row has none yet.
+   */
+  async ensure(chatId, name = null) {
+    const { rows } = await pool.query(
+      `INSERT INTO group_chats (chat_id, name)
+       VALUES ($1, $2)
+       ON CONFLICT (chat_id) DO UPDATE SET name = COALESCE(group_chats.name, EXCLUDED.name)
+       RETURNING *`,
+      [chatId, nullIfEmpty(name)]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Record the bot joining (present) or leaving a group. Joining creates the row like
+   * ensure() and clears bot_removed_at; leaving keeps the settings for when it comes back.
+   */
+  async setBotPresent(chatId, present, name = null) {
+    const { rows } = present
+      ? await pool.query(
+        `INSERT INTO group_chats (chat_id, name)
+         VALUES ($1, $2)
+         ON CONFLICT (chat_id) DO UPDATE
+           SET name = COALESCE(EXCLUDED.name, group_chats.name), bot_removed_at = NULL, updated_at = NOW()
+         RETURNING *`,
+        [chatId, nullIfEmpty(name)]
+      )
+      : await pool.query(
+        'UPDATE group_chats SET bot_removed_at = NOW(), updated_at = NOW() WHERE chat_id = $1 RETURNING *',
+        [chatId]
+      );
+    return rows[0] ?? null;
+  },
+
+  async update(chatId, { name, enabled, features, defaultTag }) {
+    const fields = [], values = [];
+    let i = 1;
+    const set = (col, val) => { if (val !== undefined) { fields.push(`${col}=$${i++}`); values.push(val); } };
+    if (name !== undefined) set('name', nullIfEmpty(name));
+    set('enabled', enabled);
+    if (features !== undefined) set('features', JSON.stringify(features ?? {}));
+    if (defaultTag !== undefined) set('default_tag', nullIfEmpty(defaultTag));
+    if (!fields.length) return null;
+    fields.push('updated_at=NOW()');
+    values.push(chatId);
+    const { rows } = await pool.query(
+      `UPDATE group_chats SET ${fields.join(',')} WHERE chat_id=$${i} RETURNING *`,
+      values
+    );
+    return rows[0] ?? null;
+  },
+
+  async remove(chatId) {
+    const { rows } = await pool.query('DELETE FROM group_chats WHERE chat_id=$1 RETURNING *', [chatId]);
+    return rows[0] ?? null;
+  },
+};
+
+module.exports = groupChatsDb;
@@ -0,0 +1,138 @@
+const pool = require('./pool');
+
+const outboxDb = {
+  /**
+   * Queue a message. Pass a transaction client as db to enqueue atomically with the
+   * change that caused the message (e.g. marking a reminder as sent).
+   */
+  async enqueue({ receiveId, receiveIdType = 'open_id', msgType = 'text', content, taskId = null, kind = null }, db = pool) {
+    const { rows } = await db.query(
+      `INSERT INTO outbound_messages (receive_id, receive_id_type, msg_type, content, task_id, kind)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [receiveId, receiveIdType, msgType, JSON.stringify(content), taskId, kind]
+    );
+    return rows[0];
+  },
+
+  /**
+   * Take up to limit due messages for delivery. Claimed rows are 'sending' with
+   * next_attempt_at pushed out by leaseSeconds, so a worker that dies mid-batch only
+   * delays them. SKIP LOCKED keeps concurrent workers from claiming the same row.
+   * @returns {Promise<object[]>} oldest first
+   */
+  async claimDue(limit, leaseSeconds) {
+    const { rows } = await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'sending', next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM outbound_messages
+         WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at, id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, leaseSeconds]
+    );
+    return rows.sort((a, b) => a.id - b.id);
+  },
+
+  async markSent(id, messageId = null) {
+    await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'sent', attempts = attempts + 1, message_id = $2, last_error = NULL,
+           sent_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [id, messageId]
+    );
+  },
+
+  /**
+   * Record a failed attempt: retried after retryInSeconds, or given up on ('failed')
+   * when retryInSeconds is null.
+   */
+  async markAttemptFailed(id, error, retryInSeconds) {
+    await pool.query(
+      `UPDATE outbound_messages
+       SET attempts = attempts + 1, last_error = $2, updated_at = NOW(),
+           status = CASE WHEN $3::int IS NULL THEN 'failed' ELSE 'pending' END,
+           next_attempt_at = CASE WHEN $3::int IS NULL THEN next_attempt_at
+                                  ELSE NOW() + make_interval(secs => $3::int) END
+       WHERE id = $1`,
+      [id, error, retryInSeconds]
+    );
+  },
+
+  /** Put claimed messages back without counting an attempt (e.g. Feishu rate limit) */
+  async release(ids, delaySeconds, reason = null) {
+    if (!ids.length) return;
+    await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'pending', next_attempt_at = NOW() + make_interval(secs => $2),
+           last_error = COALESCE($3, last_error), updated_at = NOW()
+       WHERE id = ANY($1::int[]) AND status = 'sending'`,
+      [ids, delaySeconds, reason]
+    );
+  },
+
+  /** Delivery log, newest first, with the number of messages per status */
+  async list({ status, taskId, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`o.status = $${params.length}`);
+    }
+    if (taskId) {
+      params.push(taskId);
+      conditions.push(`o.task_id = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [list, total, counts] = await Promise.all([
+      pool.query(
+        `SELECT o.*, t.title AS task_title
+         FROM outbound_messages o LEFT JOIN tasks t ON t.id = o.task_id
+         ${where}
+         ORDER BY o.created_at DESC, o.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM outbound_messages o ${where}`, params),
+      pool.query('SELECT status, COUNT(*)::int AS count FROM outbound_messages GROUP BY status'),
+    ]);
+    return {
+      rows: list.rows,
+      total: total.rows[0]?.total ?? 0,
+      counts: Object.fromEntries(counts.rows.map(r => [r.status, r.count])),
+    };
+  },
+
+  /**
+   * Queue failed messages again with a fresh set of attempts.
+   * @param {number|null} id - one message, or null for every failed message
+   * @returns {Promise<object[]>} the requeued rows
+   */
+  async retryFailed(id = null) {
+    const { rows } = await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+       WHERE status = 'failed' AND ($1::int IS NULL OR id = $1)
+       RETURNING *`,
+      [id]
+    );
+    return rows;
+  },
+
+  /** Delete delivered messages older than the given number of days */
+  async purgeSent(olderThanDays) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM outbound_messages
+       WHERE status = 'sent' AND sent_at < NOW() - make_interval(days => $1)`,
+      [olderThanDays]
+    );
+    return rowCount;
+  },
+};
+
+module.exports = outboxDb;
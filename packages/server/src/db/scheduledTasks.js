@@ -1,4 +1,5 @@
 const pool = require('./pool');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
 
 /** Normalize empty string to null for optional text fields */
 const nullIfEmpty = (v) => (v === '' || v === null || v === undefined ? null : v);
@@ -45,27 +46,59 @@ const scheduledTasksDb = {
     };
   },
 
+  /** Every enabled scheduled task, unpaginated — what the runner registers */
+  async listEnabled() {
+    const { rows } = await pool.query('SELECT * FROM scheduled_tasks WHERE enabled ORDER BY id');
+    return rows;
+  },
+
+  /**
+   * Enabled scheduled tasks that catch up on missed runs, each with last_fire_at: the latest
+   * cron slot that was claimed, or — for tasks with no run history yet — last_run_at; never
+   * before the task was created, re-enabled or rescheduled. Manual runs don't count; they
+   * don't stand in for a scheduled fire.
+   * @returns {Promise<object[]>}
+   */
+  async listForCatchUp() {
+    const { rows } = await pool.query(
+      `SELECT st.*,
+              GREATEST(st.created_at, st.rescheduled_at, COALESCE(
+                (SELECT MAX(r.fire_time) FROM scheduled_task_runs r
+                 WHERE r.scheduled_task_id = st.id AND r.source IN ('cron', 'catch_up')),
+                st.last_run_at,
+                st.created_at)) AS last_fire_at
+       FROM scheduled_tasks st
+       WHERE st.enabled AND st.catch_up <> 'none'
+       ORDER BY st.id`
+    );
+    return rows;
+  },
+
   async get(id) {
     const { rows } = await pool.query('SELECT * FROM scheduled_tasks WHERE id = $1', [id]);
     return rows[0] || null;
   },
 
-  async create({ name, title, targetOpenId, targetTag, reporterOpenId, schedule, timezone, deadlineDays, priority, note, reminderIntervalHours, createdBy }) {
+  async create({ name, title, targetOpenId, targetTag, reporterOpenId, schedule, timezone, deadlineDays, deadlineTime, priority, note, reminderIntervalHours, createdBy, coAssigneeOpenIds, completionMode, checklist, requiresApproval, catchUp, skipHolidays }) {
     const { rows } = await pool.query(
       `INSERT INTO scheduled_tasks
          (name, title, target_open_id, target_tag, reporter_open_id, schedule, timezone,
-          deadline_days, priority, note, reminder_interval_hours, created_by)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+          deadline_days, priority, note, reminder_interval_hours, created_by,
+          co_assignee_open_ids, completion_mode, checklist, requires_approval, deadline_time, catch_up,
+          skip_holidays)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
        RETURNING *`,
       [name, title, nullIfEmpty(targetOpenId), nullIfEmpty(targetTag),
        nullIfEmpty(reporterOpenId), schedule,
-       timezone ?? 'Asia/Shanghai', deadlineDays ?? 1, priority ?? 'p1',
-       nullIfEmpty(note), reminderIntervalHours ?? 24, nullIfEmpty(createdBy)]
+       timezone ?? DEFAULT_TIMEZONE, deadlineDays ?? 1, priority ?? 'p1',
+       nullIfEmpty(note), reminderIntervalHours ?? 24, nullIfEmpty(createdBy),
+       coAssigneeOpenIds ?? [], completionMode ?? 'all', JSON.stringify(checklist ?? []),
+       requiresApproval ?? false, nullIfEmpty(deadlineTime), catchUp ?? 'latest', skipHolidays ?? false]
     );
     return rows[0];
   },
 
-  async update(id, { name, title, targetOpenId, targetTag, reporterOpenId, schedule, timezone, deadlineDays, priority, note, reminderIntervalHours, enabled }) {
+  async update(id, { name, title, targetOpenId, targetTag, reporterOpenId, schedule, timezone, deadlineDays, deadlineTime, priority, note, reminderIntervalHours, enabled, coAssigneeOpenIds, completionMode, checklist, requiresApproval, catchUp, skipHolidays }) {
     const fields = [], values = [];
     let i = 1;
     const set = (col, val) => { if (val !== undefined) { fields.push(`${col}=$${i++}`); values.push(val); } };
@@ -78,10 +111,19 @@ const scheduledTasksDb = {
     set('schedule', schedule);
     set('timezone', timezone);
     set('deadline_days', deadlineDays);
+    if (deadlineTime !== undefined) set('deadline_time', nullIfEmpty(deadlineTime));
     set('priority', priority);
     if (note !== undefined) set('note', nullIfEmpty(note));
     set('reminder_interval_hours', reminderIntervalHours);
     set('enabled', enabled);
+    set('co_assignee_open_ids', coAssigneeOpenIds);
+    set('completion_mode', completionMode);
+    if (checklist !== undefined) set('checklist', JSON.stringify(checklist ?? []));
+    set('requires_approval', requiresApproval);
+    set('catch_up', catchUp);
+    set('skip_holidays', skipHolidays);
+    // Slots before a pause ends or the schedule changes don't count as missed (listForCatchUp)
+    if (enabled === true || schedule !== undefined || timezone !== undefined) fields.push('rescheduled_at=NOW()');
     if (!fields.length) return null;
     values.push(id);
     const { rows } = await pool.query(
@@ -99,6 +141,94 @@ const scheduledTasksDb = {
   async markRun(id) {
     await pool.query('UPDATE scheduled_tasks SET last_run_at=NOW() WHERE id=$1', [id]);
   },
+
+  /**
+   * Start a run. A cron fire is also the claim: the unique (scheduled_task_id, fire_time)
+   * index over cron and catch-up runs means only one instance gets a row back for the same
+   * slot, the others get null. Deferred and manual runs always start.
+   * @param {number} id
+   * @param {object} run
+   * @param {'cron'|'catch_up'|'deferred'|'manual'} [run.source='cron']
+   * @param {Date} run.fireTime - the cron slot (identical on every instance), or when it started
+   * @param {string} run.instance
+   * @param {string} [run.triggeredBy] - actor of a manual run
+   * @returns {Promise<object|null>} the scheduled_task_runs row
+   */
+  async startRun(id, { source = 'cron', fireTime, instance, triggeredBy = null }) {
+    const { rows } = await pool.query(
+      `INSERT INTO scheduled_task_runs (scheduled_task_id, fire_time, instance, source, triggered_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (scheduled_task_id, fire_time) WHERE source IN ('cron', 'catch_up') DO NOTHING
+       RETURNING *`,
+      [id, fireTime, instance, source, triggeredBy]
+    );
+    return rows[0] ?? null;
+  },
+
+  /**
+   * Record how a run ended.
+   * @param {number} runId
+   * @param {object} outcome
+   * @param {'created'|'deferred'|'skipped'|'failed'} outcome.status
+   * @param {string} [outcome.assigneeOpenId]
+   * @param {string} [outcome.assigneeName]
+   * @param {number} [outcome.taskId]
+   * @param {string} [outcome.error] - the failure, or why it was skipped / deferred
+   * @returns {Promise<object|null>}
+   */
+  async finishRun(runId, { status, assigneeOpenId = null, assigneeName = null, taskId = null, error = null }) {
+    const { rows } = await pool.query(
+      `UPDATE scheduled_task_runs
+       SET status=$2, assignee_open_id=$3, assignee_name=$4, task_id=$5, error=$6, finished_at=NOW()
+       WHERE id=$1
+       RETURNING *`,
+      [runId, status, assigneeOpenId, assigneeName, taskId, error]
+    );
+    return rows[0] ?? null;
+  },
+
+  /**
+   * Run history of one scheduled task, newest first, with the created task's current state.
+   * @param {number} id
+   * @param {object} [opts]
+   * @param {number} [opts.limit=20]
+   * @param {number} [opts.offset=0]
+   * @returns {Promise<{rows: object[], total: number}>}
+   */
+  async listRuns(id, { limit = 20, offset = 0 } = {}) {
+    const [rowsResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT r.*, t.title AS task_title, t.status AS task_status
+         FROM scheduled_task_runs r
+         LEFT JOIN tasks t ON t.id = r.task_id
+         WHERE r.scheduled_task_id = $1
+         ORDER BY r.fire_time DESC, r.id DESC
+         LIMIT $2 OFFSET $3`,
+        [id, limit, offset]
+      ),
+      pool.query('SELECT COUNT(*)::int AS total FROM scheduled_task_runs WHERE scheduled_task_id = $1', [id]),
+    ]);
+    return { rows: rowsResult.rows, total: countResult.rows[0].total };
+  },
+
+  /** Hold a run that fired on a non-working day until runAt */
+  async deferRun(id, runAt) {
+    await pool.query('UPDATE scheduled_tasks SET deferred_run_at=$2 WHERE id=$1', [id, runAt]);
+  },
+
+  /**
+   * Claim the deferred runs that are due. Clearing deferred_run_at in the same statement
+   * means two server instances cannot both pick up the same run.
+   * @returns {Promise<object[]>}
+   */
+  async claimDeferredRuns() {
+    const { rows } = await pool.query(
+      `UPDATE scheduled_tasks SET deferred_run_at=NULL
+       WHERE deferred_run_at IS NOT NULL AND deferred_run_at <= NOW()
+       RETURNING *`
+    );
+    return rows;
+  },
 };
 
 module.exports = scheduledTasksDb;
@@ -148,6 +148,73 @@ const users = {
     return result.rows[0];
   },
 
+  /**
+   * IANA timezones of users by open_id, for formatting the messages sent to them.
+   * Users without one (or not in the table) are absent from the map.
+   * @param {string[]} openIds
+   * @returns {Promise<Map<string, string>>} open_id → timezone
+   */
+  async getTimezones(openIds) {
+    const ids = [...new Set((openIds || []).filter(Boolean))];
+    if (!ids.length) return new Map();
+    const result = await pool.query(
+      'SELECT open_id, timezone FROM users WHERE open_id = ANY($1::text[]) AND timezone IS NOT NULL',
+      [ids]
+    );
+    return new Map((result?.rows || []).map(r => [r.open_id, r.timezone]));
+  },
+
+  /**
+   * What the reminder cron needs to know about recipients: their timezone, their own quiet
+   * hours and whether they take digests instead of per-task reminders. Users with none of
+   * these set (or not in the table) are absent from the map.
+   * @param {string[]} openIds
+   * @returns {Promise<Map<string, {timezone: string|null, quietHours: {start: string, end: string}|null, digest: boolean, reporterDigest: boolean}>>}
+   */
+  async getReminderPrefs(openIds) {
+    const ids = [...new Set((openIds || []).filter(Boolean))];
+    if (!ids.length) return new Map();
+    const result = await pool.query(
+      `SELECT open_id, timezone, quiet_hours_start, quiet_hours_end, reminder_mode, reporter_digest FROM users
+       WHERE open_id = ANY($1::text[])
+         AND (timezone IS NOT NULL OR quiet_hours_start IS NOT NULL
+              OR reminder_mode <> 'per_task' OR reporter_digest)`,
+      [ids]
+    );
+    return new Map((result?.rows || []).map(r => [r.open_id, {
+      timezone: r.timezone,
+      quietHours: r.quiet_hours_start && r.quiet_hours_end
+        ? { start: r.quiet_hours_start, end: r.quiet_hours_end }
+        : null,
+      digest: r.reminder_mode === 'digest',
+      reporterDigest: !!r.reporter_digest,
+    }]));
+  },
+
+  /** Users who get a daily digest: digest mode, or a reporter digest of what they assigned */
+  async listDigestRecipients() {
+    const { rows } = await pool.query(
+      `SELECT user_id, open_id, feishu_user_id, name, timezone, reminder_mode, digest_time, reporter_digest
+       FROM users
+       WHERE open_id IS NOT NULL AND (reminder_mode = 'digest' OR reporter_digest)`
+    );
+    return rows;
+  },
+
+  /**
+   * Mark today's digest (a local 'YYYY-MM-DD') as sent. Returns false when it already was,
+   * so concurrent cron runs send it once. Pass a transaction client as db to claim it together
+   * with queueing the digest.
+   */
+  async claimDigest(openId, localDate, db = pool) {
+    const { rowCount } = await db.query(
+      `UPDATE users SET last_digest_on = $2::date
+       WHERE open_id = $1 AND last_digest_on IS DISTINCT FROM $2::date`,
+      [openId, localDate]
+    );
+    return rowCount > 0;
+  },
+
   /**
    * Update only the configs field for a user.
    */
@@ -165,7 +232,7 @@ const users = {
   },
 
   /**
-   * Update profile fields (name, email, phone).
+   * Update profile fields (name, email, phone, timezone, quiet hours, manager).
    * - undefined  → skip (leave unchanged)
    * - null / ""  → clear (set DB column to NULL)
    * - "value"    → set to that value
@@ -173,7 +240,7 @@ const users = {
    * This allows the UI to both update and clear fields.
    * Previously used CASE WHEN IS NOT NULL which prevented clearing values.
    */
-  async updateProfile(userId, { name, email, phone }) {
+  async updateProfile(userId, { name, email, phone, timezone, quietHoursStart, quietHoursEnd, managerOpenId, reminderMode, digestTime, reporterDigest }) {
     const fields = [];
     const values = [userId];
     let idx = 2;
@@ -188,6 +255,13 @@ const users = {
     set('name', name);
     set('email', email);
     set('phone', phone);
+    set('timezone', timezone);
+    set('quiet_hours_start', quietHoursStart);
+    set('quiet_hours_end', quietHoursEnd);
+    set('manager_open_id', managerOpenId);
+    set('reminder_mode', reminderMode);
+    set('digest_time', digestTime);
+    set('reporter_digest', reporterDigest);
 
     if (!fields.length) {
       // Nothing to update — fetch and return current record unchanged
@@ -259,6 +333,20 @@ const users = {
     return result.rows[0] || null;
   },
 
+  /**
+   * Mark a user active / inactive (left the organisation in Feishu).
+   * @returns {Promise<object|null>} the user, or null when unknown or already in that state
+   */
+  async setActive(openId, active) {
+    const result = await pool.query(
+      `UPDATE users SET active = $2, deactivated_at = CASE WHEN $2 THEN NULL ELSE NOW() END
+       WHERE open_id = $1 AND active <> $2
+       RETURNING *`,
+      [openId, active]
+    );
+    return result.rows[0] || null;
+  },
+
   /**
    * List all users, optionally filtered by role.
    */
@@ -310,21 +398,24 @@ const users = {
   },
 
   /**
-   * Find all users who have the given tag (case-insensitive).
+   * Find all active users who have the given tag (case-insensitive).
    * Uses the GIN index on `tags` via the @> (contains) operator.
    * @param {string} tag
    * @returns {Promise<object[]>}
    */
   async findByTag(tag) {
     const result = await pool.query(
-      `SELECT * FROM users WHERE tags @> ARRAY[$1::text] ORDER BY name`,
+      `SELECT * FROM users WHERE tags @> ARRAY[$1::text] AND active ORDER BY name`,
       [tag.toLowerCase().trim()]
     );
     return result.rows;
   },
 
   /**
-   * Get pending-task workload counts for a list of open_ids.
+   * Get open-task workload counts for a list of open_ids.
+   * Open = pending, in_progress or blocked (mirrors OPEN_STATUSES in services/reminder.js).
+   * Counts per-assignee rows (task_assignees) whose own share is still pending,
+   * so co-assignees of a multi-assignee task each carry it.
    * Returns a map: { [open_id]: pendingCount }
    * Users with no tasks are included with count 0.
    * @param {string[]} openIds
@@ -333,11 +424,13 @@ const users = {
   async getWorkload(openIds) {
     if (!openIds.length) return {};
     const result = await pool.query(
-      `SELECT assignee_open_id, COUNT(*)::int AS pending
-       FROM tasks
-       WHERE status = 'pending'
-         AND assignee_open_id = ANY($1)
-       GROUP BY assignee_open_id`,
+      `SELECT ta.assignee_open_id, COUNT(*)::int AS pending
+       FROM task_assignees ta
+       JOIN tasks t ON t.id = ta.task_id
+       WHERE t.status IN ('pending', 'in_progress', 'blocked')
+         AND ta.status = 'pending'
+         AND ta.assignee_open_id = ANY($1)
+       GROUP BY ta.assignee_open_id`,
       [openIds]
     );
     const map = {};
@@ -346,18 +439,9 @@ const users = {
     return map;
   },
 
-  /**
-   * Pick the user in a tag group with the lowest pending-task workload.
-   * If multiple users are tied, picks randomly among the tied set using
-   * a pre-shuffle + stable sort (avoids Math.random() inside comparator,
-   * which is undefined behaviour in sort algorithms).
-   * Returns null if no users found for the tag.
-   * @param {string} tag
-   * @returns {Promise<object|null>} user row or null
-   */
   /**
    * Weighted workload score per open_id within a tag group.
-   * Score = SUM(COALESCE(estimated_hours, 1)) of pending tasks.
+   * Score = SUM(COALESCE(estimated_hours, 1)) of open tasks where the user's share is pending.
    * Tasks without an estimate count as 1 hour each.
    * @param {string[]} openIds
    * @returns {Promise<Record<string, number>>}  openId → score
@@ -365,12 +449,14 @@ const users = {
   async getWorkloadScore(openIds) {
     if (!openIds.length) return {};
     const result = await pool.query(
-      `SELECT assignee_open_id,
-              COALESCE(SUM(COALESCE(estimated_hours, 1)), 0)::float AS score
-       FROM tasks
-       WHERE status = 'pending'
-         AND assignee_open_id = ANY($1)
-       GROUP BY assignee_open_id`,
+      `SELECT ta.assignee_open_id,
+              COALESCE(SUM(COALESCE(t.estimated_hours, 1)), 0)::float AS score
+       FROM task_assignees ta
+       JOIN tasks t ON t.id = ta.task_id
+       WHERE t.status IN ('pending', 'in_progress', 'blocked')
+         AND ta.status = 'pending'
+         AND ta.assignee_open_id = ANY($1)
+       GROUP BY ta.assignee_open_id`,
       [openIds]
     );
     const map = {};
@@ -379,11 +465,22 @@ const users = {
     return map;
   },
 
-  async pickByWorkload(tag) {
+  /**
+   * Pick the user in a tag group with the lowest pending-task workload.
+   * If multiple users are tied, picks randomly among the tied set using
+   * a pre-shuffle + stable sort (avoids Math.random() inside comparator,
+   * which is undefined behaviour in sort algorithms).
+   * Returns null if no users found for the tag.
+   * @param {string} tag
+   * @param {object}   [opts]
+   * @param {string[]} [opts.exclude] - open_ids to skip (e.g. the current assignee on reassign)
+   * @returns {Promise<object|null>} user row or null
+   */
+  async pickByWorkload(tag, { exclude = [] } = {}) {
     const tagUsers = await users.findByTag(tag);
     if (!tagUsers.length) return null;
 
-    const eligible = tagUsers.filter(u => u.open_id);
+    const eligible = tagUsers.filter(u => u.open_id && !exclude.includes(u.open_id));
     if (!eligible.length) return null;
 
     const openIds = eligible.map(u => u.open_id);
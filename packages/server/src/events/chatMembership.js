@@ -0,0 +1,40 @@
+/**
+ * im.chat.member.bot.added_v1 / im.chat.member.bot.deleted_v1 — the bot joined or left a group
+ *
+ * Joining registers the group (group_chats, shown on the 群聊管理 page) and introduces the bot;
+ * leaving marks the group so its settings survive until the bot is added back.
+ */
+const groupChatsDb = require('../db/groupChats');
+const feishu = require('../feishu/client');
+const logger = require('../utils/logger');
+
+const WELCOME = [
+  '👋 大家好，我是催办机器人！在群里 @我 才会回复：',
+  '',
+  '  • @我 /add 任务名 @执行人 [日期] — 创建催办任务',
+  '  • @我 群任务 — 查看本群的未完成任务',
+  '  • @我 菜单 — 查看你可以使用的功能',
+].join('\n');
+
+async function handleBotAdded(event) {
+  const chatId = event.chat_id;
+  if (!chatId) return;
+  const group = await groupChatsDb.setBotPresent(chatId, true, event.name || null);
+  logger.info('Bot added to group', { chatId, name: group?.name, operator: event.operator_id?.open_id });
+  if (group && !group.enabled) return;
+  feishu.sendMessage(chatId, WELCOME, 'chat_id').catch((err) => {
+    logger.warn('Failed to send group welcome', { chatId, error: err.message });
+  });
+}
+
+async function handleBotRemoved(event) {
+  const chatId = event.chat_id;
+  if (!chatId) return;
+  const group = await groupChatsDb.setBotPresent(chatId, false);
+  logger.info('Bot removed from group', { chatId, known: !!group, operator: event.operator_id?.open_id });
+}
+
+module.exports = {
+  'im.chat.member.bot.added_v1': handleBotAdded,
+  'im.chat.member.bot.deleted_v1': handleBotRemoved,
+};
@@ -0,0 +1,47 @@
+/**
+ * contact.user.deleted_v3 / contact.user.updated_v3 — a user left the organisation
+ *
+ * A deleted user, or one whose status turns resigned or frozen, is offboarded: marked
+ * inactive and their open tasks handed over or flagged (services/offboarding.js). A frozen
+ * account that is unfrozen is active again. Handover DMs several people, so it runs after
+ * the webhook has answered.
+ */
+const offboarding = require('../services/offboarding');
+const logger = require('../utils/logger');
+
+/** Whether a contact status object means the user is gone */
+function isDeparted(status) {
+  return !!(status && (status.is_resigned || status.is_frozen));
+}
+
+function offboard(openId) {
+  offboarding.offboardUser(openId).catch((err) => {
+    logger.error('Offboarding failed', { openId, error: err.message });
+  });
+}
+
+async function handleUserDeleted(event) {
+  const openId = event.object?.open_id;
+  if (!openId) return;
+  logger.info('Contact user deleted', { openId, name: event.object?.name });
+  offboard(openId);
+}
+
+async function handleUserUpdated(event) {
+  const openId = event.object?.open_id;
+  // old_object only carries the fields that changed: ignore updates that are not about status
+  if (!openId || !event.old_object?.status) return;
+  const was = isDeparted(event.old_object.status);
+  const now = isDeparted(event.object.status);
+  if (now && !was) {
+    logger.info('Contact user resigned or frozen', { openId, status: event.object.status });
+    offboard(openId);
+  } else if (was && !now) {
+    await offboarding.reactivateUser(openId);
+  }
+}
+
+module.exports = {
+  'contact.user.deleted_v3': handleUserDeleted,
+  'contact.user.updated_v3': handleUserUpdated,
+};
@@ -0,0 +1,71 @@
+/**
+ * Feishu Event Registry
+ *
+ * POST /webhook/event verifies and de-duplicates a callback, then hands it to the handler
+ * registered for its header.event_type. A handler is
+ *
+ *   async (event, context) => void
+ *
+ * where event is the payload's `event` object and context is { eventId, header }.
+ * Handlers run before the webhook answers Feishu (which waits ~3s), so slow work should be
+ * fired off rather than awaited. Unregistered event types are acknowledged and ignored.
+ *
+ * To handle a new event type, export { 'event.type': handler } from a module in this
+ * directory and add it to HANDLER_MODULES — or call register() from anywhere at startup.
+ * Each type also has to be subscribed in the Feishu developer console (事件与回调).
+ */
+const logger = require('../utils/logger');
+
+const handlers = new Map();
+
+/**
+ * @param {string} eventType - e.g. 'im.message.receive_v1'
+ * @param {(event: object, context: {eventId: string|null, header: object}) => Promise<void>} handler
+ */
+function register(eventType, handler) {
+  if (typeof handler !== 'function') throw new Error(`Handler for ${eventType} must be a function`);
+  if (handlers.has(eventType)) throw new Error(`Duplicate handler for event type: ${eventType}`);
+  handlers.set(eventType, handler);
+}
+
+/** Event types with a handler */
+function registeredTypes() {
+  return [...handlers.keys()];
+}
+
+/**
+ * Run the handler for an event. Handler errors are logged, not thrown — Feishu retries
+ * callbacks that do not answer 200, and a retry would repeat whatever already happened.
+ * @returns {Promise<boolean>} false when no handler is registered for the type
+ */
+async function dispatch(eventType, event, context = {}) {
+  const handler = handlers.get(eventType);
+  if (!handler) {
+    logger.debug('Unhandled Feishu event type', { eventType });
+    return false;
+  }
+  try {
+    await handler(event || {}, { eventId: null, header: {}, ...context });
+  } catch (err) {
+    logger.error('Feishu event handler failed', { eventType, eventId: context.eventId, error: err.message });
+  }
+  return true;
+}
+
+const HANDLER_MODULES = [
+  require('./messageReceived'),
+  require('./messageRecalled'),
+  require('./chatMembership'),
+  require('./p2pChatEntered'),
+  require('./contactUser'),
+];
+
+for (const mod of HANDLER_MODULES) {
+  for (const [eventType, handler] of Object.entries(mod)) register(eventType, handler);
+}
+
+module.exports = {
+  register,
+  registeredTypes,
+  dispatch,
+};
@@ -0,0 +1,19 @@
+/**
+ * im.message.recalled_v1 — a user recalled (撤回) a message they sent the bot
+ *
+ * The message is removed from the agent's conversation history so it no longer feeds
+ * later replies.
+ */
+const agentForwarder = require('../services/agentForwarder');
+const logger = require('../utils/logger');
+
+async function handleMessageRecalled(event) {
+  const messageId = event.message_id;
+  if (!messageId) return;
+  const removed = await agentForwarder.forgetMessage(messageId);
+  logger.info('Message recalled', { messageId, chatId: event.chat_id, removedFromHistory: removed });
+}
+
+module.exports = {
+  'im.message.recalled_v1': handleMessageRecalled,
+};
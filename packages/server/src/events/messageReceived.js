@@ -0,0 +1,265 @@
+/**
+ * im.message.receive_v1 — a user sent the bot a message (p2p, or a group @mention)
+ *
+ * Pipeline: parse content → group filter → auto-provision the sender → intent detection →
+ * feature check → session / task-reply / proof handling → direct cuiban commands → AI agent.
+ */
+const feishu = require('../feishu/client');
+const usersDb = require('../db/users');
+const { resolveFeatures } = require('../features');
+const { detectIntent } = require('../utils/intentDetector');
+const { parseMessageContent } = require('../utils/messageContent');
+const { buildMenu } = require('../utils/menuBuilder');
+const logger = require('../utils/logger');
+const agentForwarder = require('../services/agentForwarder');
+const { handleCuibanCommand, handleSessionSelect, handleTaskReply, handleProofUpload } = require('../services/cuibanHandler');
+const { parseGroupMessage, applyGroupFeatures, loadGroup } = require('../services/groupChat');
+
+async function handleMessageReceived(event, { eventId }) {
+  const msgType = event.message?.message_type;
+  const senderId = event.sender?.sender_id?.user_id;
+
+  const chatId = event.message?.chat_id;
+  const messageId = event.message?.message_id;
+  const openId = event.sender?.sender_id?.open_id;
+  const unionId = event.sender?.sender_id?.union_id;
+
+  // ── [1] 收到消息，打印原始 ID ─────────────────────────────────────────
+  logger.info('📨 Message received', {
+    eventId,
+    chatId,
+    messageId,
+    msgType: event.message?.message_type,
+    senderId:  senderId  || '(null)',
+    openId:    openId    || '(null)',
+    unionId:   unionId   || '(null)',
+    chatType:  event.message?.chat_type,
+  });
+
+  // 解析消息文本（用于意图检测）；富文本展开为纯文本，图片 / 文件可作为完成证明
+  const content = parseMessageContent(msgType, event.message?.content);
+  const { resources } = content;
+  let messageText = content.text;
+
+  // ── [1b] 群聊：只响应 @机器人 的消息 ─────────────────────────────────
+  const isGroup = event.message?.chat_type === 'group';
+  let group = null;
+  let mentions = [];
+  if (isGroup) {
+    const parsed = parseGroupMessage(messageText, event.message?.mentions, await feishu.getBotOpenId());
+    if (!parsed.botMentioned) {
+      logger.debug('Group message without @bot ignored', { chatId, messageId });
+      return;
+    }
+    group = await loadGroup(chatId).catch((err) => {
+      logger.warn('Failed to load group chat settings', { chatId, error: err.message });
+      return null;
+    });
+    if (group && !group.enabled) {
+      logger.info('Group chat disabled — ignoring message', { chatId });
+      return;
+    }
+    messageText = parsed.text;
+    mentions = parsed.mentions;
+  }
+
+  // 自动注册用户 + 补全信息
+  let user = null;
+  if (openId || senderId) {
+    try {
+      const existing = await usersDb.findByOpenId(openId);
+      logger.debug('👤 User lookup', {
+        openId,
+        found: !!existing,
+        existingName: existing?.name || null,
+        existingEmail: existing?.email || null,
+        existingPhone: existing?.phone || null,
+      });
+
+      // Resolve user info from Feishu Contact API when:
+      //   a) new user (no DB record), or
+      //   b) existing user missing name/email/feishu_user_id (backfill after permission added)
+      // Try user_id first; fall back to open_id if user_id isn't in the event
+      let userInfo = null;
+      const needsResolve = !existing
+        || !existing.name
+        || !existing.email
+        || !existing.feishu_user_id;
+      if (needsResolve) {
+        const resolveBy = senderId ? `user_id=${senderId}` : `open_id=${openId}`;
+        logger.info('🔍 Resolving user info from Feishu Contact API', { resolveBy });
+        userInfo = await (
+          senderId
+            ? feishu.resolveUserInfo(senderId, 'user_id')
+            : feishu.resolveUserInfo(openId, 'open_id')
+        ).catch((err) => {
+          logger.warn('resolveUserInfo failed', { error: err.message });
+          return null;
+        });
+        logger.debug('🔍 resolveUserInfo result', {
+          success:      !!userInfo,
+          name:         userInfo?.name        || null,
+          email:        userInfo?.email       || null,
+          feishuUserId: userInfo?.feishuUserId || null,
+          reason: userInfo ? 'ok' : 'null (no contact permission or API error)',
+        });
+      } else {
+        logger.info('⏭️  Skip resolveUserInfo (user already complete)', {
+          name: existing.name, email: existing.email, feishuUserId: existing.feishu_user_id,
+        });
+      }
+
+      // feishuUserId priority: webhook senderId > Contact API user_id/union_id > event unionId
+      const resolvedFeishuUserId = senderId
+        || userInfo?.feishuUserId
+        || unionId
+        || null;
+
+      user = await usersDb.autoProvision({
+        openId,
+        email: userInfo?.email || null,
+        phone: userInfo?.mobile || null,
+        name: userInfo?.name || null,
+        feishuUserId: resolvedFeishuUserId,
+      });
+
+      logger.debug('✅ User provisioned', {
+        userId:        user?.user_id,
+        name:          user?.name   || '(none)',
+        role:          user?.role,
+        feishuUserId:  user?.feishu_user_id || '(none)',
+        openId:        user?.open_id || '(none)',
+      });
+    } catch (provisionErr) {
+      logger.warn('User auto-provision failed', { senderId, error: provisionErr.message });
+    }
+  }
+
+  // ── [2] 意图检测 ──────────────────────────────────────────────────────
+  // A bare @mention in a group is a greeting (shows the menu)
+  const intent = isGroup && !messageText && !resources.length ? 'greeting' : detectIntent(messageText);
+  logger.info('🧭 Intent detected', {
+    intent,
+    text: messageText.slice(0, 80) || '(empty)',
+  });
+
+  // A plain-text reply to a bot DM about a task (reminder etc.) is a comment on that task.
+  // Commands still win: replying "完成" to a reminder completes the task.
+  const parentMessageId = event.message?.parent_id;
+  const isTaskReply = !!parentMessageId && !!messageText && (intent === 'unknown' || intent === 'greeting');
+
+  if ((intent === 'greeting' && !isTaskReply) || intent === 'menu') {
+    if (chatId) {
+      const menuMsg = buildMenu(user || { role: 'user', configs: {} }, { isGreeting: intent === 'greeting' });
+      feishu.sendMessage(chatId, menuMsg, 'chat_id').catch((err) => {
+        logger.error('Failed to send menu', { error: err.message });
+      });
+    }
+    return;
+  }
+
+  // ── [3] 权限检查 ──────────────────────────────────────────────────────
+  if (user) {
+    const resolved = applyGroupFeatures(resolveFeatures(user), group);
+    user.resolvedFeatures = resolved;
+    const enabledFeatures = Object.entries(resolved).filter(([,v]) => v).map(([k]) => k);
+    logger.info('🔐 User features', { userId: user.user_id, enabled: enabledFeatures });
+    if (!enabledFeatures.length) {
+      logger.info('🚫 No features — blocking message', { userId: user.user_id });
+      if (chatId) {
+        feishu.sendMessage(chatId, '⚠️ 你目前没有任何可用功能，请联系管理员开通权限。', 'chat_id').catch(() => {});
+      }
+      return;
+    }
+  }
+
+  // ── [4] 会话上下文（数字选择） ────────────────────────────────────────
+  const sessionKey = openId || senderId;
+  const sessionHandled = await handleSessionSelect({
+    sessionKey, messageText, resources, user, senderId, chatId, messageId,
+  }).catch((err) => {
+    logger.error('Session select error', { error: err.message });
+    return false;
+  });
+  if (sessionHandled) return;
+
+  // ── [4b] 回复任务消息 = 评论 ──────────────────────────────────────────
+  if (isTaskReply) {
+    const replyHandled = await handleTaskReply({
+      parentMessageId, text: messageText, user, senderId, openId, chatId, messageId,
+    }).catch((err) => {
+      logger.error('Task reply error', { error: err.message });
+      return false;
+    });
+    if (replyHandled) return;
+    if (intent === 'greeting' && chatId) {
+      // Not a task message after all — answer the greeting as usual
+      const menuMsg = buildMenu(user || { role: 'user', configs: {} }, { isGreeting: true });
+      feishu.sendMessage(chatId, menuMsg, 'chat_id').catch((err) => {
+        logger.error('Failed to send menu', { error: err.message });
+      });
+      return;
+    }
+  }
+
+  // ── [5] 催办直接命令 ──────────────────────────────────────────────────
+  if (['cuiban_view', 'cuiban_complete', 'cuiban_create', 'cuiban_status', 'cuiban_comment', 'cuiban_defer', 'cuiban_digest', 'cuiban_group'].includes(intent)) {
+    logger.info('📋 Handling cuiban command', { intent, senderId, text: messageText.slice(0, 60) });
+    const handled = await handleCuibanCommand({
+      intent,
+      text: messageText,
+      user,
+      senderId,
+      openId,
+      chatId,
+      messageId,
+      sessionKey,
+      parentMessageId,
+      group,
+      mentions,
+      resources,
+    }).catch((err) => {
+      logger.error('Cuiban command error', { error: err.message });
+      feishu.sendMessage(chatId, '⚠️ 命令处理失败，请稍后重试。', 'chat_id').catch(() => {});
+      return true;
+    });
+    if (handled) return;
+  }
+
+  // ── [5b] 单独发送的图片 / 文件 = 完成证明 ────────────────────────────
+  if (!messageText && resources.length) {
+    const proofHandled = await handleProofUpload({
+      resources, user, senderId, openId, chatId, messageId, sessionKey,
+    }).catch((err) => {
+      logger.error('Proof upload error', { error: err.message });
+      return false;
+    });
+    if (proofHandled) return;
+  }
+
+  // ── [6] 转发给 AI Agent ────────────────────────────────────────────────
+  // Skip if there's no text to process (e.g. bare images / stickers, parse failure)
+  if (!messageText) {
+    logger.debug('Empty messageText, skipping agent forward', { msgType });
+    return;
+  }
+
+  logger.info('🤖 Forwarding to AI agent', { userId: user?.user_id, intent });
+  const apiBaseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3456}`;
+  // Fire-and-forget: Feishu expects a response within 3s; agent runs asynchronously.
+  // Inner try/catch prevents an unhandled rejection if the error-reply itself throws.
+  agentForwarder.forwardToOwnerAgent(event, apiBaseUrl, user, messageText).catch(async (err) => {
+    logger.error('Agent forwarding failed', { error: err.message });
+    if (chatId) {
+      try {
+        await feishu.sendMessage(chatId, '⚠️ 消息处理失败，请稍后重试。', 'chat_id');
+      } catch (sendErr) {
+        logger.error('Failed to send error message to user', { error: sendErr.message });
+      }
+    }
+  });
+}
+
+module.exports = {
+  'im.message.receive_v1': handleMessageReceived,
+};
@@ -0,0 +1,32 @@
+/**
+ * im.chat.access_event.bot_p2p_chat_entered_v1 — a user opened a private chat with the bot
+ *
+ * The first time (no earlier message in the chat) the user is registered and greeted with
+ * the menu of what they can do; later visits are ignored.
+ */
+const usersDb = require('../db/users');
+const feishu = require('../feishu/client');
+const { buildMenu } = require('../utils/menuBuilder');
+const logger = require('../utils/logger');
+
+async function handleP2pChatEntered(event) {
+  const chatId = event.chat_id;
+  const openId = event.operator_id?.open_id;
+  if (!chatId || !openId || event.last_message_id) return;
+
+  const user = await usersDb.autoProvision({
+    openId,
+    feishuUserId: event.operator_id?.user_id || null,
+  }).catch((err) => {
+    logger.warn('User auto-provision failed', { openId, error: err.message });
+    return null;
+  });
+  logger.info('P2P chat entered for the first time', { chatId, openId, userId: user?.user_id });
+  feishu.sendMessage(chatId, buildMenu(user || { role: 'user', configs: {} }, { isGreeting: true }), 'chat_id').catch((err) => {
+    logger.warn('Failed to send welcome menu', { chatId, error: err.message });
+  });
+}
+
+module.exports = {
+  'im.chat.access_event.bot_p2p_chat_entered_v1': handleP2pChatEntered,
+};
@@ -2,6 +2,7 @@ const logger = require('../utils/logger');
 
 const BASE_URL = 'https://open.feishu.cn/open-apis';
 const REQUEST_TIMEOUT_MS = 10000; // 10秒超时
+const DOWNLOAD_TIMEOUT_MS = 30000; // 下载图片 / 文件
 
 let tokenCache = { token: null, expiresAt: 0 };
 let tokenPromise = null; // coalesce concurrent token refreshes
@@ -133,6 +134,13 @@ async function request(path, options = {}, _retried = false) {
 
 // ============ 消息相关 ============
 
+/** Error for a non-zero Feishu response code; err.code carries it (e.g. 99991400 = rate limited) */
+function apiError(result) {
+  const err = new Error(`Feishu API error: ${result.code} - ${result.msg}`);
+  err.code = result.code;
+  return err;
+}
+
 /**
  * 发送文本消息
  * @param {string} receiveId - 接收者 ID
@@ -169,7 +177,7 @@ async function sendMessage(receiveId, text, receiveIdType = 'user_id', replyToMe
 
   // 检查飞书 API 错误
   if (result.code && result.code !== 0) {
-    throw new Error(`Feishu API error: ${result.code} - ${result.msg}`);
+    throw apiError(result);
   }
 
   return result;
@@ -213,7 +221,7 @@ async function sendMessageByType(receiveId, content, msgType = 'text', receiveId
   });
 
   if (result.code && result.code !== 0) {
-    throw new Error(`Feishu API error: ${result.code} - ${result.msg}`);
+    throw apiError(result);
   }
 
   return result.data?.message_id;
@@ -239,7 +247,7 @@ async function sendCardMessage(receiveId, card, receiveIdType = 'user_id') {
   });
 
   if (result.code && result.code !== 0) {
-    throw new Error(`Feishu API error: ${result.code} - ${result.msg}`);
+    throw apiError(result);
   }
 
   return result;
@@ -388,6 +396,71 @@ async function getMessageHistory(containerId, pageSize = 20, pageToken = null) {
   return result.data?.items || [];
 }
 
+// ============ 机器人 & 群聊 ============
+
+let botOpenId = null;
+
+/**
+ * 机器人自身的 open_id（用于识别群消息中的 @机器人），成功后缓存
+ * @returns {Promise<string|null>} 获取失败时返回 null
+ */
+async function getBotOpenId() {
+  if (botOpenId) return botOpenId;
+  try {
+    const result = await request('/bot/v3/info');
+    botOpenId = result.bot?.open_id || null;
+  } catch (err) {
+    logger.warn('Failed to get bot info', { error: err.message });
+  }
+  return botOpenId;
+}
+
+/**
+ * 获取群信息（名称等）
+ * @param {string} chatId
+ * @returns {Promise<object|null>} 群信息，无权限或失败时为 null
+ */
+async function getChatInfo(chatId) {
+  const result = await request(`/im/v1/chats/${encodeURIComponent(chatId)}`);
+  return result.code === 0 ? result.data || null : null;
+}
+
+/**
+ * 下载消息中的图片 / 文件（用户发给机器人的消息资源）
+ * @param {string} messageId
+ * @param {string} fileKey - image_key 或 file_key
+ * @param {'image'|'file'} type
+ * @returns {Promise<{data: Buffer, contentType: string|null, fileName: string|null}>}
+ */
+async function downloadMessageResource(messageId, fileKey, type = 'image') {
+  const path = `/im/v1/messages/${encodeURIComponent(messageId)}/resources/${encodeURIComponent(fileKey)}?type=${type}`;
+  const token = await getToken();
+  let resp;
+  try {
+    resp = await fetchWithTimeout(`${BASE_URL}${path}`, { headers: { Authorization: `Bearer ${token}` } }, DOWNLOAD_TIMEOUT_MS);
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`Request timeout: ${path}`);
+    throw err;
+  }
+  if (!resp.ok) {
+    // Errors come back as JSON ({ code, msg }); content comes back as the raw bytes
+    const body = await resp.json().catch(() => ({}));
+    logger.warn('Feishu resource download failed', { messageId, fileKey, status: resp.status, code: body.code, msg: body.msg });
+    throw new Error(`Resource download failed: ${resp.status}${body.msg ? ` ${body.msg}` : ''}`);
+  }
+  const disposition = resp.headers.get('content-disposition') || '';
+  const nameMatch = disposition.match(/filename\*=UTF-8''([^;]+)/i) || disposition.match(/filename="?([^";]+)"?/i);
+  let fileName = null;
+  if (nameMatch) {
+    try { fileName = decodeURIComponent(nameMatch[1]); } catch { fileName = nameMatch[1]; }
+  }
+  return {
+    data: Buffer.from(await resp.arrayBuffer()),
+    contentType: resp.headers.get('content-type'),
+    fileName,
+  };
+}
+
 // ============ 多维表格相关 ============
 const bitable = {
   /**
@@ -450,6 +523,9 @@ module.exports = {
   replyMessage,
   addReaction,
   getMessageHistory,
+  getBotOpenId,
+  getChatInfo,
+  downloadMessageResource,
   getUserByEmail,
   getUserInfo,
   resolveUserInfo,
@@ -9,13 +9,19 @@ const { validateEnv } = require('./utils/validateEnv');
 const { sessionAuth, agentAuth, feishuWebhookAuth } = require('./middleware/auth');
 const { rateLimits, limiter } = require('./middleware/rateLimit');
 const webhookRoutes = require('./routes/webhook');
+const events = require('./events');
 const apiRoutes = require('./routes/api');
 const agentRoutes = require('./routes/agent');
 const userRoutes = require('./routes/users');
 const authRoutes = require('./routes/auth');
 const apiKeyRoutes = require('./routes/apiKeys');
 const { sendPendingReminders } = require('./services/reminder');
+const { sendDueEscalations } = require('./services/escalation');
+const { applyPriorityRules } = require('./services/priorityRules');
+const { sendDailyDigests } = require('./services/digest');
 const scheduledTaskRunner = require('./services/scheduledTaskRunner');
+const outbox = require('./services/outbox');
+const eventDedup = require('./services/eventDedup');
 const sessions = require('./db/sessions');
 
 // 验证环境变量
@@ -82,7 +88,9 @@ const intervalIds = [];
 async function shutdown(signal) {
   logger.info(`${signal} received, shutting down...`);
   intervalIds.forEach(clearInterval);
+  outbox.stop();
   limiter.destroy();
+  eventDedup.destroy();
   if (server) {
     await new Promise((resolve) => server.close(resolve));
   }
@@ -101,16 +109,25 @@ async function start() {
 
     server = app.listen(PORT, () => {
       logger.info(`🐰 Rabbit Lark Server started`, { port: PORT });
-      logger.info(`Webhook: http://localhost:${PORT}/webhook/event`);
+      logger.info(`Webhook: http://localhost:${PORT}/webhook/event`, { events: events.registeredTypes() });
+      logger.info(`Card callback: http://localhost:${PORT}/webhook/card`);
       logger.info(`API: http://localhost:${PORT}/api`);
     });
 
+    // ── 消息投递 (outbox) ─────────────────────────────────────────────────────
+    // Started before the reminder cron so the reminders it queues go out right away
+    intervalIds.push(...outbox.start());
+
     // ── 催办提醒定时任务 ──────────────────────────────────────────────────────
     const REMINDER_CHECK_MINUTES = parseInt(process.env.REMINDER_CHECK_INTERVAL_MINUTES, 10) || 15;
     const runReminderCron = async () => {
       try {
+        // Raise priorities first so the reminders below carry the new priority and interval
+        await applyPriorityRules();
         const count = await sendPendingReminders();
         if (count > 0) logger.info(`⏰ Reminder cron: sent ${count} reminder(s)`);
+        await sendDueEscalations();
+        await sendDailyDigests();
       } catch (err) {
         logger.error('Reminder cron error', { error: err.message });
       }
@@ -121,9 +138,16 @@ async function start() {
     logger.info(`⏰ Reminder cron started`, { checkIntervalMinutes: REMINDER_CHECK_MINUTES });
 
     // ── 定时任务 Runner (node-cron based) ─────────────────────────────────────
-    scheduledTaskRunner.loadAll().catch(err =>
-      logger.error('Failed to load scheduled tasks', { error: err.message })
-    );
+    scheduledTaskRunner.loadAll()
+      // Then make up the runs missed while the server was down
+      .then(() => scheduledTaskRunner.catchUp().catch(err =>
+        logger.error('Scheduled task catch-up failed', { error: err.message })
+      ))
+      .catch(err => logger.error('Failed to load scheduled tasks', { error: err.message }));
+    // Runs rolled past a weekend / holiday by the work calendar wait in deferred_run_at
+    intervalIds.push(setInterval(() => scheduledTaskRunner.runDeferred().catch((err) => {
+      logger.error('Deferred scheduled run error', { error: err.message });
+    }), 5 * 60 * 1000));
 
     // Session cleanup: prune expired rows every 30 minutes
     intervalIds.push(setInterval(() => sessions.cleanup().catch((err) => {
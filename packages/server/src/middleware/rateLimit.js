@@ -1,9 +1,15 @@
 const logger = require('../utils/logger');
 
 /**
- * 简单的内存 rate limiter（单实例）
- * 注意：计数器存储在进程内存中，多实例部署时每个实例独立计数，
- * 有效限流阈值 = maxRequests × 实例数。生产多实例建议使用 Redis。
+ * Rate limiter 后端由 STATE_STORE 选择：
+ *   memory（默认）— 计数器存储在进程内存中，多实例部署时每个实例独立计数，
+ *                   有效限流阈值 = maxRequests × 实例数
+ *   postgres      — 固定窗口计数器存储在 rate_limit_counters 表（迁移 030），所有实例共享
+ * 两者接口相同：hit(key, maxRequests, windowMs) → { limited, remaining }
+ */
+
+/**
+ * 内存 rate limiter（单实例）
  */
 const MAX_RATE_LIMIT_ENTRIES = 10000; // prevent unbounded memory growth under attack
 
@@ -56,6 +62,11 @@ class RateLimiter {
     return false;
   }
 
+  async hit(key, maxRequests, windowMs) {
+    const limited = this.isRateLimited(key, maxRequests, windowMs);
+    return { limited, remaining: limited ? 0 : this.getRemaining(key, maxRequests, windowMs) };
+  }
+
   getRemaining(key, maxRequests, windowMs) {
     const data = this.requests.get(key);
     if (!data) return maxRequests;
@@ -67,7 +78,46 @@ class RateLimiter {
   }
 }
 
-const limiter = new RateLimiter();
+/**
+ * PostgreSQL rate limiter（多实例共享）
+ * 每个 key 每个窗口一行，INSERT ... ON CONFLICT 原子递增；窗口按数据库时钟划分，
+ * 各实例的本地时钟偏差不影响计数。过期行每分钟清理一次。
+ */
+class PgRateLimiter {
+  constructor(pool) {
+    this.pool = pool;
+    this._cleanupInterval = setInterval(() => {
+      this.cleanup().catch(err => logger.warn('Rate limit cleanup failed', { error: err.message }));
+    }, 60 * 1000);
+    this._cleanupInterval.unref();
+  }
+
+  destroy() {
+    clearInterval(this._cleanupInterval);
+  }
+
+  async cleanup() {
+    await this.pool.query('DELETE FROM rate_limit_counters WHERE expires_at < NOW()');
+  }
+
+  async hit(key, maxRequests, windowMs) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO rate_limit_counters AS c (key, window_start, expires_at, count)
+       SELECT $1, w.start, w.start + make_interval(secs => $2::int / 1000.0), 1
+       FROM (SELECT to_timestamp(floor(extract(epoch FROM NOW()) * 1000 / $2::int) * $2::int / 1000.0) AS start) w
+       ON CONFLICT (key, window_start) DO UPDATE SET count = c.count + 1
+       RETURNING count`,
+      [key, windowMs]
+    );
+    // Same threshold as the memory limiter, so switching stores does not change limits
+    const count = rows[0].count;
+    return { limited: count >= maxRequests, remaining: Math.max(0, maxRequests - count) };
+  }
+}
+
+const limiter = process.env.STATE_STORE === 'postgres'
+  ? new PgRateLimiter(require('../db/pool'))
+  : new RateLimiter();
 
 /**
  * Rate limit 中间件工厂
@@ -77,10 +127,19 @@ const limiter = new RateLimiter();
  * @param {string} options.keyGenerator - 生成限流 key 的函数
  */
 function rateLimit({ maxRequests = 100, windowMs = 60 * 1000, keyGenerator } = {}) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const key = keyGenerator ? keyGenerator(req) : req.ip;
-    
-    if (limiter.isRateLimited(key, maxRequests, windowMs)) {
+
+    let result;
+    try {
+      result = await limiter.hit(key, maxRequests, windowMs);
+    } catch (err) {
+      // Fail open: an unreachable store must not take the whole API down
+      logger.warn('Rate limit store unavailable, allowing request', { key, error: err.message });
+      return next();
+    }
+
+    if (result.limited) {
       logger.warn('Rate limit exceeded', { key, path: req.path });
       
       res.setHeader('X-RateLimit-Limit', maxRequests);
@@ -93,7 +152,7 @@ function rateLimit({ maxRequests = 100, windowMs = 60 * 1000, keyGenerator } = {
     }
 
     res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', limiter.getRemaining(key, maxRequests, windowMs));
+    res.setHeader('X-RateLimit-Remaining', result.remaining);
     
     next();
   };
@@ -111,4 +170,4 @@ const rateLimits = {
   strict: rateLimit({ maxRequests: 10, windowMs: 60 * 1000 }),
 };
 
-module.exports = { rateLimit, rateLimits, limiter };
+module.exports = { rateLimit, rateLimits, limiter, RateLimiter, PgRateLimiter };
@@ -10,10 +10,10 @@ const router = express.Router();
 const feishu = require('../feishu/client');
 const reminderService = require('../services/reminder');
 const usersDb = require('../db/users');
-const pool = require('../db/pool');
 const logger = require('../utils/logger');
 const agentForwarder = require('../services/agentForwarder');
 const { safeErrorMessage } = require('../utils/safeError');
+const { isValidTimezone } = require('../utils/timezone');
 
 /**
  * Detect receive_id_type based on ID format
@@ -192,14 +192,16 @@ router.get('/tasks', async (req, res) => {
 /**
  * POST /api/agent/tasks/:id/complete
  * Complete a task on behalf of the user.
- * Ownership check: only the task's assignee (by open_id or feishu_user_id) may complete it.
+ * Ownership check: only one of the task's assignees (by open_id or feishu_user_id) may complete it,
+ * and then only their own share of a multi-assignee task.
+ * Required checklist items must be done first, unless `force: true`.
  */
 router.post('/tasks/:id/complete', async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
 
-    const { proof, user_open_id } = req.body;
+    const { proof, user_open_id, force } = req.body;
 
     // Resolve actor info for audit + completion name
     let completerName = null;
@@ -210,20 +212,16 @@ router.post('/tasks/:id/complete', async (req, res) => {
       feishuUserId = user?.feishu_user_id || user_open_id;
     }
 
-    // Ownership check: only the task's assignee may complete via agent API
+    // Ownership check: only an assignee may complete via agent API
+    let share = null;
     if (user_open_id) {
-      const { rows } = await pool.query(
-        'SELECT assignee_open_id, assignee_id FROM tasks WHERE id = $1 AND status = $2',
-        [id, 'pending']
-      );
-      const taskRecord = rows[0];
-      if (!taskRecord) return res.status(404).json({ error: '任务不存在或已完成' });
-
-      const isOwner =
-        taskRecord.assignee_open_id === user_open_id ||
-        taskRecord.assignee_id === user_open_id ||
-        (feishuUserId && taskRecord.assignee_id === feishuUserId);
-      if (!isOwner) {
+      const taskRecord = await reminderService.getTask(id);
+      if (!taskRecord || !reminderService.OPEN_STATUSES.includes(taskRecord.status)) {
+        return res.status(404).json({ error: '任务不存在或已完成' });
+      }
+
+      share = await reminderService.findTaskAssignee(taskRecord, user_open_id, feishuUserId);
+      if (!share) {
         logger.warn('Agent API: unauthorized complete_task attempt', {
           taskId: id, userOpenId: user_open_id, assigneeOpenId: taskRecord.assignee_open_id,
         });
@@ -231,7 +229,18 @@ router.post('/tasks/:id/complete', async (req, res) => {
       }
     }
 
-    const task = await reminderService.completeTask(id, proof || '', feishuUserId || 'agent', completerName);
+    if (force !== true) {
+      const blocker = await reminderService.completionBlocker(id);
+      if (blocker) return res.status(409).json({ error: blocker });
+    }
+
+    const task = share || force === true
+      ? await reminderService.completeTask(id, proof || '', feishuUserId || 'agent', completerName, {
+        assigneeOpenId: share ? share.assignee_open_id || user_open_id : undefined,
+        assigneeId: share?.assignee_id,
+        force: force === true,
+      })
+      : await reminderService.completeTask(id, proof || '', feishuUserId || 'agent', completerName);
     if (!task) return res.status(404).json({ error: '任务不存在或已完成' });
 
     res.json({ success: true, task });
@@ -241,31 +250,530 @@ router.post('/tasks/:id/complete', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/agent/tasks/:id/checklist/:position
+ * Tick or untick a checklist item ({ done: boolean }).
+ * Ownership check (when user_open_id is given): only one of the task's assignees.
+ */
+router.patch('/tasks/:id/checklist/:position', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const position = parseInt(req.params.position, 10);
+    if (isNaN(id) || isNaN(position)) return res.status(400).json({ error: 'Invalid task ID or item position' });
+
+    const { done, user_open_id } = req.body;
+    if (typeof done !== 'boolean') return res.status(400).json({ error: 'done must be a boolean' });
+
+    let actorName = null;
+    let feishuUserId = null;
+    if (user_open_id) {
+      const taskRecord = await reminderService.getTask(id);
+      if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      actorName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+      if (!(await reminderService.findTaskAssignee(taskRecord, user_open_id, feishuUserId))) {
+        logger.warn('Agent API: unauthorized checklist update', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '你只能勾选分配给自己的任务清单' });
+      }
+    }
+
+    const result = await reminderService.setChecklistItem(id, position, done, {
+      userId: feishuUserId || 'agent', actorName,
+    });
+    if (!result) return res.status(404).json({ error: '任务已关闭或清单项不存在' });
+
+    res.json({ success: true, item: result.item, done: result.done, total: result.total });
+  } catch (err) {
+    logger.error('Agent checklist update failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * POST /api/agent/tasks/:id/status
+ * Change a task's lifecycle status on behalf of a user.
+ * Ownership check (when user_open_id is given): the assignee may start / block / unblock,
+ * the reporter may cancel / reopen.
+ */
+router.post('/tasks/:id/status', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const { status, reason, user_open_id } = req.body;
+    if (!reminderService.TASK_STATUSES.includes(status) || status === 'completed' || status === 'awaiting_review') {
+      return res.status(400).json({ error: `Invalid status: ${status}` });
+    }
+    if (status === 'blocked' && !reason?.trim()) {
+      return res.status(400).json({ error: 'reason is required when blocking a task' });
+    }
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+
+    let actorName = null;
+    let feishuUserId = null;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      actorName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+
+      const role = reminderService.transitionActorRole(taskRecord.status, status);
+      const allowed = role === 'reporter'
+        ? taskRecord.reporter_open_id === user_open_id
+        : !!(await reminderService.findTaskAssignee(taskRecord, user_open_id, feishuUserId));
+      if (!allowed) {
+        logger.warn('Agent API: unauthorized task status change', {
+          taskId: id, userOpenId: user_open_id, status, role,
+        });
+        return res.status(403).json({
+          error: role === 'reporter' ? '只有任务的报告人可以取消或重新打开任务' : '你只能变更分配给自己的任务',
+        });
+      }
+    }
+
+    const task = await reminderService.transitionTask(id, status, {
+      userId: feishuUserId || 'agent', actorName, actorOpenId: user_open_id, reason: reason?.trim(),
+    });
+    if (!task) {
+      const labels = reminderService.STATUS_LABELS;
+      return res.status(409).json({
+        error: `任务当前状态为「${labels[taskRecord.status] || taskRecord.status}」，不能变更为「${labels[status]}」`,
+      });
+    }
+
+    res.json({ success: true, task });
+  } catch (err) {
+    logger.error('Agent task status change failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * POST /api/agent/tasks/:id/review
+ * Approve or reject a task awaiting review ({ decision: 'approve'|'reject', comment }).
+ * Ownership check (when user_open_id is given): only the task's reporter may review it.
+ */
+router.post('/tasks/:id/review', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const { decision, comment, user_open_id } = req.body;
+    if (!reminderService.REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `Invalid decision: ${decision}` });
+    }
+    if (decision === 'reject' && !comment?.trim()) {
+      return res.status(400).json({ error: 'comment is required when rejecting a task' });
+    }
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+
+    let actorName = null;
+    let feishuUserId = null;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      actorName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+      if (taskRecord.reporter_open_id !== user_open_id) {
+        logger.warn('Agent API: unauthorized task review', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '只有任务的报告人可以验收任务' });
+      }
+    }
+
+    const task = await reminderService.reviewTask(id, decision, {
+      userId: feishuUserId || 'agent', actorName, comment: comment?.trim(),
+    });
+    if (!task) {
+      const labels = reminderService.STATUS_LABELS;
+      return res.status(409).json({
+        error: `任务当前状态为「${labels[taskRecord.status] || taskRecord.status}」，不在待验收状态`,
+      });
+    }
+
+    res.json({ success: true, task });
+  } catch (err) {
+    logger.error('Agent task review failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * GET /api/agent/tasks/:id/timeline
+ * A task's comments and merged activity timeline (comments, reminders, state changes, edits).
+ */
+router.get('/tasks/:id/timeline', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const task = await reminderService.getTask(id);
+    if (!task) return res.status(404).json({ error: '任务不存在' });
+    const { comments, timeline } = await reminderService.getTaskTimeline(id);
+    res.json({ success: true, task, comments, timeline });
+  } catch (err) {
+    logger.error('Agent task timeline failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * POST /api/agent/tasks/:id/comments
+ * Comment on a task ({ body }); the other participants get a DM.
+ * Ownership check (when user_open_id is given): only an assignee, the reporter or the creator.
+ */
+router.post('/tasks/:id/comments', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const { body, user_open_id } = req.body;
+    const invalid = reminderService.validateComment(body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+
+    let authorName = null;
+    let feishuUserId = null;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      authorName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+      if (!(await reminderService.isTaskParticipant(taskRecord, user_open_id, feishuUserId))) {
+        logger.warn('Agent API: unauthorized task comment', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '只有任务的执行人、报告人或创建人可以评论' });
+      }
+    }
+
+    const comment = await reminderService.addComment(id, body, {
+      authorId: feishuUserId || 'agent',
+      authorOpenId: user_open_id || null,
+      authorName,
+      source: 'agent',
+    });
+    if (!comment) return res.status(404).json({ error: '任务不存在' });
+
+    res.json({ success: true, comment });
+  } catch (err) {
+    logger.error('Agent task comment failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * POST /api/agent/tasks/:id/snooze
+ * Postpone the task's next interval reminder ({ duration: '4h' | '30分钟' | '明天' } or { until });
+ * timezone (IANA) is the day 明天 / 后天 are counted in.
+ * Ownership check (when user_open_id is given): only an assignee may snooze.
+ */
+router.post('/tasks/:id/snooze', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const { duration, until, user_open_id, timezone } = req.body;
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+    const snoozeUntil = until ? new Date(until) : reminderService.parseSnooze(duration, new Date(), timezone);
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+    const invalid = reminderService.validateSnooze(taskRecord, snoozeUntil);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    let feishuUserId = null;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      feishuUserId = user?.feishu_user_id || user_open_id;
+      if (!(await reminderService.findTaskAssignee(taskRecord, user_open_id, feishuUserId))) {
+        logger.warn('Agent API: unauthorized task snooze', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '你只能推迟分配给自己的任务' });
+      }
+    }
+
+    const task = await reminderService.snoozeTask(id, snoozeUntil, { userId: feishuUserId || 'agent' });
+    if (!task) return res.status(409).json({ error: '任务状态已变化，请刷新后重试' });
+
+    res.json({ success: true, task, next_reminder_at: reminderService.nextReminderAt(task) });
+  } catch (err) {
+    logger.error('Agent task snooze failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * POST /api/agent/tasks/:id/extension
+ * Ask the reporter for a later deadline ({ deadline, reason?, timezone? }); the reporter gets a DM.
+ * deadline is YYYY-MM-DD or 'YYYY-MM-DD HH:mm', read in timezone (default DEFAULT_TIMEZONE).
+ * Ownership check (when user_open_id is given): only an assignee may ask.
+ */
+router.post('/tasks/:id/extension', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const { deadline, reason, user_open_id, timezone } = req.body;
+    if (reason && reason.length > 1000) return res.status(400).json({ error: '原因不能超过 1000 字' });
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+    const invalid = reminderService.validateExtensionRequest(taskRecord, deadline, new Date(), timezone);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    let requesterName = null;
+    let feishuUserId = null;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      requesterName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+      if (!(await reminderService.findTaskAssignee(taskRecord, user_open_id, feishuUserId))) {
+        logger.warn('Agent API: unauthorized extension request', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '你只能为分配给自己的任务申请延期' });
+      }
+    }
+
+    const request = await reminderService.requestDeadlineExtension(id, deadline, {
+      userId: feishuUserId || 'agent',
+      requesterOpenId: user_open_id || null,
+      requesterName,
+      reason,
+      timezone,
+    });
+    if (!request) return res.status(409).json({ error: '该任务已有待审批的延期申请' });
+
+    res.json({ success: true, request });
+  } catch (err) {
+    logger.error('Agent extension request failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * POST /api/agent/tasks/:id/extension/decision
+ * Approve or reject the task's pending extension request ({ decision, comment? }).
+ * Ownership check (when user_open_id is given): only the reporter may decide.
+ */
+router.post('/tasks/:id/extension/decision', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const { decision, comment, user_open_id } = req.body;
+    if (!reminderService.REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: 'decision 只能是 approve 或 reject' });
+    }
+    if (comment && comment.length > 1000) return res.status(400).json({ error: '意见不能超过 1000 字' });
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+
+    let actorName = null;
+    let feishuUserId = null;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      actorName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+      if (taskRecord.reporter_open_id !== user_open_id) {
+        logger.warn('Agent API: unauthorized extension decision', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '只有任务的报告人可以审批延期' });
+      }
+    }
+
+    const result = await reminderService.decideDeadlineExtension(id, decision, {
+      userId: feishuUserId || 'agent', actorName, comment,
+    });
+    if (!result) return res.status(409).json({ error: '任务没有待审批的延期申请' });
+
+    res.json({ success: true, task: result.task, request: result.request });
+  } catch (err) {
+    logger.error('Agent extension decision failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * PATCH /api/agent/tasks/:id
+ * Edit a task's title / deadline / priority / note / reminder interval / estimated hours.
+ * Ownership check (when user_open_id is given): only the task's reporter or creator may edit it.
+ */
+router.patch('/tasks/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const {
+      title, deadline, priority, note, reminder_interval_hours, estimated_hours, user_open_id, timezone,
+    } = req.body;
+    const fields = {
+      title, deadline, priority, note,
+      reminderIntervalHours: reminder_interval_hours,
+      estimatedHours: estimated_hours,
+    };
+    const invalid = reminderService.validateTaskUpdates(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+
+    let actorName = null;
+    let feishuUserId = null;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      actorName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+
+      const isReporter =
+        taskRecord.reporter_open_id === user_open_id ||
+        taskRecord.creator_id === user_open_id ||
+        (feishuUserId && taskRecord.creator_id === feishuUserId);
+      if (!isReporter) {
+        logger.warn('Agent API: unauthorized task edit', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '只有任务的创建人或报告人可以修改任务' });
+      }
+    }
+
+    const result = await reminderService.updateTask(id, fields, {
+      userId: feishuUserId || 'agent', actorName, actorOpenId: user_open_id, timezone,
+    });
+    if (!result) return res.status(404).json({ error: '任务不存在' });
+
+    res.json({ success: true, task: result.task, changes: result.changes });
+  } catch (err) {
+    logger.error('Agent update task failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+/**
+ * POST /api/agent/tasks/:id/reassign
+ * Hand a task over to another user (target_open_id) or the least-loaded member of a tag (target_tag).
+ * Ownership check (when user_open_id is given): the reporter / creator, or one of the assignees
+ * (who hands over their own share). from_open_id picks which assignee is replaced otherwise.
+ */
+router.post('/tasks/:id/reassign', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const { target_open_id, target_tag, from_open_id, reason, user_open_id } = req.body;
+    if (!target_open_id && !target_tag) {
+      return res.status(400).json({ error: 'target_open_id or target_tag is required' });
+    }
+
+    const taskRecord = await reminderService.getTask(id);
+    if (!taskRecord) return res.status(404).json({ error: '任务不存在' });
+    if (!reminderService.OPEN_STATUSES.includes(taskRecord.status)) {
+      return res.status(409).json({ error: `任务已${reminderService.STATUS_LABELS[taskRecord.status]}，不能转交` });
+    }
+
+    let actorName = null;
+    let feishuUserId = null;
+    let fromOpenId = from_open_id || undefined;
+    if (user_open_id) {
+      const user = await usersDb.findByOpenId(user_open_id).catch(() => null);
+      actorName = user?.name || user?.email || null;
+      feishuUserId = user?.feishu_user_id || user_open_id;
+
+      const isReporter =
+        taskRecord.reporter_open_id === user_open_id ||
+        taskRecord.creator_id === user_open_id ||
+        (feishuUserId && taskRecord.creator_id === feishuUserId);
+      const ownShare = isReporter
+        ? null
+        : await reminderService.findTaskAssignee(taskRecord, user_open_id, feishuUserId);
+      if (ownShare) fromOpenId = ownShare.assignee_open_id || user_open_id;
+      if (!isReporter && !ownShare) {
+        logger.warn('Agent API: unauthorized task reassign', { taskId: id, userOpenId: user_open_id });
+        return res.status(403).json({ error: '只有任务的创建人、报告人或当前执行人可以转交任务' });
+      }
+    }
+
+    let assignee = null;
+    if (target_open_id) {
+      assignee = await usersDb.findByOpenId(target_open_id);
+      if (!assignee) return res.status(400).json({ error: `User not found for open_id: ${target_open_id}` });
+      if (assignee.open_id === (fromOpenId || taskRecord.assignee_open_id)) {
+        return res.status(400).json({ error: '新执行人与当前执行人相同' });
+      }
+    }
+
+    const result = await reminderService.reassignTask(
+      id,
+      { assignee, targetTag: assignee ? null : target_tag, fromOpenId },
+      { userId: feishuUserId || 'agent', actorName, reason: reason?.trim() }
+    );
+    if (!result) return res.status(409).json({ error: '任务状态已变化，请刷新后重试' });
+
+    res.json({ success: true, task: result.task, assignee_name: result.assignee.name || null });
+  } catch (err) {
+    logger.error('Agent reassign task failed', { error: err.message });
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
 /**
  * POST /api/agent/tasks
- * Create a task (AI-driven, target by open_id)
+ * Create a task (AI-driven, target by open_id; target_open_ids adds co-assignees;
+ * depends_on holds the assignee DM and reminders until those tasks finish;
+ * requires_approval sends the finished task to the reporter for review;
+ * deadline is YYYY-MM-DD or 'YYYY-MM-DD HH:mm', read in timezone — default DEFAULT_TIMEZONE)
  */
 router.post('/tasks', async (req, res) => {
   try {
-    const { title, target_open_id, reporter_open_id, deadline, note, priority } = req.body;
+    const {
+      title, target_open_id, target_open_ids, completion_mode, checklist, depends_on,
+      reporter_open_id, deadline, note, priority, requires_approval, timezone,
+    } = req.body;
     if (!title || !target_open_id) {
       return res.status(400).json({ error: 'title and target_open_id are required' });
     }
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+    if (requires_approval && !reporter_open_id) {
+      return res.status(400).json({ error: 'reporter_open_id is required when requires_approval is set' });
+    }
+    if (completion_mode !== undefined && !reminderService.COMPLETION_MODES.includes(completion_mode)) {
+      return res.status(400).json({ error: `Invalid completion_mode: ${completion_mode}` });
+    }
+    const invalidChecklist = reminderService.validateChecklist(checklist);
+    if (invalidChecklist) return res.status(400).json({ error: invalidChecklist });
+    const dependencyProblem = await reminderService.dependencyProblem(null, depends_on);
+    if (dependencyProblem) return res.status(400).json({ error: dependencyProblem });
 
     const targetUser = await usersDb.findByOpenId(target_open_id);
     if (!targetUser) {
       return res.status(400).json({ error: `User not found for open_id: ${target_open_id}` });
     }
 
+    const coAssignees = [];
+    for (const openId of Array.isArray(target_open_ids) ? target_open_ids : []) {
+      const coUser = await usersDb.findByOpenId(openId);
+      if (!coUser) return res.status(400).json({ error: `User not found for open_id: ${openId}` });
+      coAssignees.push({
+        assigneeId: coUser.feishu_user_id || openId,
+        assigneeOpenId: openId,
+        assigneeName: coUser.name || null,
+      });
+    }
+
     const task = await reminderService.createTask({
       title,
       assigneeId: targetUser.feishu_user_id || target_open_id,
       assigneeOpenId: target_open_id,
       assigneeName: targetUser.name || null,
+      coAssignees,
+      completionMode: completion_mode,
+      checklist: checklist || [],
+      dependsOn: depends_on || [],
       deadline: deadline || null,
       note: note || null,
       priority: priority || 'p1',
       reporterOpenId: reporter_open_id || null,
+      requiresApproval: requires_approval === true,
+      timezone,
     });
 
     res.json({ success: true, task });
@@ -1,15 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const cron = require('node-cron');
 const { admins, settings, audit } = require('../db');
 const pool = require('../db/pool');
 const usersDb = require('../db/users');
 const reminderService = require('../services/reminder');
 const feishu = require('../feishu/client');
 const scheduledTasksDb = require('../db/scheduledTasks');
-const { reload: reloadScheduler } = require('../services/scheduledTaskRunner');
+const escalationPoliciesDb = require('../db/escalationPolicies');
+const escalationService = require('../services/escalation');
+const groupChatsDb = require('../db/groupChats');
+const attachmentsDb = require('../db/attachments');
+const outboxDb = require('../db/outbox');
+const groupChatService = require('../services/groupChat');
+const outbox = require('../services/outbox');
+const {
+  reload: reloadScheduler, runNow: runScheduledTaskNow, CATCH_UP_POLICIES,
+} = require('../services/scheduledTaskRunner');
+const workCalendar = require('../services/workCalendar');
+const priorityRules = require('../services/priorityRules');
 const { safeErrorMessage } = require('../utils/safeError');
 const logger = require('../utils/logger');
+const { DEFAULT_TIMEZONE, isValidTimezone, resolveTimezone, zonedISOString, parseTimeOfDay } = require('../utils/timezone');
+const { parseCron, nextOccurrences } = require('../utils/cronSchedule');
+const { describeCron } = require('../utils/cronDescription');
 
 // Resolve a stable actor identifier for audit logs from web/API requests.
 // Prefers the authenticated session user (req.user.sub from JWT) over
@@ -26,7 +39,9 @@ router.get('/dashboard', async (req, res) => {
       pool.query(`
         SELECT
           COUNT(*)::int AS total,
-          COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+          COUNT(*) FILTER (WHERE status IN ('pending', 'in_progress', 'blocked'))::int AS pending,
+          COUNT(*) FILTER (WHERE status = 'blocked')::int AS blocked,
+          COUNT(*) FILTER (WHERE status = 'awaiting_review')::int AS awaiting_review,
           COUNT(*) FILTER (WHERE status = 'completed')::int AS completed
         FROM tasks
       `),
@@ -42,6 +57,8 @@ router.get('/dashboard', async (req, res) => {
       stats: {
         totalTasks: stats.total,
         pendingTasks: stats.pending,
+        blockedTasks: stats.blocked,
+        awaitingReviewTasks: stats.awaiting_review,
         completedTasks: stats.completed,
         adminCount: adminCount.rows[0].count,
         totalUsers: userCount.rows[0].count,
@@ -57,13 +74,13 @@ router.get('/dashboard', async (req, res) => {
 // ============ Tasks ============
 
 // 获取所有任务（DB rows，直接返回）
-// GET /api/tasks?page=1&limit=20&search=&status=pending|completed
+// GET /api/tasks?page=1&limit=20&search=&status=pending|in_progress|blocked|awaiting_review|completed|cancelled
 router.get('/tasks', async (req, res) => {
   try {
     const page   = Math.max(1, safeInt(req.query.page, 1));
     const limit  = Math.min(100, Math.max(1, safeInt(req.query.limit, 20)));
     const search = (req.query.search || '').trim();
-    const status = ['pending', 'completed'].includes(req.query.status)
+    const status = reminderService.TASK_STATUSES.includes(req.query.status)
       ? req.query.status : null;
 
     const { rows, total } = await reminderService.getAllTasks({ page, limit, search, status });
@@ -73,13 +90,17 @@ router.get('/tasks', async (req, res) => {
   }
 });
 
-// 创建任务（支持直接指定用户或按标签自动分配）
+// 创建任务（支持直接指定用户或按标签自动分配；targetOpenIds 追加共同执行人；
+// dependsOn 中有未完成的任务时，新任务进入等待，不通知执行人；
+// requiresApproval 时执行人完成后进入待验收，由报告对象验收；
+// deadline 可为 YYYY-MM-DD 或 YYYY-MM-DD HH:mm，按 timezone（IANA，默认 DEFAULT_TIMEZONE）理解）
 router.post('/tasks', async (req, res) => {
   try {
     const {
       title, targetOpenId, targetEmail, targetTag,
       deadline, note, creatorId, reporterOpenId,
       reminderIntervalHours, priority, estimatedHours,
+      targetOpenIds, completionMode, checklist, dependsOn, requiresApproval, timezone,
     } = req.body;
 
     if (!title || (!targetOpenId && !targetEmail && !targetTag)) {
@@ -87,6 +108,34 @@ router.post('/tasks', async (req, res) => {
     }
     if (title.length > 200) return res.status(400).json({ error: '任务名称不能超过 200 字' });
     if (note && note.length > 1000) return res.status(400).json({ error: '备注不能超过 1000 字' });
+    if (targetOpenIds !== undefined && !Array.isArray(targetOpenIds)) {
+      return res.status(400).json({ error: 'targetOpenIds 必须是数组' });
+    }
+    if (completionMode !== undefined && !reminderService.COMPLETION_MODES.includes(completionMode)) {
+      return res.status(400).json({ error: `completionMode 只能是 ${reminderService.COMPLETION_MODES.join(' / ')}` });
+    }
+    if (requiresApproval !== undefined && typeof requiresApproval !== 'boolean') {
+      return res.status(400).json({ error: 'requiresApproval 必须是布尔值' });
+    }
+    if (requiresApproval && !reporterOpenId) {
+      return res.status(400).json({ error: '需要验收的任务必须指定报告对象' });
+    }
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `无效的时区：${timezone}` });
+    const invalidChecklist = reminderService.validateChecklist(checklist);
+    if (invalidChecklist) return res.status(400).json({ error: invalidChecklist });
+    const dependencyProblem = await reminderService.dependencyProblem(null, dependsOn);
+    if (dependencyProblem) return res.status(400).json({ error: dependencyProblem });
+
+    const coAssignees = [];
+    for (const openId of targetOpenIds || []) {
+      const coUser = await usersDb.findByOpenId(openId);
+      if (!coUser) return res.status(400).json({ error: `找不到用户 ${openId}，请确认对方已发送过飞书消息` });
+      coAssignees.push({
+        assigneeId: coUser.feishu_user_id || coUser.open_id,
+        assigneeOpenId: coUser.open_id,
+        assigneeName: coUser.name || null,
+      });
+    }
 
     const resolvedReporterOpenId = reporterOpenId || null;
     const resolvedCreatorId      = creatorId || resolveActor(req);
@@ -106,6 +155,7 @@ router.post('/tasks', async (req, res) => {
         reporterOpenId: resolvedReporterOpenId,
         reminderIntervalHours: resolvedInterval,
         estimatedHours,
+        coAssignees, completionMode, checklist, dependsOn, requiresApproval, timezone,
       });
     } else {
       // Direct: look up target user by open_id or email
@@ -127,6 +177,7 @@ router.post('/tasks', async (req, res) => {
         reporterOpenId: resolvedReporterOpenId,
         reminderIntervalHours: resolvedInterval,
         estimatedHours,
+        coAssignees, completionMode, checklist, dependsOn, requiresApproval, timezone,
       });
     }
 
@@ -136,14 +187,20 @@ router.post('/tasks', async (req, res) => {
   }
 });
 
-// 完成任务
+// 完成任务（传 assigneeOpenId 时只完成该执行人的部分；必做清单未完成时需 force: true）
 router.post('/tasks/:id/complete', async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
-    const { proof, userId } = req.body;
+    const { proof, userId, assigneeOpenId, force } = req.body;
+    if (force !== true) {
+      const blocker = await reminderService.completionBlocker(id);
+      if (blocker) return res.status(409).json({ error: blocker });
+    }
     const actor = userId || resolveActor(req);
-    const task = await reminderService.completeTask(id, proof, actor);
+    const task = assigneeOpenId || force === true
+      ? await reminderService.completeTask(id, proof, actor, null, { assigneeOpenId, force: force === true })
+      : await reminderService.completeTask(id, proof, actor);
     if (!task) return res.status(404).json({ error: '任务不存在或已完成' });
     res.json({ success: true, task });
   } catch (err) {
@@ -151,6 +208,256 @@ router.post('/tasks/:id/complete', async (req, res) => {
   }
 });
 
+// 勾选 / 取消勾选清单项
+// PATCH /api/tasks/:id/checklist/:position  { done: boolean, userId? }
+router.patch('/tasks/:id/checklist/:position', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const position = parseInt(req.params.position, 10);
+    if (isNaN(id) || isNaN(position)) return res.status(400).json({ error: 'Invalid task ID or item position' });
+    const { done, userId } = req.body;
+    if (typeof done !== 'boolean') return res.status(400).json({ error: 'done must be a boolean' });
+
+    const actor = userId || resolveActor(req);
+    const result = await reminderService.setChecklistItem(id, position, done, { userId: actor });
+    if (!result) return res.status(404).json({ error: '任务已关闭或清单项不存在' });
+    res.json({ success: true, item: result.item, done: result.done, total: result.total });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 依赖链：全部上游前置任务（depth = 层级）+ 直接依赖本任务的任务
+router.get('/tasks/:id/dependencies', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const task = await reminderService.getTask(id);
+    if (!task) return res.status(404).json({ error: '任务不存在' });
+    const { chain, blocks } = await reminderService.getDependencies(id);
+    res.json({ success: true, waiting: task.waiting_on_dependencies, chain, blocks });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 添加前置任务（有未完成的前置任务时暂停提醒，全部完成后自动通知执行人）
+// POST /api/tasks/:id/dependencies  { dependsOn: number[], userId? }
+router.post('/tasks/:id/dependencies', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const { dependsOn, userId } = req.body;
+    if (!Array.isArray(dependsOn) || !dependsOn.length) {
+      return res.status(400).json({ error: 'dependsOn 必须是非空的任务 ID 数组' });
+    }
+
+    const task = await reminderService.getTask(id);
+    if (!task) return res.status(404).json({ error: '任务不存在' });
+    if (!reminderService.OPEN_STATUSES.includes(task.status)) {
+      return res.status(409).json({ error: `任务已${reminderService.STATUS_LABELS[task.status]}，不能添加前置任务` });
+    }
+    const problem = await reminderService.dependencyProblem(id, dependsOn);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const actor = userId || resolveActor(req);
+    const result = await reminderService.addDependencies(id, dependsOn, { userId: actor });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 移除前置任务（移除最后一个未完成的前置任务时，任务开始提醒并通知执行人）
+router.delete('/tasks/:id/dependencies/:dependsOnId', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const dependsOnId = parseInt(req.params.dependsOnId, 10);
+    if (isNaN(id) || isNaN(dependsOnId)) return res.status(400).json({ error: 'Invalid task ID' });
+
+    const actor = req.query.userId || resolveActor(req);
+    const result = await reminderService.removeDependency(id, dependsOnId, { userId: actor });
+    if (!result) return res.status(404).json({ error: '依赖关系不存在' });
+    res.json({ success: true, released: result.released });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 任务时间线（评论 + 提醒记录 + 状态变更 / 编辑等审计事件，按时间正序）
+// GET /api/tasks/:id/timeline
+router.get('/tasks/:id/timeline', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const task = await reminderService.getTask(id);
+    if (!task) return res.status(404).json({ error: '任务不存在' });
+    const { comments, timeline } = await reminderService.getTaskTimeline(id);
+    res.json({ success: true, task, comments, timeline });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 发表评论（通知执行人和报告对象；作者名取自登录会话）
+// POST /api/tasks/:id/comments  { body, userId? }
+router.post('/tasks/:id/comments', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const { body, userId } = req.body;
+    const invalid = reminderService.validateComment(body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const comment = await reminderService.addComment(id, body, {
+      authorId: userId || resolveActor(req),
+      authorName: req.user?.name || null,
+      source: 'web',
+    });
+    if (!comment) return res.status(404).json({ error: '任务不存在' });
+    res.json({ success: true, comment });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 编辑任务（部分更新；重要变更会 DM 通知执行人）
+// PATCH /api/tasks/:id  { title?, deadline?, priority?, note?, reminderIntervalHours?, estimatedHours?, requiresApproval?, userId?, timezone? }
+router.patch('/tasks/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const {
+      title, deadline, priority, note, reminderIntervalHours, estimatedHours, requiresApproval, userId, timezone,
+    } = req.body;
+    const fields = { title, deadline, priority, note, reminderIntervalHours, estimatedHours, requiresApproval };
+
+    const invalid = reminderService.validateTaskUpdates(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `无效的时区：${timezone}` });
+    if (requiresApproval === true) {
+      const existing = await reminderService.getTask(id);
+      if (!existing) return res.status(404).json({ error: '任务不存在' });
+      if (!existing.reporter_open_id) return res.status(400).json({ error: '需要验收的任务必须指定报告对象' });
+    }
+
+    const actor = userId || resolveActor(req);
+    const result = await reminderService.updateTask(id, fields, { userId: actor, timezone });
+    if (!result) return res.status(404).json({ error: '任务不存在' });
+    res.json({ success: true, task: result.task, changes: result.changes });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 转交任务（指定用户，或按标签选工作量最少的其他成员）
+// POST /api/tasks/:id/reassign  { targetOpenId? | targetEmail? | targetTag?, fromOpenId?, reason?, userId? }
+// fromOpenId picks which assignee of a multi-assignee task is replaced (default: the primary)
+router.post('/tasks/:id/reassign', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const { targetOpenId, targetEmail, targetTag, fromOpenId, reason, userId } = req.body;
+    if (!targetOpenId && !targetEmail && !targetTag) {
+      return res.status(400).json({ error: '请指定新执行人或标签' });
+    }
+    if (reason && reason.length > 1000) return res.status(400).json({ error: '原因不能超过 1000 字' });
+
+    const existing = await reminderService.getTask(id);
+    if (!existing) return res.status(404).json({ error: '任务不存在' });
+    if (!reminderService.OPEN_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: `任务已${reminderService.STATUS_LABELS[existing.status]}，不能转交` });
+    }
+
+    let assignee = null;
+    if (targetOpenId || targetEmail) {
+      if (targetOpenId) assignee = await usersDb.findByOpenId(targetOpenId);
+      if (!assignee && targetEmail) assignee = await usersDb.findByEmail(targetEmail);
+      if (!assignee || !assignee.open_id) {
+        return res.status(400).json({ error: '找不到该用户，请确认对方已发送过飞书消息' });
+      }
+      if (assignee.open_id === (fromOpenId || existing.assignee_open_id)) {
+        return res.status(400).json({ error: '新执行人与当前执行人相同' });
+      }
+    }
+
+    const actor = userId || resolveActor(req);
+    const result = await reminderService.reassignTask(
+      id,
+      { assignee, targetTag: assignee ? null : targetTag, fromOpenId: fromOpenId || undefined },
+      { userId: actor, reason: reason?.trim() }
+    );
+    if (!result) return res.status(409).json({ error: '任务状态已变化，请刷新后重试' });
+    res.json({ success: true, task: result.task, previousOpenId: result.previousOpenId });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 变更任务状态（开始 / 阻塞 / 解除阻塞 / 取消 / 重新打开）
+// POST /api/tasks/:id/status  { status: 'in_progress'|'blocked'|'pending'|'cancelled', reason? }
+router.post('/tasks/:id/status', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const { status, reason, userId } = req.body;
+    if (!reminderService.TASK_STATUSES.includes(status) || status === 'completed' || status === 'awaiting_review') {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Use POST /api/tasks/:id/complete to complete a task`,
+      });
+    }
+    if (status === 'blocked' && !reason?.trim()) {
+      return res.status(400).json({ error: '标记阻塞时必须填写原因' });
+    }
+    if (reason && reason.length > 1000) return res.status(400).json({ error: '原因不能超过 1000 字' });
+
+    const actor = userId || resolveActor(req);
+    const task = await reminderService.transitionTask(id, status, { userId: actor, reason: reason?.trim() });
+    if (!task) {
+      const existing = await reminderService.getTask(id);
+      if (!existing) return res.status(404).json({ error: '任务不存在' });
+      const labels = reminderService.STATUS_LABELS;
+      return res.status(409).json({
+        error: `任务当前状态为「${labels[existing.status] || existing.status}」，不能变更为「${labels[status]}」`,
+      });
+    }
+    res.json({ success: true, task });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 验收任务（报告对象通过或驳回待验收的任务；驳回必须填写原因，任务退回进行中）
+// POST /api/tasks/:id/review  { decision: 'approve'|'reject', comment?, userId? }
+router.post('/tasks/:id/review', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid task ID' });
+    const { decision, comment, userId } = req.body;
+    if (!reminderService.REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `decision 只能是 ${reminderService.REVIEW_DECISIONS.join(' / ')}` });
+    }
+    if (decision === 'reject' && !comment?.trim()) {
+      return res.status(400).json({ error: '驳回时必须填写原因' });
+    }
+    if (comment && comment.length > 1000) return res.status(400).json({ error: '验收意见不能超过 1000 字' });
+
+    const actor = userId || resolveActor(req);
+    const task = await reminderService.reviewTask(id, decision, { userId: actor, comment: comment?.trim() });
+    if (!task) {
+      const existing = await reminderService.getTask(id);
+      if (!existing) return res.status(404).json({ error: '任务不存在' });
+      const labels = reminderService.STATUS_LABELS;
+      return res.status(409).json({
+        error: `任务当前状态为「${labels[existing.status] || existing.status}」，不在待验收状态`,
+      });
+    }
+    res.json({ success: true, task });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
 // 删除任务
 router.delete('/tasks/:id', async (req, res) => {
   try {
@@ -166,6 +473,30 @@ router.delete('/tasks/:id', async (req, res) => {
   }
 });
 
+// ============ Attachments ============
+
+// GET /api/attachments/:id — an image / file sent in Feishu as completion proof
+// Images open in the browser; other files download under their original name.
+router.get('/attachments/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+    const attachment = await attachmentsDb.get(id);
+    if (!attachment) return res.status(404).json({ error: 'Not found' });
+    const fileName = attachment.file_name || `attachment-${id}`;
+    const disposition = attachment.kind === 'image' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.mime_type || 'application/octet-stream',
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=86400',
+    });
+    res.send(attachment.data);
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
 // ============ Admins ============
 
 // 获取管理员列表
@@ -231,7 +562,7 @@ router.get('/settings', async (req, res) => {
 // 更新配置
 const VALID_SETTING_KEYS = [
   'enable_builtin_bot', 'default_deadline_days', 'default_reminder_interval_hours',
-  'welcome_message', 'max_tasks_per_user',
+  'welcome_message', 'max_tasks_per_user', workCalendar.SETTING_KEY, priorityRules.SETTING_KEY,
 ];
 
 router.put('/settings/:key', async (req, res) => {
@@ -240,7 +571,18 @@ router.put('/settings/:key', async (req, res) => {
     if (!VALID_SETTING_KEYS.includes(key)) {
       return res.status(400).json({ error: `Unknown setting key: ${key}` });
     }
-    const { value, description } = req.body;
+    let { value, description } = req.body;
+    // The work calendar and priority rules are read by the reminder cron: validate and store them normalized
+    if (key === workCalendar.SETTING_KEY) {
+      const calendarError = workCalendar.validateCalendar(value);
+      if (calendarError) return res.status(400).json({ error: calendarError });
+      value = workCalendar.normalizeCalendar(value);
+    }
+    if (key === priorityRules.SETTING_KEY) {
+      const rulesError = priorityRules.validateRules(value);
+      if (rulesError) return res.status(400).json({ error: rulesError });
+      value = priorityRules.normalizeRules(value);
+    }
     await settings.set(key, value, description);
     audit.log({
       userId: resolveActor(req),
@@ -272,6 +614,62 @@ router.get('/audit', async (req, res) => {
   }
 });
 
+// ============ Outbox ============
+
+// 消息投递记录（最新在前），附各状态数量
+// GET /api/outbox?status=pending|sending|sent|failed&taskId=&page=1&limit=50
+router.get('/outbox', async (req, res) => {
+  try {
+    const page   = Math.max(1, safeInt(req.query.page, 1));
+    const limit  = Math.min(100, Math.max(1, safeInt(req.query.limit, 50)));
+    const status = outbox.OUTBOX_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const taskId = safeInt(req.query.taskId, null);
+
+    const { rows, total, counts } = await outboxDb.list({ status, taskId, limit, offset: (page - 1) * limit });
+    res.json({ messages: rows, total, counts, page, limit });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// 重新投递失败的消息：单条，或全部失败消息
+// POST /api/outbox/retry-failed
+router.post('/outbox/retry-failed', async (req, res) => {
+  try {
+    const rows = await outbox.retryFailed();
+    audit.log({
+      userId: resolveActor(req),
+      action: 'retry_outbound_messages',
+      targetType: 'outbound_message',
+      targetId: null,
+      details: { count: rows.length },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, retried: rows.length });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// POST /api/outbox/:id/retry
+router.post('/outbox/:id/retry', async (req, res) => {
+  try {
+    const id = safeInt(req.params.id, null);
+    if (!id) return res.status(400).json({ error: 'Invalid id' });
+    const [message] = await outbox.retryFailed(id);
+    if (!message) return res.status(404).json({ error: '消息不存在或未处于失败状态' });
+    audit.log({
+      userId: resolveActor(req),
+      action: 'retry_outbound_messages',
+      targetType: 'outbound_message',
+      targetId: String(id),
+      details: { count: 1, taskId: message.task_id },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, message });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
 // ============ Scheduled Tasks ============
 
 // GET /api/scheduled-tasks?page=1&limit=20&search=&enabled=
@@ -285,7 +683,7 @@ router.get('/scheduled-tasks', async (req, res) => {
       req.query.enabled === 'false' ? false : null;
 
     const { rows, total } = await scheduledTasksDb.list({ page, limit, search, enabled });
-    res.json({ success: true, scheduledTasks: rows, total, page, limit });
+    res.json({ success: true, scheduledTasks: rows.map(withDescription), total, page, limit });
   } catch (err) {
     res.status(500).json({ error: safeErrorMessage(err) });
   }
@@ -299,11 +697,112 @@ function safeInt(val, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
+// Helper: validate the optional multi-assignee fields of a scheduled task; returns an error message or null
+function validateScheduledAssignees(coAssigneeOpenIds, completionMode) {
+  if (coAssigneeOpenIds !== undefined &&
+      (!Array.isArray(coAssigneeOpenIds) || coAssigneeOpenIds.some(id => typeof id !== 'string' || !id))) {
+    return 'coAssigneeOpenIds must be an array of open_ids';
+  }
+  if (completionMode !== undefined && !reminderService.COMPLETION_MODES.includes(completionMode)) {
+    return `Invalid completionMode: ${completionMode}. Must be any or all`;
+  }
+  return null;
+}
+
+// Helper: validate a schedule — cron plus the calendar rules of utils/cronSchedule; returns an error message or null
+function validateSchedule(schedule) {
+  try {
+    parseCron(schedule);
+    return null;
+  } catch (err) {
+    return `Invalid cron expression: ${schedule} (${err.message})`;
+  }
+}
+
+// Helper: validate a scheduled task's timezone / deadline time of day / catch-up policy / holiday skipping; returns an error message or null
+function validateScheduledTiming(timezone, deadlineTime, catchUp, skipHolidays) {
+  if (timezone && !isValidTimezone(timezone)) return `Invalid timezone: ${timezone}. Use an IANA name such as Asia/Shanghai`;
+  if (deadlineTime && !parseTimeOfDay(deadlineTime)) return `Invalid deadlineTime: ${deadlineTime}. Use HH:MM`;
+  if (catchUp !== undefined && !CATCH_UP_POLICIES.includes(catchUp)) {
+    return `Invalid catchUp: ${catchUp}. Must be one of ${CATCH_UP_POLICIES.join(', ')}`;
+  }
+  if (skipHolidays !== undefined && typeof skipHolidays !== 'boolean') return 'skipHolidays must be a boolean';
+  return null;
+}
+
+const PREVIEW_OCCURRENCES = 10;
+const MAX_PREVIEW_OCCURRENCES = 50;
+
+// Helper: the next `count` fires of a (valid) schedule, by the work calendar, as ISO times with
+// the timezone's offset, plus the schedule in Chinese and English
+async function previewSchedule(schedule, timezone, { skipHolidays = false, count = PREVIEW_OCCURRENCES } = {}) {
+  const tz = resolveTimezone(timezone);
+  const calendar = await workCalendar.loadCalendar();
+  const occurrences = nextOccurrences(schedule, tz, count, new Date(), { calendar, skipHolidays })
+    .map(at => zonedISOString(at, tz));
+  return { schedule, timezone: tz, skipHolidays, description: describeCron(schedule, { skipHolidays }), occurrences };
+}
+
+// Helper: a scheduled task row with its schedule in Chinese and English (null if the stored
+// schedule no longer parses)
+function withDescription(st) {
+  let description = null;
+  try {
+    description = describeCron(st.schedule, { skipHolidays: !!st.skip_holidays });
+  } catch {
+    // shown as the bare expression
+  }
+  return { ...st, description };
+}
+
+const previewCount = (value) => Math.min(MAX_PREVIEW_OCCURRENCES, Math.max(1, safeInt(value, PREVIEW_OCCURRENCES)));
+
+// GET /api/scheduled-tasks/preview?schedule=0 8 LW * *&timezone=Asia/Shanghai&skipHolidays=true&count=10
+// 校验尚未保存的 schedule，按工作日历列出接下来 N 次触发时间，并给出中英文描述
+router.get('/scheduled-tasks/preview', async (req, res) => {
+  try {
+    const schedule = (req.query.schedule || '').trim();
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    if (!schedule) return res.status(400).json({ error: 'schedule is required' });
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) return res.status(400).json({ error: scheduleError });
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}. Use an IANA name such as Asia/Shanghai` });
+    }
+    const preview = await previewSchedule(schedule, timezone, {
+      skipHolidays: req.query.skipHolidays === 'true', count: previewCount(req.query.count),
+    });
+    res.json({ success: true, ...preview });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// GET /api/scheduled-tasks/:id/preview?count=10
+// 已保存定时任务的接下来 N 次触发时间（按任务时区与节假日设置）及中英文描述
+router.get('/scheduled-tasks/:id/preview', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+    const st = await scheduledTasksDb.get(id);
+    if (!st) return res.status(404).json({ error: 'Not found' });
+    const scheduleError = validateSchedule(st.schedule);
+    if (scheduleError) return res.status(400).json({ error: scheduleError });
+    const preview = await previewSchedule(st.schedule, st.timezone, {
+      skipHolidays: !!st.skip_holidays, count: previewCount(req.query.count),
+    });
+    res.json({ success: true, scheduledTaskId: st.id, enabled: st.enabled, ...preview });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
 // POST /api/scheduled-tasks
 router.post('/scheduled-tasks', async (req, res) => {
   try {
     const { name, title, targetOpenId, targetTag, reporterOpenId, schedule, timezone,
-            deadlineDays, priority, note, reminderIntervalHours } = req.body;
+            deadlineDays, deadlineTime, priority, note, reminderIntervalHours,
+            coAssigneeOpenIds, completionMode, checklist, requiresApproval, catchUp, skipHolidays } = req.body;
     // Must have either a specific assignee OR a tag group for auto-assignment
     if (!name || !title || !schedule) {
       return res.status(400).json({ error: 'name, title, schedule are required' });
@@ -311,23 +810,36 @@ router.post('/scheduled-tasks', async (req, res) => {
     if (!targetOpenId && !targetTag) {
       return res.status(400).json({ error: 'Provide targetOpenId (specific user) or targetTag (auto-assign by workload)' });
     }
-    if (!cron.validate(schedule)) {
-      return res.status(400).json({ error: `Invalid cron expression: ${schedule}` });
-    }
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) return res.status(400).json({ error: scheduleError });
     if (priority && !VALID_PRIORITIES.includes(priority)) {
       return res.status(400).json({ error: `Invalid priority: ${priority}. Must be p0, p1, or p2` });
     }
+    const assigneeError = validateScheduledAssignees(coAssigneeOpenIds, completionMode);
+    if (assigneeError) return res.status(400).json({ error: assigneeError });
+    const timingError = validateScheduledTiming(timezone, deadlineTime, catchUp, skipHolidays);
+    if (timingError) return res.status(400).json({ error: timingError });
+    const invalidChecklist = reminderService.validateChecklist(checklist);
+    if (invalidChecklist) return res.status(400).json({ error: invalidChecklist });
+    if (requiresApproval !== undefined && typeof requiresApproval !== 'boolean') {
+      return res.status(400).json({ error: 'requiresApproval must be a boolean' });
+    }
+    if (requiresApproval && !reporterOpenId) {
+      return res.status(400).json({ error: 'requiresApproval needs a reporterOpenId to review completed tasks' });
+    }
     const st = await scheduledTasksDb.create({
       name, title, targetOpenId, targetTag, reporterOpenId, schedule,
-      timezone: timezone || 'Asia/Shanghai',
+      timezone: timezone || DEFAULT_TIMEZONE,
       deadlineDays: Math.max(0, safeInt(deadlineDays, 1)),
+      deadlineTime,
       priority: priority || 'p1',
       note,
       reminderIntervalHours: Math.max(0, safeInt(reminderIntervalHours, 24)),
       createdBy: resolveActor(req),
+      coAssigneeOpenIds, completionMode, checklist, requiresApproval, catchUp, skipHolidays,
     });
     await reloadScheduler();
-    res.json({ success: true, scheduledTask: st });
+    res.json({ success: true, scheduledTask: withDescription(st) });
   } catch (err) {
     res.status(500).json({ error: safeErrorMessage(err) });
   }
@@ -339,13 +851,22 @@ router.patch('/scheduled-tasks/:id', async (req, res) => {
     const id = parseInt(req.params.id);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
     const { name, title, targetOpenId, targetTag, reporterOpenId, schedule, timezone,
-            deadlineDays, priority, note, reminderIntervalHours, enabled } = req.body;
-    if (schedule !== undefined && !cron.validate(schedule)) {
-      return res.status(400).json({ error: `Invalid cron expression: ${schedule}` });
-    }
+            deadlineDays, deadlineTime, priority, note, reminderIntervalHours, enabled,
+            coAssigneeOpenIds, completionMode, checklist, requiresApproval, catchUp, skipHolidays } = req.body;
+    const scheduleError = schedule !== undefined ? validateSchedule(schedule) : null;
+    if (scheduleError) return res.status(400).json({ error: scheduleError });
     if (priority !== undefined && !VALID_PRIORITIES.includes(priority)) {
       return res.status(400).json({ error: `Invalid priority: ${priority}. Must be p0, p1, or p2` });
     }
+    const assigneeError = validateScheduledAssignees(coAssigneeOpenIds, completionMode);
+    if (assigneeError) return res.status(400).json({ error: assigneeError });
+    const timingError = validateScheduledTiming(timezone, deadlineTime, catchUp, skipHolidays);
+    if (timingError) return res.status(400).json({ error: timingError });
+    const invalidChecklist = reminderService.validateChecklist(checklist);
+    if (invalidChecklist) return res.status(400).json({ error: invalidChecklist });
+    if (requiresApproval !== undefined && typeof requiresApproval !== 'boolean') {
+      return res.status(400).json({ error: 'requiresApproval must be a boolean' });
+    }
 
     // Guard: ensure the update won't leave the task without any assignee.
     // Fetch current record to check what will remain after the partial update.
@@ -364,13 +885,14 @@ router.patch('/scheduled-tasks/:id', async (req, res) => {
     const st = await scheduledTasksDb.update(id, {
       name, title, targetOpenId, targetTag, reporterOpenId, schedule, timezone,
       deadlineDays: deadlineDays !== undefined ? Math.max(0, safeInt(deadlineDays, 1)) : undefined,
+      deadlineTime,
       priority, note,
       reminderIntervalHours: reminderIntervalHours !== undefined ? Math.max(0, safeInt(reminderIntervalHours, 24)) : undefined,
-      enabled,
+      enabled, coAssigneeOpenIds, completionMode, checklist, requiresApproval, catchUp, skipHolidays,
     });
     if (!st) return res.status(404).json({ error: 'Not found' });
     await reloadScheduler();
-    res.json({ success: true, scheduledTask: st });
+    res.json({ success: true, scheduledTask: withDescription(st) });
   } catch (err) {
     res.status(500).json({ error: safeErrorMessage(err) });
   }
@@ -390,6 +912,186 @@ router.delete('/scheduled-tasks/:id', async (req, res) => {
   }
 });
 
+// GET /api/scheduled-tasks/:id/runs?page=1&limit=20
+// 运行历史：每次触发的时间、来源、执行人、创建的任务、状态与错误
+router.get('/scheduled-tasks/:id/runs', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+    const page  = Math.max(1, safeInt(req.query.page, 1));
+    const limit = Math.min(100, Math.max(1, safeInt(req.query.limit, 20)));
+    if (!await scheduledTasksDb.get(id)) return res.status(404).json({ error: 'Not found' });
+    const { rows, total } = await scheduledTasksDb.listRuns(id, { limit, offset: (page - 1) * limit });
+    res.json({ success: true, runs: rows, total, page, limit });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// POST /api/scheduled-tasks/:id/run
+// 立即触发一次（用于测试），不受启用状态和工作日历限制
+router.post('/scheduled-tasks/:id/run', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+    const actor = resolveActor(req);
+    const run = await runScheduledTaskNow(id, actor);
+    if (!run) return res.status(404).json({ error: 'Not found' });
+    audit.log({
+      userId: actor,
+      action: 'run_scheduled_task',
+      targetType: 'scheduled_task',
+      targetId: String(id),
+      details: { runId: run.id, status: run.status, taskId: run.task_id },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, run });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// ============ Escalation Policies ============
+
+// GET /api/escalation-policies
+router.get('/escalation-policies', async (req, res) => {
+  try {
+    res.json({ policies: await escalationPoliciesDb.list() });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// POST /api/escalation-policies
+router.post('/escalation-policies', async (req, res) => {
+  try {
+    const { name, priority, targetTag, steps, enabled } = req.body;
+    const invalid = escalationService.validatePolicy({ name, priority, targetTag, steps, enabled });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const policy = await escalationPoliciesDb.create({
+      name: name.trim(),
+      priority,
+      targetTag: escalationService.normalizeTag(targetTag),
+      steps: escalationService.normalizeSteps(steps),
+      enabled,
+      createdBy: resolveActor(req),
+    });
+    audit.log({
+      userId: resolveActor(req),
+      action: 'create_escalation_policy',
+      targetType: 'escalation_policy',
+      targetId: String(policy.id),
+      details: { name: policy.name, priority: policy.priority, targetTag: policy.target_tag },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, policy });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// PATCH /api/escalation-policies/:id
+router.patch('/escalation-policies/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+    const { name, priority, targetTag, steps, enabled } = req.body;
+    const invalid = escalationService.validatePolicy({ name, priority, targetTag, steps, enabled }, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const policy = await escalationPoliciesDb.update(id, {
+      name: name?.trim(),
+      priority,
+      targetTag: escalationService.normalizeTag(targetTag),
+      steps: steps !== undefined ? escalationService.normalizeSteps(steps) : undefined,
+      enabled,
+    });
+    if (!policy) return res.status(404).json({ error: 'Not found' });
+    audit.log({
+      userId: resolveActor(req),
+      action: 'update_escalation_policy',
+      targetType: 'escalation_policy',
+      targetId: String(id),
+      details: req.body,
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, policy });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// DELETE /api/escalation-policies/:id
+router.delete('/escalation-policies/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+    const policy = await escalationPoliciesDb.remove(id);
+    if (!policy) return res.status(404).json({ error: 'Not found' });
+    audit.log({
+      userId: resolveActor(req),
+      action: 'delete_escalation_policy',
+      targetType: 'escalation_policy',
+      targetId: String(id),
+      details: { name: policy.name },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, policy });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// ============ Group Chats ============
+
+// GET /api/groups
+router.get('/groups', async (req, res) => {
+  try {
+    res.json({ groups: await groupChatsDb.list(), features: groupChatService.GROUP_FEATURES });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// PATCH /api/groups/:chatId  { name?, enabled?, features?, defaultTag? }
+router.patch('/groups/:chatId', async (req, res) => {
+  try {
+    const { name, enabled, features, defaultTag } = req.body;
+    const invalid = groupChatService.validateGroupSettings({ enabled, features, defaultTag });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const group = await groupChatsDb.update(req.params.chatId, {
+      name,
+      enabled,
+      features: features !== undefined ? groupChatService.normalizeGroupFeatures(features) : undefined,
+      defaultTag: escalationService.normalizeTag(defaultTag),
+    });
+    if (!group) return res.status(404).json({ error: 'Not found' });
+    audit.log({
+      userId: resolveActor(req),
+      action: 'update_group_chat',
+      targetType: 'group_chat',
+      targetId: req.params.chatId,
+      details: req.body,
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, group });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
+// DELETE /api/groups/:chatId — forget the group's settings (recreated with defaults on its next @mention)
+router.delete('/groups/:chatId', async (req, res) => {
+  try {
+    const group = await groupChatsDb.remove(req.params.chatId);
+    if (!group) return res.status(404).json({ error: 'Not found' });
+    audit.log({
+      userId: resolveActor(req),
+      action: 'delete_group_chat',
+      targetType: 'group_chat',
+      targetId: req.params.chatId,
+      details: { name: group.name },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    res.json({ success: true, group });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
 // GET /api/workload?tag=finance  — returns users in a tag group with pending-task counts + weighted hours
 // GET /api/workload              — returns workload for all users
 router.get('/workload', async (req, res) => {
@@ -420,4 +1122,22 @@ router.get('/workload', async (req, res) => {
   }
 });
 
+// POST /api/workload/rebalance  { tag, dryRun?, userId? }
+// Moves pending tasks from the most-loaded members of a tag to the least-loaded ones.
+router.post('/workload/rebalance', async (req, res) => {
+  try {
+    const { tag, dryRun, userId } = req.body;
+    if (!tag || typeof tag !== 'string') return res.status(400).json({ error: 'tag is required' });
+
+    const actor = userId || resolveActor(req);
+    const result = await reminderService.rebalanceTag(tag.toLowerCase().trim(), {
+      dryRun: dryRun === true,
+      userId: actor,
+    });
+    res.json({ success: true, tag, dryRun: dryRun === true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: safeErrorMessage(err) });
+  }
+});
+
 module.exports = router;
@@ -4,7 +4,7 @@
  * GET    /api/users              list all users
  * GET    /api/users/:userId      get single user with resolved features
  * POST   /api/users              create/upsert user
- * PATCH  /api/users/:userId      update role or configs
+ * PATCH  /api/users/:userId      update role, configs, profile, tags, timezone, quiet hours, manager or digest
  * PATCH  /api/users/:userId/features/:featureId   set a single feature toggle
  * DELETE /api/users/:userId      remove user
  */
@@ -17,6 +17,9 @@ const { listFeatures, resolveFeatures, getFeature } = require('../features');
 const { audit } = require('../db');
 const logger = require('../utils/logger');
 const { safeErrorMessage } = require('../utils/safeError');
+const { isValidTimezone } = require('../utils/timezone');
+const { validateQuietHours } = require('../services/workCalendar');
+const { REMINDER_MODES, DEFAULT_DIGEST_TIME, normalizeDigestTime } = require('../services/digest');
 
 function resolveActor(req) {
   // Prefer the verified JWT identity (req.user.sub) so API clients cannot
@@ -151,7 +154,10 @@ router.post('/', async (req, res) => {
 router.patch('/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { role, configs, name, email, phone, tags } = req.body;
+    const {
+      role, configs, name, email, phone, tags, timezone, quietHours, managerOpenId,
+      reminderMode, digestTime, reporterDigest,
+    } = req.body;
 
     let user = await users.getById(userId);
     if (!user) return res.status(404).json({ error: 'User not found' });
@@ -170,9 +176,39 @@ router.patch('/:userId', async (req, res) => {
       }
       user = await users.setRole(userId, role);
     }
+    // Empty / null clears the timezone (messages fall back to DEFAULT_TIMEZONE)
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}. Use an IANA name such as Asia/Shanghai` });
+    }
+    // Personal quiet hours on top of the global calendar: { start, end } in the user's timezone, null clears
+    if (quietHours !== undefined) {
+      const quietError = validateQuietHours(quietHours?.start, quietHours?.end);
+      if (quietError) return res.status(400).json({ error: quietError });
+    }
+    // Reminder delivery: per-task DMs or one daily digest at digestTime (user's timezone)
+    if (reminderMode !== undefined && !REMINDER_MODES.includes(reminderMode)) {
+      return res.status(400).json({ error: `Invalid reminderMode: ${reminderMode}. Must be one of: ${REMINDER_MODES.join(', ')}` });
+    }
+    if (digestTime !== undefined && !normalizeDigestTime(digestTime)) {
+      return res.status(400).json({ error: 'digestTime must be HH:mm' });
+    }
+    if (reporterDigest !== undefined && typeof reporterDigest !== 'boolean') {
+      return res.status(400).json({ error: 'reporterDigest must be a boolean' });
+    }
     if (configs) user = await users.updateConfigs(userId, configs);
-    if (name !== undefined || email !== undefined || phone !== undefined) {
-      user = await users.updateProfile(userId, { name, email, phone });
+    // Manager: who "manager" escalation steps go to
+    if (managerOpenId && managerOpenId === user.open_id) {
+      return res.status(400).json({ error: 'A user cannot be their own manager' });
+    }
+    if (name !== undefined || email !== undefined || phone !== undefined || timezone !== undefined ||
+        quietHours !== undefined || managerOpenId !== undefined || reminderMode !== undefined ||
+        digestTime !== undefined || reporterDigest !== undefined) {
+      user = await users.updateProfile(userId, {
+        name, email, phone, timezone, managerOpenId, reminderMode, reporterDigest,
+        digestTime: digestTime === undefined ? undefined : normalizeDigestTime(digestTime),
+        quietHoursStart: quietHours === undefined ? undefined : (quietHours?.start || null),
+        quietHoursEnd: quietHours === undefined ? undefined : (quietHours?.end || null),
+      });
     }
     if (tags !== undefined) {
       if (!Array.isArray(tags)) return res.status(400).json({ error: 'tags must be an array' });
@@ -185,6 +221,12 @@ router.patch('/:userId', async (req, res) => {
     if (configs) changes.configs = configs;
     if (name !== undefined || email !== undefined || phone !== undefined) changes.profile = { name, email, phone };
     if (tags !== undefined) changes.tags = tags;
+    if (timezone !== undefined) changes.timezone = timezone || null;
+    if (quietHours !== undefined) changes.quietHours = quietHours?.start ? quietHours : null;
+    if (managerOpenId !== undefined) changes.managerOpenId = managerOpenId || null;
+    if (reminderMode !== undefined) changes.reminderMode = reminderMode;
+    if (digestTime !== undefined) changes.digestTime = normalizeDigestTime(digestTime);
+    if (reporterDigest !== undefined) changes.reporterDigest = reporterDigest;
     audit.log({ userId: resolveActor(req), action: 'update_user', targetType: 'user', targetId: userId, details: changes }).catch(err => logger.warn('audit.log failed', { error: err.message }));
     res.json({ success: true, user: formatUser(user, true) });
   } catch (err) {
@@ -249,6 +291,15 @@ function formatUser(user, withResolved = false) {
     phone: user.phone,
     role: user.role,
     tags: user.tags ?? [],
+    timezone: user.timezone ?? null,
+    quietHours: user.quiet_hours_start && user.quiet_hours_end
+      ? { start: user.quiet_hours_start, end: user.quiet_hours_end }
+      : null,
+    managerOpenId: user.manager_open_id ?? null,
+    reminderMode: user.reminder_mode ?? 'per_task',
+    digestTime: user.digest_time ?? DEFAULT_DIGEST_TIME,
+    reporterDigest: !!user.reporter_digest,
+    active: user.active !== false,
     avatarUrl: user.avatar_url ?? null,
     configs: user.configs,
     createdAt: user.created_at,
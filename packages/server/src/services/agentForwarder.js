@@ -8,11 +8,22 @@
  *   list_tasks      — get pending tasks for a user
  *   create_task     — create a task and notify the assignee via Feishu DM
  *   complete_task   — mark a task as done
+ *   update_task_status — start / block / unblock (assignee), cancel / reopen (reporter)
+ *   update_task     — edit title / deadline / priority / note / interval (reporter)
+ *   reassign_task   — hand a task to another user or tag member (reporter or assignee)
+ *   check_task_item — tick / untick a checklist item (assignee)
+ *   review_task     — approve / reject a task awaiting review (reporter)
+ *   comment_task    — post to a task's comment thread (participants)
+ *   snooze_task     — postpone the next reminder (assignee)
+ *   request_extension — ask the reporter for a later deadline (assignee)
+ *   decide_extension  — approve / reject a pending extension request (reporter)
  *   send_message    — send a text reply to the Feishu chat
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
+const { resolveTimezone, zonedDateString, formatDateTime } = require('../utils/timezone');
+const { parseMessageContent } = require('../utils/messageContent');
 const { pool } = require('../db/index');
 const reminderService = require('./reminder');
 const usersDb = require('../db/users');
@@ -89,13 +100,13 @@ async function getHistory(chatId) {
   return rows.reverse().map(r => ({ role: r.role, content: r.content }));
 }
 
-async function appendHistory(chatId, role, content) {
+async function appendHistory(chatId, role, content, messageId = null) {
   // Atomic insert + prune via CTE to avoid race conditions when concurrent
   // messages arrive for the same chat.
   await pool.query(
     `WITH inserted AS (
-       INSERT INTO conversation_history (chat_id, role, content)
-       VALUES ($1, $2, $3)
+       INSERT INTO conversation_history (chat_id, role, content, message_id)
+       VALUES ($1, $2, $3, $5)
        RETURNING id
      )
      DELETE FROM conversation_history
@@ -103,10 +114,19 @@ async function appendHistory(chatId, role, content) {
        SELECT id FROM conversation_history WHERE chat_id = $1
        ORDER BY created_at DESC LIMIT $4
      )`,
-    [chatId, role, JSON.stringify(content), MAX_HISTORY]
+    [chatId, role, JSON.stringify(content), MAX_HISTORY, messageId]
   );
 }
 
+/**
+ * Remove a Feishu message (recalled by its sender) from the conversation history.
+ * @returns {Promise<number>} rows removed
+ */
+async function forgetMessage(messageId) {
+  const { rowCount } = await pool.query('DELETE FROM conversation_history WHERE message_id = $1', [messageId]);
+  return rowCount;
+}
+
 // ---------------------------------------------------------------------------
 // Tool definitions
 // ---------------------------------------------------------------------------
@@ -114,11 +134,16 @@ async function appendHistory(chatId, role, content) {
 const TOOLS = [
   {
     name: 'list_tasks',
-    description: '获取某用户的待办催办任务列表（完成任务前必须先调用此工具获取 task_id）',
+    description: '获取某用户的待办催办任务列表（完成任务前必须先调用此工具获取 task_id）。role=reporter 时返回该用户创建（报告）的最近任务，包括已完成/已取消的，用于取消或重新打开。',
     input_schema: {
       type: 'object',
       properties: {
         open_id: { type: 'string', description: '用户的飞书 open_id (ou_xxx)，默认用当前用户' },
+        role: {
+          type: 'string',
+          enum: ['assignee', 'reporter'],
+          description: 'assignee=分配给该用户的未完成任务（默认）；reporter=该用户创建的任务',
+        },
       },
       required: ['open_id'],
     },
@@ -132,7 +157,16 @@ const TOOLS = [
         title:           { type: 'string', description: '任务标题（简洁描述要完成的事）' },
         target_open_id:  { type: 'string', description: '被催办人的 open_id（从注册用户列表取）。与 target_tag 二选一。' },
         target_tag:      { type: 'string', description: '按标签自动分配：填标签名（如 finance），系统选工时负担最轻的用户。与 target_open_id 二选一。' },
-        deadline:        { type: 'string', description: '截止日期 YYYY-MM-DD，从用户话语中提取，今天/明天等要转成具体日期' },
+        target_open_ids: { type: 'array', items: { type: 'string' }, description: '其他共同执行人的 open_id 列表（多人任务），可选' },
+        completion_mode: {
+          type: 'string',
+          enum: ['any', 'all'],
+          description: '多人任务的完成方式：any=任一人完成即结束，all=全部人完成才结束（默认）',
+        },
+        checklist: { type: 'array', items: { type: 'string' }, description: '清单步骤（按顺序），可选。全部完成后才能完成任务' },
+        depends_on: { type: 'array', items: { type: 'number' }, description: '前置任务 ID 列表，可选。前置任务完成前不通知、不提醒执行人' },
+        requires_approval: { type: 'boolean', description: '执行人完成后需要当前用户（报告人）验收才算完成，可选' },
+        deadline:        { type: 'string', description: '截止日期 YYYY-MM-DD，有具体时刻时用 YYYY-MM-DD HH:mm（用户所在时区），今天/明天等要转成具体日期' },
         estimated_hours: { type: 'number', description: '预计工时（小时），用于工作量排序，可选。例：0.5、2、8' },
         note:            { type: 'string', description: '备注说明，可选' },
         reminder_interval_hours: { type: 'number', description: '提醒间隔小时数，默认 24' },
@@ -147,12 +181,138 @@ const TOOLS = [
   },
   {
     name: 'complete_task',
-    description: '将任务标记为已完成。必须先调用 list_tasks 获取 task_id，再调用此工具。',
+    description: '将任务标记为已完成。必须先调用 list_tasks 获取 task_id，再调用此工具。多人任务只会完成你自己的部分，按任务的完成方式决定整个任务是否结束。',
     input_schema: {
       type: 'object',
       properties: {
         task_id:      { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
         proof:        { type: 'string', description: '完成证明链接或说明，可选' },
+        force:        { type: 'boolean', description: '清单未全部完成时强制完成，仅在用户明确要求时设为 true' },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'update_task_status',
+    description: '变更任务状态。执行人可以：开始处理(in_progress)、标记阻塞(blocked，必须附原因)、解除阻塞(in_progress)；报告人可以：取消任务(cancelled)、重新打开已完成/已取消的任务(pending)。完成任务请用 complete_task。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        status: {
+          type: 'string',
+          enum: ['in_progress', 'blocked', 'pending', 'cancelled'],
+          description: 'in_progress=开始/解除阻塞, blocked=阻塞, cancelled=取消, pending=重新打开',
+        },
+        reason: { type: 'string', description: '原因说明；status=blocked 时必填' },
+      },
+      required: ['task_id', 'status'],
+    },
+  },
+  {
+    name: 'update_task',
+    description: '修改任务内容（标题、截止日期、优先级、备注、提醒间隔、预计工时），只传需要修改的字段。只有任务的创建人/报告人可以修改。重要变更会自动 DM 通知执行人。先用 list_tasks(role=reporter) 获取 task_id。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id:  { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        title:    { type: 'string', description: '新标题' },
+        deadline: { type: 'string', description: '新截止日期 YYYY-MM-DD 或 YYYY-MM-DD HH:mm（用户所在时区），相对日期要转成具体日期' },
+        priority: { type: 'string', enum: ['p0', 'p1', 'p2'], description: '新优先级' },
+        note:     { type: 'string', description: '新备注（传空字符串清空）' },
+        reminder_interval_hours: { type: 'number', description: '新提醒间隔小时数，0=关闭' },
+        estimated_hours:         { type: 'number', description: '新预计工时（小时）' },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'check_task_item',
+    description: '勾选或取消勾选任务清单中的某一项（执行人）。item 为清单项序号（从 1 开始），可从 list_tasks 的清单进度或任务通知中得知。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        item:    { type: 'number', description: '清单项序号，从 1 开始' },
+        done:    { type: 'boolean', description: 'true=勾选（默认），false=取消勾选' },
+      },
+      required: ['task_id', 'item'],
+    },
+  },
+  {
+    name: 'review_task',
+    description: '验收待验收的任务（只有任务的报告人可以）。approve=验收通过，任务完成；reject=驳回，任务退回执行人继续修改，必须附原因。先用 list_tasks(role=reporter) 获取 task_id。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id:  { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        decision: { type: 'string', enum: ['approve', 'reject'], description: 'approve=通过，reject=驳回' },
+        comment:  { type: 'string', description: '验收意见；decision=reject 时必填' },
+      },
+      required: ['task_id', 'decision'],
+    },
+  },
+  {
+    name: 'comment_task',
+    description: '在任务的评论区留言（任务的执行人、报告人或创建人可以）。系统会 DM 通知任务的其他参与人。用于记录进展、提问或补充说明，不改变任务状态。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        body:    { type: 'string', description: '评论内容，原样记录用户的话' },
+      },
+      required: ['task_id', 'body'],
+    },
+  },
+  {
+    name: 'snooze_task',
+    description: '推迟任务的下一次催办提醒（执行人）。用于「明天再做/过两小时再提醒我」，不改变截止日期；最多推迟 7 天，需要更久请用 request_extension。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id:  { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        duration: { type: 'string', description: '推迟时长：如 4h、30m、2d、4小时、30分钟、明天（次日 9:00）、后天' },
+      },
+      required: ['task_id', 'duration'],
+    },
+  },
+  {
+    name: 'request_extension',
+    description: '向报告人申请延长任务截止日期（执行人）。系统 DM 报告人审批，审批前截止日期不变；每个任务同时只能有一个待审批的申请。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id:  { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        deadline: { type: 'string', description: '希望延到的截止日期 YYYY-MM-DD 或 YYYY-MM-DD HH:mm（用户所在时区），相对日期要转成具体日期' },
+        reason:   { type: 'string', description: '延期原因' },
+      },
+      required: ['task_id', 'deadline'],
+    },
+  },
+  {
+    name: 'decide_extension',
+    description: '审批任务的待处理延期申请（只有报告人可以）。approve=同意，截止日期改为申请的日期；reject=拒绝，截止日期不变。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id:  { type: 'number', description: '任务 ID' },
+        decision: { type: 'string', enum: ['approve', 'reject'], description: 'approve=同意，reject=拒绝' },
+        comment:  { type: 'string', description: '审批意见，可选' },
+      },
+      required: ['task_id', 'decision'],
+    },
+  },
+  {
+    name: 'reassign_task',
+    description: '把任务转交给其他人。可指定新执行人（target_open_id），或按标签自动选工作量最少的其他成员（target_tag）。任务的创建人/报告人或当前执行人可以转交。系统会自动 DM 通知原执行人、新执行人和报告人。',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id:        { type: 'number', description: '任务 ID（从 list_tasks 结果中获取）' },
+        target_open_id: { type: 'string', description: '新执行人的 open_id（从注册用户列表取）。与 target_tag 二选一。' },
+        target_tag:     { type: 'string', description: '按标签自动选工作量最少的成员。与 target_open_id 二选一。' },
+        from_open_id:   { type: 'string', description: '多人任务中要被替换的执行人 open_id，报告人转交时可选；默认替换主执行人。执行人转交时总是转交自己的部分。' },
+        reason:         { type: 'string', description: '转交原因，可选（如：休假、工作量过多）' },
       },
       required: ['task_id'],
     },
@@ -163,7 +323,7 @@ const TOOLS = [
 // Tool executor
 // ---------------------------------------------------------------------------
 
-async function executeTool(name, input, { userOpenId, chatId }) {
+async function executeTool(name, input, { userOpenId, chatId, timezone }) {
   logger.info('🔧 Executing tool', { tool: name, input });
 
   if (name === 'list_tasks') {
@@ -171,14 +331,19 @@ async function executeTool(name, input, { userOpenId, chatId }) {
     // First arg is feishuUserId (on_xxx); second is openId (ou_xxx).
     // oid is always an open_id (ou_xxx), so pass null for feishuUserId to
     // avoid matching unrelated records stored under assignee_id with ou_ prefix.
-    const tasks = await reminderService.getUserPendingTasks(null, oid);
-    if (!tasks.length) return { tasks: [], message: '没有待办任务' };
+    const tasks = input.role === 'reporter'
+      ? await reminderService.getReportedTasks(oid)
+      : await reminderService.getUserPendingTasks(null, oid);
+    if (!tasks.length) return { tasks: [], message: input.role === 'reporter' ? '没有创建过的任务' : '没有待办任务' };
     return {
       tasks: tasks.map(t => ({
         id: t.id,
         title: t.title,
-        deadline: t.deadline ? new Date(t.deadline).toISOString().slice(0, 10) : null,
+        deadline: t.deadline ? formatDateTime(t.deadline, timezone) : null,
         status: t.status,
+        blocked_reason: t.blocked_reason || undefined,
+        checklist: t.checklist_total > 0 ? `${t.checklist_done}/${t.checklist_total}` : undefined,
+        waiting_on: t.waiting_on?.length ? t.waiting_on.map(b => `#${b.id} ${b.title}`) : undefined,
       })),
     };
   }
@@ -198,9 +363,27 @@ async function executeTool(name, input, { userOpenId, chatId }) {
       assigneeName   = targetUser?.name || null;
     }
 
+    if (input.completion_mode && !reminderService.COMPLETION_MODES.includes(input.completion_mode)) {
+      return { success: false, message: 'completion_mode 只能是 any 或 all' };
+    }
+    const invalidChecklist = reminderService.validateChecklist(input.checklist);
+    if (invalidChecklist) return { success: false, message: invalidChecklist };
+    const dependencyProblem = await reminderService.dependencyProblem(null, input.depends_on);
+    if (dependencyProblem) return { success: false, message: dependencyProblem };
+    const coAssignees = [];
+    for (const openId of input.target_open_ids || []) {
+      const coUser = await usersDb.findByOpenId(openId);
+      if (!coUser) return { success: false, message: `找不到用户 ${openId}，请让对方先给机器人发一条消息` };
+      coAssignees.push({ assigneeId: coUser.feishu_user_id || openId, assigneeOpenId: openId, assigneeName: coUser.name || null });
+    }
+
     const result = await reminderService.createTask({
       title: input.title,
       assigneeId, assigneeOpenId, assigneeName,
+      coAssignees,
+      completionMode: input.completion_mode || 'all',
+      checklist: input.checklist || [],
+      dependsOn: input.depends_on || [],
       targetTag: input.target_tag || null,
       deadline: input.deadline || null,
       note: input.note || null,
@@ -209,31 +392,32 @@ async function executeTool(name, input, { userOpenId, chatId }) {
       priority: input.priority || 'p1',
       creatorId: userOpenId,
       reporterOpenId: userOpenId,
+      requiresApproval: input.requires_approval === true,
+      timezone,
     });
 
-    const displayName = result?.assignee_name || assigneeName || input.target_open_id || `标签:${input.target_tag}`;
+    const displayName = result?.assignee_names?.filter(Boolean).join('、') ||
+      result?.assignee_name || assigneeName || input.target_open_id || `标签:${input.target_tag}`;
     return {
       success: true,
       task_id: result?.id,
       assignee_name: displayName,
-      message: `任务已创建，系统已通过飞书 DM 通知 ${displayName}`,
+      message: result?.waiting_on_dependencies
+        ? `任务已创建，前置任务完成后系统会通过飞书 DM 通知 ${displayName}`
+        : `任务已创建，系统已通过飞书 DM 通知 ${displayName}`,
     };
   }
 
   if (name === 'complete_task') {
-    // Ownership check: only the task's assignee may complete it via chat.
-    // Admins can use the web UI which bypasses this guard.
-    const { rows: taskRows } = await pool.query(
-      'SELECT assignee_open_id, assignee_id FROM tasks WHERE id = $1 AND status = $2',
-      [input.task_id, 'pending']
-    );
-    const taskRecord = taskRows[0];
-    if (!taskRecord) return { success: false, message: '任务不存在或已完成' };
+    // Ownership check: only one of the task's assignees may complete it via chat,
+    // and only their own share. Admins can use the web UI which bypasses this guard.
+    const taskRecord = await reminderService.getTask(input.task_id);
+    if (!taskRecord || !reminderService.OPEN_STATUSES.includes(taskRecord.status)) {
+      return { success: false, message: '任务不存在或已完成' };
+    }
 
-    const isOwner =
-      taskRecord.assignee_open_id === userOpenId ||
-      taskRecord.assignee_id === userOpenId;
-    if (!isOwner) {
+    const share = await reminderService.findTaskAssignee(taskRecord, userOpenId);
+    if (!share) {
       logger.warn('Unauthorized complete_task attempt', {
         taskId: input.task_id, userOpenId,
         assigneeOpenId: taskRecord.assignee_open_id,
@@ -241,16 +425,299 @@ async function executeTool(name, input, { userOpenId, chatId }) {
       return { success: false, message: '你只能完成分配给自己的任务' };
     }
 
+    if (!input.force) {
+      const blocker = await reminderService.completionBlocker(input.task_id);
+      if (blocker) return { success: false, message: `${blocker}\n可先用 check_task_item 勾选，或在用户确认后 force=true 强制完成` };
+    }
+
     const completed = await reminderService.completeTask(
       input.task_id,
       input.proof || '',
       userOpenId,
-      null
+      null,
+      { assigneeOpenId: share.assignee_open_id || userOpenId, assigneeId: share.assignee_id, force: !!input.force }
     );
-    if (!completed) return { success: false, message: '任务不存在或已完成' };
+    if (!completed) return { success: false, message: '你的部分已完成或任务已结束' };
+    if (completed.status === 'awaiting_review') {
+      return { success: true, message: '任务已提交，等待报告人验收' };
+    }
+    if (completed.status !== 'completed') {
+      return {
+        success: true,
+        message: `你的部分已完成，进度 ${completed.assignees_done}/${completed.assignee_count}，等待其他执行人完成`,
+      };
+    }
     return { success: true, message: '任务已标记为完成' };
   }
 
+  if (name === 'update_task_status') {
+    if (input.status === 'blocked' && !input.reason?.trim()) {
+      return { success: false, message: '标记阻塞时必须说明原因' };
+    }
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+
+    // Ownership check: assignee starts/blocks/unblocks, reporter cancels/reopens
+    const role = reminderService.transitionActorRole(task.status, input.status);
+    const allowed = role === 'reporter'
+      ? task.reporter_open_id === userOpenId
+      : !!(await reminderService.findTaskAssignee(task, userOpenId));
+    if (!allowed) {
+      logger.warn('Unauthorized update_task_status attempt', {
+        taskId: input.task_id, userOpenId, status: input.status, role,
+      });
+      return {
+        success: false,
+        message: role === 'reporter' ? '只有任务的报告人可以取消或重新打开任务' : '你只能变更分配给自己的任务',
+      };
+    }
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    const updated = await reminderService.transitionTask(input.task_id, input.status, {
+      userId: userOpenId,
+      actorName: actor?.name || null,
+      actorOpenId: userOpenId,
+      reason: input.reason?.trim(),
+    });
+    const labels = reminderService.STATUS_LABELS;
+    if (!updated) {
+      return { success: false, message: `任务当前状态为「${labels[task.status]}」，不能变更为「${labels[input.status]}」` };
+    }
+    return { success: true, message: `任务状态已变更为「${labels[input.status]}」` };
+  }
+
+  if (name === 'update_task') {
+    const fields = {
+      title: input.title,
+      deadline: input.deadline,
+      priority: input.priority,
+      note: input.note,
+      reminderIntervalHours: input.reminder_interval_hours,
+      estimatedHours: input.estimated_hours,
+    };
+    const invalid = reminderService.validateTaskUpdates(fields);
+    if (invalid) return { success: false, message: invalid };
+
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+
+    // Ownership check: only the reporter / creator may edit the task via chat
+    if (task.reporter_open_id !== userOpenId && task.creator_id !== userOpenId) {
+      logger.warn('Unauthorized update_task attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '只有任务的创建人或报告人可以修改任务' };
+    }
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    const result = await reminderService.updateTask(input.task_id, fields, {
+      userId: userOpenId,
+      actorName: actor?.name || null,
+      actorOpenId: userOpenId,
+      timezone,
+    });
+    if (!result) return { success: false, message: '任务不存在' };
+    const changed = Object.keys(result.changes);
+    if (!changed.length) return { success: true, message: '没有需要修改的内容' };
+    return { success: true, changed_fields: changed, message: '任务已更新（重要变更已自动通知执行人）' };
+  }
+
+  if (name === 'check_task_item') {
+    const task = await reminderService.getTask(input.task_id);
+    if (!task || !(await reminderService.findTaskAssignee(task, userOpenId))) {
+      logger.warn('Unauthorized check_task_item attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '你只能勾选分配给自己的任务清单' };
+    }
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    const result = await reminderService.setChecklistItem(input.task_id, input.item, input.done !== false, {
+      userId: userOpenId,
+      actorName: actor?.name || null,
+    });
+    if (!result) return { success: false, message: '任务已关闭或没有该清单项' };
+    return {
+      success: true,
+      progress: `${result.done}/${result.total}`,
+      message: result.requiredLeft === 0
+        ? `清单进度 ${result.done}/${result.total}，必做项已全部完成，可以完成任务了`
+        : `清单进度 ${result.done}/${result.total}`,
+    };
+  }
+
+  if (name === 'review_task') {
+    if (!reminderService.REVIEW_DECISIONS.includes(input.decision)) {
+      return { success: false, message: 'decision 只能是 approve 或 reject' };
+    }
+    if (input.decision === 'reject' && !input.comment?.trim()) {
+      return { success: false, message: '驳回时必须说明原因' };
+    }
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+
+    // Ownership check: only the reporter reviews the work
+    if (task.reporter_open_id !== userOpenId) {
+      logger.warn('Unauthorized review_task attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '只有任务的报告人可以验收任务' };
+    }
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    const reviewed = await reminderService.reviewTask(input.task_id, input.decision, {
+      userId: userOpenId,
+      actorName: actor?.name || null,
+      comment: input.comment?.trim(),
+    });
+    if (!reviewed) {
+      return { success: false, message: `任务当前状态为「${reminderService.STATUS_LABELS[task.status]}」，不在待验收状态` };
+    }
+    return {
+      success: true,
+      message: input.decision === 'approve' ? '已验收通过，任务完成' : '已驳回，任务退回执行人修改（已通知执行人）',
+    };
+  }
+
+  if (name === 'comment_task') {
+    const invalid = reminderService.validateComment(input.body);
+    if (invalid) return { success: false, message: invalid };
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    const feishuUserId = actor?.feishu_user_id || userOpenId;
+    // Ownership check: only people on the task may comment on it
+    if (!(await reminderService.isTaskParticipant(task, userOpenId, feishuUserId))) {
+      logger.warn('Unauthorized comment_task attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '只有任务的执行人、报告人或创建人可以评论' };
+    }
+
+    await reminderService.addComment(input.task_id, input.body, {
+      authorId: feishuUserId,
+      authorOpenId: userOpenId,
+      authorName: actor?.name || null,
+      source: 'agent',
+    });
+    return { success: true, message: '评论已发布，已通知任务其他参与人' };
+  }
+
+  if (name === 'snooze_task') {
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+
+    // Ownership check: only an assignee snoozes their own reminders
+    if (!(await reminderService.findTaskAssignee(task, userOpenId))) {
+      logger.warn('Unauthorized snooze_task attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '你只能推迟分配给自己的任务' };
+    }
+
+    const until = reminderService.parseSnooze(input.duration, new Date(), timezone);
+    const invalid = reminderService.validateSnooze(task, until);
+    if (invalid) return { success: false, message: invalid };
+
+    const snoozed = await reminderService.snoozeTask(input.task_id, until, { userId: userOpenId });
+    if (!snoozed) return { success: false, message: '任务状态已变化，请重新查看' };
+    return {
+      success: true,
+      next_reminder_at: reminderService.nextReminderAt(snoozed),
+      message: '提醒已推迟',
+    };
+  }
+
+  if (name === 'request_extension') {
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+
+    // Ownership check: only an assignee asks for more time
+    if (!(await reminderService.findTaskAssignee(task, userOpenId))) {
+      logger.warn('Unauthorized request_extension attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '你只能为分配给自己的任务申请延期' };
+    }
+    const invalid = reminderService.validateExtensionRequest(task, input.deadline, new Date(), timezone);
+    if (invalid) return { success: false, message: invalid };
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    const request = await reminderService.requestDeadlineExtension(input.task_id, input.deadline, {
+      userId: userOpenId,
+      requesterOpenId: userOpenId,
+      requesterName: actor?.name || null,
+      reason: input.reason,
+      timezone,
+    });
+    if (!request) return { success: false, message: '该任务已有待审批的延期申请，请等待报告人处理' };
+    return { success: true, message: '延期申请已发送给报告人，审批结果会通知你' };
+  }
+
+  if (name === 'decide_extension') {
+    if (!reminderService.REVIEW_DECISIONS.includes(input.decision)) {
+      return { success: false, message: 'decision 只能是 approve 或 reject' };
+    }
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+
+    // Ownership check: only the reporter decides
+    if (task.reporter_open_id !== userOpenId) {
+      logger.warn('Unauthorized decide_extension attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '只有任务的报告人可以审批延期' };
+    }
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    const result = await reminderService.decideDeadlineExtension(input.task_id, input.decision, {
+      userId: userOpenId,
+      actorName: actor?.name || null,
+      comment: input.comment,
+    });
+    if (!result) return { success: false, message: '该任务没有待审批的延期申请' };
+    return {
+      success: true,
+      deadline: result.task.deadline,
+      message: input.decision === 'approve' ? '已同意延期，已通知执行人' : '已拒绝延期申请，已通知申请人',
+    };
+  }
+
+  if (name === 'reassign_task') {
+    if (!input.target_open_id && !input.target_tag) {
+      return { success: false, message: '必须提供 target_open_id 或 target_tag 其中之一' };
+    }
+    const task = await reminderService.getTask(input.task_id);
+    if (!task) return { success: false, message: '任务不存在' };
+    if (!reminderService.OPEN_STATUSES.includes(task.status)) {
+      return { success: false, message: `任务已${reminderService.STATUS_LABELS[task.status]}，不能转交` };
+    }
+
+    // Ownership check: reporter / creator, or one of the assignees handing their share off
+    const isReporter = task.reporter_open_id === userOpenId || task.creator_id === userOpenId;
+    const ownShare = isReporter ? null : await reminderService.findTaskAssignee(task, userOpenId);
+    if (!isReporter && !ownShare) {
+      logger.warn('Unauthorized reassign_task attempt', { taskId: input.task_id, userOpenId });
+      return { success: false, message: '只有任务的创建人、报告人或当前执行人可以转交任务' };
+    }
+
+    let assignee = null;
+    if (input.target_open_id) {
+      assignee = await usersDb.findByOpenId(input.target_open_id);
+      if (!assignee) return { success: false, message: '找不到该用户，请让对方先给机器人发一条消息' };
+    }
+
+    const actor = await usersDb.findByOpenId(userOpenId).catch(() => null);
+    try {
+      const result = await reminderService.reassignTask(
+        input.task_id,
+        {
+          assignee,
+          targetTag: assignee ? null : input.target_tag,
+          fromOpenId: ownShare ? ownShare.assignee_open_id : input.from_open_id,
+        },
+        { userId: userOpenId, actorName: actor?.name || null, reason: input.reason?.trim() }
+      );
+      if (!result) return { success: false, message: '任务状态已变化，请重试' };
+      const displayName = result.assignee.name || result.assignee.open_id;
+      return {
+        success: true,
+        assignee_name: displayName,
+        message: `任务已转交给 ${displayName}，系统已通知相关人员`,
+      };
+    } catch (err) {
+      // reassignTask throws user-facing errors (no tag member / same assignee)
+      return { success: false, message: err.message };
+    }
+  }
+
   return { error: `Unknown tool: ${name}` };
 }
 
@@ -259,9 +726,11 @@ async function executeTool(name, input, { userOpenId, chatId }) {
 // ---------------------------------------------------------------------------
 
 function buildSystemPrompt(userContext, registeredUsers, chatMeta = {}, now = new Date()) {
-  const today = now.toISOString().slice(0, 10);
-  const todayLabel = now.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Shanghai' });
-  const tomorrow = new Date(now.getTime() + 86400000).toISOString().slice(0, 10);
+  // Relative dates ("明天") are the user's days, not the server's
+  const tz = resolveTimezone(userContext?.timezone);
+  const today = zonedDateString(now, tz);
+  const todayLabel = now.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric', timeZone: tz });
+  const tomorrow = zonedDateString(new Date(now.getTime() + 86400000), tz);
 
   const allowed = Object.entries(userContext?.allowedFeatures ?? {})
     .filter(([, v]) => v).map(([k]) => k);
@@ -278,7 +747,8 @@ function buildSystemPrompt(userContext, registeredUsers, chatMeta = {}, now = ne
     `## 时间`,
     `今天: ${todayLabel}（${today}）`,
     `明天: ${tomorrow}`,
-    `处理「今天/明天/后天/本周五」等相对日期时，转换成上方对应的 YYYY-MM-DD 格式。`,
+    `用户时区: ${tz}（现在 ${formatDateTime(now, tz, { withTime: true })}）`,
+    `处理「今天/明天/后天/本周五」等相对日期时，转换成上方对应的 YYYY-MM-DD 格式；用户说了具体时刻（如「周五下午6点」）时用 YYYY-MM-DD HH:mm，按用户时区理解。`,
     '',
     '## 当前用户（发消息的人）',
     `姓名: ${userContext?.name ?? '未知'}`,
@@ -294,8 +764,18 @@ function buildSystemPrompt(userContext, registeredUsers, chatMeta = {}, now = ne
     userList,
     '',
     '## 工具使用规则',
-    '- **create_task**: 创建后系统自动 DM 通知被催办人，无需额外发消息',
+    '- **create_task**: 创建后系统自动 DM 通知被催办人，无需额外发消息；多人任务用 target_open_ids 补充其他执行人，completion_mode 决定任一人/全部人完成才结束',
+    '- **create_task 的 depends_on**: 「等 A 做完再让李四对账」→ 先用 list_tasks(role=reporter) 找到 A 的 task_id 填入 depends_on；前置任务完成前不会通知执行人',
     '- **complete_task**: 必须先调 list_tasks 获取 task_id，再调此工具',
+    '- **update_task_status**: 执行人「开始做了/卡住了/被阻塞」→ in_progress/blocked（blocked 必须带原因）；报告人「取消任务/重新打开」→ 先用 list_tasks(role=reporter) 找 task_id，再 cancelled/pending',
+    '- **update_task**: 报告人「截止改到周五/改成紧急/改一下标题」→ 先用 list_tasks(role=reporter) 找 task_id，只传要改的字段',
+    '- **reassign_task**: 「把任务X转给张三/交给 finance 组里最闲的人」→ 先用 list_tasks 找 task_id，再转交',
+    '- **create_task 的 requires_approval**: 「做完给我验收/我要检查一下」→ requires_approval=true，执行人完成后任务进入待验收',
+    '- **review_task**: 报告人「#12 没问题/通过」→ approve；「#12 不行，重做图表」→ reject 并带原因',
+    '- **comment_task**: 「跟 #12 的报告人说一下数据晚点到」→ 在任务下留言（不改状态），系统自动通知其他参与人',
+    '- **snooze_task**: 执行人「明天再做/过两小时再提醒我」→ 推迟下次提醒（不改截止日期）',
+    '- **request_extension**: 执行人「#12 周五前做不完，想延到下周三」→ 申请延期，由报告人审批；报告人审批用 **decide_extension**',
+    '- **check_task_item**: 「第 3 步做完了」→ 勾选清单项；清单必做项未完成时 complete_task 会失败，用户明确要求时才用 force',
     '- **target_open_id**: 只能使用注册用户里的 open_id，不能编造',
     '- **priority**: P0=紧急（今天必须完成）, P1=一般（默认，无特别说明时使用）, P2=不紧急；根据用户描述自动判断',
     '- 名字不完全匹配（如「王鸿铭」vs「王泓铭」）时，先在回复中询问确认，再执行操作',
@@ -309,7 +789,15 @@ function buildSystemPrompt(userContext, registeredUsers, chatMeta = {}, now = ne
 // Main: forwardToOwnerAgent
 // ---------------------------------------------------------------------------
 
-async function forwardToOwnerAgent(event, apiBaseUrl, userContext = null) {
+/**
+ * Run the agent on a Feishu message and let it reply in the chat.
+ * @param {object} event - im.message.receive_v1 event
+ * @param {string} apiBaseUrl
+ * @param {object|null} [userContext] - the sender's users row (with resolvedFeatures)
+ * @param {string|null} [messageText] - text as the webhook read it (posts flattened, the bot's
+ *   group @mention removed); parsed from the event when omitted
+ */
+async function forwardToOwnerAgent(event, apiBaseUrl, userContext = null, messageText = null) {
   const client = getClient();
   if (!client) {
     logger.warn('ANTHROPIC_API_KEY not set, skipping agent forward');
@@ -321,13 +809,7 @@ async function forwardToOwnerAgent(event, apiBaseUrl, userContext = null) {
   const chatId  = message.chat_id;
   const openId  = sender.sender_id?.open_id || userContext?.open_id;
 
-  let text = '';
-  try {
-    const raw = JSON.parse(message.content || '{}');
-    text = raw.text || message.content || '';
-  } catch {
-    text = message.content || '';
-  }
+  const text = messageText ?? parseMessageContent(message.message_type, message.content).text;
 
   if (!text || !chatId) {
     logger.warn('Missing text or chatId, skipping');
@@ -346,6 +828,7 @@ async function forwardToOwnerAgent(event, apiBaseUrl, userContext = null) {
     name: userContext.name,
     openId: userContext.open_id,
     role: userContext.role,
+    timezone: userContext.timezone,
     allowedFeatures: userContext.resolvedFeatures ?? {},
   } : null;
 
@@ -357,7 +840,7 @@ async function forwardToOwnerAgent(event, apiBaseUrl, userContext = null) {
 
   // Append current user message
   const userMsg = { role: 'user', content: text };
-  await appendHistory(chatId, 'user', text).catch(err =>
+  await appendHistory(chatId, 'user', text, message.message_id || null).catch(err =>
     logger.warn('appendHistory(user) failed', { chatId, error: err.message })
   );
 
@@ -411,6 +894,7 @@ async function forwardToOwnerAgent(event, apiBaseUrl, userContext = null) {
         const result = await executeTool(tu.name, tu.input, {
           userOpenId: uc?.openId || openId,
           chatId,
+          timezone: uc?.timezone,
         }).catch(err => ({ error: err.message }));
 
         logger.info('🔧 Tool result', { tool: tu.name, result });
@@ -454,6 +938,7 @@ async function forwardToOwnerAgent(event, apiBaseUrl, userContext = null) {
 
 module.exports = {
   forwardToOwnerAgent,
+  forgetMessage,
   isAgentConfigured: () => !!process.env.ANTHROPIC_API_KEY,
   getAgentConfig: () => process.env.ANTHROPIC_API_KEY
     ? { model: MODEL, maxHistoryMessages: MAX_HISTORY, maxToolRounds: MAX_TOOL_ROUNDS, maxConcurrentAgents: MAX_CONCURRENT_AGENTS }
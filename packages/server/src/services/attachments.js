@@ -0,0 +1,57 @@
+/**
+ * Attachments — images and files sent as completion proof
+ *
+ * Feishu message resources can only be fetched with the bot's token, so a link to the
+ * message is useless to the reporter. When an image or file is used as proof it is
+ * downloaded (feishu.downloadMessageResource), stored in the attachments table, and the
+ * task's proof gets a link to GET /api/attachments/:id instead.
+ */
+const attachmentsDb = require('../db/attachments');
+const feishu = require('../feishu/client');
+const logger = require('../utils/logger');
+
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+/** Link to an attachment: absolute when WEB_BASE_URL is set (the dashboard proxies /api) */
+function attachmentUrl(id) {
+  const base = process.env.WEB_BASE_URL;
+  return `${base ? base.replace(/\/+$/, '') : ''}/api/attachments/${id}`;
+}
+
+/**
+ * Download message resources and store them against a task.
+ * @param {object} opts
+ * @param {{messageId: string, type: 'image'|'file', key: string, name?: string|null}[]} opts.attachments
+ * @param {number|null} opts.taskId
+ * @param {string|null} [opts.uploadedBy]
+ * @returns {Promise<string[]>} a link per attachment, in order
+ * @throws when a download fails or a resource is too large — the proof would be incomplete
+ */
+async function saveProofAttachments({ attachments, taskId, uploadedBy = null }) {
+  const urls = [];
+  for (const a of attachments) {
+    const resource = await feishu.downloadMessageResource(a.messageId, a.key, a.type);
+    if (resource.data.length > MAX_ATTACHMENT_BYTES) {
+      throw new Error(`Attachment too large: ${resource.data.length} bytes`);
+    }
+    const row = await attachmentsDb.create({
+      taskId,
+      messageId: a.messageId,
+      fileKey: a.key,
+      kind: a.type,
+      fileName: a.name || resource.fileName,
+      mimeType: resource.contentType,
+      data: resource.data,
+      uploadedBy,
+    });
+    logger.info('Attachment stored', { id: row.id, taskId, kind: a.type, size: row.size_bytes });
+    urls.push(attachmentUrl(row.id));
+  }
+  return urls;
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  attachmentUrl,
+  saveProofAttachments,
+};
@@ -0,0 +1,104 @@
+/**
+ * Card actions
+ *
+ * Handles button presses and comments on the interactive task cards (utils/taskCard.js)
+ * that Feishu posts to /webhook/card. Each action goes through the same reminder service
+ * calls as the chat commands — 完成 / 推迟 / 评论 — with the same permission checks, and
+ * the answer carries a rebuilt card so the one in the chat updates in place.
+ */
+const usersDb = require('../db/users');
+const { resolveFeatures } = require('../features');
+const logger = require('../utils/logger');
+const { CARD_ACTIONS, SNOOZE_OPTIONS } = require('../utils/taskCard');
+const { formatDateTime, resolveTimezone } = require('../utils/timezone');
+const reminderService = require('./reminder');
+
+function toast(type, content) {
+  return { type, content };
+}
+
+/** Card text after an action: the task as it is now, in the operator's timezone */
+function cardBody(task, tz) {
+  const deadline = task.deadline ? formatDateTime(task.deadline, tz) : '无截止日期';
+  return `${reminderService.priorityBadge(task.priority)} 「${task.title}」\n📅 截止：${deadline}`;
+}
+
+/**
+ * Carry out a card action.
+ * @param {object} params
+ * @param {string} params.openId       - operator's open_id
+ * @param {object} params.value        - the button's value: { action, taskId, kind, snooze? }
+ * @param {string} [params.inputValue] - text typed into the comment box
+ * @param {Date} [params.now]
+ * @returns {Promise<{toast: {type: string, content: string}, card: object|null}>}
+ *          card is null when there is nothing to redraw (unknown task or action)
+ */
+async function handleCardAction({ openId, value, inputValue, now = new Date() }) {
+  const action = value?.action;
+  const taskId = parseInt(value?.taskId, 10);
+  if (!CARD_ACTIONS.includes(action) || !taskId) {
+    return { toast: toast('error', '无法识别的操作'), card: null };
+  }
+
+  const user = await usersDb.findByOpenId(openId);
+  const tz = resolveTimezone(user?.timezone);
+  const actorId = user?.feishu_user_id || openId;
+  const task = await reminderService.getTask(taskId);
+  if (!task) return { toast: toast('error', `任务 #${taskId} 不存在`), card: null };
+
+  const assignee = await reminderService.findTaskAssignee(task, openId, user?.feishu_user_id);
+  const redraw = async (notice, { done = assignee?.status === 'completed' } = {}) => {
+    const current = (await reminderService.getTask(taskId)) || task;
+    return reminderService.taskNotificationCard(current, value.kind, cardBody(current, tz), { notice, done });
+  };
+  const refuse = async (message) => ({ toast: toast('warning', message), card: await redraw(null) });
+
+  if (action === 'comment') {
+    if (!assignee && !await reminderService.isTaskParticipant(task, openId, user?.feishu_user_id)) {
+      return refuse('只有任务的执行人、报告对象或创建人可以评论');
+    }
+    const invalid = reminderService.validateComment(inputValue);
+    if (invalid) return refuse(invalid);
+    await reminderService.addComment(taskId, inputValue, {
+      authorId: actorId, authorOpenId: openId, authorName: user?.name || null, source: 'feishu',
+    });
+    return { toast: toast('success', '评论已发送'), card: await redraw(`💬 你的评论：${inputValue.trim()}`) };
+  }
+
+  // complete / snooze: the assignee's own actions, like the 完成 / 推迟 commands
+  if (!assignee) return refuse('你不是该任务的执行人');
+  if (!resolveFeatures(user || { role: 'user', configs: {} }).cuiban_complete) {
+    return refuse('你没有完成催办任务的权限，请联系管理员');
+  }
+
+  if (action === 'complete') {
+    const blocker = await reminderService.completionBlocker(taskId);
+    if (blocker) return refuse(`${blocker}，请发送「完成 序号.项」勾选清单`);
+    const completed = await reminderService.completeTask(taskId, '', actorId, user?.name || user?.email || null, {
+      assigneeOpenId: openId,
+      assigneeId: user?.feishu_user_id || null,
+    });
+    if (!completed) return refuse('任务不存在或已完成');
+    logger.info('Task completed from card', { taskId, openId, status: completed.status });
+    const notice = completed.status === 'completed'
+      ? '✅ 已完成'
+      : completed.status === 'awaiting_review'
+        ? '🔍 已提交，等待报告对象验收'
+        : `☑️ 已完成你的部分，进度 ${completed.assignees_done}/${completed.assignee_count}`;
+    return { toast: toast('success', notice), card: await redraw(notice, { done: true }) };
+  }
+
+  const option = SNOOZE_OPTIONS.find(o => o.snooze === value.snooze);
+  const until = option && reminderService.parseSnooze(option.snooze, now, tz);
+  const invalid = reminderService.validateSnooze(task, until, now);
+  if (invalid) return refuse(invalid);
+  const snoozed = await reminderService.snoozeTask(taskId, until, { userId: actorId });
+  if (!snoozed) return refuse('任务状态已变化，请重新查看后再试');
+  const next = formatDateTime(reminderService.nextReminderAt(snoozed), tz, { withTime: true });
+  logger.info('Task snoozed from card', { taskId, openId, until });
+  return { toast: toast('success', `已推迟，下次提醒：${next}`), card: await redraw(`😴 已推迟提醒，下次提醒：${next}`) };
+}
+
+module.exports = {
+  handleCardAction,
+};
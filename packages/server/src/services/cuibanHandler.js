@@ -1,8 +1,11 @@
 /**
  * Cuiban (催办) Command Handler
  *
- * Handles cuiban_view, cuiban_complete, cuiban_create intents
- * from Feishu chat messages. Extracted from webhook.js for clarity.
+ * Handles cuiban_view, cuiban_complete, cuiban_create, cuiban_status, cuiban_comment,
+ * cuiban_defer, cuiban_digest and cuiban_group intents from Feishu chat messages,
+ * replies to task DMs (filed as comments, or snoozing the task), and images / files sent
+ * as completion proof.
+ * Extracted from webhook.js for clarity.
  */
 
 const feishu = require('../feishu/client');
@@ -10,7 +13,10 @@ const usersDb = require('../db/users');
 const sessions = require('../db/sessions');
 const { resolveFeatures } = require('../features');
 const reminderService = require('../services/reminder');
+const digestService = require('../services/digest');
+const attachmentService = require('../services/attachments');
 const logger = require('../utils/logger');
+const { formatDateTime } = require('../utils/timezone');
 
 /** Mirrors reminder.js priorityBadge — kept local to avoid circular imports */
 function priorityBadge(p) {
@@ -19,6 +25,37 @@ function priorityBadge(p) {
   return '🟡';
 }
 
+/** Short status tag for open tasks in list views (pending shows nothing) */
+function statusTag(status) {
+  if (status === 'in_progress') return ' ▶️进行中';
+  if (status === 'blocked') return ' 🚧阻塞';
+  if (status === 'awaiting_review') return ' 🔍待验收';
+  return '';
+}
+
+// Chat status commands → target status. Assignee commands take a 我的任务 list
+// number (or #ID); reporter commands (cancel/reopen/approve/reject) take a task ID.
+// Review commands go through reminderService.reviewTask instead of a transition.
+const STATUS_COMMANDS = {
+  start:   { to: 'in_progress', role: 'assignee' },
+  block:   { to: 'blocked',     role: 'assignee' },
+  unblock: { to: 'in_progress', role: 'assignee' },
+  cancel:  { to: 'cancelled',   role: 'reporter' },
+  reopen:  { to: 'pending',     role: 'reporter' },
+  approve: { review: 'approve',  role: 'reporter' },
+  reject:  { review: 'reject',   role: 'reporter' },
+};
+
+const STATUS_COMMAND_ALIASES = {
+  '开始': 'start',
+  '阻塞': 'block',
+  '解除阻塞': 'unblock',
+  '取消任务': 'cancel',
+  '重新打开': 'reopen',
+  '通过': 'approve',
+  '驳回': 'reject',
+};
+
 // ── helpers ─────────────────────────────────────────────────────────────────
 
 /**
@@ -34,16 +71,48 @@ async function replyToChat(chatId, messageId, text) {
 }
 
 /**
- * Complete a task and notify the user.
+ * Complete the sender's share of a task and notify the user.
+ * On a multi-assignee task that is still waiting for others, the reply shows the progress.
+ * Refuses (with the open items listed) while required checklist items remain, unless forced.
+ * Images / files sent as proof ({messageId, type, key, name}) are downloaded and stored first;
+ * their links are added to the proof.
  */
-async function completeTaskAndReply(task, proof, user, senderId, chatId, messageId) {
+async function completeTaskAndReply(task, proof, user, senderId, chatId, messageId, { force = false, attachments = [] } = {}) {
+  if (!force) {
+    const blocker = await reminderService.completionBlocker(task.id);
+    if (blocker) {
+      await replyToChat(chatId, messageId,
+        `⚠️ 任务「${task.title}」${blocker}\n\n发送「完成 序号.项」勾选清单，或在完成指令后加「强制」直接完成`
+      );
+      return;
+    }
+  }
+  if (attachments.length) {
+    let urls;
+    try {
+      urls = await attachmentService.saveProofAttachments({ attachments, taskId: task.id, uploadedBy: senderId });
+    } catch (err) {
+      logger.warn('Failed to save proof attachments', { taskId: task.id, error: err.message });
+      await replyToChat(chatId, messageId, `⚠️ 证明图片 / 文件保存失败，任务「${task.title}」未完成，请重新发送`);
+      return;
+    }
+    proof = [proof, ...urls].filter(Boolean).join(' ');
+  }
   const completerName = user?.name || user?.email || null;
-  const completed = await reminderService.completeTask(task.id, proof || '', senderId, completerName);
+  const completed = await reminderService.completeTask(task.id, proof || '', senderId, completerName, {
+    assigneeOpenId: user?.open_id || null,
+    assigneeId: senderId,
+    force,
+  });
   if (!completed) {
     await replyToChat(chatId, messageId, `⚠️ 任务「${task.title}」不存在或已完成`);
     return;
   }
-  let reply = `✅ 已完成任务「${task.title}」！`;
+  let reply = completed.status === 'completed'
+    ? `✅ 已完成任务「${task.title}」！`
+    : completed.status === 'awaiting_review'
+      ? `🔍 已提交任务「${task.title}」，等待报告对象验收`
+      : `☑️ 已完成你在「${task.title}」中的部分，进度 ${completed.assignees_done}/${completed.assignee_count}，等待其他执行人完成`;
   if (proof) reply += `\n📎 证明：${proof}`;
   await replyToChat(chatId, messageId, reply);
 }
@@ -51,15 +120,39 @@ async function completeTaskAndReply(task, proof, user, senderId, chatId, message
 // ── session-based numeric selection ─────────────────────────────────────────
 
 /**
- * Handle a numeric reply inside an active complete_select session.
+ * Ask which task to complete and remember the answer's context in a complete_select session.
+ * Tasks are stored as id + title only: completeTaskAndReply() reads nothing else.
+ */
+async function promptCompleteSelect({ tasks, intro, sessionKey, chatId, messageId, proof = '', force = false, attachments = [] }) {
+  let msg = `${intro}\n\n`;
+  tasks.forEach((t, i) => {
+    msg += `${i + 1}. ${t.title}\n`;
+  });
+  msg += '\n（回复数字选择，如「1」）';
+  const taskSummaries = tasks.map(t => ({ id: t.id, title: t.title }));
+  await sessions.set(sessionKey, { tasks: taskSummaries, proof, force, attachments, step: 'complete_select', chatId, messageId });
+  await replyToChat(chatId, messageId, msg);
+}
+
+/**
+ * Handle a reply inside an active complete_select session: a number picks the task; an
+ * image or file (resources from messageContent.js) is kept as proof for the task picked next.
  * @returns {Promise<boolean>} true if handled
  */
-async function handleSessionSelect({ sessionKey, messageText, user, senderId, chatId, messageId }) {
+async function handleSessionSelect({ sessionKey, messageText, resources = [], user, senderId, chatId, messageId }) {
   const activeSession = await sessions.get(sessionKey);
   if (!activeSession) return false;
 
   logger.info('💬 Active session found', { step: activeSession.step, taskCount: activeSession.tasks?.length });
 
+  const newAttachments = resources.map(r => ({ ...r, messageId }));
+  if (activeSession.step === 'complete_select' && newAttachments.length && !messageText.trim()) {
+    const attachments = [...(activeSession.attachments || []), ...newAttachments];
+    await sessions.set(sessionKey, { ...activeSession, attachments });
+    await replyToChat(chatId, messageId, `📎 已收到 ${attachments.length} 个证明文件，请回复编号选择要完成的任务`);
+    return true;
+  }
+
   if (activeSession.step === 'complete_select' && /^\d+$/.test(messageText.trim())) {
     const idx = parseInt(messageText.trim(), 10) - 1;
     logger.info('✔️  Session: completing task by number', { idx: idx + 1 });
@@ -67,7 +160,10 @@ async function handleSessionSelect({ sessionKey, messageText, user, senderId, ch
       const task = activeSession.tasks[idx];
       await sessions.del(sessionKey);
       const effectiveSenderId = user?.feishu_user_id || senderId;
-      await completeTaskAndReply(task, activeSession.proof || '', user, effectiveSenderId, chatId, messageId).catch((err) => {
+      await completeTaskAndReply(task, activeSession.proof || '', user, effectiveSenderId, chatId, messageId, {
+        force: !!activeSession.force,
+        attachments: [...(activeSession.attachments || []), ...newAttachments],
+      }).catch((err) => {
         logger.error('Complete task error', { error: err.message });
         feishu.sendMessage(chatId, '⚠️ 完成任务失败，请稍后重试。', 'chat_id').catch(() => {});
       });
@@ -82,12 +178,622 @@ async function handleSessionSelect({ sessionKey, messageText, user, senderId, ch
   return false;
 }
 
+/**
+ * An image or file sent on its own (no session open): offer it as completion proof by
+ * asking which pending task it belongs to. Nothing is downloaded until a task is picked.
+ * @returns {Promise<boolean>} true if handled
+ */
+async function handleProofUpload({ resources, user, senderId, openId, chatId, messageId, sessionKey }) {
+  const resolved = user?.resolvedFeatures || resolveFeatures(user || { role: 'user', configs: {} });
+  if (!resolved.cuiban_complete) return false;
+  const effectiveSenderId = user?.feishu_user_id || senderId;
+  if (!effectiveSenderId) return false;
+
+  const tasks = await reminderService.getUserPendingTasks(effectiveSenderId, openId);
+  if (!tasks.length) return false;
+
+  const what = resources.every(r => r.type === 'image') ? '图片' : '文件';
+  await promptCompleteSelect({
+    tasks,
+    intro: `📎 收到${what}，要作为哪个任务的完成证明？回复编号即完成该任务：`,
+    sessionKey, chatId, messageId,
+    attachments: resources.map(r => ({ ...r, messageId })),
+  });
+  return true;
+}
+
+// ── status commands ─────────────────────────────────────────────────────────
+
+/**
+ * Handle /start /block /unblock /cancel /reopen /approve /reject (and their Chinese aliases).
+ *   /start N | 开始 N              — assignee: pending → in_progress
+ *   /block N 原因 | 阻塞 N 原因     — assignee: pause reminders until unblocked
+ *   /unblock N | 解除阻塞 N         — assignee: blocked → in_progress
+ *   /cancel ID [原因] | 取消任务 ID — reporter: stop the task and its reminders
+ *   /reopen ID [原因] | 重新打开 ID — reporter: completed/cancelled → pending
+ *   /approve ID | 通过 ID           — reporter: accept a task awaiting review
+ *   /reject ID 原因 | 驳回 ID 原因   — reporter: send it back to the assignee
+ */
+async function handleStatusCommand({ text, user, resolved, effectiveSenderId, openId, chatId, messageId }) {
+  const match = text.trim().match(/^\/?(start|block|unblock|cancel|reopen|approve|reject|开始|阻塞|解除阻塞|取消任务|重新打开|通过|驳回)\s*(#?\d+)?\s*([\s\S]*)$/i);
+  const name = match && (STATUS_COMMAND_ALIASES[match[1]] || match[1].toLowerCase());
+  const command = name && STATUS_COMMANDS[name];
+  if (!command || !match[2]) {
+    await replyToChat(
+      chatId,
+      messageId,
+      '📝 任务状态命令：\n' +
+      '开始 N — 标记第 N 个待办为进行中\n' +
+      '阻塞 N 原因 — 标记受阻（暂停提醒）\n' +
+      '解除阻塞 N — 恢复处理\n' +
+      '/cancel 任务ID [原因] — 取消你创建的任务\n' +
+      '/reopen 任务ID [原因] — 重新打开你创建的任务\n' +
+      '通过 #任务ID — 验收通过待验收的任务\n' +
+      '驳回 #任务ID 原因 — 驳回并退回执行人修改'
+    );
+    return true;
+  }
+
+  const ref = match[2];
+  const reason = (match[3] || '').trim();
+  const labels = reminderService.STATUS_LABELS;
+
+  if (command.role === 'assignee' && !resolved.cuiban_complete) {
+    await replyToChat(chatId, messageId, '🚫 你没有更新任务状态的权限，请联系管理员');
+    return true;
+  }
+  if (command.role === 'reporter' && !resolved.cuiban_create) {
+    await replyToChat(chatId, messageId, command.review
+      ? '🚫 你没有验收任务的权限，请联系管理员'
+      : '🚫 你没有取消或重新打开任务的权限，请联系管理员');
+    return true;
+  }
+  if (command.to === 'blocked' && !reason) {
+    await replyToChat(chatId, messageId, '📝 请说明阻塞原因，例：阻塞 1 等待银行回单');
+    return true;
+  }
+  if (command.review === 'reject' && !reason) {
+    await replyToChat(chatId, messageId, `📝 请说明驳回原因，例：驳回 ${ref} 图表数据不对`);
+    return true;
+  }
+  if (!effectiveSenderId && !openId) {
+    await replyToChat(chatId, messageId, '⚠️ 无法识别你的飞书用户 ID，请联系管理员');
+    return true;
+  }
+
+  let task = null;
+  if (command.role === 'assignee' && !ref.startsWith('#')) {
+    // Plain number = position in the 我的任务 list
+    const tasks = await reminderService.getUserPendingTasks(effectiveSenderId, openId);
+    task = tasks[parseInt(ref, 10) - 1] || null;
+    if (!task) {
+      await replyToChat(chatId, messageId, `❌ 没有第 ${ref} 个待办任务，发送「我的任务」查看列表`);
+      return true;
+    }
+  } else {
+    task = await reminderService.getTask(parseInt(ref.replace('#', ''), 10));
+    // Only the reporter reviews; cancel/reopen also accept the creator
+    const isOwner = command.review
+      ? task && !!openId && task.reporter_open_id === openId
+      : command.role === 'reporter'
+        ? task && ((openId && task.reporter_open_id === openId) || (effectiveSenderId && task.creator_id === effectiveSenderId))
+        : task && !!(await reminderService.findTaskAssignee(task, openId, effectiveSenderId));
+    if (!task || !isOwner) {
+      await replyToChat(chatId, messageId, command.review
+        ? `❌ 找不到需要你验收的任务 ${ref}`
+        : command.role === 'reporter'
+          ? `❌ 找不到你创建的任务 ${ref}`
+          : `❌ 找不到分配给你的任务 ${ref}`);
+      return true;
+    }
+  }
+
+  if (command.review) return reviewAndReply(task, command.review, reason, { user, effectiveSenderId, openId, chatId, messageId });
+
+  if (name === 'unblock' && task.status !== 'blocked') {
+    await replyToChat(chatId, messageId, `⚠️ 任务「${task.title}」没有处于阻塞状态`);
+    return true;
+  }
+  if (!reminderService.canTransition(task.status, command.to)) {
+    await replyToChat(chatId, messageId,
+      `⚠️ 任务「${task.title}」当前为「${labels[task.status] || task.status}」，不能变更为「${labels[command.to]}」`
+    );
+    return true;
+  }
+
+  const updated = await reminderService.transitionTask(task.id, command.to, {
+    userId: effectiveSenderId || openId,
+    actorName: user?.name || user?.email || null,
+    actorOpenId: openId,
+    reason: reason || undefined,
+  });
+  if (!updated) {
+    await replyToChat(chatId, messageId, `⚠️ 任务「${task.title}」状态已变化，请重新查看后再试`);
+    return true;
+  }
+
+  const replies = {
+    start: `▶️ 已开始处理「${task.title}」`,
+    block: `🚧 已标记「${task.title}」受阻，提醒已暂停\n📝 原因：${reason}`,
+    unblock: `▶️ 已解除阻塞「${task.title}」，提醒已恢复`,
+    cancel: `🚫 已取消任务「${task.title}」，执行人不会再收到提醒`,
+    reopen: `🔄 已重新打开任务「${task.title}」，已通知执行人`,
+  };
+  await replyToChat(chatId, messageId, replies[name]);
+  return true;
+}
+
+/**
+ * Approve or reject a task awaiting review on behalf of its reporter and reply.
+ * @returns {Promise<boolean>} always true (the command was handled)
+ */
+async function reviewAndReply(task, decision, comment, { user, effectiveSenderId, openId, chatId, messageId }) {
+  if (task.status !== 'awaiting_review') {
+    const label = reminderService.STATUS_LABELS[task.status] || task.status;
+    await replyToChat(chatId, messageId, `⚠️ 任务「${task.title}」当前为「${label}」，不在待验收状态`);
+    return true;
+  }
+  const reviewed = await reminderService.reviewTask(task.id, decision, {
+    userId: effectiveSenderId || openId,
+    actorName: user?.name || user?.email || null,
+    comment: comment || undefined,
+  });
+  if (!reviewed) {
+    await replyToChat(chatId, messageId, `⚠️ 任务「${task.title}」状态已变化，请重新查看后再试`);
+    return true;
+  }
+  await replyToChat(chatId, messageId, decision === 'approve'
+    ? `✅ 已验收通过「${task.title}」，任务完成`
+    : `↩️ 已驳回「${task.title}」，已通知执行人修改\n📝 原因：${comment}`);
+  return true;
+}
+
+// ── comments ────────────────────────────────────────────────────────────────
+
+/**
+ * File a chat message as a comment on a task the sender takes part in, and confirm.
+ * @returns {Promise<boolean>} always true (the message was handled)
+ */
+async function commentAndReply(task, body, { user, effectiveSenderId, openId, chatId, messageId }) {
+  if (!task || !(await reminderService.isTaskParticipant(task, openId, effectiveSenderId))) {
+    await replyToChat(chatId, messageId, `❌ 找不到你参与的任务${task ? ` #${task.id}` : ''}`);
+    return true;
+  }
+  const invalid = reminderService.validateComment(body);
+  if (invalid) {
+    await replyToChat(chatId, messageId, `⚠️ ${invalid}`);
+    return true;
+  }
+  await reminderService.addComment(task.id, body, {
+    authorId: effectiveSenderId || openId,
+    authorOpenId: openId || null,
+    authorName: user?.name || user?.email || null,
+    source: 'feishu',
+  });
+  await replyToChat(chatId, messageId, `💬 已评论任务 #${task.id}「${task.title}」，已通知其他参与人`);
+  return true;
+}
+
+/**
+ * Handle /comment ID 内容 | 评论 #ID 内容.
+ */
+async function handleCommentCommand({ text, user, effectiveSenderId, openId, chatId, messageId }) {
+  const match = text.trim().match(/^(?:\/comment|评论)\s*#?(\d+)\s*([\s\S]*)$/i);
+  if (!match || !match[2].trim()) {
+    await replyToChat(chatId, messageId,
+      '📝 评论命令：\n' +
+      '/comment 任务ID 内容 — 在任务下留言，通知其他参与人\n' +
+      '也可以直接回复任务提醒消息来评论'
+    );
+    return true;
+  }
+  const task = await reminderService.getTask(parseInt(match[1], 10));
+  return commentAndReply(task, match[2].trim(), { user, effectiveSenderId, openId, chatId, messageId });
+}
+
+/**
+ * Handle a reply to a bot DM about a task (assignment, reminder, comment notification):
+ * an assignee answering with a snooze phrase (「明天再做」「2小时后提醒」) postpones the
+ * next reminder; any other reply text becomes a comment on that task.
+ * @param {object} params - same shape as handleCuibanCommand, plus parentMessageId
+ * @returns {Promise<boolean>} true if the replied-to message belongs to a task
+ */
+async function handleTaskReply({ parentMessageId, text, user, senderId, openId, chatId, messageId }) {
+  const taskId = await reminderService.findTaskByMessage(parentMessageId);
+  if (!taskId) return false;
+  const task = await reminderService.getTask(taskId);
+  const effectiveSenderId = user?.feishu_user_id || senderId;
+  const until = reminderService.parseSnooze(snoozeDuration(text), new Date(), user?.timezone);
+  if (until && task && (await reminderService.findTaskAssignee(task, openId, effectiveSenderId))) {
+    return snoozeAndReply(task, until, { user, effectiveSenderId, openId, chatId, messageId });
+  }
+  return commentAndReply(task, text, { user, effectiveSenderId, openId, chatId, messageId });
+}
+
+// ── snooze & deadline extensions ────────────────────────────────────────────
+
+/** Reminder / deadline time as shown in chat, in the sender's timezone */
+function formatTime(d, user) {
+  return formatDateTime(d, user?.timezone, { withTime: true });
+}
+
+/** The duration in a snooze phrase: 「推迟到明天」「明天再做」「2小时后提醒」 → 明天 / 2小时 */
+function snoozeDuration(text) {
+  const match = text.trim().match(/^(?:\/snooze|推迟|延后)?\s*(?:到\s*)?(.*?)\s*后?再?(?:做|处理|提醒|说)?吧?$/i);
+  return match ? match[1] : '';
+}
+
+/**
+ * The task an assignee command points at: a 我的任务 list number, a #ID, the task DM being
+ * replied to, or — when none is given — the sender's only open task.
+ * @returns {Promise<{task?: object, error?: string}>}
+ */
+async function resolveAssigneeTask(ref, { effectiveSenderId, openId, parentMessageId, example }) {
+  if (ref && !ref.startsWith('#')) {
+    const tasks = await reminderService.getUserPendingTasks(effectiveSenderId, openId);
+    const task = tasks[parseInt(ref, 10) - 1];
+    return task ? { task } : { error: `❌ 没有第 ${ref} 个待办任务，发送「我的任务」查看列表` };
+  }
+  const taskId = ref
+    ? parseInt(ref.slice(1), 10)
+    : await reminderService.findTaskByMessage(parentMessageId);
+  if (taskId) {
+    const task = await reminderService.getTask(taskId);
+    if (task && (await reminderService.findTaskAssignee(task, openId, effectiveSenderId))) return { task };
+    return { error: `❌ 找不到分配给你的任务 #${taskId}` };
+  }
+  const tasks = await reminderService.getUserPendingTasks(effectiveSenderId, openId);
+  if (tasks.length === 1) return { task: tasks[0] };
+  return tasks.length
+    ? { error: `📝 你有 ${tasks.length} 个待办，请指定序号，例：${example}\n发送「我的任务」查看序号` }
+    : { error: '🎉 你目前没有待办的催办任务！' };
+}
+
+/**
+ * Postpone the next reminder of one of the sender's tasks and reply with when it is due.
+ * @returns {Promise<boolean>} always true (the command was handled)
+ */
+async function snoozeAndReply(task, until, { user, effectiveSenderId, openId, chatId, messageId }) {
+  const invalid = reminderService.validateSnooze(task, until);
+  if (invalid) {
+    await replyToChat(chatId, messageId, `⚠️ ${invalid}`);
+    return true;
+  }
+  const snoozed = await reminderService.snoozeTask(task.id, until, { userId: effectiveSenderId || openId });
+  if (!snoozed) {
+    await replyToChat(chatId, messageId, `⚠️ 任务「${task.title}」状态已变化，请重新查看后再试`);
+    return true;
+  }
+  const next = reminderService.nextReminderAt(snoozed);
+  let reply = `😴 已推迟「${task.title}」的提醒\n⏰ 下次提醒：${formatTime(next, user)}`;
+  if (snoozed.deadline && new Date(snoozed.deadline) < next) {
+    reply += `\n\n⚠️ 截止时间（${formatTime(snoozed.deadline, user)}）早于下次提醒，需要更多时间请发送「申请延期 #${task.id} 日期 原因」`;
+  }
+  await replyToChat(chatId, messageId, reply);
+  return true;
+}
+
+/**
+ * Handle 推迟 / 延期 commands:
+ *   /snooze [N] 4h | 推迟 [N] 4小时 | 推迟到明天  — postpone the next reminder (assignee)
+ *   /extend [N] YYYY-MM-DD [HH:mm] [原因] | 申请延期 … — ask the reporter for a later deadline
+ *   同意延期 #ID | 拒绝延期 #ID [原因]              — the reporter's answer
+ * Without N the task DM being replied to (or the sender's only open task) is used.
+ */
+async function handleDeferCommand({ text, user, resolved, effectiveSenderId, openId, chatId, messageId, parentMessageId }) {
+  const trimmed = text.trim();
+  const decisionMatch = trimmed.match(/^(同意|拒绝)延期\s*#(\d+)\s*([\s\S]*)$/);
+  const extendMatch = trimmed.match(
+    /^(?:\/extend|申请延期)\s*(#?\d+(?=\s))?\s*(?:到\s*)?(\d{4}-\d{2}-\d{2}(?:\s+\d{1,2}:\d{2}(?!\d))?)?\s*([\s\S]*)$/i
+  );
+  const snoozeMatch = trimmed.match(/^(?:\/snooze|推迟|延后)\s*(#?\d+(?=\s))?\s*([\s\S]*)$/i);
+  const until = snoozeMatch && reminderService.parseSnooze(snoozeDuration(snoozeMatch[2]), new Date(), user?.timezone);
+
+  if (!decisionMatch && !(extendMatch && extendMatch[2]) && !until) {
+    await replyToChat(
+      chatId,
+      messageId,
+      '📝 推迟与延期命令：\n' +
+      `推迟 [N] 4小时 / 推迟到明天 — 推迟下一次提醒（最多 ${reminderService.MAX_SNOOZE_HOURS / 24} 天）\n` +
+      '申请延期 [N] 2026-03-08 [18:00] [原因] — 向报告人申请延长截止日期\n' +
+      '同意延期 #任务ID / 拒绝延期 #任务ID [原因] — 报告人审批延期申请\n' +
+      '也可以直接回复任务提醒「明天再做」来推迟'
+    );
+    return true;
+  }
+  if (decisionMatch ? !resolved.cuiban_create : !resolved.cuiban_complete) {
+    await replyToChat(chatId, messageId, decisionMatch
+      ? '🚫 你没有审批延期的权限，请联系管理员'
+      : '🚫 你没有更新任务的权限，请联系管理员');
+    return true;
+  }
+  if (!effectiveSenderId && !openId) {
+    await replyToChat(chatId, messageId, '⚠️ 无法识别你的飞书用户 ID，请联系管理员');
+    return true;
+  }
+  const actorName = user?.name || user?.email || null;
+
+  if (decisionMatch) {
+    const task = await reminderService.getTask(parseInt(decisionMatch[2], 10));
+    if (!task || !openId || task.reporter_open_id !== openId) {
+      await replyToChat(chatId, messageId, `❌ 找不到需要你审批的任务 #${decisionMatch[2]}`);
+      return true;
+    }
+    const approve = decisionMatch[1] === '同意';
+    const decided = await reminderService.decideDeadlineExtension(task.id, approve ? 'approve' : 'reject', {
+      userId: effectiveSenderId || openId,
+      actorName,
+      comment: decisionMatch[3].trim() || undefined,
+    });
+    if (!decided) {
+      await replyToChat(chatId, messageId, `⚠️ 任务 #${task.id}「${task.title}」没有待审批的延期申请`);
+      return true;
+    }
+    await replyToChat(chatId, messageId, approve
+      ? `✅ 已同意延期「${task.title}」\n📅 新截止：${formatTime(decided.task.deadline, user)}，已通知执行人`
+      : `🙅 已拒绝「${task.title}」的延期申请，已通知申请人`);
+    return true;
+  }
+
+  const ref = until ? snoozeMatch[1] : extendMatch[1];
+  const { task, error } = await resolveAssigneeTask(ref, {
+    effectiveSenderId, openId, parentMessageId,
+    example: until ? '推迟 2 明天' : '申请延期 2 2026-03-08 原因',
+  });
+  if (error) {
+    await replyToChat(chatId, messageId, error);
+    return true;
+  }
+
+  if (until) return snoozeAndReply(task, until, { user, effectiveSenderId, openId, chatId, messageId });
+
+  const invalid = reminderService.validateExtensionRequest(task, extendMatch[2], new Date(), user?.timezone);
+  if (invalid) {
+    await replyToChat(chatId, messageId, `⚠️ ${invalid}`);
+    return true;
+  }
+  const request = await reminderService.requestDeadlineExtension(task.id, extendMatch[2], {
+    userId: effectiveSenderId || openId,
+    requesterOpenId: openId || null,
+    requesterName: actorName,
+    reason: extendMatch[3].trim() || undefined,
+    timezone: user?.timezone,
+  });
+  await replyToChat(chatId, messageId, request
+    ? `📨 已向报告人申请把「${task.title}」延期到 ${formatDateTime(request.requested_deadline, user?.timezone)}，审批结果会通知你`
+    : `⚠️ 任务「${task.title}」已有待审批的延期申请，请等待报告人处理`);
+  return true;
+}
+
+function digestSettingsText(user) {
+  const mode = user.reminder_mode || 'per_task';
+  const time = user.digest_time || digestService.DEFAULT_DIGEST_TIME;
+  return `⚙️ 提醒方式：${digestService.REMINDER_MODE_LABELS[mode]}` +
+    (mode === 'digest' ? `（每天 ${time}）` : '') +
+    `\n📤 报告汇总：${user.reporter_digest ? `开启（每天 ${time}）` : '关闭'}`;
+}
+
+/**
+ * Handle reminder delivery preferences:
+ *   汇总提醒 [HH:mm] | /digest on [HH:mm]   — one daily digest instead of per-task reminders
+ *   逐条提醒 | /digest off                   — back to per-task reminders
+ *   汇总时间 HH:mm | /digest HH:mm           — when the digest goes out (sender's timezone)
+ *   报告汇总 开|关 | /digest report on|off    — add the open tasks the sender assigned
+ *   提醒设置 | /digest                       — show the current settings
+ */
+async function handleDigestCommand({ text, user, resolved, chatId, messageId }) {
+  if (!resolved.cuiban_view) {
+    await replyToChat(chatId, messageId, '🚫 你没有查看催办任务的权限，请联系管理员');
+    return true;
+  }
+  if (!user?.user_id) {
+    await replyToChat(chatId, messageId, '⚠️ 无法识别你的账号，请联系管理员');
+    return true;
+  }
+
+  const trimmed = text.trim().replace(/：/g, ':');
+  const timeMatch = trimmed.match(/(\d{1,2}:\d{2})$/);
+  const updates = {};
+  if (/^(汇总提醒|\/digest\s+on(\s|$))/i.test(trimmed)) updates.reminderMode = 'digest';
+  else if (/^(逐条提醒|\/digest\s+off$)/i.test(trimmed)) updates.reminderMode = 'per_task';
+  const reportMatch = trimmed.match(/^(?:报告汇总\s*(开启|关闭|开|关)|\/digest\s+report\s+(on|off))$/i);
+  if (reportMatch) updates.reporterDigest = ['开', '开启', 'on'].includes((reportMatch[1] || reportMatch[2]).toLowerCase());
+  if (timeMatch && !reportMatch) {
+    const time = digestService.normalizeDigestTime(timeMatch[1]);
+    if (!time) {
+      await replyToChat(chatId, messageId, `❌ 无效的时间：${timeMatch[1]}，请使用 HH:mm，例如「汇总时间 08:30」`);
+      return true;
+    }
+    updates.digestTime = time;
+  }
+
+  if (!Object.keys(updates).length) {
+    await replyToChat(
+      chatId,
+      messageId,
+      `${digestSettingsText(user)}\n\n` +
+      '📝 提醒设置命令：\n' +
+      '汇总提醒 [HH:mm] — 每天定时收到一条待办汇总，代替逐条提醒\n' +
+      '逐条提醒 — 每个任务单独提醒\n' +
+      '汇总时间 HH:mm — 修改汇总发送时间（按你的时区）\n' +
+      '报告汇总 开 / 关 — 汇总中附带你派出的未完成任务'
+    );
+    return true;
+  }
+
+  const updated = await usersDb.updateProfile(user.user_id, updates);
+  await replyToChat(chatId, messageId, `✅ 已更新\n${digestSettingsText(updated)}`);
+  return true;
+}
+
+// ── task creation & group board ─────────────────────────────────────────────
+
+const ADD_USAGE = '/add 任务名称 用户邮箱 [截止日期 [HH:mm]]';
+const ADD_EXAMPLE = '/add 提交周报 zhangsan@company.com 2026-03-01 18:00';
+
+/** The user a /add target (email, feishu user id or name) refers to, or { error } */
+async function findAddTarget(target) {
+  let targetUser = null;
+  if (target.includes('@')) {
+    targetUser = await usersDb.findByEmail(target);
+  }
+  if (!targetUser) {
+    targetUser = await usersDb.findByFeishuUserId(target);
+  }
+  if (!targetUser) {
+    const nameMatches = await usersDb.searchByName(target, 5);
+    if (nameMatches.length === 1) {
+      targetUser = nameMatches[0];
+    } else if (nameMatches.length > 1) {
+      const list = nameMatches.slice(0, 5).map((u) => `• ${u.name}`).join('\n');
+      return { error: `⚠️ 找到多个名字相似的用户，请用邮箱指定：\n\n${list}` };
+    }
+  }
+  if (!targetUser || (!targetUser.feishu_user_id && !targetUser.open_id)) {
+    return { error: `❌ 找不到用户「${target}」\n支持邮箱、姓名搜索。请先让对方发送一条飞书消息完成注册。` };
+  }
+  return { user: targetUser };
+}
+
+/**
+ * /add 任务名称 用户邮箱 [截止日期 [HH:mm]]
+ * In a group chat the assignees can be @mentioned instead (several → co-assignees); without
+ * a mention the group's default tag picks the assignee by workload. Tasks created in a group
+ * show up on its board (「群任务」).
+ * @returns {Promise<boolean>} always true (the command was handled)
+ */
+async function handleCreateCommand({ text, user, senderId, openId, chatId, messageId, group, mentions = [] }) {
+  const mentionKeys = new Set(mentions.map(m => m.key));
+  const defaultTag = group?.default_tag || null;
+  // Who gets the task: @mentions, else the group's tag, else a target named in the command
+  const needsTarget = !mentions.length && !defaultTag;
+  const usage = group
+    ? '📝 群里创建任务：\n/add 任务名称 @执行人 [截止日期 [HH:mm]]\n\n示例：\n/add 提交周报 @张三 2026-03-01 18:00' +
+      (defaultTag ? `\n\n不 @ 任何人时，任务分配给标签「${defaultTag}」中工作量最少的成员` : '')
+    : `📝 创建任务格式：\n${ADD_USAGE}\n\n示例：\n${ADD_EXAMPLE}`;
+
+  const addMatch = text.trim().match(/^\/add\s+(.+)$/i);
+  if (!addMatch) {
+    await replyToChat(chatId, messageId, usage);
+    return true;
+  }
+
+  const parts = addMatch[1].trim().split(/\s+/).filter(p => !mentionKeys.has(p));
+  const minParts = needsTarget ? 2 : 1;
+  if (parts.length < minParts) {
+    await replyToChat(chatId, messageId, group ? usage : `📝 格式：${ADD_USAGE}\n示例：${ADD_EXAMPLE}`);
+    return true;
+  }
+
+  // Optional deadline (and time of day, read in the sender's timezone) at the end
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const timePattern = /^\d{1,2}:\d{2}$/;
+  if (parts.length >= minParts + 2 && timePattern.test(parts[parts.length - 1]) && datePattern.test(parts[parts.length - 2])) {
+    const time = parts.pop();
+    parts[parts.length - 1] += ` ${time}`;
+  }
+  const deadline = parts.length >= minParts + 1 && /^\d{4}-\d{2}-\d{2}( \d{1,2}:\d{2})?$/.test(parts[parts.length - 1])
+    ? parts.pop()
+    : undefined;
+  const target = needsTarget ? parts.pop() : null;
+  const taskName = parts.join(' ');
+
+  if (!taskName) {
+    await replyToChat(chatId, messageId, '❌ 任务名称不能为空');
+    return true;
+  }
+
+  let assignees = [];
+  if (mentions.length) {
+    // Mentioned people need not have messaged the bot yet
+    for (const m of mentions) {
+      const mentioned = await usersDb.autoProvision({ openId: m.openId, name: m.name, feishuUserId: m.userId });
+      if (mentioned) assignees.push(mentioned);
+    }
+  } else if (target) {
+    const found = await findAddTarget(target);
+    if (found.error) {
+      await replyToChat(chatId, messageId, found.error);
+      return true;
+    }
+    assignees = [found.user];
+  }
+
+  const [primary, ...others] = assignees;
+  let created;
+  try {
+    created = await reminderService.createTask({
+      title: taskName,
+      ...(primary && {
+        assigneeId: primary.feishu_user_id || primary.open_id,
+        assigneeOpenId: primary.open_id || null,
+        assigneeName: primary.name || null,
+      }),
+      coAssignees: others.map(u => ({
+        assigneeId: u.feishu_user_id || u.open_id, assigneeOpenId: u.open_id || null, assigneeName: u.name || null,
+      })),
+      targetTag: defaultTag || undefined,
+      deadline,
+      creatorId: senderId,
+      reporterOpenId: openId || null,
+      timezone: user?.timezone,
+      sourceChatId: group ? chatId : undefined,
+    });
+  } catch (err) {
+    // No one in the group's tag, or an invalid deadline
+    await replyToChat(chatId, messageId, `❌ ${err.message}`);
+    return true;
+  }
+
+  const deadlineStr = deadline
+    ? formatDateTime(created.deadline, user?.timezone)
+    : `默认 ${reminderService.DEFAULT_DEADLINE_DAYS} 天`;
+  const targetLabel = assignees.length
+    ? assignees.map(u => u.name || u.email || u.open_id).join('、')
+    : `${created.assignee_name || created.assignee_open_id}（标签「${defaultTag}」）`;
+  await replyToChat(
+    chatId,
+    messageId,
+    `✅ 任务已创建！（#${created.id}）\n📋 ${taskName}\n👤 → ${targetLabel}\n📅 截止：${deadlineStr}\n\n` +
+    `如需取消：/cancel ${created.id}`
+  );
+  return true;
+}
+
+/**
+ * 群任务 | /group — the group chat's open tasks (created in the group or of its default tag)
+ * @returns {Promise<boolean>} always true (the command was handled)
+ */
+async function handleGroupBoardCommand({ user, group, chatId, messageId }) {
+  if (!group) {
+    await replyToChat(chatId, messageId, '⚠️ 「群任务」只能在群聊中使用，私聊请发送「我的任务」');
+    return true;
+  }
+  const tasks = await reminderService.getGroupTasks(group.chat_id, group.default_tag);
+  if (!tasks.length) {
+    await replyToChat(chatId, messageId, '🎉 本群目前没有未完成的催办任务！\n\n@我 并发送「/add 任务名称 @执行人」创建任务');
+    return true;
+  }
+
+  const now = new Date();
+  let msg = `📋 本群未完成任务（${tasks.length} 项）：\n\n`;
+  for (const t of tasks) {
+    const deadlineStr = t.deadline ? formatDateTime(t.deadline, user?.timezone) : '无截止日期';
+    const overdueTag = t.deadline && new Date(t.deadline) < now ? ' ⚠️逾期' : '';
+    const who = t.assignee_name || t.assignee_open_id || '未指定';
+    const share = t.assignee_count > 1 ? `（${t.assignees_done}/${t.assignee_count} 人已完成）` : '';
+    msg += `#${t.id} ${priorityBadge(t.priority)} ${t.title}${statusTag(t.status)}\n   👤 ${who}${share}  📅 ${deadlineStr}${overdueTag}\n`;
+  }
+  await replyToChat(chatId, messageId, msg.trimEnd());
+  return true;
+}
+
 // ── main handler ────────────────────────────────────────────────────────────
 
 /**
  * Main cuiban command handler.
  * @param {object} params
- * @param {string} params.intent - 'cuiban_view' | 'cuiban_complete' | 'cuiban_create'
+ * @param {string} params.intent - 'cuiban_view' | 'cuiban_complete' | 'cuiban_create' | 'cuiban_status' | 'cuiban_comment' | 'cuiban_defer' | 'cuiban_digest' | 'cuiban_group'
  * @param {string} params.text - Raw message text
  * @param {object} params.user - User record (with resolvedFeatures)
  * @param {string} params.senderId - Feishu user_id (may be null)
@@ -95,9 +801,12 @@ async function handleSessionSelect({ sessionKey, messageText, user, senderId, ch
  * @param {string} params.chatId - Chat ID
  * @param {string} params.messageId - Message ID (for thread reply)
  * @param {string} params.sessionKey - Session key (openId || senderId)
+ * @param {string} [params.parentMessageId] - Message being replied to (task DM → default task)
+ * @param {object} [params.group] - group_chats row when the message came from a group chat
+ * @param {object[]} [params.mentions] - people @mentioned besides the bot (see groupChat.parseGroupMessage)
  * @returns {Promise<boolean>} true if handled
  */
-async function handleCuibanCommand({ intent, text, user, senderId, openId, chatId, messageId, sessionKey }) {
+async function handleCuibanCommand({ intent, text, user, senderId, openId, chatId, messageId, sessionKey, parentMessageId, group = null, mentions = [], resources = [] }) {
   const resolved = user?.resolvedFeatures || resolveFeatures(user || { role: 'user', configs: {} });
 
   // Tasks are indexed by feishu_user_id (on_xxx), NOT user_id (which may be an email).
@@ -124,14 +833,23 @@ async function handleCuibanCommand({ intent, text, user, senderId, openId, chatI
 
     let msg = `📋 你的待办任务（${tasks.length} 项）：\n\n`;
     tasks.forEach((t, i) => {
-      const deadlineStr = t.deadline
-        ? new Date(t.deadline).toLocaleDateString('zh-CN', { month: 'long', day: 'numeric' })
-        : '无截止日期';
+      const deadlineStr = t.deadline ? formatDateTime(t.deadline, user?.timezone) : '无截止日期';
       const isOverdue = t.deadline && new Date(t.deadline) < new Date();
       const overdueTag = isOverdue ? ' ⚠️逾期' : '';
-      msg += `${i + 1}. ${priorityBadge(t.priority)} ${t.title}\n   📅 ${deadlineStr}${overdueTag}\n`;
+      msg += `${i + 1}. ${priorityBadge(t.priority)} ${t.title}${statusTag(t.status)}\n   📅 ${deadlineStr}${overdueTag}\n`;
+      if (t.status === 'blocked' && t.blocked_reason) msg += `   🚧 ${t.blocked_reason}\n`;
+      if (t.assignee_count > 1) {
+        const modeLabel = reminderService.COMPLETION_MODE_LABELS[t.completion_mode] || '';
+        msg += `   👥 ${t.assignees_done}/${t.assignee_count} 人已完成（${modeLabel}）\n`;
+      }
+      if (t.checklist_total > 0) msg += `   ☑️ 清单 ${t.checklist_done}/${t.checklist_total}\n`;
+      if (t.waiting_on?.length) {
+        msg += `   ⏳ 等待前置任务：${t.waiting_on.map(b => `#${b.id}「${b.title}」`).join('、')}\n`;
+      }
     });
     msg += '\n发送「完成 N」标记对应任务完成';
+    if (tasks.some(t => t.checklist_total > 0)) msg += '\n发送「完成 N.M」勾选第 N 个任务的第 M 项清单';
+    msg += '\n发送「开始 N」「阻塞 N 原因」「解除阻塞 N」更新进度';
     await replyToChat(chatId, messageId, msg);
     return true;
   }
@@ -158,7 +876,10 @@ async function handleCuibanCommand({ intent, text, user, senderId, openId, chatI
 
     const urlMatch = arg.match(/(https?:\/\/[^\s]+)/);
     const proof = urlMatch?.[1] || '';
-    const cleanArg = arg.replace(/(https?:\/\/[^\s]+)/g, '').trim();
+    // 「完成 2 强制」/「完成 2 --force」 skips the checklist guard
+    const forcePattern = /(^|\s)(强制|--force)(?=\s|$)/i;
+    const force = forcePattern.test(arg);
+    const cleanArg = arg.replace(/(https?:\/\/[^\s]+)/g, '').replace(forcePattern, ' ').trim();
 
     if (!effectiveSenderId) {
       await replyToChat(chatId, messageId, '⚠️ 无法识别你的飞书用户 ID，请联系管理员');
@@ -172,6 +893,29 @@ async function handleCuibanCommand({ intent, text, user, senderId, openId, chatI
       return true;
     }
 
+    // 「完成 2.3」 ticks item 3 of the 2nd task in the list
+    const itemMatch = cleanArg.match(/^(\d+)[.．](\d+)$/);
+    if (itemMatch) {
+      const task = tasks[parseInt(itemMatch[1], 10) - 1];
+      if (!task) {
+        await replyToChat(chatId, messageId, `❌ 没有第 ${itemMatch[1]} 个待办任务，发送「我的任务」查看列表`);
+        return true;
+      }
+      const position = parseInt(itemMatch[2], 10);
+      const result = await reminderService.setChecklistItem(task.id, position, true, {
+        userId: effectiveSenderId,
+        actorName: user?.name || user?.email || null,
+      });
+      if (!result) {
+        await replyToChat(chatId, messageId, `❌ 任务「${task.title}」没有第 ${position} 项清单`);
+        return true;
+      }
+      let reply = `☑️ 已勾选「${task.title}」第 ${position} 项：${result.item.title}\n📊 清单进度：${result.done}/${result.total}`;
+      if (result.requiredLeft === 0) reply += `\n\n必做项已全部完成，发送「完成 ${itemMatch[1]}」完成任务`;
+      await replyToChat(chatId, messageId, reply);
+      return true;
+    }
+
     let targetTask = null;
 
     if (/^\d+$/.test(cleanArg)) {
@@ -192,24 +936,19 @@ async function handleCuibanCommand({ intent, text, user, senderId, openId, chatI
       targetTask = tasks[0];
     }
 
+    // Images / files in the same (post) message are proof too
+    const attachments = resources.map(r => ({ ...r, messageId }));
+
     if (targetTask) {
-      await completeTaskAndReply(targetTask, proof, user, effectiveSenderId, chatId, messageId);
+      await completeTaskAndReply(targetTask, proof, user, effectiveSenderId, chatId, messageId, { force, attachments });
       return true;
     }
 
     // Multiple tasks — ask user to choose
-    let msg = `你有 ${tasks.length} 个待办任务，请回复编号选择：\n\n`;
-    tasks.forEach((t, i) => {
-      msg += `${i + 1}. ${t.title}\n`;
+    await promptCompleteSelect({
+      tasks, intro: `你有 ${tasks.length} 个待办任务，请回复编号选择：`,
+      sessionKey, chatId, messageId, proof, force, attachments,
     });
-    msg += '\n（回复数字选择，如「1」）';
-
-    // Store only id + title to avoid bloating the session table.
-    // completeTaskAndReply() only reads task.id and task.title, so this is safe.
-    // If you ever add more fields to that function, update this shape too.
-    const taskSummaries = tasks.map(t => ({ id: t.id, title: t.title }));
-    await sessions.set(sessionKey, { tasks: taskSummaries, proof, step: 'complete_select', chatId, messageId });
-    await replyToChat(chatId, messageId, msg);
     return true;
   }
 
@@ -219,91 +958,36 @@ async function handleCuibanCommand({ intent, text, user, senderId, openId, chatI
       await replyToChat(chatId, messageId, '🚫 你没有创建催办任务的权限，请联系管理员');
       return true;
     }
+    return handleCreateCommand({ text, user, senderId, openId, chatId, messageId, group, mentions });
+  }
 
-    const addMatch = text.trim().match(/^\/add\s+(.+)$/i);
-    if (!addMatch) {
-      await replyToChat(
-        chatId,
-        messageId,
-        '📝 创建任务格式：\n/add 任务名称 用户邮箱 [截止日期]\n\n示例：\n/add 提交周报 zhangsan@company.com 2026-03-01'
-      );
-      return true;
-    }
-
-    const parts = addMatch[1].trim().split(/\s+/);
-    if (parts.length < 2) {
-      await replyToChat(
-        chatId,
-        messageId,
-        '📝 格式：/add 任务名称 用户邮箱 [截止日期]\n示例：/add 提交周报 zhangsan@company.com 2026-03-01'
-      );
-      return true;
-    }
-
-    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
-    let taskName, target, deadline;
-
-    if (parts.length >= 3 && datePattern.test(parts[parts.length - 1])) {
-      deadline = parts[parts.length - 1];
-      target = parts[parts.length - 2];
-      taskName = parts.slice(0, parts.length - 2).join(' ');
-    } else {
-      target = parts[parts.length - 1];
-      taskName = parts.slice(0, parts.length - 1).join(' ');
-    }
-
-    if (!taskName) {
-      await replyToChat(chatId, messageId, '❌ 任务名称不能为空');
+  // ── 本群任务 ──────────────────────────────────────────────────────────────
+  if (intent === 'cuiban_group') {
+    if (!resolved.cuiban_view) {
+      await replyToChat(chatId, messageId, '🚫 你没有查看催办任务的权限，请联系管理员');
       return true;
     }
+    return handleGroupBoardCommand({ user, group, chatId, messageId });
+  }
 
-    let targetUser = null;
-    if (target.includes('@')) {
-      targetUser = await usersDb.findByEmail(target);
-    }
-    if (!targetUser) {
-      targetUser = await usersDb.findByFeishuUserId(target);
-    }
-    if (!targetUser) {
-      const nameMatches = await usersDb.searchByName(target, 5);
-      if (nameMatches.length === 1) {
-        targetUser = nameMatches[0];
-      } else if (nameMatches.length > 1) {
-        const list = nameMatches.slice(0, 5).map((u) => `• ${u.name}`).join('\n');
-        await replyToChat(chatId, messageId,
-          `⚠️ 找到多个名字相似的用户，请用邮箱指定：\n\n${list}`
-        );
-        return true;
-      }
-    }
+  // ── 变更任务状态 ──────────────────────────────────────────────────────────
+  if (intent === 'cuiban_status') {
+    return handleStatusCommand({ text, user, resolved, effectiveSenderId, openId, chatId, messageId });
+  }
 
-    if (!targetUser || (!targetUser.feishu_user_id && !targetUser.open_id)) {
-      await replyToChat(
-        chatId,
-        messageId,
-        `❌ 找不到用户「${target}」\n支持邮箱、姓名搜索。请先让对方发送一条飞书消息完成注册。`
-      );
-      return true;
-    }
+  // ── 评论 ──────────────────────────────────────────────────────────────────
+  if (intent === 'cuiban_comment') {
+    return handleCommentCommand({ text, user, effectiveSenderId, openId, chatId, messageId });
+  }
 
-    await reminderService.createTask({
-      title: taskName,
-      assigneeId: targetUser.feishu_user_id || targetUser.open_id,
-      assigneeOpenId: targetUser.open_id || null,
-      assigneeName: targetUser.name || null,
-      deadline,
-      creatorId: senderId,
-      reporterOpenId: openId || null,
-    });
+  // ── 推迟提醒 / 申请延期 ───────────────────────────────────────────────────
+  if (intent === 'cuiban_defer') {
+    return handleDeferCommand({ text, user, resolved, effectiveSenderId, openId, chatId, messageId, parentMessageId });
+  }
 
-    const deadlineStr = deadline || `默认 ${reminderService.DEFAULT_DEADLINE_DAYS} 天`;
-    const targetLabel = targetUser.name || targetUser.email || target;
-    await replyToChat(
-      chatId,
-      messageId,
-      `✅ 任务已创建！\n📋 ${taskName}\n👤 → ${targetLabel}\n📅 截止：${deadlineStr}`
-    );
-    return true;
+  // ── 提醒方式（逐条 / 每日汇总）──────────────────────────────────────────
+  if (intent === 'cuiban_digest') {
+    return handleDigestCommand({ text, user, resolved, chatId, messageId });
   }
 
   return false;
@@ -312,6 +996,8 @@ async function handleCuibanCommand({ intent, text, user, senderId, openId, chatI
 module.exports = {
   handleCuibanCommand,
   handleSessionSelect,
+  handleProofUpload,
+  handleTaskReply,
   completeTaskAndReply,
   replyToChat,
 };
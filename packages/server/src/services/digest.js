@@ -0,0 +1,151 @@
+/**
+ * Daily digest
+ *
+ * Instead of one DM per task per reminder interval, a user may take one message a day at a
+ * time of their choosing (users.reminder_mode = 'digest', users.digest_time in their
+ * timezone) listing every open task they are assigned, most urgent first. Reporters can add
+ * the open tasks they assigned to others (users.reporter_digest) to the same message.
+ *
+ * The reminder cron in index.js calls sendDailyDigests() every run; a digest goes out on the
+ * first run at or after the chosen time on a working day (see workCalendar), and
+ * users.last_digest_on makes sure it goes out once. The day is claimed and the digest queued
+ * in the outbox (services/outbox) in one transaction, so a digest that cannot be queued is
+ * tried again on the next run, and a failed send is retried by the outbox.
+ * sendPendingReminders leaves digest users out of interval reminders and reporter follow-ups.
+ */
+const pool = require('../db/pool');
+const usersDb = require('../db/users');
+const logger = require('../utils/logger');
+const outbox = require('./outbox');
+const reminderService = require('./reminder');
+const workCalendar = require('./workCalendar');
+const { formatDateTime, zonedParts, zonedDateString, parseTimeOfDay, resolveTimezone } = require('../utils/timezone');
+
+const REMINDER_MODES = ['per_task', 'digest'];
+const REMINDER_MODE_LABELS = { per_task: '逐条提醒', digest: '每日汇总' };
+const DEFAULT_DIGEST_TIME = '09:00';
+
+const PRIORITY_RANK = { p0: 0, p1: 1, p2: 2 };
+const WEEKDAYS = ['日', '一', '二', '三', '四', '五', '六'];
+
+/** 'H:mm' → 'HH:mm', or null when not a time of day */
+function normalizeDigestTime(value) {
+  const t = parseTimeOfDay(value);
+  return t ? `${String(t.hour).padStart(2, '0')}:${String(t.minute).padStart(2, '0')}` : null;
+}
+
+/** Most urgent first: priority, then deadline (none last), then oldest */
+function sortForDigest(tasks) {
+  return [...tasks].sort((a, b) =>
+    (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1)
+    || (a.deadline ? new Date(a.deadline).getTime() : Infinity) - (b.deadline ? new Date(b.deadline).getTime() : Infinity)
+    || new Date(a.created_at) - new Date(b.created_at));
+}
+
+function taskLines(task, tz, now, extra = '') {
+  const overdue = task.deadline && new Date(task.deadline) < now;
+  const deadline = task.deadline ? formatDateTime(task.deadline, tz, { withTime: true }) : '无截止日期';
+  let status = '';
+  if (task.status === 'blocked') status = ' 🚧阻塞';
+  else if (task.status === 'in_progress') status = ' ▶️进行中';
+  else if (task.status === 'awaiting_review') status = ' 🔍待验收';
+  else if (task.waiting_on_dependencies) status = ' ⏳等待前置任务';
+  return `${overdue ? '🔺 ' : ''}${reminderService.priorityBadge(task.priority)} 「${task.title}」 #${task.id}${extra}${status}\n` +
+    `   📅 ${deadline}${overdue ? '（已逾期）' : ''}\n`;
+}
+
+/**
+ * The digest text for one user, or null when there is nothing to list.
+ * @param {{assigned: object[], reported: object[]}} tasks
+ * @param {string} tz - the user's timezone
+ * @param {Date} now
+ */
+function buildDigest({ assigned = [], reported = [] }, tz, now = new Date()) {
+  if (!assigned.length && !reported.length) return null;
+  const p = zonedParts(now, tz);
+  let msg = `📰 每日催办汇总（${p.month}/${p.day} 周${WEEKDAYS[new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay()]}）\n`;
+
+  if (assigned.length) {
+    const overdue = assigned.filter(t => t.deadline && new Date(t.deadline) < now).length;
+    msg += `\n📋 你的待办（${assigned.length} 项${overdue ? `，${overdue} 项已逾期` : ''}）：\n`;
+    for (const t of sortForDigest(assigned)) msg += taskLines(t, tz, now);
+  }
+  if (reported.length) {
+    const review = reported.filter(t => t.status === 'awaiting_review').length;
+    msg += `\n📤 你派出的未完成任务（${reported.length} 项${review ? `，${review} 项待你验收` : ''}）：\n`;
+    for (const t of sortForDigest(reported)) {
+      const who = t.assignee_name || t.assignee_open_id;
+      const share = t.assignee_count > 1 ? `（${t.assignees_done}/${t.assignee_count} 人已完成）` : '';
+      msg += taskLines(t, tz, now, who ? ` → ${who}${share}` : share);
+    }
+  }
+
+  if (assigned.length) msg += '\n发送「我的任务」查看编号，「完成 N」标记完成';
+  msg += '\n发送「逐条提醒」切换回每个任务单独提醒';
+  return msg;
+}
+
+// ── Cron ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Queue the digests that are due. Called by the reminder cron in index.js.
+ * @returns {Promise<number>} number of digests queued
+ */
+async function sendDailyDigests(now = new Date()) {
+  const recipients = await usersDb.listDigestRecipients();
+  if (!recipients.length) return 0;
+  const calendar = await workCalendar.loadCalendar();
+
+  let sent = 0;
+  for (const user of recipients) {
+    const tz = resolveTimezone(user.timezone);
+    const at = parseTimeOfDay(user.digest_time) || parseTimeOfDay(DEFAULT_DIGEST_TIME);
+    const local = zonedParts(now, tz);
+    if (local.hour * 60 + local.minute < at.hour * 60 + at.minute) continue;
+    if (!workCalendar.isWorkingDay(now, tz, calendar)) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (!await usersDb.claimDigest(user.open_id, zonedDateString(now, tz), client)) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+      const [assigned, reported] = await Promise.all([
+        user.reminder_mode === 'digest'
+          ? reminderService.getUserPendingTasks(user.feishu_user_id, user.open_id)
+          : [],
+        user.reporter_digest ? reminderService.getOpenReportedTasks(user.open_id) : [],
+      ]);
+      const msg = buildDigest({ assigned, reported }, tz, now);
+      if (msg) await outbox.enqueue({ receiveId: user.open_id, content: msg }, client);
+      await client.query('COMMIT');
+      if (!msg) continue;
+      sent++;
+      logger.info('Daily digest queued', { openId: user.open_id, assigned: assigned.length, reported: reported.length });
+    } catch (err) {
+      await client.query('ROLLBACK').catch((rollbackErr) => {
+        logger.error('Rollback failed', { error: rollbackErr.message });
+      });
+      logger.warn('Daily digest failed', { openId: user.open_id, error: err.message });
+    } finally {
+      client.release();
+    }
+  }
+
+  if (sent) {
+    outbox.deliverSoon();
+    logger.info(`📰 Daily digest: ${sent} digest(s) queued`);
+  }
+  return sent;
+}
+
+module.exports = {
+  REMINDER_MODES,
+  REMINDER_MODE_LABELS,
+  DEFAULT_DIGEST_TIME,
+  normalizeDigestTime,
+  sortForDigest,
+  buildDigest,
+  sendDailyDigests,
+};
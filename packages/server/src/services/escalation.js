@@ -0,0 +1,272 @@
+/**
+ * Escalation chains for overdue tasks
+ *
+ * The reminder cron sends one overdue alert and then the usual interval reminders; an
+ * escalation policy adds steps on top of that, each firing once per task when the task has
+ * been overdue for long enough:
+ *
+ *   { afterHours: 24,  target: 'reporter' }
+ *   { afterHours: 72,  target: 'manager' }               → users.manager_open_id of the assignee
+ *   { afterHours: 72,  target: 'user', openId: 'ou_x' }  → a named admin
+ *   { afterHours: 120, target: 'chat', chatId: 'oc_x' }  → a Feishu group chat
+ *
+ * A policy applies by priority and/or tag (the task's target_tag or one of the primary
+ * assignee's user tags); when several match, the most specific one wins — priority + tag,
+ * then tag, then priority, then a catch-all — and ties go to the oldest. Fired steps are
+ * recorded in task_escalations by stepKey() — what the step is, not its position, so editing
+ * a policy in use does not re-fire or skip steps — which doubles as the claim between
+ * concurrent cron runs. A new deadline or a reopen clears them and the chain starts over.
+ * The step is claimed and its message queued in the outbox (services/outbox) in one transaction,
+ * so a step whose message cannot be queued fires again on the next run, and a failed send is
+ * retried by the outbox. Steps addressed to a person wait out their quiet time like reminders do.
+ */
+const pool = require('../db/pool');
+const { audit } = require('../db');
+const escalationPoliciesDb = require('../db/escalationPolicies');
+const usersDb = require('../db/users');
+const logger = require('../utils/logger');
+const outbox = require('./outbox');
+const reminderService = require('./reminder');
+const workCalendar = require('./workCalendar');
+const { formatDateTime, resolveTimezone, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+const STEP_TARGETS = ['reporter', 'manager', 'user', 'chat'];
+const STEP_TARGET_LABELS = { reporter: '报告对象', manager: '执行人的主管', user: '指定人员', chat: '群聊' };
+const MAX_STEPS = 10;
+const PRIORITIES = ['p0', 'p1', 'p2'];
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate policy fields from the API. With `partial`, missing fields are left alone (PATCH).
+ * @returns {string|null} error message, or null when valid
+ */
+function validatePolicy({ name, priority, targetTag, steps, enabled } = {}, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  }
+  if (priority != null && priority !== '' && !PRIORITIES.includes(priority)) {
+    return `Invalid priority: ${priority}. Must be p0, p1, or p2`;
+  }
+  if (targetTag != null && typeof targetTag !== 'string') return 'targetTag must be a string';
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+  if (!partial || steps !== undefined) {
+    if (!Array.isArray(steps) || !steps.length) return 'steps must be a non-empty list';
+    if (steps.length > MAX_STEPS) return `At most ${MAX_STEPS} steps`;
+    for (const [i, step] of steps.entries()) {
+      const where = `steps[${i}]`;
+      if (!step || typeof step !== 'object') return `${where} must be an object`;
+      if (typeof step.afterHours !== 'number' || !(step.afterHours > 0) || step.afterHours > 24 * 365) {
+        return `${where}.afterHours must be a number of hours after the deadline (> 0)`;
+      }
+      if (!STEP_TARGETS.includes(step.target)) {
+        return `${where}.target must be one of: ${STEP_TARGETS.join(', ')}`;
+      }
+      if (step.target === 'user' && !step.openId) return `${where}.openId is required for target "user"`;
+      if (step.target === 'chat' && !step.chatId) return `${where}.chatId is required for target "chat"`;
+      if (steps.slice(0, i).some(other => other && stepKey(other) === stepKey(step))) {
+        return `${where} repeats an earlier step`;
+      }
+    }
+  }
+  return null;
+}
+
+/** Steps as stored: only the known keys, sorted by afterHours */
+function normalizeSteps(steps) {
+  return steps
+    .map(s => ({
+      afterHours: s.afterHours,
+      target: s.target,
+      ...(s.target === 'user' && { openId: s.openId }),
+      ...(s.target === 'chat' && { chatId: s.chatId }),
+    }))
+    .sort((a, b) => a.afterHours - b.afterHours);
+}
+
+/**
+ * What identifies a step in task_escalations: '72h:manager', '120h:chat:oc_x'. Stays the
+ * same when other steps are added, removed or reordered; changing afterHours or the target
+ * makes it a new step.
+ */
+function stepKey(step) {
+  const to = step.target === 'user' ? step.openId : step.target === 'chat' ? step.chatId : null;
+  return `${step.afterHours}h:${step.target}${to ? `:${to}` : ''}`;
+}
+
+/** Tags are stored lower-case on users; match policies the same way */
+function normalizeTag(tag) {
+  return tag ? String(tag).toLowerCase().trim() || null : tag;
+}
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+
+/**
+ * The policy that applies to a task, or null.
+ * @param {object[]} policies - enabled policies
+ * @param {{priority: string, target_tag: string|null, assignee_tags: string[]|null}} task
+ */
+function choosePolicy(policies, task) {
+  const tags = new Set([task.target_tag, ...(task.assignee_tags || [])].filter(Boolean).map(normalizeTag));
+  let best = null;
+  let bestScore = -1;
+  for (const p of policies) {
+    if (p.priority && p.priority !== task.priority) continue;
+    if (p.target_tag && !tags.has(p.target_tag)) continue;
+    const score = (p.target_tag ? 2 : 0) + (p.priority ? 1 : 0);
+    if (score > bestScore || (score === bestScore && p.id < best.id)) {
+      best = p;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function overdueLabel(hours) {
+  return hours >= 24 ? `${Math.floor(hours / 24)} 天` : `${Math.max(1, Math.floor(hours))} 小时`;
+}
+
+// ── Cron ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Fire the escalation steps that have come due. Called by the reminder cron in index.js
+ * after sendPendingReminders.
+ * @returns {Promise<number>} number of steps fired (sent or skipped for lack of a recipient)
+ */
+async function sendDueEscalations() {
+  const policies = await escalationPoliciesDb.listEnabled();
+  if (!policies.length) return 0;
+  const minHours = Math.min(...policies.flatMap(p => (p.steps || []).map(s => s.afterHours)));
+  if (!Number.isFinite(minHours)) return 0;
+
+  const { rows: tasks } = await pool.query(
+    `SELECT t.*, u.name AS assignee_name, u.tags AS assignee_tags, u.manager_open_id AS assignee_manager_open_id,
+            COALESCE((SELECT json_agg(json_build_object('policy_id', e.policy_id, 'step_key', e.step_key))
+                      FROM task_escalations e WHERE e.task_id = t.id), '[]') AS fired_steps
+     FROM tasks t
+     LEFT JOIN users u ON u.open_id = t.assignee_open_id
+     WHERE t.status = ANY($1)
+       AND t.deadline IS NOT NULL
+       AND t.deadline < NOW() - $2::float8 * INTERVAL '1 hour'
+       AND NOT t.waiting_on_dependencies`,
+    [reminderService.REMINDABLE_STATUSES, minHours]
+  );
+  if (!tasks.length) return 0;
+
+  const now = new Date();
+  const due = [];
+  for (const task of tasks) {
+    const policy = choosePolicy(policies, task);
+    if (!policy) continue;
+    const overdueHours = (now - new Date(task.deadline)) / 3600000;
+    const fired = new Set((task.fired_steps || []).filter(f => f.policy_id === policy.id).map(f => f.step_key));
+    (policy.steps || []).forEach((step, index) => {
+      const key = stepKey(step);
+      if (overdueHours >= step.afterHours && !fired.has(key)) {
+        due.push({ task, policy, step, index, key, overdueHours, recipient: stepRecipient(task, step) });
+      }
+    });
+  }
+  if (!due.length) return 0;
+
+  const calendar = await workCalendar.loadCalendar();
+  const prefs = await usersDb.getReminderPrefs(
+    due.flatMap(d => (d.step.target === 'chat' ? [] : [d.recipient]))
+  ).catch((err) => {
+    logger.warn('Failed to load escalation recipient preferences', { error: err.message });
+    return new Map();
+  });
+  const zoneOf = (d) => (d.step.target === 'chat' ? DEFAULT_TIMEZONE : resolveTimezone(prefs.get(d.recipient)?.timezone));
+
+  let fired = 0;
+  for (const d of due) {
+    const tz = zoneOf(d);
+    // Wait out quiet time (a group chat follows the global calendar in the server zone)
+    if (d.recipient && workCalendar.isQuietTime(now, tz, calendar, prefs.get(d.recipient)?.quietHours)) continue;
+
+    const outcome = d.recipient ? 'sent' : 'skipped';
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const claimed = await escalationPoliciesDb.recordStep({
+        taskId: d.task.id, policyId: d.policy.id, stepKey: d.key, step: d.index, recipient: d.recipient, outcome,
+      }, client);
+      if (!claimed) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+      if (d.recipient) await deliver(d, tz, client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch((rollbackErr) => {
+        logger.error('Rollback failed', { error: rollbackErr.message });
+      });
+      logger.warn('Escalation step failed to queue', { taskId: d.task.id, policyId: d.policy.id, step: d.index, error: err.message });
+      continue;
+    } finally {
+      client.release();
+    }
+    fired++;
+
+    if (!d.recipient) {
+      logger.warn('Escalation step has no recipient, skipped', {
+        taskId: d.task.id, policyId: d.policy.id, step: d.index, target: d.step.target,
+      });
+    }
+
+    audit.log({
+      userId: 'system',
+      action: 'escalate_task',
+      targetType: 'task',
+      targetId: String(d.task.id),
+      details: {
+        policyId: d.policy.id, policy: d.policy.name, step: d.index, stepKey: d.key,
+        target: d.step.target, recipient: d.recipient, overdueHours: Math.floor(d.overdueHours), outcome,
+      },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  if (fired) {
+    outbox.deliverSoon();
+    logger.info(`🔺 Escalation: ${fired} step(s) fired`);
+  }
+  return fired;
+}
+
+/** open_id / chat_id a step goes to, or null when the task has none (no reporter, no manager) */
+function stepRecipient(task, step) {
+  switch (step.target) {
+    case 'reporter': return task.reporter_open_id || null;
+    case 'manager': return task.assignee_manager_open_id || null;
+    case 'user': return step.openId || null;
+    case 'chat': return step.chatId || null;
+    default: return null;
+  }
+}
+
+/** Queue a step's message inside the transaction that claims the step */
+async function deliver({ task, step, overdueHours }, tz, client) {
+  const assignee = task.assignee_name || task.assignee_open_id || '未指定';
+  const msg =
+    `🔺 催办升级：任务已逾期 ${overdueLabel(overdueHours)}\n\n` +
+    `${reminderService.priorityBadge(task.priority)} 「${task.title}」\n` +
+    `👤 执行人：${assignee}\n` +
+    `📅 截止时间：${formatDateTime(task.deadline, tz, { withTime: true })}\n` +
+    `🆔 任务 #${task.id}\n\n` +
+    `执行人尚未完成，作为${STEP_TARGET_LABELS[step.target]}请协助跟进`;
+  if (step.target === 'chat') {
+    await outbox.enqueue({ receiveId: step.chatId, receiveIdType: 'chat_id', content: msg }, client);
+  } else {
+    await reminderService.sendTaskMessage(task.id, stepRecipient(task, step), msg, 'escalation', client);
+  }
+}
+
+module.exports = {
+  STEP_TARGETS,
+  validatePolicy,
+  normalizeSteps,
+  stepKey,
+  normalizeTag,
+  choosePolicy,
+  sendDueEscalations,
+};
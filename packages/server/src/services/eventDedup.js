@@ -0,0 +1,105 @@
+/**
+ * Feishu event de-duplication
+ *
+ * Feishu sometimes delivers the same event (or card callback) more than once; the webhook
+ * handles an event_id only the first time it sees it within EVENT_DEDUP_TTL_MS.
+ *
+ *   STATE_STORE=memory (default) — a Map in this process. Only correct for a single instance.
+ *   STATE_STORE=postgres — INSERT … ON CONFLICT into processed_events, shared by every
+ *                          instance behind the load balancer (migration 030).
+ */
+const logger = require('../utils/logger');
+
+const EVENT_DEDUP_TTL_MS = 5 * 60 * 1000; // 5 min
+const EVENT_DEDUP_MAX_SIZE = 5000;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+class MemoryEventDedup {
+  constructor() {
+    this.processed = new Map(); // eventId -> timestamp
+    // Periodic cleanup so stale entries expire even when no events arrive
+    this._cleanupInterval = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this._cleanupInterval.unref(); // don't keep process alive just for cleanup
+  }
+
+  destroy() {
+    clearInterval(this._cleanupInterval);
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - EVENT_DEDUP_TTL_MS;
+    for (const [id, ts] of this.processed) {
+      if (ts < cutoff) this.processed.delete(id);
+    }
+  }
+
+  async seen(eventId) {
+    if (this.processed.has(eventId)) return true;
+    this.processed.set(eventId, Date.now());
+    // Also prune inline when map grows too large
+    if (this.processed.size > EVENT_DEDUP_MAX_SIZE) this.cleanup();
+    return false;
+  }
+}
+
+class PgEventDedup {
+  constructor(pool) {
+    this.pool = pool;
+    this._cleanupInterval = setInterval(() => {
+      this.cleanup().catch(err => logger.warn('Event dedup cleanup failed', { error: err.message }));
+    }, CLEANUP_INTERVAL_MS);
+    this._cleanupInterval.unref();
+  }
+
+  destroy() {
+    clearInterval(this._cleanupInterval);
+  }
+
+  async cleanup() {
+    await this.pool.query('DELETE FROM processed_events WHERE expires_at < NOW()');
+  }
+
+  /**
+   * Claims the id atomically: exactly one of several instances inserting it gets a row back.
+   * An expired row not pruned yet is claimed again rather than counted as a duplicate.
+   */
+  async seen(eventId) {
+    const { rowCount } = await this.pool.query(
+      `INSERT INTO processed_events (event_id, expires_at)
+       VALUES ($1, NOW() + make_interval(secs => $2))
+       ON CONFLICT (event_id) DO UPDATE SET expires_at = EXCLUDED.expires_at
+         WHERE processed_events.expires_at < NOW()`,
+      [eventId, EVENT_DEDUP_TTL_MS / 1000]
+    );
+    return rowCount === 0;
+  }
+}
+
+const store = process.env.STATE_STORE === 'postgres'
+  ? new PgEventDedup(require('../db/pool'))
+  : new MemoryEventDedup();
+
+/**
+ * Whether this event id was already handled. Records it when it was not. Events without an
+ * id are never duplicates; when the store is unreachable the event is handled (a rare
+ * double delivery beats dropping it).
+ * @param {string|undefined} eventId
+ * @returns {Promise<boolean>}
+ */
+async function isDuplicateEvent(eventId) {
+  if (!eventId) return false;
+  try {
+    return await store.seen(eventId);
+  } catch (err) {
+    logger.warn('Event dedup store unavailable, handling event', { eventId, error: err.message });
+    return false;
+  }
+}
+
+module.exports = {
+  EVENT_DEDUP_TTL_MS,
+  MemoryEventDedup,
+  PgEventDedup,
+  isDuplicateEvent,
+  destroy: () => store.destroy(),
+};
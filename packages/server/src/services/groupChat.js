@@ -0,0 +1,120 @@
+/**
+ * Group chats
+ *
+ * In a group the bot only answers messages that @mention it. Feishu puts mentions in the
+ * message text as placeholders ("@_user_1 /add 周报 @_user_2") with the people behind them in
+ * message.mentions; the bot's own placeholder is stripped before intent detection and the
+ * others are kept so /add can assign the mentioned users.
+ *
+ * Every group gets a group_chats row on its first mention (db/groupChats.js), edited from the
+ * 群聊管理 page:
+ *
+ *   enabled      the bot ignores the group entirely when off
+ *   features     { featureId: false } — turns a feature off for everyone in the group; a group
+ *                can only narrow what a user may do, never grant more
+ *   default_tag  /add without @mentions auto-assigns within this tag; the group's task board
+ *                (「群任务」) also lists the tag's open tasks
+ */
+const groupChatsDb = require('../db/groupChats');
+const feishu = require('../feishu/client');
+const { listFeatures } = require('../features');
+const logger = require('../utils/logger');
+
+/** Features a group can switch off: the chat ones, not the admin ones */
+const GROUP_FEATURES = listFeatures().filter(f => !f.adminOnly).map(f => f.id);
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate group settings from the API (all fields optional, PATCH).
+ * @returns {string|null} error message, or null when valid
+ */
+function validateGroupSettings({ enabled, features, defaultTag } = {}) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+  if (features !== undefined) {
+    if (!features || typeof features !== 'object' || Array.isArray(features)) {
+      return 'features must be an object keyed by feature id';
+    }
+    for (const [id, on] of Object.entries(features)) {
+      if (!GROUP_FEATURES.includes(id)) return `Unknown or admin-only feature: ${id}`;
+      if (typeof on !== 'boolean') return `features.${id} must be a boolean`;
+    }
+  }
+  if (defaultTag != null && typeof defaultTag !== 'string') return 'defaultTag must be a string';
+  return null;
+}
+
+/** Only the switches that turn something off are worth storing */
+function normalizeGroupFeatures(features) {
+  return Object.fromEntries(Object.entries(features || {}).filter(([id, on]) => GROUP_FEATURES.includes(id) && on === false));
+}
+
+// ── Messages ─────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a mention is the bot. Without the bot's open_id (bot info lookup failed) a mention
+ * without a user_id is taken as the bot — apps and bots have no user_id.
+ */
+function isBotMention(mention, botOpenId) {
+  if (botOpenId) return mention.id?.open_id === botOpenId;
+  return !mention.id?.user_id;
+}
+
+/**
+ * Split a group message into what the bot should read and who else was mentioned.
+ * @param {string} text - message text with @_user_N placeholders
+ * @param {object[]} [mentions] - event.message.mentions
+ * @param {string|null} botOpenId
+ * @returns {{botMentioned: boolean, text: string, mentions: {key: string, openId: string, userId: string|null, name: string|null}[]}}
+ */
+function parseGroupMessage(text, mentions = [], botOpenId = null) {
+  let stripped = text || '';
+  let botMentioned = false;
+  const others = [];
+  for (const m of mentions || []) {
+    if (!m?.key) continue;
+    if (isBotMention(m, botOpenId)) {
+      botMentioned = true;
+      stripped = stripped.split(m.key).join(' ');
+    } else if (m.id?.open_id) {
+      others.push({ key: m.key, openId: m.id.open_id, userId: m.id.user_id || null, name: m.name || null });
+    }
+  }
+  return { botMentioned, text: stripped.replace(/\s+/g, ' ').trim(), mentions: others };
+}
+
+/**
+ * Feature map for a user in a group: the user's own features minus what the group turned off.
+ * @param {Record<string, boolean>} resolved - resolveFeatures(user)
+ * @param {object|null} group - group_chats row
+ */
+function applyGroupFeatures(resolved, group) {
+  if (!group) return resolved;
+  const off = group.features || {};
+  return Object.fromEntries(Object.entries(resolved).map(([id, on]) => [id, on && off[id] !== false]));
+}
+
+/**
+ * The group's settings row, created (with the group's name, best effort) on first use.
+ * @returns {Promise<object>} group_chats row
+ */
+async function loadGroup(chatId) {
+  const existing = await groupChatsDb.get(chatId);
+  if (existing) return existing;
+  const info = await feishu.getChatInfo(chatId).catch((err) => {
+    logger.warn('Failed to get chat info', { chatId, error: err.message });
+    return null;
+  });
+  const group = await groupChatsDb.ensure(chatId, info?.name || null);
+  logger.info('Group chat registered', { chatId, name: group.name });
+  return group;
+}
+
+module.exports = {
+  GROUP_FEATURES,
+  validateGroupSettings,
+  normalizeGroupFeatures,
+  parseGroupMessage,
+  applyGroupFeatures,
+  loadGroup,
+};
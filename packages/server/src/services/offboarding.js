@@ -0,0 +1,107 @@
+/**
+ * Offboarding — a user left the organisation in Feishu
+ *
+ * Triggered by contact.user.deleted_v3, or contact.user.updated_v3 with the user resigned or
+ * frozen (events/contactUser.js). The user is marked inactive (dropping out of tag
+ * auto-assignment) and each open task they still have a pending share of is handed over:
+ *
+ *   1. to the least-loaded active member of the task's target tag, else
+ *   2. to the user's manager (users.manager_open_id), else
+ *   3. flagged — the reporter is told to reassign it, and the task timeline shows why.
+ */
+const { audit } = require('../db');
+const usersDb = require('../db/users');
+const logger = require('../utils/logger');
+const outbox = require('./outbox');
+const reminderService = require('./reminder');
+
+const HANDOVER_REASON = '原执行人已离职';
+
+/**
+ * @param {string} openId
+ * @returns {Promise<{user: object, reassigned: number, flagged: number}|null>}
+ *          null when the user is unknown or already inactive
+ */
+async function offboardUser(openId) {
+  const user = await usersDb.setActive(openId, false);
+  if (!user) return null;
+  logger.info('User deactivated', { userId: user.user_id, openId });
+
+  const tasks = await reminderService.getUserPendingTasks(user.feishu_user_id, openId);
+  const manager = user.manager_open_id ? await usersDb.findByOpenId(user.manager_open_id).catch(() => null) : null;
+  const opts = { userId: 'system', actorName: '系统', reason: HANDOVER_REASON };
+
+  let reassigned = 0;
+  let flagged = 0;
+  for (const task of tasks) {
+    const handovers = [
+      task.target_tag && { targetTag: task.target_tag },
+      manager?.active && { assignee: manager },
+    ].filter(Boolean);
+    let result = null;
+    for (const target of handovers) {
+      result = await reminderService.reassignTask(task.id, { ...target, fromOpenId: openId }, opts).catch((err) => {
+        logger.info('Offboarding handover not possible', { taskId: task.id, error: err.message });
+        return null;
+      });
+      if (result) break;
+    }
+    if (result) {
+      reassigned++;
+    } else {
+      await flagTask(task, user);
+      flagged++;
+    }
+  }
+
+  audit.log({
+    userId: 'system',
+    action: 'deactivate_user',
+    targetType: 'user',
+    targetId: user.user_id,
+    details: { openId, name: user.name, reassigned, flagged },
+  }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+
+  logger.info('User offboarded', { userId: user.user_id, reassigned, flagged });
+  return { user, reassigned, flagged };
+}
+
+/** Nobody to hand the task to: ask the reporter to reassign it */
+async function flagTask(task, user) {
+  audit.log({
+    userId: 'system',
+    action: 'flag_task',
+    targetType: 'task',
+    targetId: String(task.id),
+    details: { reason: `${HANDOVER_REASON}（${user.name || user.open_id}），需要重新分配`, assignee: user.open_id },
+  }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+
+  if (!task.reporter_open_id) {
+    logger.warn('Task of departed user has no reporter to flag', { taskId: task.id });
+    return;
+  }
+  await outbox.enqueue({
+    receiveId: task.reporter_open_id,
+    content: `⚠️ 催办任务需要重新分配：\n\n「${task.title}」(#${task.id})\n` +
+      `👤 执行人 ${user.name || user.open_id} 已离职，且没有可自动转交的人\n\n` +
+      '请在管理后台或对机器人说「把任务转给某人」重新分配',
+  }).catch((err) => {
+    logger.warn('Failed to flag task to reporter', { taskId: task.id, error: err.message });
+  });
+}
+
+/**
+ * A deactivated user is back (account unfrozen in Feishu). Their old tasks stay with
+ * whoever took them over.
+ * @returns {Promise<object|null>} the user, or null when unknown or already active
+ */
+async function reactivateUser(openId) {
+  const user = await usersDb.setActive(openId, true);
+  if (user) logger.info('User reactivated', { userId: user.user_id, openId });
+  return user;
+}
+
+module.exports = {
+  offboardUser,
+  reactivateUser,
+};
@@ -0,0 +1,210 @@
+/**
+ * Outbox — durable delivery of bot messages
+ *
+ * Notifications that used to be fire-and-forget feishu.sendMessage calls are queued in
+ * outbound_messages (db/outbox.js) instead, and this worker delivers them:
+ *
+ *   - enqueue() takes an optional transaction client, so reminders are queued in the same
+ *     transaction that advances last_reminded_at — a reminder is either marked and queued,
+ *     or neither.
+ *   - deliverPending() claims due messages in batches and sends them one at a time, at most
+ *     MAX_SENDS_PER_SECOND. index.js runs it every POLL_SECONDS; enqueue() also nudges it so
+ *     messages normally go out right away.
+ *   - A failed send is retried with exponential backoff (BASE_BACKOFF_SECONDS doubling, up to
+ *     MAX_BACKOFF_SECONDS) and marked 'failed' after MAX_ATTEMPTS. Admins see failed
+ *     deliveries on the 消息投递 page and can queue them again (retryFailed()).
+ *   - A Feishu rate-limit response puts the rest of the batch back for RATE_LIMIT_PAUSE_SECONDS
+ *     without counting it as an attempt.
+ *
+ * Messages about a task are recorded in task_messages once delivered (Feishu only assigns
+ * the message_id then), so they show on the timeline and replies to them become comments.
+ * Direct replies to the user's own message (cuibanHandler) are still sent synchronously.
+ */
+const pool = require('../db/pool');
+const outboxDb = require('../db/outbox');
+const feishu = require('../feishu/client');
+const logger = require('../utils/logger');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const MAX_ATTEMPTS = 8;                 // 30s, 1m, 2m … 32m apart: about an hour in total
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const BATCH_SIZE = 50;
+const LEASE_SECONDS = 5 * 60;           // a claimed batch must be sent within this
+const MAX_SENDS_PER_SECOND = 20;        // Feishu allows 50/s per app; leave room for replies
+const RATE_LIMIT_PAUSE_SECONDS = 30;
+const POLL_SECONDS = 15;
+const SENT_RETENTION_DAYS = 30;
+
+// 99991400: app-wide request frequency limit; 230020: too many messages to one chat / user
+const RATE_LIMIT_CODES = [99991400, 230020];
+
+/** Seconds to wait before the next attempt, after the given number of failed attempts */
+function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+function isRateLimited(err) {
+  return RATE_LIMIT_CODES.includes(err?.code) || /\b429\b/.test(err?.message || '');
+}
+
+/**
+ * Queue a bot message.
+ * @param {object} message
+ * @param {string} message.receiveId
+ * @param {string} [message.receiveIdType='open_id']
+ * @param {string|object} message.content - text, or an interactive card
+ * @param {number} [message.taskId] - record the delivered message on this task's timeline
+ * @param {string} [message.kind] - task_messages.kind (assigned | reminder | overdue | comment | escalation)
+ * @param {import('pg').PoolClient} [client] - enqueue inside this transaction; the caller
+ *        should call deliverSoon() after committing
+ * @returns {Promise<object>} the outbound_messages row
+ */
+async function enqueue({ receiveId, receiveIdType = 'open_id', content, taskId = null, kind = null }, client = null) {
+  const row = await outboxDb.enqueue({
+    receiveId,
+    receiveIdType,
+    msgType: typeof content === 'string' ? 'text' : 'interactive',
+    content,
+    taskId,
+    kind,
+  }, client || pool);
+  if (!client) deliverSoon();
+  return row;
+}
+
+let started = false;
+let nudged = false;
+
+/** Run the worker on the next tick (once per tick however many messages were queued) */
+function deliverSoon() {
+  if (!started || nudged) return;
+  nudged = true;
+  setImmediate(() => {
+    nudged = false;
+    deliverPending().catch(err => logger.error('Outbox delivery error', { error: err.message }));
+  });
+}
+
+let running = null;
+
+/**
+ * Deliver every due message. Concurrent calls in this process share one run; other
+ * processes skip the rows this one has claimed.
+ * @returns {Promise<{sent: number, retried: number, failed: number}>}
+ */
+function deliverPending() {
+  if (!running) {
+    running = deliverBatches().finally(() => { running = null; });
+  }
+  return running;
+}
+
+async function deliverBatches() {
+  const totals = { sent: 0, retried: 0, failed: 0 };
+  const minGapMs = 1000 / MAX_SENDS_PER_SECOND;
+  for (;;) {
+    const batch = await outboxDb.claimDue(BATCH_SIZE, LEASE_SECONDS);
+    for (let i = 0; i < batch.length; i++) {
+      const row = batch[i];
+      const startedAt = Date.now();
+      const outcome = await deliver(row);
+      if (outcome === 'rate_limited') {
+        const rest = batch.slice(i).map(r => r.id);
+        await outboxDb.release(rest, RATE_LIMIT_PAUSE_SECONDS, 'Feishu rate limit');
+        logger.warn('Outbox: Feishu rate limit, pausing delivery', { requeued: rest.length });
+        logTotals(totals);
+        return totals;
+      }
+      totals[outcome]++;
+      const wait = minGapMs - (Date.now() - startedAt);
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    if (batch.length < BATCH_SIZE) break;
+  }
+  logTotals(totals);
+  return totals;
+}
+
+function logTotals({ sent, retried, failed }) {
+  if (sent || retried || failed) logger.info(`📤 Outbox: ${sent} sent, ${retried} to retry, ${failed} failed`);
+}
+
+/** @returns {Promise<'sent'|'retried'|'failed'|'rate_limited'>} */
+async function deliver(row) {
+  let result;
+  try {
+    result = row.msg_type === 'interactive'
+      ? await feishu.sendCardMessage(row.receive_id, row.content, row.receive_id_type)
+      : await feishu.sendMessage(row.receive_id, row.content, row.receive_id_type);
+  } catch (err) {
+    if (isRateLimited(err)) return 'rate_limited';
+    const attempts = row.attempts + 1;
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    await outboxDb.markAttemptFailed(row.id, err.message, giveUp ? null : backoffSeconds(attempts));
+    if (giveUp) {
+      logger.error('Outbox: giving up on message', { id: row.id, taskId: row.task_id, attempts, error: err.message });
+      return 'failed';
+    }
+    logger.warn('Outbox: delivery failed, will retry', { id: row.id, attempts, error: err.message });
+    return 'retried';
+  }
+
+  const messageId = result?.data?.message_id || null;
+  await outboxDb.markSent(row.id, messageId);
+  if (row.task_id) {
+    await pool.query(
+      `INSERT INTO task_messages (task_id, message_id, recipient_open_id, kind)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (message_id) DO NOTHING`,
+      [row.task_id, messageId, row.receive_id, row.kind || 'notice']
+    ).catch((err) => {
+      logger.warn('Failed to record task message', { taskId: row.task_id, kind: row.kind, error: err.message });
+    });
+  }
+  return 'sent';
+}
+
+/**
+ * Queue failed messages again.
+ * @param {number|null} [id] - one message, or every failed message when omitted
+ * @returns {Promise<object[]>} the requeued rows
+ */
+async function retryFailed(id = null) {
+  const rows = await outboxDb.retryFailed(id);
+  if (rows.length) deliverSoon();
+  return rows;
+}
+
+/**
+ * Start the polling worker (index.js).
+ * @returns {NodeJS.Timeout[]} intervals to clear on shutdown
+ */
+function start() {
+  started = true;
+  deliverSoon();
+  return [
+    setInterval(() => deliverPending().catch((err) => {
+      logger.error('Outbox delivery error', { error: err.message });
+    }), POLL_SECONDS * 1000),
+    setInterval(() => outboxDb.purgeSent(SENT_RETENTION_DAYS).catch((err) => {
+      logger.error('Outbox cleanup error', { error: err.message });
+    }), 24 * 60 * 60 * 1000),
+  ];
+}
+
+function stop() {
+  started = false;
+}
+
+module.exports = {
+  OUTBOX_STATUSES,
+  MAX_ATTEMPTS,
+  backoffSeconds,
+  enqueue,
+  deliverSoon,
+  deliverPending,
+  retryFailed,
+  start,
+  stop,
+};
@@ -0,0 +1,199 @@
+/**
+ * Automatic priority escalation
+ *
+ * Raises a task's priority as its deadline approaches. The rules are one row in the settings
+ * table (key 'priority_rules', edited from the settings page):
+ *
+ *   enabled            master switch; off by default
+ *   rules              [{ from: 'p2', to: 'p1', hoursBeforeDeadline: 24 }, …] — a rule fires once
+ *                      the deadline is at most hoursBeforeDeadline away; 0 = once overdue,
+ *                      negative = that many hours after the deadline. `to` must be more urgent.
+ *   reminderIntervals  { p0: 4, p1: 12 } — the reminder interval (hours) a raised task tightens
+ *                      to; an interval is only ever shortened, and disabled reminders stay off.
+ *                      A priority left out gets DEFAULT_REMINDER_INTERVALS; null = keep the
+ *                      task's interval
+ *
+ * The reminder cron in index.js calls applyPriorityRules() just before sendPendingReminders.
+ * Rules chain within one run (a p2 task found overdue goes straight to p0). Each raise is
+ * audited as 'raise_priority' and stamped on the task (priority_raised_from / _at) so the next
+ * reminder can say so.
+ */
+const pool = require('../db/pool');
+const { audit, settings } = require('../db');
+const logger = require('../utils/logger');
+const { OPEN_STATUSES } = require('./reminder');
+
+const SETTING_KEY = 'priority_rules';
+
+/** Most urgent first; a rule may only move a task left in this list */
+const PRIORITIES = ['p0', 'p1', 'p2'];
+const MAX_RULES = 10;
+const MAX_HOURS = 24 * 365;
+/** Reminder interval (hours) a raise tightens to when the stored rules do not say */
+const DEFAULT_REMINDER_INTERVALS = { p0: 4, p1: 12 };
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate rules submitted from the settings page.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateRules(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Priority rules must be an object';
+  const { enabled, rules, reminderIntervals } = value;
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) return 'rules must be a list';
+    if (rules.length > MAX_RULES) return `At most ${MAX_RULES} rules`;
+    for (const [i, rule] of rules.entries()) {
+      const where = `rules[${i}]`;
+      if (!rule || typeof rule !== 'object') return `${where} must be an object`;
+      if (!PRIORITIES.includes(rule.from) || !PRIORITIES.includes(rule.to)) {
+        return `${where}: from and to must be p0, p1, or p2`;
+      }
+      if (PRIORITIES.indexOf(rule.to) >= PRIORITIES.indexOf(rule.from)) {
+        return `${where}: ${rule.to} is not more urgent than ${rule.from}`;
+      }
+      if (typeof rule.hoursBeforeDeadline !== 'number' || !Number.isFinite(rule.hoursBeforeDeadline)
+        || Math.abs(rule.hoursBeforeDeadline) > MAX_HOURS) {
+        return `${where}.hoursBeforeDeadline must be a number of hours (negative = after the deadline)`;
+      }
+    }
+    const froms = rules.map(r => r.from);
+    if (new Set(froms).size < froms.length) return 'At most one rule per starting priority';
+  }
+  if (reminderIntervals !== undefined) {
+    if (!reminderIntervals || typeof reminderIntervals !== 'object' || Array.isArray(reminderIntervals)) {
+      return 'reminderIntervals must be an object keyed by priority';
+    }
+    for (const [p, hours] of Object.entries(reminderIntervals)) {
+      if (!PRIORITIES.includes(p)) return `reminderIntervals: unknown priority ${p}`;
+      if (hours != null && (!Number.isInteger(hours) || hours < 1 || hours > 8760)) {
+        return `reminderIntervals.${p} must be a whole number of hours (1–8760)`;
+      }
+    }
+  }
+  return null;
+}
+
+/** Stored (or submitted) rules with defaults filled in and only the known keys */
+function normalizeRules(value) {
+  const v = value && typeof value === 'object' ? value : {};
+  const reminderIntervals = {};
+  for (const p of PRIORITIES) {
+    const hours = v.reminderIntervals?.[p];
+    if (Number.isInteger(hours)) reminderIntervals[p] = hours;
+    else if (hours === null) reminderIntervals[p] = null;
+    else if (DEFAULT_REMINDER_INTERVALS[p]) reminderIntervals[p] = DEFAULT_REMINDER_INTERVALS[p];
+  }
+  return {
+    enabled: v.enabled === true,
+    rules: (Array.isArray(v.rules) ? v.rules : [])
+      .map(r => ({ from: r.from, to: r.to, hoursBeforeDeadline: r.hoursBeforeDeadline })),
+    reminderIntervals,
+  };
+}
+
+/** Current rules; best effort like the work calendar: a failed read means no raises this run */
+async function loadRules() {
+  try {
+    return normalizeRules(await settings.get(SETTING_KEY));
+  } catch (err) {
+    logger.warn('Failed to load priority rules', { error: err.message });
+    return normalizeRules(null);
+  }
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+/**
+ * Where the rules take a task: follows the chain from its current priority while the deadline
+ * is close enough. Returns null when no rule applies.
+ * @param {object} config - from loadRules()
+ * @param {{priority: string, deadline: Date|string}} task
+ * @param {Date} now
+ * @returns {{to: string, hoursBeforeDeadline: number}|null}
+ */
+function planRaise(config, task, now = new Date()) {
+  const hoursLeft = (new Date(task.deadline) - now) / 3600000;
+  let current = task.priority;
+  let applied = null;
+  for (;;) {
+    const rule = config.rules.find(r => r.from === current && hoursLeft <= r.hoursBeforeDeadline);
+    if (!rule) break;
+    applied = rule;
+    current = rule.to;
+  }
+  return applied && { to: current, hoursBeforeDeadline: applied.hoursBeforeDeadline };
+}
+
+/** The reminder interval after a raise: tightened to the new priority's, never loosened or switched on */
+function tightenedInterval(config, currentHours, priority) {
+  const target = config.reminderIntervals[priority];
+  if (!target || !(currentHours > 0)) return currentHours;
+  return Math.min(currentHours, target);
+}
+
+// ── Cron ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Raise the priority of open tasks whose deadline has come close enough.
+ * @returns {Promise<number>} number of tasks raised
+ */
+async function applyPriorityRules(now = new Date()) {
+  const config = await loadRules();
+  if (!config.enabled || !config.rules.length) return 0;
+  const maxHours = Math.max(...config.rules.map(r => r.hoursBeforeDeadline));
+
+  const { rows: tasks } = await pool.query(
+    `SELECT id, title, priority, deadline, reminder_interval_hours FROM tasks
+     WHERE status = ANY($1)
+       AND deadline IS NOT NULL
+       AND priority = ANY($2)
+       AND deadline <= $3::timestamptz + $4::float8 * INTERVAL '1 hour'`,
+    [OPEN_STATUSES, [...new Set(config.rules.map(r => r.from))], now, maxHours]
+  );
+
+  let raised = 0;
+  for (const task of tasks) {
+    const plan = planRaise(config, task, now);
+    if (!plan) continue;
+    const interval = tightenedInterval(config, task.reminder_interval_hours, plan.to);
+    // Guarded on the priority read above: a concurrent run or a manual edit in between wins
+    const { rowCount } = await pool.query(
+      `UPDATE tasks
+       SET priority = $3, reminder_interval_hours = $4, priority_raised_from = $2, priority_raised_at = NOW()
+       WHERE id = $1 AND priority = $2`,
+      [task.id, task.priority, plan.to, interval]
+    );
+    if (!rowCount) continue;
+    raised++;
+
+    audit.log({
+      userId: 'system',
+      action: 'raise_priority',
+      targetType: 'task',
+      targetId: String(task.id),
+      details: {
+        from: task.priority, to: plan.to, hoursBeforeDeadline: plan.hoursBeforeDeadline,
+        reminderIntervalHours: interval !== task.reminder_interval_hours
+          ? { from: task.reminder_interval_hours, to: interval }
+          : undefined,
+      },
+    }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    logger.info('Priority raised', { taskId: task.id, from: task.priority, to: plan.to, reminderIntervalHours: interval });
+  }
+
+  if (raised) logger.info(`⬆️ Priority rules: ${raised} task(s) raised`);
+  return raised;
+}
+
+module.exports = {
+  SETTING_KEY,
+  DEFAULT_REMINDER_INTERVALS,
+  validateRules,
+  normalizeRules,
+  loadRules,
+  planRaise,
+  applyPriorityRules,
+};
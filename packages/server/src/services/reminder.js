@@ -2,19 +2,182 @@
  * Reminder Service
  *
  * Task storage backed by PostgreSQL.
- * Bot messages assignees directly via Feishu API — no Bitable dependency.
+ * Bot messages to assignees are queued in the outbox (services/outbox) — no Bitable dependency.
  */
 
 const pool = require('../db/pool');
 const { audit } = require('../db');
 const usersDb = require('../db/users');
-const feishu = require('../feishu/client');
+const escalationPoliciesDb = require('../db/escalationPolicies');
 const logger = require('../utils/logger');
+const { buildTaskCard } = require('../utils/taskCard');
+const { parseDeadline, formatDateTime, zonedParts, zonedTime, resolveTimezone } = require('../utils/timezone');
+const outbox = require('./outbox');
+const workCalendar = require('./workCalendar');
 
 const DEFAULT_DEADLINE_DAYS = parseInt(process.env.DEFAULT_DEADLINE_DAYS, 10) || 3;
 const DEFAULT_REMINDER_INTERVAL_HOURS = parseInt(process.env.DEFAULT_REMINDER_INTERVAL_HOURS, 10) || 24;
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
+// ── Task lifecycle ──────────────────────────────────────────────────────────
+// status: pending → in_progress / blocked → completed, or cancelled by the reporter.
+// Tasks that require approval go to awaiting_review on completion; the reporter accepts
+// (→ completed) or rejects (→ in_progress) them via reviewTask().
+// Completed and cancelled tasks can be reopened (back to pending).
+
+const TASK_STATUSES = ['pending', 'in_progress', 'blocked', 'awaiting_review', 'completed', 'cancelled'];
+
+/** Statuses that still count as open work (listed to the assignee, counted in workload) */
+const OPEN_STATUSES = ['pending', 'in_progress', 'blocked'];
+
+/** Statuses that receive deadline/interval reminders — blocked tasks are paused */
+const REMINDABLE_STATUSES = ['pending', 'in_progress'];
+
+/** Allowed transitions: from → [to, ...]. Completion goes through completeTask(). */
+const TASK_TRANSITIONS = {
+  pending:     ['in_progress', 'blocked', 'completed', 'cancelled'],
+  in_progress: ['pending', 'blocked', 'completed', 'cancelled'],
+  blocked:     ['pending', 'in_progress', 'completed', 'cancelled'],
+  awaiting_review: ['cancelled'], // accept / reject go through reviewTask()
+  completed:   ['pending'],   // reopen
+  cancelled:   ['pending'],   // reopen
+};
+
+const STATUS_LABELS = {
+  pending: '待办',
+  in_progress: '进行中',
+  blocked: '阻塞',
+  awaiting_review: '待验收',
+  completed: '已完成',
+  cancelled: '已取消',
+};
+
+/**
+ * Whether a task may move from one status to another.
+ * @param {string} from
+ * @param {string} to
+ */
+function canTransition(from, to) {
+  return (TASK_TRANSITIONS[from] || []).includes(to);
+}
+
+/** Audit action name for a status change, e.g. block_task / reopen_task */
+function transitionAction(from, to) {
+  if (to === 'pending' && (from === 'completed' || from === 'cancelled')) return 'reopen_task';
+  if (from === 'blocked') return 'unblock_task';
+  if (to === 'in_progress') return 'start_task';
+  if (to === 'blocked') return 'block_task';
+  if (to === 'cancelled') return 'cancel_task';
+  return 'update_task_status';
+}
+
+/**
+ * Who may request a status change from chat or the agent API:
+ * the assignee starts, blocks and unblocks; the reporter cancels and reopens.
+ * (The admin dashboard is not restricted.)
+ * @returns {'assignee'|'reporter'}
+ */
+function transitionActorRole(from, to) {
+  if (to === 'cancelled') return 'reporter';
+  if (to === 'pending' && (from === 'completed' || from === 'cancelled')) return 'reporter';
+  return 'assignee';
+}
+
+const PRIORITIES = ['p0', 'p1', 'p2'];
+
+/** Multi-assignee tasks: close when any one assignee completes, or only when all have */
+const COMPLETION_MODES = ['any', 'all'];
+const COMPLETION_MODE_LABELS = { any: '任一人完成即可', all: '需全部完成' };
+
+/** reviewTask() decisions on a task in awaiting_review */
+const REVIEW_DECISIONS = ['approve', 'reject'];
+
+// Per-assignee rows (task_assignees) projected onto a tasks row.
+// pending_assignee_open_ids drives reminders; assignee_count / assignees_done drive progress display.
+const PENDING_ASSIGNEES_SQL = `(SELECT array_agg(ta.assignee_open_id ORDER BY ta.position)
+   FROM task_assignees ta
+   WHERE ta.task_id = tasks.id AND ta.status = 'pending' AND ta.assignee_open_id IS NOT NULL
+  ) AS pending_assignee_open_ids`;
+const ASSIGNEE_COUNTS_SQL = `(SELECT COUNT(*) FROM task_assignees ta WHERE ta.task_id = tasks.id)::int AS assignee_count,
+  (SELECT COUNT(*) FROM task_assignees ta WHERE ta.task_id = tasks.id AND ta.status = 'completed')::int AS assignees_done`;
+
+/** Checklists: at most this many items per task, each title up to 200 chars */
+const MAX_CHECKLIST_ITEMS = 20;
+
+// Checklist progress projected onto a tasks row (drives "3/5" in DMs and the 我的任务 view)
+const CHECKLIST_COUNTS_SQL = `(SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = tasks.id)::int AS checklist_total,
+  (SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = tasks.id AND ci.done)::int AS checklist_done`;
+
+/**
+ * Validate a checklist given as strings or { title, required } objects.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateChecklist(items) {
+  if (items === undefined || items === null) return null;
+  if (!Array.isArray(items)) return 'checklist 必须是数组';
+  if (items.length > MAX_CHECKLIST_ITEMS) return `清单最多 ${MAX_CHECKLIST_ITEMS} 项`;
+  for (const item of items) {
+    const title = typeof item === 'string' ? item : item?.title;
+    if (typeof title !== 'string' || !title.trim()) return '清单项标题不能为空';
+    if (title.trim().length > 200) return '清单项标题不能超过 200 字';
+  }
+  return null;
+}
+
+// ── Dependencies ─────────────────────────────────────────────────────────────
+
+const MAX_DEPENDENCIES = 20;
+
+// A dependency is resolved once the task it points at is completed or cancelled
+const UNRESOLVED_DEPS_SQL = `EXISTS (
+         SELECT 1 FROM task_dependencies d JOIN tasks b ON b.id = d.depends_on_id
+         WHERE d.task_id = tasks.id AND b.status NOT IN ('completed', 'cancelled')
+       )`;
+const WAITING_ON_SQL = `(SELECT json_agg(json_build_object('id', b.id, 'title', b.title) ORDER BY b.id)
+   FROM task_dependencies d JOIN tasks b ON b.id = d.depends_on_id
+   WHERE d.task_id = tasks.id AND b.status NOT IN ('completed', 'cancelled')
+  ) AS waiting_on`;
+
+/** @returns {string|null} error message for an invalid dependsOn list (array of task ids), or null */
+function validateDependencyIds(ids) {
+  if (ids === undefined || ids === null) return null;
+  if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0)) {
+    return 'dependsOn 必须是任务 ID 数组';
+  }
+  if (ids.length > MAX_DEPENDENCIES) return `前置任务最多 ${MAX_DEPENDENCIES} 个`;
+  return null;
+}
+
+/** Normalize a (validated) checklist to [{ title, required }] */
+function normalizeChecklist(items) {
+  return (items || []).map(item => (typeof item === 'string'
+    ? { title: item.trim(), required: true }
+    : { title: item.title.trim(), required: item.required !== false }));
+}
+
+/** "☑️ 清单进度：3/5" line for a row selected with CHECKLIST_COUNTS_SQL, or '' without a checklist */
+function checklistProgressLine(task) {
+  return task.checklist_total > 0 ? `☑️ 清单进度：${task.checklist_done}/${task.checklist_total}\n` : '';
+}
+
+/**
+ * Find a user's row among a task's assignees (by open_id, or feishu_user_id / open_id in assignee_id).
+ * @param {object[]} assignees - task_assignees rows
+ * @returns {object|null}
+ */
+function matchAssignee(assignees, openId, feishuUserId = null) {
+  return assignees.find(a =>
+    (openId && (a.assignee_open_id === openId || a.assignee_id === openId)) ||
+    (feishuUserId && a.assignee_id === feishuUserId)
+  ) || null;
+}
+
+/** Open_ids that should receive reminders for a task row selected with PENDING_ASSIGNEES_SQL */
+function reminderRecipients(task) {
+  if (task.pending_assignee_open_ids?.length) return task.pending_assignee_open_ids;
+  return task.assignee_open_id ? [task.assignee_open_id] : [];
+}
+
 /** Returns a short priority badge string for Feishu messages */
 function priorityBadge(p) {
   if (p === 'p0') return '🔴 [P0 紧急]';
@@ -22,34 +185,276 @@ function priorityBadge(p) {
   return '🟡 [P1 一般]';
 }
 
+/**
+ * "Priority raised" line for the first reminder after the priority rules raised the task
+ * (see priorityRules), or '' — the stamp is newer than the last interval reminder.
+ */
+function priorityRaisedLine(task) {
+  if (!task.priority_raised_at || !task.priority_raised_from) return '';
+  const since = task.last_reminded_at || task.created_at;
+  if (since && new Date(task.priority_raised_at) <= new Date(since)) return '';
+  return `⬆️ 临近截止，优先级已自动提升：${priorityBadge(task.priority_raised_from)} → ${priorityBadge(task.priority)}\n`;
+}
+
+/** Estimated hours clamped to the column range (0.25–999.99), or null when unset */
+function clampEstimatedHours(estimatedHours) {
+  return (estimatedHours != null && estimatedHours !== '' && !isNaN(Number(estimatedHours)))
+    ? Math.min(999.99, Math.max(0.25, Number(estimatedHours)))
+    : null;
+}
+
+/** Deadline as the recipient reads it: "3月1日" at midnight, "3月1日 18:00" otherwise */
+function formatDeadline(d, tz) {
+  return formatDateTime(d, tz);
+}
+
+/**
+ * Timezones of message recipients (open_id → IANA zone). Best effort: on a lookup failure
+ * everyone gets DEFAULT_TIMEZONE rather than no message.
+ */
+async function recipientTimezones(openIds) {
+  return usersDb.getTimezones(openIds).catch((err) => {
+    logger.warn('Failed to load recipient timezones', { error: err.message });
+    return new Map();
+  });
+}
+
 // ── Queries ───────────────────────────────────────────────────────────────────
 
 /**
- * Get a user's pending tasks (assigned to them, not yet completed).
+ * Get a single task by id.
+ * @param {number} taskId
+ * @returns {Promise<object|null>}
+ */
+async function getTask(taskId) {
+  const result = await pool.query('SELECT * FROM tasks WHERE id = $1', [taskId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a task's assignees (primary first), each with their own completion status.
+ * @param {number} taskId
+ * @returns {Promise<object[]>} task_assignees rows
+ */
+async function getTaskAssignees(taskId) {
+  const result = await pool.query(
+    'SELECT * FROM task_assignees WHERE task_id = $1 ORDER BY position, id',
+    [taskId]
+  );
+  return result.rows;
+}
+
+/**
+ * Whether a user is one of a task's assignees.
+ * Falls back to the primary assignee columns for tasks without task_assignees rows.
+ * @param {object} task - tasks row
+ * @returns {Promise<object|null>} the user's task_assignees row (or a stand-in), or null
+ */
+async function findTaskAssignee(task, openId, feishuUserId = null) {
+  const assignees = await getTaskAssignees(task.id);
+  if (assignees.length) return matchAssignee(assignees, openId, feishuUserId);
+  return matchAssignee([{
+    assignee_id: task.assignee_id, assignee_open_id: task.assignee_open_id, status: 'pending',
+  }], openId, feishuUserId);
+}
+
+/**
+ * Get a task's checklist items in order.
+ * @param {number} taskId
+ * @returns {Promise<object[]>} task_checklist_items rows
+ */
+async function getChecklist(taskId) {
+  const result = await pool.query(
+    'SELECT * FROM task_checklist_items WHERE task_id = $1 ORDER BY position',
+    [taskId]
+  );
+  return result.rows;
+}
+
+/**
+ * Why a task cannot be completed yet: required checklist items still open.
+ * Callers check this first to show a helpful message; completeTask enforces it too.
+ * @param {number} taskId
+ * @returns {Promise<string|null>} user-facing message, or null when the task may be completed
+ */
+async function completionBlocker(taskId) {
+  const { rows } = await pool.query(
+    `SELECT position, title FROM task_checklist_items
+     WHERE task_id = $1 AND required AND NOT done
+     ORDER BY position`,
+    [taskId]
+  );
+  if (!rows.length) return null;
+  const list = rows.map(r => `${r.position}. ${r.title}`).join('\n');
+  return `还有 ${rows.length} 项必做清单未完成：\n${list}`;
+}
+
+/**
+ * Find the dependency cycle that linking taskId → dependsOnIds would create.
+ * @param {object} db - pool or a transaction client
+ * @returns {Promise<number[]|null>} the cycle as task ids (taskId first and last), or null
+ */
+async function findDependencyCycle(db, taskId, dependsOnIds) {
+  const { rows } = await db.query(
+    `WITH RECURSIVE chain(id, path) AS (
+       SELECT dep, ARRAY[$1::int, dep] FROM unnest($2::int[]) AS dep
+       UNION ALL
+       SELECT d.depends_on_id, c.path || d.depends_on_id
+       FROM task_dependencies d JOIN chain c ON d.task_id = c.id
+       WHERE c.id <> $1 AND NOT d.depends_on_id = ANY(c.path[2:])
+     )
+     SELECT path FROM chain WHERE id = $1 LIMIT 1`,
+    [taskId, dependsOnIds]
+  );
+  return rows[0]?.path || null;
+}
+
+/**
+ * Why taskId cannot depend on dependsOnIds: invalid ids, unknown tasks, or a cycle.
+ * Pass taskId = null for a task that is about to be created (it cannot be part of a cycle yet).
+ * @returns {Promise<string|null>} user-facing message, or null when the links are fine
+ */
+async function dependencyProblem(taskId, dependsOnIds) {
+  const invalid = validateDependencyIds(dependsOnIds);
+  if (invalid) return invalid;
+  const ids = [...new Set(dependsOnIds || [])];
+  if (!ids.length) return null;
+  if (taskId && ids.includes(taskId)) return '任务不能依赖自己';
+
+  const { rows } = await pool.query('SELECT id FROM tasks WHERE id = ANY($1::int[])', [ids]);
+  const missing = ids.filter(id => !rows.some(r => r.id === id));
+  if (missing.length) return `前置任务不存在：${missing.map(id => `#${id}`).join('、')}`;
+
+  if (taskId) {
+    const cycle = await findDependencyCycle(pool, taskId, ids);
+    if (cycle) return `不能添加：会形成循环依赖（${cycle.map(id => `#${id}`).join(' → ')}）`;
+  }
+  return null;
+}
+
+/**
+ * A task's dependency chain: every task it waits for, directly (depth 1) or through
+ * other dependencies, plus the tasks that directly wait for it.
+ * @param {number} taskId
+ * @returns {Promise<{chain: object[], blocks: object[]}>} rows of { id, title, status[, depth] }
+ */
+async function getDependencies(taskId) {
+  const [chainResult, blocksResult] = await Promise.all([
+    pool.query(
+      `WITH RECURSIVE chain(id, depth, path) AS (
+         SELECT depends_on_id, 1, ARRAY[depends_on_id] FROM task_dependencies WHERE task_id = $1
+         UNION ALL
+         SELECT d.depends_on_id, c.depth + 1, c.path || d.depends_on_id
+         FROM task_dependencies d JOIN chain c ON d.task_id = c.id
+         WHERE NOT d.depends_on_id = ANY(c.path)
+       )
+       SELECT t.id, t.title, t.status, MIN(chain.depth)::int AS depth
+       FROM chain JOIN tasks t ON t.id = chain.id
+       GROUP BY t.id
+       ORDER BY depth, t.id`,
+      [taskId]
+    ),
+    pool.query(
+      `SELECT t.id, t.title, t.status
+       FROM task_dependencies d JOIN tasks t ON t.id = d.task_id
+       WHERE d.depends_on_id = $1
+       ORDER BY t.id`,
+      [taskId]
+    ),
+  ]);
+  return { chain: chainResult.rows, blocks: blocksResult.rows };
+}
+
+/**
+ * Get a user's open tasks (assigned to them, not yet completed or cancelled).
+ * Includes in_progress and blocked tasks — they are still the assignee's work.
+ * On multi-assignee tasks, a user whose own share is completed no longer sees the task.
  * Matches by feishu_user_id (assignee_id) OR open_id (assignee_open_id) — whichever is available.
+ * Tasks on hold carry waiting_on: [{ id, title }] of their unresolved dependencies.
  * @param {string|null} feishuUserId - feishu_user_id (on_xxx); may be null
  * @param {string|null} openId       - open_id (ou_xxx) as fallback
  */
 async function getUserPendingTasks(feishuUserId, openId = null) {
   const result = await pool.query(
-    `SELECT * FROM tasks
-     WHERE status = 'pending'
-       AND (
-         ($1::text IS NOT NULL AND assignee_id = $1)
-         OR ($2::text IS NOT NULL AND assignee_open_id = $2)
+    `SELECT tasks.*, ${ASSIGNEE_COUNTS_SQL}, ${CHECKLIST_COUNTS_SQL}, ${WAITING_ON_SQL}
+     FROM tasks
+     WHERE status = ANY($3)
+       AND EXISTS (
+         SELECT 1 FROM task_assignees ta
+         WHERE ta.task_id = tasks.id AND ta.status = 'pending'
+           AND (
+             ($1::text IS NOT NULL AND ta.assignee_id = $1)
+             OR ($2::text IS NOT NULL AND ta.assignee_open_id = $2)
+           )
        )
      ORDER BY deadline ASC NULLS LAST, created_at ASC`,
-    [feishuUserId || null, openId || null]
+    [feishuUserId || null, openId || null, OPEN_STATUSES]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the most recent tasks a user reported (created), in any status.
+ * Used by reporters to find a task to cancel or reopen.
+ * @param {string} reporterOpenId - open_id (ou_xxx)
+ * @param {number} [limit=20]
+ */
+async function getReportedTasks(reporterOpenId, limit = 20) {
+  if (!reporterOpenId) return [];
+  const result = await pool.query(
+    `SELECT * FROM tasks
+     WHERE reporter_open_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [reporterOpenId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Tasks a user reported that are still open, including those awaiting their review.
+ * Used by the reporter digest.
+ * @param {string} reporterOpenId - open_id (ou_xxx)
+ */
+async function getOpenReportedTasks(reporterOpenId) {
+  if (!reporterOpenId) return [];
+  const result = await pool.query(
+    `SELECT tasks.*, u.name AS assignee_name, ${ASSIGNEE_COUNTS_SQL}
+     FROM tasks
+     LEFT JOIN users u ON u.open_id = tasks.assignee_open_id
+     WHERE tasks.reporter_open_id = $1 AND tasks.status = ANY($2)
+     ORDER BY tasks.deadline ASC NULLS LAST, tasks.created_at ASC`,
+    [reporterOpenId, [...OPEN_STATUSES, 'awaiting_review']]
+  );
+  return result.rows;
+}
+
+/**
+ * A group chat's task board: open tasks created in the group, plus those of its default tag.
+ * @param {string} chatId
+ * @param {string|null} [tag] - the group's default tag
+ */
+async function getGroupTasks(chatId, tag = null) {
+  if (!chatId) return [];
+  const result = await pool.query(
+    `SELECT tasks.*, u.name AS assignee_name, ${ASSIGNEE_COUNTS_SQL}
+     FROM tasks
+     LEFT JOIN users u ON u.open_id = tasks.assignee_open_id
+     WHERE tasks.status = ANY($2)
+       AND (tasks.source_chat_id = $1 OR ($3::text IS NOT NULL AND tasks.target_tag = $3))
+     ORDER BY tasks.deadline ASC NULLS LAST, tasks.created_at ASC`,
+    [chatId, [...OPEN_STATUSES, 'awaiting_review'], tag || null]
   );
   return result.rows;
 }
 
 /**
- * Get all pending tasks (admin view).
+ * Get all open tasks (admin view).
  */
 async function getAllPendingTasks() {
   const result = await pool.query(
-    `SELECT * FROM tasks WHERE status = 'pending' ORDER BY deadline ASC NULLS LAST`
+    'SELECT * FROM tasks WHERE status = ANY($1) ORDER BY deadline ASC NULLS LAST',
+    [OPEN_STATUSES]
   );
   return result.rows;
 }
@@ -78,7 +483,24 @@ async function getAllTasks({ page = 1, limit = 20, search = '', status = null }
 
   const [rowsResult, countResult] = await Promise.all([
     pool.query(
-      `SELECT * FROM tasks ${where} ORDER BY created_at DESC LIMIT $${i} OFFSET $${i + 1}`,
+      `SELECT tasks.*,
+              (SELECT json_agg(json_build_object(
+                        'assignee_id', ta.assignee_id, 'assignee_open_id', ta.assignee_open_id,
+                        'status', ta.status, 'proof', ta.proof, 'completed_at', ta.completed_at
+                      ) ORDER BY ta.position, ta.id)
+               FROM task_assignees ta WHERE ta.task_id = tasks.id) AS assignees,
+              (SELECT json_agg(json_build_object(
+                        'position', ci.position, 'title', ci.title, 'required', ci.required,
+                        'done', ci.done, 'done_at', ci.done_at
+                      ) ORDER BY ci.position)
+               FROM task_checklist_items ci WHERE ci.task_id = tasks.id) AS checklist,
+              (SELECT json_agg(json_build_object('id', b.id, 'title', b.title, 'status', b.status) ORDER BY b.id)
+               FROM task_dependencies d JOIN tasks b ON b.id = d.depends_on_id
+               WHERE d.task_id = tasks.id) AS depends_on,
+              (SELECT json_agg(json_build_object('id', n.id, 'title', n.title, 'status', n.status) ORDER BY n.id)
+               FROM task_dependencies d JOIN tasks n ON n.id = d.task_id
+               WHERE d.depends_on_id = tasks.id) AS blocks
+       FROM tasks ${where} ORDER BY created_at DESC LIMIT $${i} OFFSET $${i + 1}`,
       [...values, limit, offset]
     ),
     pool.query(`SELECT COUNT(*)::int AS total FROM tasks ${where}`, values),
@@ -97,14 +519,33 @@ async function getAllTasks({ page = 1, limit = 20, search = '', status = null }
  * @param {string} params.assigneeId         - Assignee feishu_user_id (on_xxx)
  * @param {string} [params.assigneeOpenId]   - Assignee open_id (ou_xxx) for messaging
  * @param {string} [params.assigneeName]     - Assignee display name (for confirmation msg)
- * @param {string} [params.deadline]         - Deadline as YYYY-MM-DD string
+ * @param {string} [params.deadline]         - Deadline: YYYY-MM-DD (start of day), 'YYYY-MM-DD HH:mm' or ISO 8601
+ * @param {string} [params.timezone]         - IANA zone a date / wall-clock deadline is read in
+ *        (default DEFAULT_TIMEZONE); messages are formatted in each recipient's own zone
  * @param {string} [params.note]             - Optional note
  * @param {string} [params.creatorId]        - Creator feishu_user_id (for audit)
  * @param {string} [params.reporterOpenId]        - Reporter open_id (ou_xxx), notified when task completes
  * @param {number} [params.reminderIntervalHours] - Hours between reminders (0 = disabled, default 24)
  * @param {string} [params.priority]             - Task priority: 'p0', 'p1' (default), 'p2'
+ * @param {Array<{assigneeId: string, assigneeOpenId?: string, assigneeName?: string}>} [params.coAssignees]
+ *        - Additional assignees; the primary assignee above stays first
+ * @param {string} [params.completionMode]       - 'all' (default) or 'any' — when a multi-assignee task closes
+ * @param {Array<string|{title: string, required?: boolean}>} [params.checklist] - Ordered checklist items
+ * @param {number[]} [params.dependsOn]          - Ids of tasks that must finish first; while any is open
+ *        the task waits: no assignee DM and no reminders until releaseReadyTasks() lets it go
+ *        (callers check dependencyProblem() first for a friendly error)
+ * @param {boolean} [params.requiresApproval]    - Completion waits for the reporter's review (awaiting_review)
+ * @param {string} [params.sourceChatId]        - Group chat the task was created in (its 「群任务」 board)
+ * @throws {Error} on an invalid deadline, checklist or dependency list
  */
-async function createTask({ title, assigneeId, assigneeOpenId, assigneeName, deadline, note, creatorId, reporterOpenId, reminderIntervalHours, priority = 'p1', estimatedHours, targetTag }) {
+async function createTask({ title, assigneeId, assigneeOpenId, assigneeName, deadline, note, creatorId, reporterOpenId, reminderIntervalHours, priority = 'p1', estimatedHours, targetTag, coAssignees = [], completionMode = 'all', checklist = [], dependsOn = [], requiresApproval = false, timezone, sourceChatId }) {
+  const invalidChecklist = validateChecklist(checklist);
+  if (invalidChecklist) throw new Error(invalidChecklist);
+  const items = normalizeChecklist(checklist);
+  const invalidDeps = validateDependencyIds(dependsOn);
+  if (invalidDeps) throw new Error(invalidDeps);
+  const dependsOnIds = [...new Set(dependsOn || [])];
+
   // Tag-based auto-assignment: resolve the user with the lowest weighted workload
   if (targetTag && !assigneeOpenId) {
     const picked = await usersDb.pickByWorkload(targetTag);
@@ -114,20 +555,13 @@ async function createTask({ title, assigneeId, assigneeOpenId, assigneeName, dea
     assigneeName    = picked.name;
     logger.info('Tag-based assignee resolved', { tag: targetTag, assignee: assigneeName, openId: assigneeOpenId });
   }
-  let deadlineDate;
-  if (deadline) {
-    // Strict date validation: accept YYYY-MM-DD or ISO 8601
-    if (typeof deadline === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(deadline)) {
-      // Append T00:00:00 to avoid timezone-shift issues with date-only strings
-      deadlineDate = new Date(deadline + 'T00:00:00');
-    } else {
-      deadlineDate = new Date(deadline);
-    }
-    if (isNaN(deadlineDate.getTime())) {
-      throw new Error(`Invalid deadline date: ${deadline}`);
-    }
-  } else {
-    deadlineDate = new Date(Date.now() + DEFAULT_DEADLINE_DAYS * MS_PER_DAY);
+  let deadlineDate = deadline
+    ? parseDeadline(deadline, timezone)
+    : new Date(Date.now() + DEFAULT_DEADLINE_DAYS * MS_PER_DAY);
+  // A deadline on a weekend or holiday moves to the same time on the next working day
+  const calendar = await workCalendar.loadCalendar();
+  if (calendar.rollDeadlines) {
+    deadlineDate = workCalendar.rollToWorkingDay(deadlineDate, resolveTimezone(timezone), calendar);
   }
 
   const _parsed = parseInt(reminderIntervalHours, 10);
@@ -137,22 +571,54 @@ async function createTask({ title, assigneeId, assigneeOpenId, assigneeName, dea
     ? _parsed
     : DEFAULT_REMINDER_INTERVAL_HOURS;
 
-  const resolvedPriority = ['p0', 'p1', 'p2'].includes(priority) ? priority : 'p1';
+  const resolvedPriority = PRIORITIES.includes(priority) ? priority : 'p1';
 
-  const resolvedEstimatedHours = (estimatedHours != null && !isNaN(Number(estimatedHours)))
-    ? Math.min(999.99, Math.max(0.25, Number(estimatedHours)))
-    : null;
+  const resolvedEstimatedHours = clampEstimatedHours(estimatedHours);
+
+  const resolvedCompletionMode = COMPLETION_MODES.includes(completionMode) ? completionMode : 'all';
+
+  // Primary first, then co-assignees; drop duplicates of the same person
+  const assignees = [{ assigneeId, assigneeOpenId, assigneeName }];
+  for (const a of coAssignees) {
+    if (!a?.assigneeId) continue;
+    if (assignees.some(x => x.assigneeId === a.assigneeId ||
+        (a.assigneeOpenId && x.assigneeOpenId === a.assigneeOpenId))) continue;
+    assignees.push(a);
+  }
 
+  // One statement: task row + its task_assignees rows (position 0 = primary) + checklist items
+  // + dependency links
   const result = await pool.query(
-    `INSERT INTO tasks
-       (title, assignee_id, assignee_open_id, reporter_open_id, deadline, note,
-        creator_id, reminder_interval_hours, priority, estimated_hours, target_tag)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-     RETURNING *`,
+    `WITH new_task AS (
+       INSERT INTO tasks
+         (title, assignee_id, assignee_open_id, reporter_open_id, deadline, note,
+          creator_id, reminder_interval_hours, priority, estimated_hours, target_tag, completion_mode,
+          waiting_on_dependencies, requires_approval, source_chat_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+               EXISTS (SELECT 1 FROM tasks b WHERE b.id = ANY($17::int[])
+                       AND b.status NOT IN ('completed', 'cancelled')),
+               $18, $19)
+       RETURNING *
+     ), new_assignees AS (
+       INSERT INTO task_assignees (task_id, assignee_id, assignee_open_id, position)
+       SELECT new_task.id, a.assignee_id, a.assignee_open_id, (a.ord - 1)::smallint
+       FROM new_task, unnest($13::text[], $14::text[]) WITH ORDINALITY AS a(assignee_id, assignee_open_id, ord)
+     ), new_items AS (
+       INSERT INTO task_checklist_items (task_id, position, title, required)
+       SELECT new_task.id, i.ord::smallint, i.title, i.required
+       FROM new_task, unnest($15::text[], $16::boolean[]) WITH ORDINALITY AS i(title, required, ord)
+     ), new_deps AS (
+       INSERT INTO task_dependencies (task_id, depends_on_id, created_by)
+       SELECT new_task.id, dep, $7 FROM new_task, unnest($17::int[]) AS dep
+     )
+     SELECT * FROM new_task`,
     [title, assigneeId, assigneeOpenId || null, reporterOpenId || null, deadlineDate, note || null,
-     creatorId || null, intervalHours, resolvedPriority, resolvedEstimatedHours, targetTag || null]
+     creatorId || null, intervalHours, resolvedPriority, resolvedEstimatedHours, targetTag || null,
+     resolvedCompletionMode,
+     assignees.map(a => a.assigneeId), assignees.map(a => a.assigneeOpenId || null),
+     items.map(i => i.title), items.map(i => i.required), dependsOnIds, !!requiresApproval, sourceChatId || null]
   );
-  const task = result.rows[0];
+  let task = result.rows[0];
 
   // Audit log (silent fail — don't block task creation)
   if (creatorId) {
@@ -162,53 +628,188 @@ async function createTask({ title, assigneeId, assigneeOpenId, assigneeName, dea
         action: 'create_task',
         targetType: 'task',
         targetId: String(task.id),
-        details: { title, assigneeId, deadline },
+        details: {
+          title, assigneeId, deadline,
+          ...(assignees.length > 1 && {
+            coAssigneeIds: assignees.slice(1).map(a => a.assigneeId),
+            completionMode: resolvedCompletionMode,
+          }),
+          ...(items.length && { checklistItems: items.length }),
+          ...(dependsOnIds.length && { dependsOn: dependsOnIds }),
+          ...(requiresApproval && { requiresApproval: true }),
+        },
       })
       .catch(err => logger.warn('audit.log failed', { error: err.message }));
   }
 
-  // Notify assignee via direct Feishu message
-  if (assigneeOpenId) {
-    const deadlineStr = deadlineDate.toLocaleDateString('zh-CN', { month: 'long', day: 'numeric' });
-    const reminderNote = intervalHours > 0 ? `\n⏰ 每 ${intervalHours} 小时提醒一次` : '';
-    const notifyMsg =
-      `📋 你收到一个新的催办任务：\n\n` +
-      `${priorityBadge(resolvedPriority)} 「${title}」\n` +
-      `📅 截止：${deadlineStr}${reminderNote}\n\n` +
-      `发送「完成」标记任务已完成`;
-
-    feishu.sendMessage(assigneeOpenId, notifyMsg, 'open_id').catch((err) => {
-      logger.warn('Failed to notify assignee of new task', { error: err.message, assigneeOpenId });
+  // Notify every assignee via direct Feishu message
+  const reminderNote = intervalHours > 0 ? `\n⏰ 每 ${intervalHours} 小时提醒一次` : '';
+  const teamNote = assignees.length > 1
+    ? `\n👥 共 ${assignees.length} 位执行人：${assignees.map(a => a.assigneeName || a.assigneeOpenId || a.assigneeId).join('、')}` +
+      `（${COMPLETION_MODE_LABELS[resolvedCompletionMode]}）`
+    : '';
+  const approvalNote = requiresApproval ? '\n🔍 完成后需报告对象验收' : '';
+  const checklistNote = items.length
+    ? '\n\n☑️ 清单：\n' + items.map((i, idx) => `${idx + 1}. ${i.title}${i.required ? '' : '（可选）'}`).join('\n')
+    : '';
+  const notifyCard = (tz) => taskNotificationCard(task, 'assigned',
+    `${priorityBadge(resolvedPriority)} 「${title}」\n` +
+    `📅 截止：${formatDeadline(deadlineDate, tz)}${reminderNote}${approvalNote}${teamNote}${checklistNote}` +
+    (items.length ? '\n\n发送「完成 序号.项」勾选清单项' : ''));
+  if (task.waiting_on_dependencies) {
+    // Held back until the dependencies finish — releaseReadyTasks() sends the DM then.
+    // Re-check once: a dependency completed while this statement ran would never release it.
+    const [released] = await releaseReadyTasks([task.id]).catch((err) => {
+      logger.warn('Failed to re-check task dependencies', { error: err.message, taskId: task.id });
+      return [];
     });
+    if (released) task = { ...task, waiting_on_dependencies: false };
+  } else {
+    const timezones = await recipientTimezones(assignees.map(a => a.assigneeOpenId));
+    for (const a of assignees) {
+      if (!a.assigneeOpenId) continue;
+      sendTaskMessage(task.id, a.assigneeOpenId, notifyCard(timezones.get(a.assigneeOpenId)), 'assigned').catch((err) => {
+        logger.warn('Failed to notify assignee of new task', { error: err.message, assigneeOpenId: a.assigneeOpenId });
+      });
+    }
   }
 
-  logger.info('Task created', { id: task.id, title, assigneeId, tag: targetTag });
+  logger.info('Task created', {
+    id: task.id, title, assigneeId, tag: targetTag, assignees: assignees.length,
+    waiting: task.waiting_on_dependencies,
+  });
   // Augment with assignee_name (not stored in DB) for callers like agentForwarder
-  return { ...task, assignee_name: assigneeName || null };
+  return {
+    ...task,
+    assignee_name: assigneeName || null,
+    assignee_count: assignees.length,
+    assignee_names: assignees.map(a => a.assigneeName || null),
+    checklist_total: items.length,
+    checklist_done: 0,
+  };
 }
 
 /**
  * Mark a task as completed, then notify the reporter (task creator) via Feishu DM.
  *
+ * With opts.assigneeOpenId / opts.assigneeId, only that assignee's share is completed
+ * (task_assignees row, with its own proof). The task itself closes when its completion_mode
+ * is 'any', or when it is 'all' and nobody is left pending; otherwise the reporter gets a
+ * progress DM and the returned task is still open.
+ * Without an assignee (admin dashboard) the whole task is completed.
+ * A task with requires_approval does not close: it moves to awaiting_review and the reporter
+ * is asked to accept or reject it (see reviewTask()).
+ *
  * @param {number} taskId          - Task ID (integer)
  * @param {string} [proof]         - Proof URL or description
  * @param {string} [userId]        - Completer's feishu_user_id (for audit)
  * @param {string} [completerName] - Completer's display name (for reporter notification)
+ * @param {object} [opts]
+ * @param {string} [opts.assigneeOpenId] - Complete only this assignee's share (open_id)
+ * @param {string} [opts.assigneeId]     - ...or by feishu_user_id
+ * @param {boolean} [opts.force]         - Complete even if required checklist items are open
+ * @returns {Promise<object|null>} task row (+ assignees_done / assignee_count for per-assignee
+ *          completion), or null when not found / already completed / blocked by the checklist
+ *          (use completionBlocker() to tell the user why)
  */
-async function completeTask(taskId, proof, userId, completerName) {
+async function completeTask(taskId, proof, userId, completerName, { assigneeOpenId, assigneeId, force = false } = {}) {
+  if (assigneeOpenId || assigneeId) {
+    return completeAssigneeShare(taskId, proof, userId, completerName, { assigneeOpenId, assigneeId, force });
+  }
+  return closeCompletedTask(taskId, proof, userId, completerName, null, force);
+}
+
+// Guard shared by both completion paths: no required checklist item left open (unless forced)
+const CHECKLIST_GUARD_SQL = `NOT EXISTS (
+         SELECT 1 FROM task_checklist_items ci WHERE ci.task_id = $1 AND ci.required AND NOT ci.done
+       )`;
+
+async function completeAssigneeShare(taskId, proof, userId, completerName, { assigneeOpenId, assigneeId, force }) {
+  const shareResult = await pool.query(
+    `UPDATE task_assignees ta
+     SET status = 'completed', proof = $4, completed_at = NOW()
+     FROM tasks t
+     WHERE ta.task_id = $1 AND t.id = ta.task_id AND t.status = ANY($5)
+       AND ta.status = 'pending'
+       AND (($2::text IS NOT NULL AND ta.assignee_open_id = $2)
+            OR ($3::text IS NOT NULL AND ta.assignee_id = $3)
+            OR ($2::text IS NOT NULL AND ta.assignee_id = $2))
+       AND ($6::boolean OR ${CHECKLIST_GUARD_SQL})
+     RETURNING ta.*, t.completion_mode`,
+    [taskId, assigneeOpenId || null, assigneeId || null, proof || null, OPEN_STATUSES, force]
+  );
+  const share = shareResult.rows[0];
+  if (!share) {
+    logger.warn('completeTask: no pending share for assignee', { taskId, assigneeOpenId, assigneeId });
+    return null;
+  }
+
+  const { rows: [progress] } = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE status = 'completed')::int AS done
+     FROM task_assignees WHERE task_id = $1`,
+    [taskId]
+  );
+  const counts = { assignee_count: progress.total, assignees_done: progress.done };
+
+  if (share.completion_mode === 'any' || progress.done >= progress.total) {
+    const closed = await closeCompletedTask(taskId, proof, userId, completerName, counts, force);
+    // A concurrent completion may have closed it first — the share is still recorded
+    return closed || { ...(await getTask(taskId)), ...counts };
+  }
+
+  const task = await getTask(taskId);
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'complete_task_share',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { proof, assignee: share.assignee_open_id || share.assignee_id, ...counts },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  if (task?.reporter_open_id) {
+    let notifyMsg =
+      '☑️ 催办任务进度更新：\n\n' +
+      `📋 「${task.title}」\n` +
+      `👤 ${completerName || '一位执行人'} 已完成自己的部分\n` +
+      `📊 进度：${progress.done}/${progress.total}`;
+    if (proof) notifyMsg += `\n📎 完成证明：${proof}`;
+    outbox.enqueue({ receiveId: task.reporter_open_id, content: notifyMsg }).catch((err) => {
+      logger.warn('Failed to notify reporter of task progress', { error: err.message, taskId });
+    });
+  }
+
+  logger.info('Task share completed', { id: taskId, ...counts });
+  return { ...task, ...counts };
+}
+
+// Tasks that require approval are submitted for review instead of closing
+async function closeCompletedTask(taskId, proof, userId, completerName, counts = null, force = false) {
   const result = await pool.query(
     `UPDATE tasks
-     SET status = 'completed', proof = $2, completed_at = NOW()
-     WHERE id = $1 AND status = 'pending'
-     RETURNING *`,
-    [taskId, proof || null]
+     SET status = CASE WHEN requires_approval THEN 'awaiting_review' ELSE 'completed' END,
+         proof = $2,
+         completed_at = CASE WHEN requires_approval THEN NULL ELSE NOW() END,
+         submitted_at = CASE WHEN requires_approval THEN NOW() ELSE submitted_at END,
+         status_changed_at = NOW(), blocked_reason = NULL
+     WHERE id = $1 AND status = ANY($3)
+       AND ($4::boolean OR ${CHECKLIST_GUARD_SQL})
+     RETURNING *, ${DEPENDENT_IDS_SQL}`,
+    [taskId, proof || null, OPEN_STATUSES, force]
   );
 
-  const task = result.rows[0];
-  if (!task) {
+  if (!result.rows[0]) {
     logger.warn('completeTask: task not found or already completed', { taskId });
     return null;
   }
+  const { dependent_ids: dependentIds, ...task } = result.rows[0];
+  if (task.status === 'awaiting_review') {
+    return submitForReview(task, proof, userId, completerName, counts, force);
+  }
 
   if (userId) {
     audit
@@ -217,20 +818,15 @@ async function completeTask(taskId, proof, userId, completerName) {
         action: 'complete_task',
         targetType: 'task',
         targetId: String(taskId),
-        details: { proof },
+        details: { proof, ...(force && { force: true }) },
       })
       .catch(err => logger.warn('audit.log failed', { error: err.message }));
   }
 
   // Notify reporter (task creator) that the task is done
   if (task && task.reporter_open_id) {
-    const completedAt = new Date().toLocaleString('zh-CN', {
-      timeZone: 'Asia/Shanghai',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+    const timezones = await recipientTimezones([task.reporter_open_id]);
+    const completedAt = formatDateTime(new Date(), timezones.get(task.reporter_open_id), { withTime: true });
     const whoStr = completerName || '执行人';
     let notifyMsg =
       `✅ 催办任务已完成！\n\n` +
@@ -238,8 +834,11 @@ async function completeTask(taskId, proof, userId, completerName) {
       `👤 完成人：${whoStr}\n` +
       `🕐 完成时间：${completedAt}`;
     if (proof) notifyMsg += `\n📎 完成证明：${proof}`;
+    if (counts && counts.assignee_count > 1) {
+      notifyMsg += `\n👥 ${counts.assignees_done}/${counts.assignee_count} 位执行人已完成`;
+    }
 
-    feishu.sendMessage(task.reporter_open_id, notifyMsg, 'open_id').catch((err) => {
+    outbox.enqueue({ receiveId: task.reporter_open_id, content: notifyMsg }).catch((err) => {
       logger.warn('Failed to notify reporter of task completion', {
         error: err.message,
         reporterOpenId: task.reporter_open_id,
@@ -248,243 +847,1671 @@ async function completeTask(taskId, proof, userId, completerName) {
     });
   }
 
+  await releaseDependents(taskId, dependentIds);
+
   logger.info('Task completed', { id: taskId, proof: !!proof });
-  return task;
+  return counts ? { ...task, ...counts } : task;
+}
+
+// ── Approval ─────────────────────────────────────────────────────────────────
+
+/** Audit + ask the reporter to accept or reject a task that just moved to awaiting_review */
+function submitForReview(task, proof, userId, completerName, counts, force) {
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'submit_task',
+        targetType: 'task',
+        targetId: String(task.id),
+        details: { proof, ...(force && { force: true }) },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  if (task.reporter_open_id) {
+    let msg =
+      '🔍 催办任务待你验收：\n\n' +
+      `${priorityBadge(task.priority)} 「${task.title}」\n` +
+      `👤 提交人：${completerName || '执行人'}`;
+    if (proof) msg += `\n📎 完成证明：${proof}`;
+    if (counts && counts.assignee_count > 1) {
+      msg += `\n👥 ${counts.assignees_done}/${counts.assignee_count} 位执行人已完成`;
+    }
+    msg += `\n\n回复「通过 #${task.id}」验收通过，或「驳回 #${task.id} 原因」退回执行人修改`;
+    outbox.enqueue({ receiveId: task.reporter_open_id, content: msg }).catch((err) => {
+      logger.warn('Failed to ask reporter for review', { error: err.message, taskId: task.id });
+    });
+  }
+
+  logger.info('Task submitted for review', { id: task.id, proof: !!proof });
+  return counts ? { ...task, ...counts } : task;
 }
 
 /**
- * Delete a task.
+ * Accept or reject a task in awaiting_review.
+ *   approve → completed: assignees hear it was accepted; dependent tasks are released
+ *   reject  → in_progress: every assignee owes their share again, the comment is kept in
+ *             review_comment and sent to them, and the reminder clock restarts from now
  *
- * @param {number} taskId   - Task ID
- * @param {string} [userId] - Deleter's feishu_user_id (for audit)
+ * @param {number} taskId
+ * @param {'approve'|'reject'} decision
+ * @param {object} [opts]
+ * @param {string} [opts.userId]    - Reviewer id (for audit)
+ * @param {string} [opts.actorName] - Reviewer display name (for the DM)
+ * @param {string} [opts.comment]   - Why (required to reject)
+ * @returns {Promise<object|null>} updated task, or null when it is not awaiting review
  */
-async function deleteTask(taskId, userId) {
+async function reviewTask(taskId, decision, { userId, actorName, comment } = {}) {
+  if (!REVIEW_DECISIONS.includes(decision)) throw new Error(`Invalid review decision: ${decision}`);
+  if (decision === 'reject' && !comment?.trim()) throw new Error('驳回时必须填写原因');
+  const approve = decision === 'approve';
+
   const result = await pool.query(
-    `DELETE FROM tasks WHERE id = $1 RETURNING *`,
-    [taskId]
+    `UPDATE tasks
+     SET status = $2::varchar,
+         status_changed_at = NOW(),
+         completed_at = CASE WHEN $2::varchar = 'completed' THEN NOW() ELSE NULL END,
+         review_comment = CASE WHEN $2::varchar = 'completed' THEN review_comment ELSE $3 END,
+         last_reminded_at = NOW()
+     WHERE id = $1 AND status = 'awaiting_review'
+     RETURNING *, ${DEPENDENT_IDS_SQL}`,
+    [taskId, approve ? 'completed' : 'in_progress', comment?.trim() || null]
   );
+  if (!result.rows[0]) {
+    logger.warn('reviewTask: task not awaiting review', { taskId, decision });
+    return null;
+  }
+  const { dependent_ids: dependentIds, ...task } = result.rows[0];
+
+  // Rejected: every assignee has to submit again
+  if (!approve) {
+    await pool.query(
+      `UPDATE task_assignees SET status = 'pending', completed_at = NULL
+       WHERE task_id = $1`,
+      [taskId]
+    );
+  }
 
   if (userId) {
     audit
       .log({
         userId,
-        action: 'delete_task',
+        action: approve ? 'approve_task' : 'reject_task',
         targetType: 'task',
         targetId: String(taskId),
-        details: {},
+        details: { comment: comment?.trim() || null },
       })
       .catch(err => logger.warn('audit.log failed', { error: err.message }));
   }
 
-  logger.info('Task deleted', { id: taskId });
-  return result.rows[0];
+  const who = actorName ? `👤 验收人：${actorName}\n` : '';
+  const msg = approve
+    ? '✅ 催办任务已通过验收：\n\n' +
+      `${priorityBadge(task.priority)} 「${task.title}」\n` +
+      who + (comment?.trim() ? `📝 ${comment.trim()}\n` : '')
+    : '↩️ 催办任务被驳回，请修改后重新提交：\n\n' +
+      `${priorityBadge(task.priority)} 「${task.title}」\n` +
+      who + `📝 原因：${comment.trim()}\n\n` +
+      '发送「完成」重新提交';
+  const assignees = await getTaskAssignees(taskId);
+  const openIds = assignees.length
+    ? assignees.map(a => a.assignee_open_id).filter(Boolean)
+    : [task.assignee_open_id].filter(Boolean);
+  for (const openId of openIds) {
+    outbox.enqueue({ receiveId: openId, content: msg.trimEnd() }).catch((err) => {
+      logger.warn('Failed to notify assignee of review', { error: err.message, taskId, decision });
+    });
+  }
+
+  if (approve) await releaseDependents(taskId, dependentIds);
+
+  logger.info('Task reviewed', { id: taskId, decision });
+  return task;
 }
 
-// ── Cron ─────────────────────────────────────────────────────────────────────
+// ── Dependency links ─────────────────────────────────────────────────────────
+
+// Ids of the tasks that depend on the row being updated / deleted (for RETURNING)
+const DEPENDENT_IDS_SQL = `ARRAY(
+         SELECT d.task_id FROM task_dependencies d WHERE d.depends_on_id = tasks.id
+       ) AS dependent_ids`;
 
 /**
- * Scan for pending tasks that are due for a reminder and send Feishu DMs.
- * Called periodically by the reminder cron in index.js.
- *
- * A task is due for a reminder when:
- *   - status = 'pending'
- *   - reminder_interval_hours > 0  (0 = disabled)
- *   - assignee_open_id is set (need it to send the DM)
- *   - NOW() >= COALESCE(last_reminded_at, created_at) + reminder_interval_hours
- *
- * @returns {Promise<number>} number of reminders sent
+ * Let waiting tasks go once none of their dependencies is open any more: clear the flag,
+ * restart the reminder clock and DM their pending assignees that they can start.
+ * The UPDATE clears each flag at most once, so concurrent callers never double-notify.
+ * @param {number[]} taskIds - candidate tasks (typically the dependents of a task that just finished)
+ * @returns {Promise<object[]>} the released task rows
  */
-async function sendPendingReminders() {
-  const now = new Date();
-  let totalSent = 0;
+async function releaseReadyTasks(taskIds) {
+  if (!taskIds?.length) return [];
+  const { rows } = await pool.query(
+    `UPDATE tasks
+     SET waiting_on_dependencies = FALSE, last_reminded_at = NOW()
+     WHERE id = ANY($1::int[]) AND waiting_on_dependencies AND status = ANY($2)
+       AND NOT ${UNRESOLVED_DEPS_SQL}
+     RETURNING *, ${PENDING_ASSIGNEES_SQL}, ${CHECKLIST_COUNTS_SQL}`,
+    [taskIds, OPEN_STATUSES]
+  );
 
-  // ── Part 1: One-time deadline-overdue alert ─────────────────────────────
-  // Uses FOR UPDATE SKIP LOCKED to prevent concurrent cron runs from
-  // double-sending the same alert.
-  let overdueTasks = [];
-  {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      const { rows } = await client.query(`
-        SELECT * FROM tasks
-        WHERE status = 'pending'
-          AND deadline IS NOT NULL
-          AND deadline < NOW()
-          AND deadline_notified_at IS NULL
-        FOR UPDATE SKIP LOCKED
-      `);
-      overdueTasks = rows;
-
-      if (overdueTasks.length > 0) {
-        for (const task of overdueTasks) {
-          await client.query(
-            'UPDATE tasks SET deadline_notified_at = NOW() WHERE id = $1',
-            [task.id]
-          );
-        }
-      }
-      await client.query('COMMIT');
-    } catch (err) {
-      await client.query('ROLLBACK').catch((rollbackErr) => {
-        logger.error('Rollback failed', { error: rollbackErr.message });
+  const timezones = rows.length ? await recipientTimezones(rows.flatMap(reminderRecipients)) : new Map();
+  for (const task of rows) {
+    const msg = (tz) =>
+      '🔓 前置任务已完成，可以开始了：\n\n' +
+      `${priorityBadge(task.priority)} 「${task.title}」\n` +
+      `📅 截止：${formatDeadline(task.deadline, tz)}\n` +
+      `${checklistProgressLine(task)}\n` +
+      '发送「完成」标记任务已完成';
+    for (const openId of reminderRecipients(task)) {
+      outbox.enqueue({ receiveId: openId, content: msg(timezones.get(openId)) }).catch((err) => {
+        logger.warn('Failed to notify assignee of released task', { error: err.message, taskId: task.id });
       });
-      throw err;
-    } finally {
-      client.release();
     }
   }
 
-  // Send overdue notifications (outside any DB client hold)
-  if (overdueTasks.length > 0) {
-    logger.info(`⏰ Deadline alert: ${overdueTasks.length} task(s) newly overdue`);
-
-    await Promise.allSettled(
-      overdueTasks.map(async (task) => {
-        const deadlineStr = new Date(task.deadline).toLocaleString('zh-CN', {
-          timeZone: 'Asia/Shanghai',
-          month: 'long',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-        });
-
-        if (task.assignee_open_id) {
-          const assigneeMsg =
-            `🚨 催办任务已逾期，请尽快完成：\n\n` +
-            `${priorityBadge(task.priority)} 「${task.title}」\n` +
-            `📅 截止时间：${deadlineStr}（已过期）\n\n` +
-            `发送「完成」标记任务已完成`;
-          await feishu.sendMessage(task.assignee_open_id, assigneeMsg, 'open_id').catch((err) => {
-            logger.warn('Deadline alert: failed to DM assignee', { taskId: task.id, error: err.message });
-          });
-        }
-
-        if (task.reporter_open_id) {
-          const reporterMsg =
-            `📢 催办任务逾期通报：\n\n` +
-            `${priorityBadge(task.priority)} 「${task.title}」\n` +
-            `📅 截止时间：${deadlineStr}\n` +
-            `🔴 状态：已逾期，执行人尚未完成\n\n` +
-            `系统将继续每 ${task.reminder_interval_hours} 小时提醒执行人`;
-          await feishu.sendMessage(task.reporter_open_id, reporterMsg, 'open_id').catch((err) => {
-            logger.warn('Deadline alert: failed to DM reporter', { taskId: task.id, error: err.message });
-          });
-        }
-
-        logger.info('Deadline alert sent', {
-          taskId: task.id,
-          title: task.title,
-          hasReporter: !!task.reporter_open_id,
-        });
-      })
-    );
+  if (rows.length) logger.info('Tasks released from dependencies', { ids: rows.map(t => t.id) });
+  return rows;
+}
 
-    totalSent += overdueTasks.length;
-  }
+/** After a task finished (completed / cancelled / deleted), release its dependents that are now ready */
+async function releaseDependents(taskId, dependentIds) {
+  if (!dependentIds?.length) return;
+  await releaseReadyTasks(dependentIds).catch((err) => {
+    logger.warn('Failed to release dependent tasks', { error: err.message, taskId });
+  });
+}
 
-  // ── Part 2: Regular interval reminders (assignee only) ─────────────────
-  let intervalTasks = [];
-  {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      const { rows } = await client.query(`
-        SELECT * FROM tasks
-        WHERE status = 'pending'
-          AND reminder_interval_hours > 0
-          AND assignee_open_id IS NOT NULL
-          AND NOW() >= COALESCE(last_reminded_at, created_at) + make_interval(hours => reminder_interval_hours)
-        ORDER BY deadline ASC NULLS LAST
-        FOR UPDATE SKIP LOCKED
-      `);
-      intervalTasks = rows;
-
-      if (intervalTasks.length > 0) {
-        for (const task of intervalTasks) {
-          await client.query('UPDATE tasks SET last_reminded_at = NOW() WHERE id = $1', [task.id]);
-        }
-      }
-      await client.query('COMMIT');
-    } catch (err) {
-      await client.query('ROLLBACK').catch((rollbackErr) => {
-        logger.error('Rollback failed', { error: rollbackErr.message });
-      });
-      throw err;
-    } finally {
-      client.release();
+/**
+ * Make a task wait for other tasks. If any of them is still open, the task goes on hold
+ * (reminders pause) and its pending assignees are told what they are waiting for.
+ * Runs under a transaction-level advisory lock so two concurrent links cannot close a cycle.
+ *
+ * @param {number} taskId
+ * @param {number[]} dependsOnIds - validated with dependencyProblem() by the caller
+ * @param {object} [opts]
+ * @param {string} [opts.userId] - Actor id (for audit)
+ * @returns {Promise<{chain: object[], blocks: object[], waiting: boolean}>}
+ * @throws {Error} when the links would create a cycle (lost a race with another edit)
+ */
+async function addDependencies(taskId, dependsOnIds, { userId } = {}) {
+  const ids = [...new Set(dependsOnIds)];
+  const client = await pool.connect();
+  let onHold = null;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext(\'task_dependencies\'))');
+    const cycle = await findDependencyCycle(client, taskId, ids);
+    if (cycle) throw new Error(`不能添加：会形成循环依赖（${cycle.map(id => `#${id}`).join(' → ')}）`);
+
+    await client.query(
+      `INSERT INTO task_dependencies (task_id, depends_on_id, created_by)
+       SELECT $1, dep, $3 FROM unnest($2::int[]) AS dep
+       ON CONFLICT DO NOTHING`,
+      [taskId, ids, userId || null]
+    );
+    const { rows } = await client.query(
+      `UPDATE tasks SET waiting_on_dependencies = TRUE
+       WHERE id = $1 AND status = ANY($2) AND NOT waiting_on_dependencies
+         AND ${UNRESOLVED_DEPS_SQL}
+       RETURNING *, ${PENDING_ASSIGNEES_SQL}, ${WAITING_ON_SQL}`,
+      [taskId, OPEN_STATUSES]
+    );
+    onHold = rows[0] || null;
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch((rollbackErr) => {
+      logger.error('Rollback failed', { error: rollbackErr.message });
+    });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'add_dependency',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { dependsOn: ids },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  if (onHold) {
+    const waitingFor = (onHold.waiting_on || []).map(b => `#${b.id}「${b.title}」`).join('、');
+    const msg =
+      '⏳ 催办任务需等待前置任务完成：\n\n' +
+      `${priorityBadge(onHold.priority)} 「${onHold.title}」\n` +
+      `🔗 等待：${waitingFor}\n\n` +
+      '等待期间暂停提醒，前置任务完成后会通知你';
+    for (const openId of reminderRecipients(onHold)) {
+      outbox.enqueue({ receiveId: openId, content: msg }).catch((err) => {
+        logger.warn('Failed to notify assignee of task hold', { error: err.message, taskId });
+      });
     }
   }
 
-  // Send interval reminders (outside any DB client hold)
-  if (intervalTasks.length > 0) {
-    const results = await Promise.allSettled(
-      intervalTasks.map(async (task) => {
-        const isOverdue = task.deadline && new Date(task.deadline) < now;
-        const deadlineStr = task.deadline
-          ? new Date(task.deadline).toLocaleDateString('zh-CN', {
-              timeZone: 'Asia/Shanghai',
-              month: 'long',
-              day: 'numeric',
-            })
-          : '无截止日期';
-
-        const overdueTag = isOverdue ? '⚠️ 已逾期！\n' : '';
-        const assigneeMsg =
-          `⏰ 催办提醒：\n\n` +
-          `${overdueTag}${priorityBadge(task.priority)} 「${task.title}」\n` +
-          `📅 截止：${deadlineStr}\n\n` +
-          `发送「完成」标记任务已完成`;
-
-        await feishu.sendMessage(task.assignee_open_id, assigneeMsg, 'open_id').catch((err) => {
-          logger.warn('Reminder: failed to DM assignee', { taskId: task.id, error: err.message });
-        });
-
-        // Also notify reporter when task is overdue (Part 1 sends once at deadline;
-        // Part 2 follows up periodically so reporter stays informed on open P0s etc.)
-        if (isOverdue && task.reporter_open_id) {
-          const reporterMsg =
-            `📢 催办跟进提醒：\n\n` +
-            `${priorityBadge(task.priority)} 「${task.title}」\n` +
-            `📅 截止：${deadlineStr}\n` +
-            `🔴 状态：已逾期，执行人尚未完成`;
-          await feishu.sendMessage(task.reporter_open_id, reporterMsg, 'open_id').catch((err) => {
-            logger.warn('Reminder: failed to DM reporter', { taskId: task.id, error: err.message });
-          });
-        }
-
-        logger.info('Interval reminder sent', {
-          taskId: task.id,
-          title: task.title,
-          isOverdue,
-          notifiedReporter: isOverdue && !!task.reporter_open_id,
-        });
+  logger.info('Task dependencies added', { taskId, dependsOn: ids, onHold: !!onHold });
+  const [deps, task] = await Promise.all([getDependencies(taskId), getTask(taskId)]);
+  return { ...deps, waiting: !!task?.waiting_on_dependencies };
+}
+
+/**
+ * Remove one dependency link; releases the task if that was the last open one.
+ * @returns {Promise<{released: boolean}|null>} null when there was no such link
+ */
+async function removeDependency(taskId, dependsOnId, { userId } = {}) {
+  const result = await pool.query(
+    'DELETE FROM task_dependencies WHERE task_id = $1 AND depends_on_id = $2 RETURNING *',
+    [taskId, dependsOnId]
+  );
+  if (!result.rows[0]) return null;
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'remove_dependency',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { dependsOn: dependsOnId },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  const released = await releaseReadyTasks([taskId]);
+  logger.info('Task dependency removed', { taskId, dependsOnId, released: released.length > 0 });
+  return { released: released.length > 0 };
+}
+
+/**
+ * Tick (or untick) one checklist item of an open task.
+ * When the last required item gets ticked, the reporter hears that the task is ready to close.
+ *
+ * @param {number} taskId
+ * @param {number} position - 1-based item number, as shown to users
+ * @param {boolean} done
+ * @param {object} [opts]
+ * @param {string} [opts.userId]    - Actor feishu_user_id / open_id (audit + done_by)
+ * @param {string} [opts.actorName] - Actor display name (for the reporter DM)
+ * @returns {Promise<{item: object, done: number, total: number, requiredLeft: number}|null>}
+ *          null when the task is closed or has no such item
+ */
+async function setChecklistItem(taskId, position, done, { userId, actorName } = {}) {
+  const result = await pool.query(
+    `UPDATE task_checklist_items ci
+     SET done = $3,
+         done_by = CASE WHEN $3 THEN $4 ELSE NULL END,
+         done_at = CASE WHEN $3 THEN NOW() ELSE NULL END
+     FROM tasks t
+     WHERE ci.task_id = $1 AND ci.position = $2
+       AND t.id = ci.task_id AND t.status = ANY($5)
+     RETURNING ci.*`,
+    [taskId, position, !!done, userId || null, OPEN_STATUSES]
+  );
+  const item = result.rows[0];
+  if (!item) {
+    logger.warn('setChecklistItem: task closed or item not found', { taskId, position });
+    return null;
+  }
+
+  const { rows: [progress] } = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE done)::int AS done,
+            COUNT(*) FILTER (WHERE required AND NOT done)::int AS required_left
+     FROM task_checklist_items WHERE task_id = $1`,
+    [taskId]
+  );
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: done ? 'check_item' : 'uncheck_item',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { position, title: item.title, done: progress.done, total: progress.total },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  if (done && item.required && progress.required_left === 0) {
+    const task = await getTask(taskId);
+    if (task?.reporter_open_id) {
+      const msg =
+        '☑️ 催办任务清单已全部完成：\n\n' +
+        `📋 「${task.title}」\n` +
+        (actorName ? `👤 ${actorName}\n` : '') +
+        `📊 清单进度：${progress.done}/${progress.total}`;
+      outbox.enqueue({ receiveId: task.reporter_open_id, content: msg }).catch((err) => {
+        logger.warn('Failed to notify reporter of checklist progress', { error: err.message, taskId });
+      });
+    }
+  }
+
+  logger.info('Checklist item updated', { taskId, position, done: !!done });
+  return { item, done: progress.done, total: progress.total, requiredLeft: progress.required_left };
+}
+
+/**
+ * Build the Feishu DM for a status change, or null if nobody needs to hear about it.
+ * Blocking/unblocking goes to the reporter; cancel/reopen goes to every assignee
+ * (task.assignee_open_ids). The actor is never told about their own change.
+ * @returns {{ openIds: string[], msg: string } | null}
+ */
+function statusChangeNotification(task, from, to, reason, actorName, actorOpenId = null) {
+  const who = actorName ? `👤 操作人：${actorName}\n` : '';
+  const reasonLine = reason ? `📝 原因：${reason}\n` : '';
+  const reporter = [task.reporter_open_id].filter(id => id && id !== actorOpenId);
+  const assignees = [...new Set([task.assignee_open_id, ...(task.assignee_open_ids || [])])]
+    .filter(id => id && id !== actorOpenId);
+
+  if (to === 'blocked' && reporter.length) {
+    return {
+      openIds: reporter,
+      msg:
+        '🚧 催办任务受阻：\n\n' +
+        `${priorityBadge(task.priority)} 「${task.title}」\n` +
+        who + reasonLine +
+        '\n阻塞期间暂停提醒执行人',
+    };
+  }
+  if (from === 'blocked' && to !== 'cancelled' && to !== 'completed' && reporter.length) {
+    return {
+      openIds: reporter,
+      msg:
+        '▶️ 催办任务已解除阻塞：\n\n' +
+        `${priorityBadge(task.priority)} 「${task.title}」\n` +
+        who +
+        '\n已恢复提醒执行人',
+    };
+  }
+  if (to === 'cancelled' && assignees.length) {
+    return {
+      openIds: assignees,
+      msg:
+        '🚫 催办任务已取消：\n\n' +
+        `${priorityBadge(task.priority)} 「${task.title}」\n` +
+        who + reasonLine +
+        '\n无需再处理，系统不会再提醒',
+    };
+  }
+  if (to === 'pending' && (from === 'completed' || from === 'cancelled') && assignees.length) {
+    return {
+      openIds: assignees,
+      msg:
+        '🔄 催办任务已重新打开：\n\n' +
+        `${priorityBadge(task.priority)} 「${task.title}」\n` +
+        who + reasonLine +
+        '\n发送「完成」标记任务已完成',
+    };
+  }
+  return null;
+}
+
+/**
+ * Move a task to another lifecycle status (start / block / unblock / cancel / reopen).
+ * Completion is not handled here — use completeTask() so proof and the reporter DM go out.
+ *
+ * Reminder side effects:
+ *   - blocked          → reminders pause (the cron skips blocked tasks)
+ *   - blocked → open   → interval clock restarts from now
+ *   - cancelled        → reminders stop
+ *   - reopen           → completed_at, the overdue alert, fired escalation steps and every
+ *                        assignee's share are reset, interval clock restarts
+ *
+ * The UPDATE only matches when the current status allows the transition, so concurrent
+ * changes can't skip validation.
+ *
+ * @param {number} taskId
+ * @param {string} toStatus          - one of TASK_STATUSES except 'completed' / 'awaiting_review'
+ * @param {object} [opts]
+ * @param {string} [opts.userId]     - Actor id (for audit)
+ * @param {string} [opts.actorName]  - Actor display name (for notifications)
+ * @param {string} [opts.actorOpenId] - Actor open_id; they are left out of the notification
+ * @param {string} [opts.reason]     - Why (required context for blocked; optional otherwise)
+ * @returns {Promise<object|null>} updated task (with previous_status), or null if the task
+ *   does not exist or its current status does not allow the transition
+ */
+async function transitionTask(taskId, toStatus, { userId, actorName, actorOpenId, reason } = {}) {
+  if (!TASK_STATUSES.includes(toStatus) || toStatus === 'completed' || toStatus === 'awaiting_review') {
+    throw new Error(`Invalid target status: ${toStatus}`);
+  }
+  const allowedFrom = Object.keys(TASK_TRANSITIONS).filter((from) => canTransition(from, toStatus));
+
+  // UPDATE ... FROM a locked self-select so RETURNING can expose the previous status.
+  // A reopen resets every assignee's share in the same statement: they all owe it again.
+  // Its escalation steps are cleared too, as the task is overdue afresh (see escalation.js).
+  const result = await pool.query(
+    `WITH prev AS (SELECT id, status FROM tasks WHERE id = $1 FOR UPDATE),
+     reopened AS (
+       SELECT prev.id FROM prev
+       WHERE $2::varchar = 'pending' AND prev.status IN ('completed', 'cancelled') AND prev.status = ANY($4)
+     ),
+     reset_shares AS (
+       UPDATE task_assignees a SET status = 'pending', proof = NULL, completed_at = NULL
+       FROM reopened WHERE a.task_id = reopened.id
+     ),
+     clear_escalations AS (
+       DELETE FROM task_escalations e USING reopened WHERE e.task_id = reopened.id
+     )
+     UPDATE tasks t
+     SET status               = $2::varchar,
+         status_changed_at    = NOW(),
+         blocked_reason       = CASE WHEN $2::varchar = 'blocked' THEN $3::text ELSE NULL END,
+         completed_at         = CASE WHEN $2::varchar = 'pending' THEN NULL ELSE t.completed_at END,
+         deadline_notified_at = CASE WHEN prev.status IN ('completed', 'cancelled')
+                                     THEN NULL ELSE t.deadline_notified_at END,
+         deadline_alerted_open_ids = CASE WHEN prev.status IN ('completed', 'cancelled')
+                                          THEN '{}' ELSE t.deadline_alerted_open_ids END,
+         last_reminded_at     = CASE WHEN prev.status IN ('blocked', 'completed', 'cancelled')
+                                     THEN NOW() ELSE t.last_reminded_at END
+     FROM prev
+     WHERE t.id = prev.id AND prev.status = ANY($4)
+     RETURNING t.*, prev.status AS previous_status,
+               ARRAY(SELECT d.task_id FROM task_dependencies d WHERE d.depends_on_id = t.id) AS dependent_ids,
+               ARRAY(SELECT a.assignee_open_id FROM task_assignees a
+                     WHERE a.task_id = t.id ORDER BY a.position, a.id) AS assignee_open_ids`,
+    [taskId, toStatus, reason || null, allowedFrom]
+  );
+
+  if (!result.rows[0]) {
+    logger.warn('transitionTask: task not found or transition not allowed', { taskId, toStatus });
+    return null;
+  }
+  const { dependent_ids: dependentIds, assignee_open_ids: assigneeOpenIds, ...task } = result.rows[0];
+  const from = task.previous_status;
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: transitionAction(from, toStatus),
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { from, to: toStatus, reason: reason || null },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  const notification = statusChangeNotification(
+    { ...task, assignee_open_ids: assigneeOpenIds }, from, toStatus, reason, actorName, actorOpenId
+  );
+  for (const openId of notification?.openIds || []) {
+    outbox.enqueue({ receiveId: openId, content: notification.msg }).catch((err) => {
+      logger.warn('Failed to notify task status change', { error: err.message, taskId, openId, from, to: toStatus });
+    });
+  }
+
+  // A cancelled dependency no longer holds anyone back
+  if (toStatus === 'cancelled') await releaseDependents(taskId, dependentIds);
+
+  logger.info('Task status changed', { id: taskId, from, to: toStatus });
+  return task;
+}
+
+/**
+ * Editable task fields: API field name → column, and whether a change is
+ * "material" (worth a DM to the assignee). Estimated hours only affects
+ * workload ranking, so it is saved silently.
+ */
+const EDITABLE_FIELDS = {
+  title:                 { column: 'title',                   material: true },
+  deadline:              { column: 'deadline',                material: true },
+  priority:              { column: 'priority',                material: true },
+  note:                  { column: 'note',                    material: true },
+  reminderIntervalHours: { column: 'reminder_interval_hours', material: true },
+  estimatedHours:        { column: 'estimated_hours',         material: false },
+  requiresApproval:      { column: 'requires_approval',       material: true },
+};
+
+/**
+ * Validate a partial task update. Only keys that are present (!== undefined) are checked.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateTaskUpdates(fields = {}) {
+  const present = Object.keys(EDITABLE_FIELDS).filter(k => fields[k] !== undefined);
+  if (!present.length) return '没有可更新的字段';
+
+  const { title, deadline, priority, note, reminderIntervalHours, estimatedHours, requiresApproval } = fields;
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) return '任务名称不能为空';
+  if (title && title.length > 200) return '任务名称不能超过 200 字';
+  if (note && note.length > 1000) return '备注不能超过 1000 字';
+  if (priority !== undefined && !PRIORITIES.includes(priority)) return `无效的优先级：${priority}`;
+  if (deadline) {
+    try { parseDeadline(deadline); } catch { return `无效的截止日期：${deadline}`; }
+  }
+  if (reminderIntervalHours !== undefined && isNaN(parseInt(reminderIntervalHours, 10))) {
+    return '提醒间隔必须是数字';
+  }
+  if (estimatedHours != null && estimatedHours !== '' && isNaN(Number(estimatedHours))) {
+    return '预计工时必须是数字';
+  }
+  if (requiresApproval !== undefined && typeof requiresApproval !== 'boolean') return 'requiresApproval 必须是布尔值';
+  return null;
+}
+
+/** Normalize validated update fields into column → value (a date-only deadline is read in timezone) */
+function normalizeTaskUpdates(fields, timezone) {
+  const updates = {};
+  if (fields.title !== undefined)    updates.title = fields.title.trim();
+  if (fields.deadline !== undefined) updates.deadline = fields.deadline ? parseDeadline(fields.deadline, timezone) : null;
+  if (fields.priority !== undefined) updates.priority = fields.priority;
+  if (fields.note !== undefined)     updates.note = fields.note ? String(fields.note) : null;
+  if (fields.reminderIntervalHours !== undefined) {
+    updates.reminder_interval_hours = Math.min(8760, Math.max(0, parseInt(fields.reminderIntervalHours, 10)));
+  }
+  if (fields.estimatedHours !== undefined) updates.estimated_hours = clampEstimatedHours(fields.estimatedHours);
+  if (fields.requiresApproval !== undefined) updates.requires_approval = fields.requiresApproval;
+  return updates;
+}
+
+function sameValue(column, a, b) {
+  if (column === 'deadline') {
+    return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+  }
+  if (column === 'estimated_hours') {
+    return (a == null ? null : Number(a)) === (b == null ? null : Number(b));
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+/** One DM line per material change, e.g. "📅 截止：3月1日 → 3月5日 18:00" (dates in the recipient's tz) */
+function describeTaskChanges(changes, tz) {
+  const lines = [];
+  for (const [column, { from, to }] of Object.entries(changes)) {
+    if (column === 'title')    lines.push(`📝 标题：${from} → ${to}`);
+    if (column === 'deadline') lines.push(`📅 截止：${formatDeadline(from, tz)} → ${formatDeadline(to, tz)}`);
+    if (column === 'priority') lines.push(`⚡ 优先级：${priorityBadge(from)} → ${priorityBadge(to)}`);
+    if (column === 'note')     lines.push(to ? `🗒 备注：${to}` : '🗒 备注已清空');
+    if (column === 'reminder_interval_hours') {
+      const fmt = h => (h > 0 ? `每 ${h} 小时` : '关闭');
+      lines.push(`⏰ 提醒：${fmt(from)} → ${fmt(to)}`);
+    }
+    if (column === 'requires_approval') lines.push(to ? '🔍 完成后需报告对象验收' : '🔍 完成后无需验收');
+  }
+  return lines;
+}
+
+/**
+ * Edit a task's title, deadline, priority, note, reminder interval, estimated hours or approval flag.
+ * Keeps the task id, audit trail and reminder timing. When the deadline moves later,
+ * deadline_notified_at is reset so the overdue notice fires again for the new date.
+ * Any deadline change clears the fired escalation steps, so escalation restarts from the
+ * new deadline.
+ * Every assignee gets a DM listing material changes (open tasks only, and not the
+ * one who edited it).
+ *
+ * @param {number} taskId
+ * @param {object} fields                  - Partial update; keys of EDITABLE_FIELDS, undefined = unchanged
+ * @param {object} [opts]
+ * @param {string} [opts.userId]           - Editor's feishu_user_id (for audit)
+ * @param {string} [opts.actorName]        - Editor's display name (for the DM)
+ * @param {string} [opts.actorOpenId]      - Editor's open_id (suppresses the DM to themselves)
+ * @param {string} [opts.timezone]         - IANA zone a date / wall-clock deadline is read in
+ * @returns {Promise<{task: object, changes: object}|null>} null when the task does not exist;
+ *          changes maps column → { from, to }
+ * @throws {Error} when validateTaskUpdates() rejects the fields
+ */
+async function updateTask(taskId, fields, { userId, actorName, actorOpenId, timezone } = {}) {
+  const error = validateTaskUpdates(fields);
+  if (error) throw new Error(error);
+  const updates = normalizeTaskUpdates(fields, timezone);
+
+  let before;
+  let task;
+  const changes = {};
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM tasks WHERE id = $1 FOR UPDATE', [taskId]);
+    before = rows[0];
+    if (!before) {
+      await client.query('ROLLBACK');
+      logger.warn('updateTask: task not found', { taskId });
+      return null;
+    }
+
+    for (const [column, value] of Object.entries(updates)) {
+      if (!sameValue(column, before[column], value)) changes[column] = { from: before[column], to: value };
+    }
+    if (!Object.keys(changes).length) {
+      await client.query('ROLLBACK');
+      return { task: before, changes };
+    }
+
+    const sets = [];
+    const params = [taskId];
+    for (const [column, { to }] of Object.entries(changes)) {
+      params.push(to);
+      sets.push(`${column} = $${params.length}`);
+    }
+    // Deadline moved later (or cleared): allow the overdue notice to fire again
+    const deadlineChange = changes.deadline;
+    if (deadlineChange && (!deadlineChange.to || !deadlineChange.from ||
+        new Date(deadlineChange.to) > new Date(deadlineChange.from))) {
+      sets.push('deadline_notified_at = NULL', 'deadline_alerted_open_ids = \'{}\'');
+    }
+
+    const result = await client.query(
+      `UPDATE tasks SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+      params
+    );
+    task = result.rows[0];
+    // Escalation steps count overdue hours from the deadline they fired for
+    if (deadlineChange) await escalationPoliciesDb.clearFiredSteps(taskId, client);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch((rollbackErr) => {
+      logger.error('Rollback failed', { error: rollbackErr.message });
+    });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'update_task',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { changes },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  const materialColumns = Object.values(EDITABLE_FIELDS).filter(f => f.material).map(f => f.column);
+  const material = Object.fromEntries(
+    Object.entries(changes).filter(([column]) => materialColumns.includes(column))
+  );
+  if (Object.keys(material).length && OPEN_STATUSES.includes(task.status)) {
+    const assignees = await getTaskAssignees(taskId);
+    const recipients = new Set(
+      [task.assignee_open_id, ...assignees.map(a => a.assignee_open_id)].filter(Boolean)
+    );
+    recipients.delete(actorOpenId);
+    const timezones = await recipientTimezones([...recipients]);
+    for (const openId of recipients) {
+      const msg =
+        '✏️ 催办任务已更新：\n\n' +
+        `${priorityBadge(task.priority)} 「${task.title}」\n` +
+        (actorName ? `👤 修改人：${actorName}\n` : '') +
+        '\n' + describeTaskChanges(material, timezones.get(openId)).join('\n');
+      outbox.enqueue({ receiveId: openId, content: msg }).catch((err) => {
+        logger.warn('Failed to notify assignee of task update', { error: err.message, taskId, openId });
+      });
+    }
+  }
+
+  logger.info('Task updated', { id: taskId, fields: Object.keys(changes) });
+  return { task, changes };
+}
+
+/**
+ * Hand a task over to another assignee — either a specific user, or the
+ * least-loaded member of a tag (existing assignees excluded). Only open tasks can
+ * be reassigned. The reminder clock restarts for the new assignee.
+ * DMs the old assignee, the new assignee and the reporter.
+ * On multi-assignee tasks, fromOpenId picks which assignee is replaced (default: primary).
+ *
+ * @param {number} taskId
+ * @param {object} target
+ * @param {object} [target.assignee]   - users row of the new assignee (needs open_id)
+ * @param {string} [target.targetTag]  - tag to auto-pick from (ignored when assignee is given)
+ * @param {string} [target.fromOpenId] - assignee being replaced (default: primary assignee)
+ * @param {object} [opts]
+ * @param {string} [opts.userId]      - Actor feishu_user_id (for audit)
+ * @param {string} [opts.actorName]   - Actor display name (for DMs)
+ * @param {string} [opts.reason]      - Handoff reason shown in DMs
+ * @returns {Promise<{task: object, previousOpenId: string|null, assignee: object}|null>}
+ *          null when the task does not exist or is closed
+ * @throws {Error} when no assignee can be resolved, or the new assignee is already on the task
+ */
+async function reassignTask(taskId, { assignee, targetTag, fromOpenId } = {}, { userId, actorName, reason } = {}) {
+  const current = await getTask(taskId);
+  if (!current || !OPEN_STATUSES.includes(current.status)) {
+    logger.warn('reassignTask: task not found or closed', { taskId });
+    return null;
+  }
+  const assignees = await getTaskAssignees(taskId);
+  const from = fromOpenId || current.assignee_open_id;
+  if (fromOpenId && fromOpenId !== current.assignee_open_id && !matchAssignee(assignees, fromOpenId)) {
+    throw new Error('该用户不是此任务的执行人');
+  }
+  const assigneeOpenIds = [current.assignee_open_id, ...assignees.map(a => a.assignee_open_id)].filter(Boolean);
+
+  let next = assignee;
+  if (!next && targetTag) {
+    next = await usersDb.pickByWorkload(targetTag, { exclude: assigneeOpenIds });
+    if (!next) throw new Error(`标签 "${targetTag}" 下没有其他可用用户`);
+  }
+  if (!next?.open_id) throw new Error('找不到新的执行人，请确认对方已发送过飞书消息');
+  if (next.open_id === from) throw new Error('新执行人与当前执行人相同');
+  if (assigneeOpenIds.includes(next.open_id)) throw new Error('新执行人已是此任务的执行人');
+
+  // Swap the assignee's task_assignees row, and the primary columns when the primary is replaced.
+  // Guard against a concurrent reassign/close: only update if the assignee is still the one we read.
+  const result = await pool.query(
+    `WITH moved AS (
+       UPDATE task_assignees SET assignee_id = $2, assignee_open_id = $3
+       WHERE task_id = $1 AND assignee_open_id IS NOT DISTINCT FROM $6 AND status = 'pending'
+         AND EXISTS (SELECT 1 FROM tasks WHERE id = $1 AND status = ANY($5))
+       RETURNING task_id
+     )
+     UPDATE tasks
+     SET assignee_id      = CASE WHEN assignee_open_id IS NOT DISTINCT FROM $6 THEN $2 ELSE assignee_id END,
+         assignee_open_id = CASE WHEN assignee_open_id IS NOT DISTINCT FROM $6 THEN $3 ELSE assignee_open_id END,
+         target_tag = COALESCE($4, target_tag),
+         last_reminded_at = NOW()
+     WHERE id = $1 AND status = ANY($5)
+       AND (EXISTS (SELECT 1 FROM moved) OR assignee_open_id IS NOT DISTINCT FROM $6)
+     RETURNING *`,
+    [taskId, next.feishu_user_id || next.open_id, next.open_id, targetTag || null,
+     OPEN_STATUSES, from]
+  );
+  const task = result.rows[0];
+  if (!task) {
+    logger.warn('reassignTask: task changed concurrently', { taskId });
+    return null;
+  }
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'reassign_task',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: {
+          from, to: next.open_id,
+          tag: targetTag || null, reason: reason || null,
+        },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  const previous = from ? await usersDb.findByOpenId(from).catch(() => null) : null;
+  const header = `${priorityBadge(task.priority)} 「${task.title}」\n`;
+  const who = actorName ? `👤 操作人：${actorName}\n` : '';
+  const reasonLine = reason ? `📝 原因：${reason}\n` : '';
+  const notify = (openId, msg) => {
+    outbox.enqueue({ receiveId: openId, content: msg }).catch((err) => {
+      logger.warn('Failed to notify task reassignment', { error: err.message, taskId, openId });
+    });
+  };
+
+  if (from) {
+    notify(from,
+      '🔀 催办任务已转交：\n\n' + header +
+      `➡️ 新执行人：${next.name || next.open_id}\n` + who + reasonLine +
+      '\n你无需再处理此任务');
+  }
+  const reminderNote = task.reminder_interval_hours > 0 ? `\n⏰ 每 ${task.reminder_interval_hours} 小时提醒一次` : '';
+  notify(next.open_id,
+    '📋 你收到一个转交的催办任务：\n\n' + header +
+    `📅 截止：${formatDeadline(task.deadline, next.timezone)}${reminderNote}\n` +
+    (previous?.name ? `⬅️ 原执行人：${previous.name}\n` : '') + reasonLine +
+    '\n发送「完成」标记任务已完成');
+  if (task.reporter_open_id && task.reporter_open_id !== next.open_id) {
+    notify(task.reporter_open_id,
+      '🔀 催办任务执行人已变更：\n\n' + header +
+      `${previous?.name || from || '无'} → ${next.name || next.open_id}\n` +
+      who + reasonLine);
+  }
+
+  logger.info('Task reassigned', { id: taskId, from, to: next.open_id, tag: targetTag });
+  return { task, previousOpenId: from, assignee: next };
+}
+
+/**
+ * Plan a greedy rebalance: repeatedly move one pending task from the most-loaded
+ * member to the least-loaded one, as long as the move narrows the gap between them.
+ * Each task moves at most once. Pure function — no I/O.
+ *
+ * @param {Record<string, number>} scores - open_id → weighted workload (getWorkloadScore)
+ * @param {object[]} tasks - movable tasks: { id, assignee_open_id, estimated_hours }
+ * @returns {{ moves: Array<{taskId: number, from: string, to: string, hours: number}>, scores: Record<string, number> }}
+ *          scores = projected workload after the moves
+ */
+function planRebalance(scores, tasks) {
+  const projected = { ...scores };
+  const movable = tasks.map(t => ({ ...t, hours: t.estimated_hours != null ? Number(t.estimated_hours) : 1 }));
+  const moves = [];
+
+  for (;;) {
+    const ranked = Object.keys(projected).sort((a, b) => projected[a] - projected[b]);
+    if (ranked.length < 2) break;
+    const lightest = ranked[0];
+    const heaviest = ranked[ranked.length - 1];
+    const gap = projected[heaviest] - projected[lightest];
+
+    // Only moves with hours < gap shrink the spread; aim for the one closest to half the gap
+    const candidates = movable.filter(t => t.assignee_open_id === heaviest && t.hours < gap);
+    if (!candidates.length) break;
+    candidates.sort((a, b) => Math.abs(a.hours - gap / 2) - Math.abs(b.hours - gap / 2));
+    const pick = candidates[0];
+
+    movable.splice(movable.indexOf(pick), 1);
+    projected[heaviest] -= pick.hours;
+    projected[lightest] += pick.hours;
+    moves.push({ taskId: pick.id, from: heaviest, to: lightest, hours: pick.hours });
+  }
+  return { moves, scores: projected };
+}
+
+/**
+ * Rebalance a tag group: move pending (not yet started) tasks from the most-loaded
+ * members to the least-loaded ones, by getWorkloadScore. In-progress and blocked
+ * tasks stay with whoever is working on them; multi-assignee tasks are left alone.
+ *
+ * @param {string} tag
+ * @param {object}  [opts]
+ * @param {boolean} [opts.dryRun] - Only return the plan
+ * @param {string}  [opts.userId] - Actor (for audit)
+ * @param {string}  [opts.actorName]
+ * @returns {Promise<{ moves: object[], before: Record<string, number>, after: Record<string, number> }>}
+ */
+async function rebalanceTag(tag, { dryRun = false, userId, actorName } = {}) {
+  const members = (await usersDb.findByTag(tag)).filter(u => u.open_id);
+  const openIds = members.map(u => u.open_id);
+  if (openIds.length < 2) return { moves: [], before: {}, after: {} };
+
+  const before = await usersDb.getWorkloadScore(openIds);
+  const { rows: pending } = await pool.query(
+    `SELECT id, title, assignee_open_id, estimated_hours FROM tasks
+     WHERE status = 'pending' AND assignee_open_id = ANY($1)
+       AND (SELECT COUNT(*) FROM task_assignees ta WHERE ta.task_id = tasks.id) <= 1
+     ORDER BY deadline DESC NULLS FIRST, id`,
+    [openIds]
+  );
+  const plan = planRebalance(before, pending);
+
+  const byOpenId = Object.fromEntries(members.map(u => [u.open_id, u]));
+  const titles = Object.fromEntries(pending.map(t => [t.id, t.title]));
+  const moves = plan.moves.map(m => ({
+    ...m,
+    title: titles[m.taskId],
+    fromName: byOpenId[m.from]?.name || null,
+    toName: byOpenId[m.to]?.name || null,
+  }));
+  if (dryRun) return { moves, before, after: plan.scores };
+
+  const applied = [];
+  for (const move of moves) {
+    try {
+      const result = await reassignTask(move.taskId, { assignee: byOpenId[move.to] }, {
+        userId, actorName, reason: `标签「${tag}」工作量均衡`,
+      });
+      if (result) applied.push(move);
+    } catch (err) {
+      logger.warn('rebalanceTag: move failed', { tag, taskId: move.taskId, error: err.message });
+    }
+  }
+
+  logger.info('Tag rebalanced', { tag, planned: moves.length, applied: applied.length });
+  return { moves: applied, before, after: await usersDb.getWorkloadScore(openIds) };
+}
+
+/**
+ * Delete a task.
+ *
+ * @param {number} taskId   - Task ID
+ * @param {string} [userId] - Deleter's feishu_user_id (for audit)
+ */
+async function deleteTask(taskId, userId) {
+  const result = await pool.query(
+    `DELETE FROM tasks WHERE id = $1 RETURNING *, ${DEPENDENT_IDS_SQL}`,
+    [taskId]
+  );
+  const { dependent_ids: dependentIds, ...task } = result.rows[0] || {};
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'delete_task',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: {},
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  await releaseDependents(taskId, dependentIds);
+
+  logger.info('Task deleted', { id: taskId });
+  return result.rows[0] ? task : undefined;
+}
+
+// ── Comments & timeline ──────────────────────────────────────────────────────
+
+const MAX_COMMENT_LENGTH = 2000;
+const COMMENT_SOURCES = ['feishu', 'web', 'agent'];
+
+/** @returns {string|null} error message, or null if the comment body is acceptable */
+function validateComment(body) {
+  if (typeof body !== 'string' || !body.trim()) return '评论内容不能为空';
+  if (body.trim().length > MAX_COMMENT_LENGTH) return `评论不能超过 ${MAX_COMMENT_LENGTH} 字`;
+  return null;
+}
+
+/**
+ * DM a user about a task through the outbox (services/outbox). Once delivered the message is
+ * remembered in task_messages, so it shows up on the task's timeline and a Feishu reply to it
+ * is filed as a comment (see findTaskByMessage()). Rejects only when it cannot be queued.
+ *
+ * @param {number} taskId
+ * @param {string} openId
+ * @param {string|object} message - text, or an interactive card (see taskNotificationCard())
+ * @param {string} kind - assigned | reminder | overdue | comment | escalation
+ * @param {import('pg').PoolClient} [client] - queue inside this transaction
+ * @returns {Promise<object>} the outbound_messages row
+ */
+function sendTaskMessage(taskId, openId, message, kind, client = null) {
+  return outbox.enqueue({ receiveId: openId, content: message, taskId, kind }, client);
+}
+
+/**
+ * The interactive card an assignee notification is sent as: Complete / Snooze / Open buttons
+ * and a comment box (see utils/taskCard and services/cardActions for the callbacks).
+ * @param {object} task - tasks row
+ * @param {string} kind - assigned | reminder | overdue
+ * @param {string} body - notification text below the card header
+ * @param {object} [opts] - notice / done, passed to buildTaskCard()
+ */
+function taskNotificationCard(task, kind, body, opts = {}) {
+  const snoozable = REMINDABLE_STATUSES.includes(task.status) && task.reminder_interval_hours > 0;
+  return buildTaskCard(task, { kind, body, snoozable, ...opts });
+}
+
+/**
+ * Which task a bot DM was about — used to turn a Feishu reply into a comment.
+ * @param {string} messageId - Feishu message_id of the message being replied to
+ * @returns {Promise<number|null>} task id
+ */
+async function findTaskByMessage(messageId) {
+  if (!messageId) return null;
+  const result = await pool.query('SELECT task_id FROM task_messages WHERE message_id = $1', [messageId]);
+  return result.rows[0]?.task_id ?? null;
+}
+
+/**
+ * Whether a user takes part in a task (assignee, reporter or creator) and may comment on it.
+ * @param {object} task - tasks row
+ */
+async function isTaskParticipant(task, openId, feishuUserId = null) {
+  if (openId && (task.reporter_open_id === openId || task.creator_id === openId)) return true;
+  if (feishuUserId && task.creator_id === feishuUserId) return true;
+  return !!(await findTaskAssignee(task, openId, feishuUserId));
+}
+
+/**
+ * Post a comment on a task and DM everyone else on it (assignees and reporter).
+ * Replying to that DM in Feishu adds another comment.
+ *
+ * @param {number} taskId
+ * @param {string} body
+ * @param {object} [author]
+ * @param {string} [author.authorId]     - feishu_user_id / admin id
+ * @param {string} [author.authorOpenId] - open_id (excluded from the notification)
+ * @param {string} [author.authorName]   - display name shown in the thread
+ * @param {string} [author.source]       - feishu | web | agent
+ * @returns {Promise<object|null>} task_comments row, or null if the task does not exist
+ */
+async function addComment(taskId, body, { authorId, authorOpenId, authorName, source = 'web' } = {}) {
+  const invalid = validateComment(body);
+  if (invalid) throw new Error(invalid);
+  const text = body.trim();
+
+  const result = await pool.query(
+    `INSERT INTO task_comments (task_id, author_id, author_open_id, author_name, body, source)
+     SELECT id, $2, $3, $4, $5, $6 FROM tasks WHERE id = $1
+     RETURNING *`,
+    [taskId, authorId || null, authorOpenId || null, authorName || null, text,
+     COMMENT_SOURCES.includes(source) ? source : 'web']
+  );
+  const comment = result.rows[0];
+  if (!comment) return null;
+
+  const [task, assignees] = await Promise.all([getTask(taskId), getTaskAssignees(taskId)]);
+  const recipients = new Set(
+    [task?.assignee_open_id, task?.reporter_open_id, ...assignees.map(a => a.assignee_open_id)].filter(Boolean)
+  );
+  recipients.delete(authorOpenId);
+  const msg =
+    `💬 任务 #${taskId}「${task?.title}」有新评论：\n\n` +
+    `${authorName || authorId || '管理员'}：${text}\n\n` +
+    '直接回复本消息即可继续评论';
+  for (const openId of recipients) {
+    sendTaskMessage(taskId, openId, msg, 'comment').catch((err) => {
+      logger.warn('Failed to notify participant of comment', { taskId, openId, error: err.message });
+    });
+  }
+
+  logger.info('Task comment added', { taskId, commentId: comment.id, source: comment.source });
+  return comment;
+}
+
+/**
+ * A task's comments plus its merged activity timeline, oldest first:
+ *   - comment  — task_comments
+ *   - message  — bot DMs about the task (assignment, reminders, overdue alerts)
+ *   - event    — audit log entries (state changes, edits, reassignment, checklist …)
+ * Comment notification DMs are left out; the comment itself is already on the timeline.
+ *
+ * @param {number} taskId
+ * @returns {Promise<{ comments: object[], timeline: object[] }>}
+ */
+async function getTaskTimeline(taskId) {
+  const [comments, messages, events] = await Promise.all([
+    pool.query('SELECT * FROM task_comments WHERE task_id = $1 ORDER BY created_at, id', [taskId]),
+    pool.query(
+      'SELECT * FROM task_messages WHERE task_id = $1 AND kind <> \'comment\' ORDER BY sent_at, id',
+      [taskId]
+    ),
+    pool.query(
+      'SELECT * FROM audit_logs WHERE target_type = \'task\' AND target_id = $1 ORDER BY created_at, id',
+      [String(taskId)]
+    ),
+  ]);
+
+  const timeline = [
+    ...comments.rows.map(c => ({
+      type: 'comment', at: c.created_at, id: c.id,
+      actor: c.author_name || c.author_id, actorOpenId: c.author_open_id, body: c.body, source: c.source,
+    })),
+    ...messages.rows.map(m => ({
+      type: 'message', at: m.sent_at, kind: m.kind, recipientOpenId: m.recipient_open_id,
+    })),
+    ...events.rows.map(e => ({
+      type: 'event', at: e.created_at, action: e.action, actor: e.user_id, details: e.details || {},
+    })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return { comments: comments.rows, timeline };
+}
+
+// ── Snooze & deadline extensions ─────────────────────────────────────────────
+
+const MAX_SNOOZE_HOURS = 7 * 24;
+// 明天 / 后天 snooze until 09:00 in the user's timezone
+const SNOOZE_MORNING_HOUR = 9;
+const SNOOZE_UNIT_MINUTES = { h: 60, 小时: 60, 个小时: 60, m: 1, min: 1, 分钟: 1, d: 24 * 60, 天: 24 * 60 };
+const SNOOZE_WORD_NUMBERS = { 一: '1', 两: '2', 二: '2', 三: '3', 半: '0.5' };
+
+/**
+ * When a snooze phrase ends. "4h" / "30m" / "2d" / "4小时" / "半小时" / "2天" count from now;
+ * "明天" / "后天" mean 09:00 on that day in timezone (default DEFAULT_TIMEZONE).
+ * @returns {Date|null} null when the phrase is not understood
+ */
+function parseSnooze(input, now = new Date(), timezone) {
+  const text = String(input || '').trim().toLowerCase();
+  const daysAhead = { 明天: 1, 后天: 2 }[text];
+  if (daysAhead) {
+    const tz = resolveTimezone(timezone);
+    const today = zonedParts(now, tz);
+    return zonedTime(today.year, today.month, today.day + daysAhead, SNOOZE_MORNING_HOUR, 0, 0, tz);
+  }
+  const match = text
+    .replace(/^[一两二三半]/, c => SNOOZE_WORD_NUMBERS[c])
+    .match(/^(\d+(?:\.\d+)?)\s*(h|小时|个小时|min|m|分钟|d|天)$/);
+  if (!match || !(Number(match[1]) > 0)) return null;
+  return new Date(now.getTime() + Number(match[1]) * SNOOZE_UNIT_MINUTES[match[2]] * 60 * 1000);
+}
+
+/** When the next interval reminder for a task is due (null when reminders are off) */
+function nextReminderAt(task) {
+  if (!task.reminder_interval_hours) return null;
+  const from = new Date(task.last_reminded_at || task.created_at);
+  return new Date(from.getTime() + task.reminder_interval_hours * 60 * 60 * 1000);
+}
+
+/** @returns {string|null} error message, or null if the task can be snoozed until then */
+function validateSnooze(task, until, now = new Date()) {
+  if (!until || isNaN(new Date(until).getTime())) return '无法识别推迟时长，例：4h、30分钟、明天';
+  if (!REMINDABLE_STATUSES.includes(task.status)) {
+    return `任务当前为「${STATUS_LABELS[task.status] || task.status}」，没有待发送的提醒`;
+  }
+  if (!task.reminder_interval_hours) return '任务没有开启定时提醒，无需推迟';
+  const ms = new Date(until) - now;
+  if (ms <= 0) return '推迟时间必须晚于现在';
+  if (ms > MAX_SNOOZE_HOURS * 60 * 60 * 1000) return `最多推迟 ${MAX_SNOOZE_HOURS / 24} 天，需要更久请申请延期`;
+  return null;
+}
+
+/**
+ * Postpone a task's next interval reminder. last_reminded_at is moved so that the next
+ * reminder lands at `until`; a reminder that is already due later is left alone, so a
+ * snooze never brings one forward. The deadline and the overdue alert are unaffected.
+ *
+ * @param {number} taskId
+ * @param {Date|string} until
+ * @param {object} [opts]
+ * @param {string} [opts.userId] - Actor id (for audit)
+ * @returns {Promise<object|null>} updated task, or null when it has no reminders to snooze
+ */
+async function snoozeTask(taskId, until, { userId } = {}) {
+  const result = await pool.query(
+    `UPDATE tasks
+     SET last_reminded_at = GREATEST(
+       COALESCE(last_reminded_at, created_at),
+       $2::timestamptz - make_interval(hours => reminder_interval_hours)
+     )
+     WHERE id = $1 AND status = ANY($3) AND reminder_interval_hours > 0
+     RETURNING *`,
+    [taskId, new Date(until), REMINDABLE_STATUSES]
+  );
+  const task = result.rows[0];
+  if (!task) {
+    logger.warn('snoozeTask: task has no reminders to snooze', { taskId });
+    return null;
+  }
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'snooze_task',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { until: nextReminderAt(task) },
       })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  logger.info('Task reminder snoozed', { id: taskId, next: nextReminderAt(task) });
+  return task;
+}
+
+/**
+ * @param {string} [timezone] - IANA zone a date / wall-clock requestedDeadline is read in (the requester's)
+ * @returns {string|null} error message, or null if an extension to that date may be requested
+ */
+function validateExtensionRequest(task, requestedDeadline, now = new Date(), timezone) {
+  if (!OPEN_STATUSES.includes(task.status)) {
+    return `任务当前为「${STATUS_LABELS[task.status] || task.status}」，不能申请延期`;
+  }
+  if (!task.reporter_open_id) return '任务没有报告人，无法申请延期，请直接联系创建人修改截止日期';
+  let date;
+  try {
+    date = parseDeadline(requestedDeadline, timezone);
+  } catch {
+    return '无效的截止日期，格式：YYYY-MM-DD 或 YYYY-MM-DD HH:mm';
+  }
+  if (date <= now) return '新的截止日期必须晚于现在';
+  if (task.deadline && date <= new Date(task.deadline)) {
+    return `新的截止日期必须晚于当前截止（${formatDeadline(task.deadline, timezone)}）`;
+  }
+  return null;
+}
+
+/**
+ * Ask the reporter to push a task's deadline back. The reporter gets a DM and answers
+ * with decideDeadlineExtension(); until then the current deadline stands.
+ *
+ * @param {number} taskId
+ * @param {string} requestedDeadline - YYYY-MM-DD, 'YYYY-MM-DD HH:mm' or ISO 8601
+ * @param {object} [opts]
+ * @param {string} [opts.userId]          - Requester id (for audit)
+ * @param {string} [opts.requesterOpenId] - Told the decision
+ * @param {string} [opts.requesterName]   - Shown to the reporter
+ * @param {string} [opts.reason]
+ * @param {string} [opts.timezone]        - Requester's IANA zone, for reading requestedDeadline
+ * @returns {Promise<object|null>} deadline_extension_requests row, or null when the task does
+ *          not exist or already has a pending request
+ * @throws {Error} when validateExtensionRequest() rejects the request
+ */
+async function requestDeadlineExtension(taskId, requestedDeadline, { userId, requesterOpenId, requesterName, reason, timezone } = {}) {
+  const task = await getTask(taskId);
+  if (!task) return null;
+  const invalid = validateExtensionRequest(task, requestedDeadline, new Date(), timezone);
+  if (invalid) throw new Error(invalid);
+
+  const result = await pool.query(
+    `INSERT INTO deadline_extension_requests
+       (task_id, requested_by, requester_open_id, requester_name, current_deadline, requested_deadline, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (task_id) WHERE status = 'pending' DO NOTHING
+     RETURNING *`,
+    [taskId, userId || null, requesterOpenId || null, requesterName || null, task.deadline,
+     parseDeadline(requestedDeadline, timezone), reason?.trim() || null]
+  );
+  const request = result.rows[0];
+  if (!request) {
+    logger.warn('requestDeadlineExtension: a request is already pending', { taskId });
+    return null;
+  }
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: 'request_extension',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { from: task.deadline, to: request.requested_deadline, reason: request.reason },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  const reporterTz = (await recipientTimezones([task.reporter_open_id])).get(task.reporter_open_id);
+  const msg =
+    '⏳ 催办任务申请延期：\n\n' +
+    `${priorityBadge(task.priority)} 「${task.title}」（#${taskId}）\n` +
+    (requesterName ? `👤 申请人：${requesterName}\n` : '') +
+    `📅 ${formatDeadline(task.deadline, reporterTz)} → ${formatDeadline(request.requested_deadline, reporterTz)}\n` +
+    (request.reason ? `📝 原因：${request.reason}\n` : '') +
+    `\n回复「同意延期 #${taskId}」或「拒绝延期 #${taskId} 原因」`;
+  outbox.enqueue({ receiveId: task.reporter_open_id, content: msg }).catch((err) => {
+    logger.warn('Failed to ask reporter about extension', { error: err.message, taskId });
+  });
+
+  logger.info('Deadline extension requested', { taskId, requestId: request.id });
+  return request;
+}
+
+/**
+ * The reporter's answer to a task's pending extension request.
+ *   approve → the task takes the requested deadline (the overdue alert and escalation steps
+ *             start over); every assignee is told the new deadline
+ *   reject  → the deadline stays; the requester is told why
+ *
+ * @param {number} taskId
+ * @param {'approve'|'reject'} decision
+ * @param {object} [opts]
+ * @param {string} [opts.userId]    - Reporter id (for audit)
+ * @param {string} [opts.actorName] - Reporter display name (for the DM)
+ * @param {string} [opts.comment]
+ * @returns {Promise<{task: object, request: object}|null>} null when the task is closed or
+ *          has no pending request
+ */
+async function decideDeadlineExtension(taskId, decision, { userId, actorName, comment } = {}) {
+  if (!REVIEW_DECISIONS.includes(decision)) throw new Error(`Invalid extension decision: ${decision}`);
+  const approve = decision === 'approve';
+
+  let task;
+  let request;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM tasks WHERE id = $1 AND status = ANY($2) FOR UPDATE',
+      [taskId, OPEN_STATUSES]
     );
+    task = rows[0];
+    const updated = task && await client.query(
+      `UPDATE deadline_extension_requests
+       SET status = $2, decided_by = $3, decision_comment = $4, decided_at = NOW()
+       WHERE task_id = $1 AND status = 'pending'
+       RETURNING *`,
+      [taskId, approve ? 'approved' : 'rejected', userId || null, comment?.trim() || null]
+    );
+    request = updated?.rows[0];
+    if (!request) {
+      await client.query('ROLLBACK');
+      logger.warn('decideDeadlineExtension: no pending request', { taskId, decision });
+      return null;
+    }
+    if (approve) {
+      const result = await client.query(
+        `UPDATE tasks SET deadline = $2, deadline_notified_at = NULL, deadline_alerted_open_ids = '{}'
+         WHERE id = $1 RETURNING *`,
+        [taskId, request.requested_deadline]
+      );
+      task = result.rows[0];
+      await escalationPoliciesDb.clearFiredSteps(taskId, client);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch((rollbackErr) => {
+      logger.error('Rollback failed', { error: rollbackErr.message });
+    });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (userId) {
+    audit
+      .log({
+        userId,
+        action: approve ? 'approve_extension' : 'reject_extension',
+        targetType: 'task',
+        targetId: String(taskId),
+        details: { from: request.current_deadline, to: request.requested_deadline, comment: request.decision_comment },
+      })
+      .catch(err => logger.warn('audit.log failed', { error: err.message }));
+  }
+
+  const who = actorName ? `👤 审批人：${actorName}\n` : '';
+  const note = request.decision_comment ? `📝 ${request.decision_comment}\n` : '';
+  let recipients = [request.requester_open_id];
+  let msg;
+  if (approve) {
+    const assignees = await getTaskAssignees(taskId);
+    recipients = [task.assignee_open_id, ...assignees.map(a => a.assignee_open_id)];
+    msg = tz => '📅 催办任务已延期：\n\n' +
+      `${priorityBadge(task.priority)} 「${task.title}」\n` +
+      `新截止：${formatDeadline(task.deadline, tz)}\n` + who + note;
+  } else {
+    msg = tz => '🙅 延期申请未通过：\n\n' +
+      `${priorityBadge(task.priority)} 「${task.title}」\n` +
+      `截止日期仍为：${formatDeadline(task.deadline, tz)}\n` + who + note;
+  }
+  recipients = [...new Set(recipients.filter(Boolean))];
+  const timezones = await recipientTimezones(recipients);
+  for (const openId of recipients) {
+    outbox.enqueue({ receiveId: openId, content: msg(timezones.get(openId)).trimEnd() }).catch((err) => {
+      logger.warn('Failed to notify extension decision', { error: err.message, taskId, decision });
+    });
+  }
+
+  logger.info('Deadline extension decided', { taskId, requestId: request.id, decision });
+  return { task, request };
+}
+
+// ── Cron ─────────────────────────────────────────────────────────────────────
 
-    const failed = results.filter((r) => r.status === 'rejected');
-    if (failed.length > 0) {
-      logger.warn('Reminder cron: some interval reminders failed', {
-        failed: failed.length,
-        errors: failed.map((r) => r.reason?.message),
+/**
+ * Who the reminder cron may message right now. The work calendar (quiet hours, weekends,
+ * holidays) and each person's own quiet hours are read in that person's timezone.
+ * `inDigest` tells who takes the daily digest (see digest.js) instead of interval reminders,
+ * as an assignee or, with `asReporter`, as a reporter.
+ * Best effort on the user lookup, like recipientTimezones.
+ * @param {string[]} openIds
+ * @param {Date} now
+ * @returns {Promise<{timezones: Map<string, string>, isAwake: (openId: string) => boolean, inDigest: (openId: string, asReporter?: boolean) => boolean}>}
+ */
+async function reminderAudience(openIds, now) {
+  const calendar = await workCalendar.loadCalendar();
+  const prefs = await usersDb.getReminderPrefs(openIds).catch((err) => {
+    logger.warn('Failed to load recipient reminder preferences', { error: err.message });
+    return new Map();
+  });
+  const timezones = new Map([...prefs].map(([openId, p]) => [openId, p.timezone]));
+  const isAwake = openId => !workCalendar.isQuietTime(
+    now, resolveTimezone(timezones.get(openId)), calendar, prefs.get(openId)?.quietHours
+  );
+  const inDigest = (openId, asReporter = false) =>
+    !!(asReporter ? prefs.get(openId)?.reporterDigest : prefs.get(openId)?.digest);
+  return { timezones, isAwake, inDigest };
+}
+
+/**
+ * A cron-selected task waits (stays due, is picked up again on a later run) while every
+ * assignee it would remind is in quiet time. Tasks with nobody to remind are not held.
+ */
+function heldForQuietTime(task, isAwake) {
+  const recipients = reminderRecipients(task);
+  return recipients.length > 0 && !recipients.some(isAwake);
+}
+
+/**
+ * Scan for pending tasks that are due for a reminder and queue Feishu DMs (see outbox.js).
+ * Called periodically by the reminder cron in index.js.
+ *
+ * A task is due for a reminder when:
+ *   - status is pending or in_progress  (blocked = paused, completed/cancelled = stopped)
+ *   - reminder_interval_hours > 0  (0 = disabled)
+ *   - assignee_open_id is set (need it to send the DM)
+ *   - not waiting on dependencies (the overdue alert is deferred too, until the task is released)
+ *   - NOW() >= COALESCE(last_reminded_at, created_at) + reminder_interval_hours
+ *
+ * On multi-assignee tasks every assignee whose share is still pending gets the DM.
+ *
+ * Quiet time (see workCalendar): a task whose assignees are all in quiet hours, or on a
+ * weekend / holiday, is left untouched and goes out on the first run after the window
+ * opens. Otherwise the interval reminder goes to whoever may be disturbed now; the rest
+ * get the next one. The one-time overdue alert is tracked per recipient
+ * (deadline_alerted_open_ids): whoever is in quiet time gets it on a later run, and
+ * deadline_notified_at is only set once every assignee and the reporter have had it.
+ *
+ * Digest mode (see digest.js): interval reminders and reporter follow-ups skip people who
+ * take the daily digest instead. The one-time overdue alert still goes to everyone.
+ *
+ * The DMs are queued in the same transaction that marks them sent (deadline_alerted_open_ids
+ * / last_reminded_at), so a Feishu outage delays reminders rather than losing them.
+ *
+ * @returns {Promise<number>} number of tasks reminded
+ */
+async function sendPendingReminders() {
+  const now = new Date();
+  let totalSent = 0;
+
+  // ── Part 1: One-time deadline-overdue alert ─────────────────────────────
+  // FOR UPDATE SKIP LOCKED keeps concurrent cron runs from double-sending the same alert;
+  // each alert is queued in the transaction that marks its recipient, so it goes out once
+  // per person. A task stays selected until every recipient has had it.
+  const overdueTasks = await inTransaction(async (client) => {
+    const { rows } = await client.query(`
+      SELECT *, ${PENDING_ASSIGNEES_SQL}, ${CHECKLIST_COUNTS_SQL} FROM tasks
+      WHERE status = ANY($1)
+        AND deadline IS NOT NULL
+        AND deadline < NOW()
+        AND deadline_notified_at IS NULL
+        AND NOT waiting_on_dependencies
+      FOR UPDATE SKIP LOCKED
+    `, [REMINDABLE_STATUSES]);
+    if (rows.length === 0) return [];
+
+    const { timezones, isAwake } = await reminderAudience(rows.flatMap(t => [...reminderRecipients(t), t.reporter_open_id]), now);
+    const deadlineStr = (task, openId) => formatDateTime(task.deadline, timezones.get(openId), { withTime: true });
+
+    const due = [];
+    for (const task of rows) {
+      const alerted = task.deadline_alerted_open_ids || [];
+      const owed = id => id && !alerted.includes(id);
+      const assignees = reminderRecipients(task).filter(owed);
+      const reporter = owed(task.reporter_open_id) ? task.reporter_open_id : null;
+      const recipients = [...new Set([...assignees, reporter].filter(Boolean))];
+      const awake = recipients.filter(isAwake);
+      if (recipients.length && !awake.length) continue;
+
+      // Mark who is told now; the task is done once nobody is left waiting for the alert
+      await client.query(
+        `UPDATE tasks
+         SET deadline_alerted_open_ids = deadline_alerted_open_ids || $2::text[],
+             deadline_notified_at = CASE WHEN $3 THEN NOW() END
+         WHERE id = $1`,
+        [task.id, awake, awake.length === recipients.length]
+      );
+      due.push(task);
+
+      // Every assignee who has not completed their share (and is not in quiet time)
+      for (const openId of assignees.filter(isAwake)) {
+        const assigneeCard = taskNotificationCard(task, 'overdue',
+          `${priorityBadge(task.priority)} 「${task.title}」\n` +
+          priorityRaisedLine(task) +
+          `📅 截止时间：${deadlineStr(task, openId)}（已过期）\n` +
+          checklistProgressLine(task));
+        await sendTaskMessage(task.id, openId, assigneeCard, 'overdue', client);
+      }
+
+      if (reporter && isAwake(reporter)) {
+        const reporterMsg =
+          `📢 催办任务逾期通报：\n\n` +
+          `${priorityBadge(task.priority)} 「${task.title}」\n` +
+          `📅 截止时间：${deadlineStr(task, task.reporter_open_id)}\n` +
+          `🔴 状态：已逾期，执行人尚未完成\n\n` +
+          `系统将继续每 ${task.reminder_interval_hours} 小时提醒执行人`;
+        await sendTaskMessage(task.id, task.reporter_open_id, reporterMsg, 'overdue', client);
+      }
+
+      logger.info('Deadline alert queued', {
+        taskId: task.id,
+        title: task.title,
+        recipients: awake.length,
+        stillOwed: recipients.length - awake.length,
       });
     }
+    if (due.length < rows.length) {
+      logger.info(`🌙 Deadline alert: ${rows.length - due.length} task(s) held for quiet time`);
+    }
+    return due;
+  });
 
-    totalSent += intervalTasks.length;
+  if (overdueTasks.length > 0) {
+    logger.info(`⏰ Deadline alert: ${overdueTasks.length} task(s) alerted`);
+    totalSent += overdueTasks.length;
   }
 
+  // ── Part 2: Regular interval reminders ─────────────────────────────────
+  const intervalTasks = await inTransaction(async (client) => {
+    const { rows } = await client.query(`
+      SELECT *, ${PENDING_ASSIGNEES_SQL}, ${CHECKLIST_COUNTS_SQL} FROM tasks
+      WHERE status = ANY($1)
+        AND reminder_interval_hours > 0
+        AND assignee_open_id IS NOT NULL
+        AND NOT waiting_on_dependencies
+        AND NOW() >= COALESCE(last_reminded_at, created_at) + make_interval(hours => reminder_interval_hours)
+      ORDER BY deadline ASC NULLS LAST
+      FOR UPDATE SKIP LOCKED
+    `, [REMINDABLE_STATUSES]);
+    if (rows.length === 0) return [];
+
+    const { timezones, isAwake, inDigest } = await reminderAudience(rows.flatMap(t => [...reminderRecipients(t), t.reporter_open_id]), now);
+    const due = rows.filter(t => !heldForQuietTime(t, isAwake));
+    if (due.length < rows.length) {
+      logger.info(`🌙 Reminder cron: ${rows.length - due.length} task(s) held for quiet time`);
+    }
+    const deadlineStr = (task, openId) => (task.deadline
+      ? formatDeadline(task.deadline, timezones.get(openId))
+      : '无截止日期');
+
+    for (const task of due) {
+      await client.query('UPDATE tasks SET last_reminded_at = NOW() WHERE id = $1', [task.id]);
+
+      // Exact instant, not the calendar day: a task due 18:00 is overdue from 18:00
+      const isOverdue = task.deadline && new Date(task.deadline) < now;
+      const overdueTag = isOverdue ? '⚠️ 已逾期！\n' : '';
+
+      for (const openId of reminderRecipients(task).filter(id => isAwake(id) && !inDigest(id))) {
+        const assigneeCard = taskNotificationCard(task, 'reminder',
+          `${overdueTag}${priorityBadge(task.priority)} 「${task.title}」\n` +
+          priorityRaisedLine(task) +
+          `📅 截止：${deadlineStr(task, openId)}\n` +
+          checklistProgressLine(task));
+        await sendTaskMessage(task.id, openId, assigneeCard, 'reminder', client);
+      }
+
+      // Also notify reporter when task is overdue (Part 1 sends once at deadline;
+      // Part 2 follows up periodically so reporter stays informed on open P0s etc.)
+      const followUpReporter = isOverdue && task.reporter_open_id &&
+        isAwake(task.reporter_open_id) && !inDigest(task.reporter_open_id, true);
+      if (followUpReporter) {
+        const reporterMsg =
+          `📢 催办跟进提醒：\n\n` +
+          `${priorityBadge(task.priority)} 「${task.title}」\n` +
+          `📅 截止：${deadlineStr(task, task.reporter_open_id)}\n` +
+          `🔴 状态：已逾期，执行人尚未完成`;
+        await sendTaskMessage(task.id, task.reporter_open_id, reporterMsg, 'reminder', client);
+      }
+
+      logger.info('Interval reminder queued', {
+        taskId: task.id,
+        title: task.title,
+        isOverdue,
+        notifiedReporter: !!followUpReporter,
+      });
+    }
+    return due;
+  });
+
+  totalSent += intervalTasks.length;
+  if (totalSent > 0) outbox.deliverSoon();
   return totalSent;
 }
 
+/** Run fn(client) in a transaction; rolls back and rethrows on error */
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch((rollbackErr) => {
+      logger.error('Rollback failed', { error: rollbackErr.message });
+    });
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   // Queries
+  getTask,
+  getTaskAssignees,
+  findTaskAssignee,
   getUserPendingTasks,
+  getReportedTasks,
+  getOpenReportedTasks,
+  getGroupTasks,
   getAllPendingTasks,
   getAllTasks,
   // Mutations
   createTask,
   completeTask,
+  transitionTask,
+  updateTask,
+  validateTaskUpdates,
+  reassignTask,
+  rebalanceTag,
+  planRebalance,
   deleteTask,
+  // Lifecycle
+  reviewTask,
+  REVIEW_DECISIONS,
+  canTransition,
+  transitionActorRole,
+  TASK_STATUSES,
+  OPEN_STATUSES,
+  REMINDABLE_STATUSES,
+  STATUS_LABELS,
+  // Multi-assignee
+  matchAssignee,
+  COMPLETION_MODES,
+  COMPLETION_MODE_LABELS,
+  // Checklists
+  getChecklist,
+  setChecklistItem,
+  completionBlocker,
+  validateChecklist,
+  MAX_CHECKLIST_ITEMS,
+  // Dependencies
+  getDependencies,
+  dependencyProblem,
+  addDependencies,
+  removeDependency,
+  releaseReadyTasks,
+  MAX_DEPENDENCIES,
+  // Comments & timeline
+  addComment,
+  validateComment,
+  getTaskTimeline,
+  findTaskByMessage,
+  isTaskParticipant,
+  MAX_COMMENT_LENGTH,
+  // Snooze & deadline extensions
+  parseSnooze,
+  nextReminderAt,
+  validateSnooze,
+  snoozeTask,
+  validateExtensionRequest,
+  requestDeadlineExtension,
+  decideDeadlineExtension,
+  MAX_SNOOZE_HOURS,
+  // Messaging
+  sendTaskMessage,
+  taskNotificationCard,
+  priorityBadge,
   // Cron
   sendPendingReminders,
   // Constants
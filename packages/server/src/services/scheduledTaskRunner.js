@@ -4,12 +4,40 @@
  * Loads scheduled_tasks from DB on startup and registers cron jobs.
  * Each job creates a task via reminderService when it fires.
  * Call reload() after any CRUD on scheduled_tasks.
+ *
+ * With the work calendar's rollScheduledRuns on, a run that fires on a weekend or holiday
+ * (in the scheduled task's timezone) is parked in deferred_run_at instead and picked up by
+ * runDeferred() at the same time on the next working day.
+ *
+ * Every server instance registers the same jobs, so with several replicas each fire reaches
+ * all of them. Before doing anything, a fire is claimed in scheduled_task_runs keyed by
+ * (scheduled task, cron slot); only the instance whose claim succeeds creates the task. Any
+ * surviving instance keeps firing when another goes down — there is no leader to fail over.
+ * The same row then records the run's outcome (assignee, created task, error) as its history.
+ *
+ * node-cron does not fire while no instance is running. catchUp() (index.js, on startup) makes
+ * up the fires missed since each task's last one, per its catch_up policy: none, only the
+ * latest, or all of them (at most MAX_CATCH_UP_RUNS, none older than CATCH_UP_MAX_AGE_DAYS).
+ * A catch-up run claims the slot it stands in for, so it happens once across instances.
+ *
+ * Schedules may use calendar rules node-cron doesn't know — last day / last working day of the
+ * month, the Nth working day, the Nth or last weekday (utils/cronSchedule). Those are registered
+ * to fire daily and a fire only runs on a day the rules pick, working days taken from the work
+ * calendar. With skip_holidays on, a fire on one of the calendar's holidays is recorded as
+ * skipped instead of creating a task.
  */
+const os = require('os');
 const cron = require('node-cron');
 const scheduledTasksDb = require('../db/scheduledTasks');
 const usersDb = require('../db/users');
 const reminderService = require('./reminder');
+const workCalendar = require('./workCalendar');
+const { audit } = require('../db');
 const logger = require('../utils/logger');
+const { parseCron, hasCalendarRules, nodeCronExpression, matchesDate, occurrencesBetween } = require('../utils/cronSchedule');
+const {
+  DEFAULT_TIMEZONE, resolveTimezone, zonedParts, zonedTime, zonedDateString, parseTimeOfDay,
+} = require('../utils/timezone');
 
 /**
  * Resolve the assignee for a scheduled task:
@@ -39,32 +67,119 @@ async function resolveAssignee(st) {
 
 const jobs = new Map(); // id (string) -> cron.ScheduledTask
 
-async function runJob(st) {
+const CATCH_UP_POLICIES = ['none', 'latest', 'all'];
+const MAX_CATCH_UP_RUNS = 20;
+const CATCH_UP_MAX_AGE_DAYS = 7;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * The cron slot a fire belongs to: its time truncated to the minute (to the second for
+ * six-field expressions), so every instance computes the same value for the same fire.
+ */
+function fireSlot(schedule, date) {
+  const slot = new Date(date);
+  slot.setUTCMilliseconds(0);
+  if (String(schedule).trim().split(/\s+/).length < 6) slot.setUTCSeconds(0);
+  return slot;
+}
+
+/**
+ * Fire one scheduled task and record the run in scheduled_task_runs.
+ * @param {object} st - scheduled_tasks row as registered
+ * @param {object} [opts]
+ * @param {'cron'|'catch_up'|'deferred'|'manual'} [opts.source='cron'] - deferred runs were
+ *        already claimed by claimDeferredRuns(); manual runs skip the enabled check and the
+ *        work calendar
+ * @param {Date} [opts.fireTime] - cron slot to claim before running (cron and catch_up)
+ * @param {string} [opts.triggeredBy] - actor of a manual run
+ * @returns {Promise<object|null>} the finished run, or null when nothing ran (task gone or
+ *          disabled, or another instance claimed the fire)
+ */
+async function runJob(st, { source = 'cron', fireTime = null, triggeredBy = null } = {}) {
   // Re-fetch from DB to get latest config (may have been updated since cron was registered)
   const latest = await scheduledTasksDb.get(st.id);
-  if (!latest || !latest.enabled) return;
+  if (!latest || (!latest.enabled && source !== 'manual')) return null;
 
-  // Resolve assignee — either direct open_id or tag-based workload pick
-  const assignee = await resolveAssignee(latest);
-  if (!assignee) return; // logged inside resolveAssignee
+  const tz = resolveTimezone(latest.timezone);
+  // The slot this run is for: a catch-up run is dated by when it should have fired, not now
+  const firedAt = fireTime || new Date();
+  const scheduled = source === 'cron' || source === 'catch_up';
+  const calendar = scheduled ? await workCalendar.loadCalendar() : null;
+  // A schedule with calendar rules fires daily; it only runs on the days they pick
+  // (catch-up slots come from the same rules already)
+  if (source === 'cron' && hasCalendarRules(parseCron(latest.schedule)) &&
+      !matchesDate(latest.schedule, firedAt, tz, { calendar })) {
+    return null;
+  }
 
-  // Calculate deadline date
-  const deadline = new Date();
-  deadline.setDate(deadline.getDate() + latest.deadline_days);
-  const deadlineStr = deadline.toISOString().slice(0, 10);
+  const run = await scheduledTasksDb.startRun(latest.id, {
+    source, fireTime: firedAt, instance: INSTANCE_ID, triggeredBy,
+  });
+  if (!run) {
+    logger.debug('Scheduled task fire already claimed by another instance', {
+      id: latest.id, fireTime: fireTime?.toISOString(),
+    });
+    return null;
+  }
+  const finish = (outcome) => scheduledTasksDb.finishRun(run.id, outcome);
 
+  let assignee = null;
   try {
-    await reminderService.createTask({
+    if (scheduled) {
+      const day = zonedDateString(firedAt, tz);
+      const holiday = latest.skip_holidays && (calendar.holidays || []).find(h => h.date === day);
+      if (holiday) {
+        logger.info('Scheduled task skipped on a holiday', { id: latest.id, date: day, holiday: holiday.name });
+        return await finish({ status: 'skipped', error: `Holiday ${day}${holiday.name ? ` (${holiday.name})` : ''}` });
+      }
+      if (calendar.rollScheduledRuns && !workCalendar.isWorkingDay(firedAt, tz, calendar)) {
+        const runAt = workCalendar.rollToWorkingDay(firedAt, tz, calendar);
+        await scheduledTasksDb.deferRun(latest.id, runAt);
+        logger.info('Scheduled task deferred to next working day', { id: latest.id, runAt: runAt.toISOString(), timezone: tz });
+        return await finish({ status: 'deferred', error: `Non-working day, deferred to ${runAt.toISOString()}` });
+      }
+    }
+
+    // Resolve assignee — either direct open_id or tag-based workload pick
+    assignee = await resolveAssignee(latest);
+    if (!assignee) {
+      // logged inside resolveAssignee
+      return await finish({
+        status: 'skipped',
+        error: latest.target_tag ? `No users found for tag ${latest.target_tag}` : 'No target user or tag',
+      });
+    }
+
+    // Deadline: deadline_days after the day of the fire, at deadline_time (default 00:00), both in
+    // the task's timezone
+    const today = zonedParts(firedAt, tz);
+    const time = parseTimeOfDay(latest.deadline_time) || { hour: 0, minute: 0 };
+    const deadline = zonedTime(today.year, today.month, today.day + latest.deadline_days, time.hour, time.minute, 0, tz);
+
+    const coAssignees = [];
+    for (const openId of latest.co_assignee_open_ids || []) {
+      const user = await usersDb.findByOpenId(openId).catch(() => null);
+      coAssignees.push({ assigneeId: openId, assigneeOpenId: openId, assigneeName: user?.name ?? null });
+    }
+
+    const task = await reminderService.createTask({
       title: latest.title,
       assigneeId: assignee.openId,
       assigneeOpenId: assignee.openId,
       assigneeName: assignee.name,
-      deadline: deadlineStr,
+      coAssignees,
+      completionMode: latest.completion_mode,
+      checklist: latest.checklist || [],
+      // Approval needs someone to review; without a reporter the task would never close
+      requiresApproval: !!(latest.requires_approval && latest.reporter_open_id),
+      deadline,
       note: latest.note ?? null,
       priority: latest.priority,
       reminderIntervalHours: latest.reminder_interval_hours,
       reporterOpenId: latest.reporter_open_id ?? null,
       creatorId: 'scheduled',
+      timezone: tz,
     });
 
     await scheduledTasksDb.markRun(latest.id);
@@ -72,26 +187,104 @@ async function runJob(st) {
       id: latest.id,
       name: latest.name,
       title: latest.title,
+      taskId: task?.id,
+      source,
       assignee: assignee.name,
       openId: assignee.openId,
+      coAssignees: coAssignees.length,
       via: latest.target_tag ? `tag:${latest.target_tag}` : 'direct',
-      deadline: deadlineStr,
+      deadline: deadline.toISOString(),
+      timezone: tz,
+    });
+    return await finish({
+      status: 'created', assigneeOpenId: assignee.openId, assigneeName: assignee.name, taskId: task?.id ?? null,
     });
   } catch (err) {
-    logger.error('Scheduled task execution failed', { id: latest.id, error: err.message });
+    logger.error('Scheduled task execution failed', { id: latest.id, source, error: err.message });
+    return finish({
+      status: 'failed', assigneeOpenId: assignee?.openId, assigneeName: assignee?.name, error: err.message,
+    });
+  }
+}
+
+/**
+ * Make up the cron fires missed while no instance was running. Called from index.js once the
+ * jobs are registered. Each catch-up run is audited with catchUp: true.
+ * @param {Date} [now]
+ * @returns {Promise<number>} number of runs made up
+ */
+async function catchUp(now = new Date()) {
+  const tasks = await scheduledTasksDb.listForCatchUp();
+  const calendar = await workCalendar.loadCalendar();
+  const oldest = now.getTime() - CATCH_UP_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  let count = 0;
+  for (const st of tasks) {
+    const since = new Date(Math.max(new Date(st.last_fire_at).getTime(), oldest));
+    let missed;
+    try {
+      missed = occurrencesBetween(st.schedule, resolveTimezone(st.timezone), since, now,
+        st.catch_up === 'all' ? MAX_CATCH_UP_RUNS : 1, { calendar, skipHolidays: st.skip_holidays });
+    } catch (err) {
+      logger.warn('Cannot catch up scheduled task', { id: st.id, schedule: st.schedule, error: err.message });
+      continue;
+    }
+
+    for (const slot of missed) {
+      const fireTime = fireSlot(st.schedule, slot);
+      const run = await runJob(st, { source: 'catch_up', fireTime });
+      if (!run) continue; // another instance made it up, or the task was disabled meanwhile
+      count++;
+      audit.log({
+        userId: 'system',
+        action: 'run_scheduled_task',
+        targetType: 'scheduled_task',
+        targetId: String(st.id),
+        details: { catchUp: true, fireTime: fireTime.toISOString(), runId: run.id, status: run.status, taskId: run.task_id },
+      }).catch(err => logger.warn('audit.log failed', { error: err.message }));
+    }
   }
+  if (count) logger.info(`⏪ Scheduled tasks: made up ${count} missed run(s)`);
+  return count;
+}
+
+/**
+ * Fire a scheduled task right away (POST /api/scheduled-tasks/:id/run) to try it out. Runs
+ * even when the task is disabled, and on non-working days.
+ * @param {number} id
+ * @param {string} triggeredBy - actor
+ * @returns {Promise<object|null>} the finished run, or null when the scheduled task does not exist
+ */
+async function runNow(id, triggeredBy) {
+  return runJob({ id }, { source: 'manual', triggeredBy });
+}
+
+/**
+ * Run the deferred runs that have come due. Called periodically from index.js.
+ * @returns {Promise<number>} number of runs started
+ */
+async function runDeferred() {
+  const due = await scheduledTasksDb.claimDeferredRuns();
+  for (const st of due) {
+    await runJob(st, { source: 'deferred' });
+  }
+  return due.length;
 }
 
 function registerJob(st) {
-  // Validate cron expression
-  if (!cron.validate(st.schedule)) {
-    logger.warn('Invalid cron expression, skipping', { id: st.id, schedule: st.schedule });
+  // Validate cron expression; calendar rules are registered as a daily job
+  let expression;
+  try {
+    expression = nodeCronExpression(st.schedule);
+  } catch (err) {
+    logger.warn('Invalid cron expression, skipping', { id: st.id, schedule: st.schedule, error: err.message });
     return;
   }
 
-  const task = cron.schedule(st.schedule, () => runJob(st), {
+  const task = cron.schedule(expression, (ctx) => {
+    return runJob(st, { fireTime: fireSlot(st.schedule, ctx?.date ?? new Date()) });
+  }, {
     scheduled: true,
-    timezone: st.timezone || 'Asia/Shanghai',
+    timezone: st.timezone || DEFAULT_TIMEZONE,
   });
 
   jobs.set(String(st.id), task);
@@ -116,15 +309,24 @@ async function loadAll() {
   for (const task of jobs.values()) task.destroy();
   jobs.clear();
 
-  const all = await scheduledTasksDb.list();
-  const enabled = all.filter(st => st.enabled);
+  const enabled = await scheduledTasksDb.listEnabled();
 
   for (const st of enabled) registerJob(st);
-  logger.info('Scheduled task runner loaded', { total: all.length, enabled: enabled.length });
+  logger.info('Scheduled task runner loaded', { enabled: enabled.length });
 }
 
 async function reload() {
   await loadAll();
 }
 
-module.exports = { loadAll, reload, registerJob, cancelJob };
+module.exports = {
+  CATCH_UP_POLICIES,
+  loadAll,
+  reload,
+  registerJob,
+  cancelJob,
+  runDeferred,
+  catchUp,
+  runNow,
+  fireSlot,
+};
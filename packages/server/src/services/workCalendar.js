@@ -0,0 +1,178 @@
+/**
+ * Work calendar
+ *
+ * Quiet hours and working days for reminders. The calendar is one row in the settings table
+ * (key 'work_calendar', edited from the settings page); users may add their own quiet hours
+ * on top (users.quiet_hours_start / quiet_hours_end). Everything is evaluated in the zone of
+ * whoever it applies to: a reminder in the recipient's zone, a deadline in the creator's,
+ * a scheduled run in the scheduled task's.
+ *
+ *   quietHours        { start: 'HH:mm', end: 'HH:mm' } or null; may wrap midnight (22:00–08:00)
+ *   workdays          weekdays that are working days, 0 = Sunday … 6 = Saturday
+ *   holidays          [{ date: 'YYYY-MM-DD', name }] — non-working days on top of weekends
+ *   rollDeadlines     move new deadlines that fall on a non-working day to the next working day
+ *   rollScheduledRuns defer scheduled-task runs that fire on a non-working day to the next one
+ *
+ * Without a stored calendar nothing is restricted; migration 022 seeds the usual setup.
+ */
+const { settings } = require('../db');
+const logger = require('../utils/logger');
+const { zonedParts, zonedTime, zonedDateString, parseTimeOfDay } = require('../utils/timezone');
+
+const SETTING_KEY = 'work_calendar';
+
+const DEFAULT_CALENDAR = Object.freeze({
+  quietHours: null,
+  workdays: [0, 1, 2, 3, 4, 5, 6],
+  holidays: [],
+  rollDeadlines: false,
+  rollScheduledRuns: false,
+});
+
+const MAX_HOLIDAYS = 366;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate a quiet-hours window. Both ends 'HH:mm', or both empty for none.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateQuietHours(start, end) {
+  if (!start && !end) return null;
+  if (!parseTimeOfDay(start) || !parseTimeOfDay(end)) return 'Quiet hours need a start and an end as HH:mm';
+  if (start.trim() === end.trim()) return 'Quiet hours start and end must differ';
+  return null;
+}
+
+/**
+ * Validate a calendar submitted from the settings page.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateCalendar(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Calendar must be an object';
+  const { quietHours, workdays, holidays } = value;
+  if (quietHours != null) {
+    if (typeof quietHours !== 'object') return 'quietHours must be { start, end } or null';
+    const err = validateQuietHours(quietHours.start, quietHours.end);
+    if (err) return err;
+  }
+  if (workdays !== undefined) {
+    if (!Array.isArray(workdays) || !workdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return 'workdays must be a list of weekdays 0–6 (0 = Sunday)';
+    }
+    if (!workdays.length) return 'At least one weekday must be a working day';
+  }
+  if (holidays !== undefined) {
+    if (!Array.isArray(holidays)) return 'holidays must be a list';
+    if (holidays.length > MAX_HOLIDAYS) return `At most ${MAX_HOLIDAYS} holidays`;
+    for (const h of holidays) {
+      const date = typeof h === 'string' ? h : h?.date;
+      if (typeof date !== 'string' || !DATE_RE.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+        return `Invalid holiday date: ${date}`;
+      }
+    }
+  }
+  return null;
+}
+
+/** A stored (or submitted) calendar with defaults filled in and holidays as { date, name } */
+function normalizeCalendar(value) {
+  const cal = value && typeof value === 'object' ? value : {};
+  const quiet = cal.quietHours && parseTimeOfDay(cal.quietHours.start) && parseTimeOfDay(cal.quietHours.end)
+    ? { start: cal.quietHours.start.trim(), end: cal.quietHours.end.trim() }
+    : null;
+  const holidays = (Array.isArray(cal.holidays) ? cal.holidays : [])
+    .map(h => (typeof h === 'string' ? { date: h, name: null } : { date: h?.date, name: h?.name || null }))
+    .filter(h => typeof h.date === 'string' && DATE_RE.test(h.date))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    quietHours: quiet,
+    workdays: Array.isArray(cal.workdays) && cal.workdays.length
+      ? [...new Set(cal.workdays.filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort()
+      : [...DEFAULT_CALENDAR.workdays],
+    holidays,
+    rollDeadlines: !!cal.rollDeadlines,
+    rollScheduledRuns: !!cal.rollScheduledRuns,
+  };
+}
+
+// ── Storage ──────────────────────────────────────────────────────────────────
+
+/**
+ * The current calendar. Best effort: when the settings row cannot be read, nothing is
+ * restricted — a reminder sent at night beats a reminder never sent.
+ * @returns {Promise<object>}
+ */
+async function loadCalendar() {
+  try {
+    return normalizeCalendar(await settings.get(SETTING_KEY));
+  } catch (err) {
+    logger.warn('Failed to load work calendar', { error: err.message });
+    return normalizeCalendar(null);
+  }
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+function minuteOfDay(hhmm) {
+  const t = parseTimeOfDay(hhmm);
+  return t.hour * 60 + t.minute;
+}
+
+/** True when a minute of the day falls in [start, end), a window that may wrap midnight */
+function inWindow(minute, window) {
+  if (!window) return false;
+  const start = minuteOfDay(window.start);
+  const end = minuteOfDay(window.end);
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/** Whether the calendar day of an instant, in tz, is a working day */
+function isWorkingDay(date, tz, calendar) {
+  const p = zonedParts(date, tz);
+  const weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+  if (!calendar.workdays.includes(weekday)) return false;
+  const day = zonedDateString(date, tz);
+  return !calendar.holidays.some(h => h.date === day);
+}
+
+/**
+ * Whether nobody should be disturbed at an instant: a non-working day, the global quiet
+ * hours, or the person's own quiet hours.
+ * @param {Date} date
+ * @param {string} tz - the person's zone
+ * @param {object} calendar - from loadCalendar()
+ * @param {{start: string, end: string}|null} [personalQuiet]
+ */
+function isQuietTime(date, tz, calendar, personalQuiet = null) {
+  if (!isWorkingDay(date, tz, calendar)) return true;
+  const p = zonedParts(date, tz);
+  const minute = p.hour * 60 + p.minute;
+  return inWindow(minute, calendar.quietHours) || inWindow(minute, personalQuiet);
+}
+
+/**
+ * The same wall-clock time on the first working day at or after `date`. Returns `date`
+ * unchanged when it is already a working day (or no working day comes within a year).
+ */
+function rollToWorkingDay(date, tz, calendar) {
+  const p = zonedParts(date, tz);
+  for (let i = 0; i <= 366; i++) {
+    const candidate = i === 0 ? new Date(date) : zonedTime(p.year, p.month, p.day + i, p.hour, p.minute, p.second, tz);
+    if (isWorkingDay(candidate, tz, calendar)) return candidate;
+  }
+  return new Date(date);
+}
+
+module.exports = {
+  SETTING_KEY,
+  DEFAULT_CALENDAR,
+  validateQuietHours,
+  validateCalendar,
+  normalizeCalendar,
+  loadCalendar,
+  isWorkingDay,
+  isQuietTime,
+  rollToWorkingDay,
+};
@@ -0,0 +1,234 @@
+/**
+ * Cron schedules in words, Chinese and English, for the scheduled-tasks page and API:
+ *   '0 8 1 * *'     → 每月1日 08:00 / On day 1 of the month at 08:00
+ *   '0 8 LW * *'    → 每月最后一个工作日 08:00 / On the last working day of the month at 08:00
+ *   '*\/15 9-17 * * 1-5' → 每周一至周五 9点至17点每 15 分钟 /
+ *                        Every 15 minutes from 09:00 to 17:45, every Monday through Friday
+ *
+ * Covers everything parseCron() accepts, calendar rules included. Up to MAX_LISTED_TIMES fire
+ * times a day are listed as clock times, more are described by their pattern.
+ */
+const { parseCron } = require('./cronSchedule');
+
+const MAX_LISTED_TIMES = 6;
+
+const WEEKDAYS_ZH = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+const WEEKDAYS_EN = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS_EN = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+const NTH_ZH = ['', '第一个', '第二个', '第三个', '第四个', '第五个'];
+const NTH_EN = ['', 'first', 'second', 'third', 'fourth', 'fifth'];
+
+const pad = n => String(n).padStart(2, '0');
+
+/** 1st, 2nd, 3rd, 11th, 22nd … */
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+}
+
+/** 'a', 'a and b', 'a, b and c' */
+function listEn(items) {
+  return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/** The step k when values are exactly 0, k, 2k … through a field of `size` values, else null */
+function stepOf(values, size) {
+  if (values.length < 2 || values[0] !== 0) return null;
+  const step = values[1];
+  const regular = values.every((v, i) => v === i * step);
+  return regular && values[values.length - 1] + step >= size ? step : null;
+}
+
+/** Consecutive runs of at least three values, e.g. [1,2,3,4,5] → one run 1–5 */
+function isRange(values) {
+  return values.length >= 3 && values.every((v, i) => i === 0 || v === values[i - 1] + 1);
+}
+
+// ── Time of day ──────────────────────────────────────────────────────────────
+
+function describeTime(cron) {
+  const showSeconds = cron.seconds.some(s => s !== 0);
+  const count = cron.hours.length * cron.minutes.length * cron.seconds.length;
+  if (count <= MAX_LISTED_TIMES) {
+    const times = [];
+    for (const h of cron.hours) {
+      for (const m of cron.minutes) {
+        for (const s of cron.seconds) times.push(`${pad(h)}:${pad(m)}${showSeconds ? `:${pad(s)}` : ''}`);
+      }
+    }
+    return { listed: true, zh: times.join('、'), en: listEn(times) };
+  }
+
+  const hourStep = stepOf(cron.hours, 24);
+  if (hourStep > 1 && cron.minutes.length === 1 && !showSeconds && cron.seconds.length === 1) {
+    const [minute] = cron.minutes;
+    return minute === 0
+      ? { listed: false, zh: `每 ${hourStep} 小时整点`, en: `every ${hourStep} hours on the hour` }
+      : { listed: false, zh: `每 ${hourStep} 小时的第 ${minute} 分`, en: `every ${hourStep} hours at minute ${minute}` };
+  }
+
+  const zh = [], en = [];
+  const allHours = cron.hours.length === 24;
+  if (!allHours) {
+    if (isRange(cron.hours)) {
+      const [first, last] = [cron.hours[0], cron.hours[cron.hours.length - 1]];
+      zh.push(`${first}点至${last}点`);
+      en.push(`from ${pad(first)}:${pad(cron.minutes[0])} to ${pad(last)}:${pad(cron.minutes[cron.minutes.length - 1])}`);
+    } else {
+      zh.push(`${cron.hours.join('、')}点`);
+      en.push(`during hours ${listEn(cron.hours.map(String))}`);
+    }
+  }
+
+  const minuteStep = stepOf(cron.minutes, 60);
+  let minuteZh, minuteEn;
+  if (cron.minutes.length === 60) {
+    [minuteZh, minuteEn] = ['每分钟', 'every minute'];
+  } else if (minuteStep) {
+    [minuteZh, minuteEn] = [`每 ${minuteStep} 分钟`, `every ${minuteStep} minutes`];
+  } else if (cron.minutes.length === 1 && cron.minutes[0] === 0) {
+    [minuteZh, minuteEn] = ['每小时整点', 'every hour on the hour'];
+  } else {
+    minuteZh = `每小时第 ${cron.minutes.join('、')} 分`;
+    minuteEn = `at minute ${listEn(cron.minutes.map(String))} past every hour`;
+  }
+  const secondsVary = showSeconds || cron.seconds.length > 1;
+  // "every 10 seconds" already covers every minute
+  if (!(secondsVary && cron.minutes.length === 60)) {
+    zh.push(minuteZh);
+    en.unshift(minuteEn);
+  }
+
+  if (secondsVary) {
+    const secondStep = stepOf(cron.seconds, 60);
+    if (cron.seconds.length === 60) {
+      zh.push('每秒');
+      en.push('every second');
+    } else if (secondStep) {
+      zh.push(`每 ${secondStep} 秒`);
+      en.push(`every ${secondStep} seconds`);
+    } else {
+      zh.push(`第 ${cron.seconds.join('、')} 秒`);
+      en.push(`at second ${listEn(cron.seconds.map(String))}`);
+    }
+  }
+  return { listed: false, zh: zh.join(''), en: en.join(' ') };
+}
+
+// ── Days ─────────────────────────────────────────────────────────────────────
+
+function describeDaysOfMonth(cron) {
+  const zh = [], en = [];
+  const numbers = [...cron.days].sort((a, b) => a - b);
+  if (numbers.length) {
+    zh.push(numbers.map(d => `${d}日`).join('、'));
+    en.push(`day ${listEn(numbers.map(String))}`);
+  }
+  for (const rule of cron.dayRules) {
+    if (rule.type === 'last') {
+      zh.push('最后一天');
+      en.push('the last day');
+    } else if (rule.type === 'lastWorkday') {
+      zh.push('最后一个工作日');
+      en.push('the last working day');
+    } else {
+      zh.push(`第 ${rule.n} 个工作日`);
+      en.push(`the ${ordinal(rule.n)} working day`);
+    }
+  }
+  return { zh: zh.join('、'), en: listEn(en) };
+}
+
+function describeWeekdays(cron) {
+  const plain = [...cron.weekdays].sort((a, b) => a - b);
+  // Sunday last reads better: 周一至周日 / Monday through Sunday
+  if (plain[0] === 0 && plain.length > 1) plain.push(plain.shift() + 7);
+  const name = (list, d) => list[d % 7];
+  let zh = '', en = '';
+  if (plain.length) {
+    if (isRange(plain)) {
+      zh = `${name(WEEKDAYS_ZH, plain[0])}至${name(WEEKDAYS_ZH, plain[plain.length - 1])}`;
+      en = `${name(WEEKDAYS_EN, plain[0])} through ${name(WEEKDAYS_EN, plain[plain.length - 1])}`;
+    } else {
+      zh = plain.map(d => name(WEEKDAYS_ZH, d)).join('、');
+      en = listEn(plain.map(d => name(WEEKDAYS_EN, d)));
+    }
+  }
+  const rulesZh = cron.weekdayRules.map(r =>
+    `${r.nth === 'last' ? '最后一个' : NTH_ZH[r.nth]}${WEEKDAYS_ZH[r.weekday]}`);
+  const rulesEn = cron.weekdayRules.map(r =>
+    `the ${r.nth === 'last' ? 'last' : NTH_EN[r.nth]} ${WEEKDAYS_EN[r.weekday]}`);
+  return { plainZh: zh, plainEn: en, rulesZh: rulesZh.join('、'), rulesEn: listEn(rulesEn) };
+}
+
+function describeDays(cron) {
+  const allDays = cron.days.size === 31 && !cron.dayRules.length;
+  const allWeekdays = cron.weekdays.size === 7 && !cron.weekdayRules.length;
+  const allMonths = cron.months.size === 12;
+  const months = [...cron.months].sort((a, b) => a - b);
+  const monthZh = allMonths ? '每月' : `每年${months.join('、')}月`;
+  const monthEn = allMonths ? 'of the month' : `of ${listEn(months.map(m => MONTHS_EN[m - 1]))}`;
+  const inMonthsEn = allMonths ? '' : ` in ${listEn(months.map(m => MONTHS_EN[m - 1]))}`;
+
+  const dom = allDays ? null : describeDaysOfMonth(cron);
+  const dow = allWeekdays ? null : describeWeekdays(cron);
+  // Day-of-week restricted to rules only (1#2) vs plain weekdays (1-5), or a mix
+  const dowZh = dow && [dow.plainZh && `每${dow.plainZh}`, dow.rulesZh && `${monthZh}${dow.rulesZh}`]
+    .filter(Boolean).join('、');
+  const dowEn = dow && [dow.plainEn && `every ${dow.plainEn}`, dow.rulesEn && `on ${dow.rulesEn} ${monthEn}`]
+    .filter(Boolean).join(' and ');
+
+  if (dom && dow) {
+    const isZh = dow.plainZh ? `${dow.plainZh}` : dow.rulesZh;
+    const isEn = dow.plainEn ? `a ${dow.plainEn.replace(' through ', ' to ')}` : dow.rulesEn;
+    return {
+      everyDay: false,
+      zh: `${monthZh}${dom.zh}（且为${isZh}）`,
+      en: `on ${dom.en} ${monthEn} if it is ${isEn}`,
+    };
+  }
+  if (dom) return { everyDay: false, zh: `${monthZh}${dom.zh}`, en: `on ${dom.en} ${monthEn}` };
+  if (dow) {
+    const plainInMonths = dow.plainZh && !allMonths ? `${months.join('、')}月` : '';
+    return {
+      everyDay: false,
+      zh: `${dow.rulesZh ? '' : plainInMonths}${dowZh}`,
+      en: `${dowEn}${dow.rulesEn ? '' : inMonthsEn}`,
+    };
+  }
+  if (!allMonths) return { everyDay: false, zh: `${months.join('、')}月每天`, en: `every day${inMonthsEn}` };
+  return { everyDay: true, zh: '每天', en: 'every day' };
+}
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * @param {string|object} expression - cron text, or the result of parseCron()
+ * @param {object} [opts]
+ * @param {boolean} [opts.skipHolidays=false] - mention that holidays are skipped
+ * @returns {{zh: string, en: string}}
+ * @throws {Error} when the expression is invalid (see parseCron)
+ */
+function describeCron(expression, { skipHolidays = false } = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const time = describeTime(cron);
+  const days = describeDays(cron);
+
+  let zh, en;
+  if (time.listed) {
+    zh = `${days.zh} ${time.zh}`;
+    en = `${capitalize(days.en)} at ${time.en}`;
+  } else {
+    zh = days.everyDay ? time.zh : `${days.zh} ${time.zh}`;
+    en = capitalize(days.everyDay ? time.en : `${time.en}, ${days.en}`);
+  }
+  if (skipHolidays) {
+    zh += '（节假日跳过）';
+    en += ', skipping holidays';
+  }
+  return { zh, en };
+}
+
+module.exports = { describeCron };
@@ -0,0 +1,299 @@
+/**
+ * Cron expressions as node-cron reads them, turned into the instants they fire at.
+ *
+ * node-cron only fires jobs going forward; this walks a schedule to answer questions about
+ * it — which fires were missed while the server was down, when the next ones are.
+ *
+ * Five fields, or six with seconds first: [second] minute hour day-of-month month day-of-week.
+ * Each field is *, a number, a range (1-5), a step (*\/15, 1-30/5), or a comma list of these;
+ * months and weekdays also take names (jan, mon, monday). Day-of-week 7 is Sunday. As in
+ * node-cron every field must match — day-of-month AND day-of-week, not Vixie cron's either-or.
+ *
+ * Calendar rules node-cron doesn't know, Quartz-style, may stand in the list of the day fields:
+ *   day of month  L    last day of the month
+ *                 LW   last working day of the month
+ *                 BD3  third working day of the month (BD1 = the first)
+ *   day of week   1#2  second Monday of the month (n = 1–5)
+ *                 5L   last Friday of the month
+ * Working days are the work calendar's (workdays minus holidays, see services/workCalendar);
+ * without one every day is a working day. The runner registers such a schedule with node-cron
+ * as nodeCronExpression() and checks matchesDate() on every fire.
+ */
+const { zonedParts, zonedTime } = require('./timezone');
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month', min: 1, max: 12, offset: 1,
+    names: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+  },
+  {
+    name: 'day of week', min: 0, max: 7, offset: 0,
+    names: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+  },
+];
+
+const DAY_OF_MONTH = 3;
+const DAY_OF_WEEK = 5;
+
+// How far ahead to look for a date that matches at all (e.g. "0 0 30 2 *" never does)
+const MAX_SCAN_DAYS = 366 * 8;
+
+// Without a work calendar every day is a working day
+const EVERY_DAY_WORKS = Object.freeze({ workdays: [0, 1, 2, 3, 4, 5, 6], holidays: [] });
+
+function parseValue(text, field) {
+  if (/^\d+$/.test(text)) return Number(text);
+  if (field.names) {
+    const name = text.toLowerCase();
+    const index = field.names.findIndex(full => name === full || name === full.slice(0, 3));
+    if (index !== -1) return index + field.offset;
+  }
+  throw new Error(`Invalid ${field.name}: ${text}`);
+}
+
+/** A calendar rule in a day field (see the header), or null for a plain value */
+function parseRule(part, field) {
+  if (field === FIELDS[DAY_OF_MONTH]) {
+    if (/^L$/i.test(part)) return { type: 'last' };
+    if (/^LW$/i.test(part)) return { type: 'lastWorkday' };
+    const bd = /^BD(\d+)$/i.exec(part);
+    if (bd) {
+      const n = Number(bd[1]);
+      if (n < 1 || n > 31) throw new Error(`Invalid working day of month: ${part} (allowed BD1-BD31)`);
+      return { type: 'workday', n };
+    }
+  }
+  if (field === FIELDS[DAY_OF_WEEK]) {
+    const nth = /^(\w+)#(\d+)$/.exec(part);
+    const last = /^(\w+?)L$/i.exec(part);
+    if (nth || last) {
+      const value = parseValue((nth || last)[1], field);
+      if (value > field.max) throw new Error(`Invalid day of week: ${part} (allowed ${field.min}-${field.max})`);
+      const weekday = value % 7;
+      if (last) return { weekday, nth: 'last' };
+      const n = Number(nth[2]);
+      if (n < 1 || n > 5) throw new Error(`Invalid day of week: ${part} (nth weekday allowed 1-5)`);
+      return { weekday, nth: n };
+    }
+  }
+  return null;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  const rules = [];
+  for (const part of text.split(',')) {
+    const rule = parseRule(part, field);
+    if (rule) {
+      rules.push(rule);
+      continue;
+    }
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: ${part}`);
+
+    let from, to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(v => parseValue(v, field));
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    if (from < field.min || to > field.max || from > to) {
+      throw new Error(`Invalid ${field.name}: ${part} (allowed ${field.min}-${field.max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return { values, rules };
+}
+
+/**
+ * @param {string} expression
+ * @returns {{seconds: number[], minutes: number[], hours: number[], days: Set<number>,
+ *            months: Set<number>, weekdays: Set<number>, dayRules: object[],
+ *            weekdayRules: object[], hasSeconds: boolean}}
+ * @throws {Error} describing the first invalid field
+ */
+function parseCron(expression) {
+  const parts = String(expression ?? '').trim().split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error('A cron expression has 5 fields (or 6 with seconds)');
+  }
+  const hasSeconds = parts.length === 6;
+  const [seconds, minutes, hours, days, months, weekdays] =
+    (hasSeconds ? parts : ['0', ...parts]).map((text, i) => parseField(text, FIELDS[i]));
+  if (weekdays.values.delete(7)) weekdays.values.add(0);
+  const sorted = set => [...set].sort((a, b) => a - b);
+  return {
+    seconds: sorted(seconds.values), minutes: sorted(minutes.values), hours: sorted(hours.values),
+    days: days.values, months: months.values, weekdays: weekdays.values,
+    dayRules: days.rules, weekdayRules: weekdays.rules, hasSeconds,
+  };
+}
+
+/** Whether a schedule uses calendar rules, i.e. node-cron alone can't run it */
+function hasCalendarRules(cron) {
+  return cron.dayRules.length > 0 || cron.weekdayRules.length > 0;
+}
+
+/**
+ * The expression to register with node-cron: unchanged for plain cron; a day field holding a
+ * calendar rule becomes * so the job fires every day, and matchesDate() picks the right ones.
+ * @param {string} expression
+ * @returns {string}
+ */
+function nodeCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  const cron = parseCron(expression);
+  if (!hasCalendarRules(cron)) return parts.join(' ');
+  const offset = cron.hasSeconds ? 0 : 1;
+  if (cron.dayRules.length) parts[DAY_OF_MONTH - offset] = '*';
+  if (cron.weekdayRules.length) parts[DAY_OF_WEEK - offset] = '*';
+  return parts.join(' ');
+}
+
+/**
+ * Day matching against one calendar. Working days of a month are worked out once per month.
+ * @param {object} [calendar] - { workdays: number[], holidays: [{ date: 'YYYY-MM-DD' }] }
+ * @param {boolean} [skipHolidays] - a holiday never matches
+ */
+function dayMatcher(cron, calendar = EVERY_DAY_WORKS, skipHolidays = false) {
+  const workdays = new Set(calendar.workdays ?? EVERY_DAY_WORKS.workdays);
+  const holidays = new Set((calendar.holidays ?? []).map(h => (typeof h === 'string' ? h : h.date)));
+  const workingDays = new Map(); // 'YYYY-M' -> day numbers that are working days, in order
+
+  const dateString = (y, m, d) => `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  const weekdayOf = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  const monthLength = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const workingDaysOf = (y, m) => {
+    const key = `${y}-${m}`;
+    if (!workingDays.has(key)) {
+      const days = [];
+      for (let d = 1; d <= monthLength(y, m); d++) {
+        if (workdays.has(weekdayOf(y, m, d)) && !holidays.has(dateString(y, m, d))) days.push(d);
+      }
+      workingDays.set(key, days);
+    }
+    return workingDays.get(key);
+  };
+
+  const dayRule = (rule, y, m, d) => {
+    if (rule.type === 'last') return d === monthLength(y, m);
+    const working = workingDaysOf(y, m);
+    if (rule.type === 'lastWorkday') return d === working[working.length - 1];
+    return d === working[rule.n - 1];
+  };
+  const weekdayRule = (rule, y, m, d) => {
+    if (weekdayOf(y, m, d) !== rule.weekday) return false;
+    return rule.nth === 'last' ? d + 7 > monthLength(y, m) : Math.ceil(d / 7) === rule.nth;
+  };
+
+  return (year, month, day) => {
+    if (!cron.months.has(month)) return false;
+    if (!cron.days.has(day) && !cron.dayRules.some(r => dayRule(r, year, month, day))) return false;
+    if (!cron.weekdays.has(weekdayOf(year, month, day)) &&
+        !cron.weekdayRules.some(r => weekdayRule(r, year, month, day))) return false;
+    return !(skipHolidays && holidays.has(dateString(year, month, day)));
+  };
+}
+
+/**
+ * Whether the schedule's day fields match the calendar day of an instant in tz — what the
+ * runner checks when node-cron fires a schedule with calendar rules.
+ * @param {string|object} expression - cron text, or the result of parseCron()
+ * @param {Date} date
+ * @param {string} tz
+ * @param {object} [opts]
+ * @param {object} [opts.calendar] - work calendar (workdays, holidays)
+ * @param {boolean} [opts.skipHolidays=false]
+ * @returns {boolean}
+ */
+function matchesDate(expression, date, tz, { calendar, skipHolidays = false } = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const p = zonedParts(date, tz);
+  return dayMatcher(cron, calendar, skipHolidays)(p.year, p.month, p.day);
+}
+
+/**
+ * The instants a cron expression fires at in a timezone, in order, strictly after `after`.
+ * A wall-clock time skipped by a DST jump does not fire.
+ * @param {string|object} expression - cron text, or the result of parseCron()
+ * @param {string} tz - IANA timezone
+ * @param {object} [opts]
+ * @param {Date} [opts.after=new Date()]
+ * @param {Date} [opts.until] - stop after this instant (inclusive)
+ * @param {object} [opts.calendar] - work calendar for LW / BDn (default: every day works)
+ * @param {boolean} [opts.skipHolidays=false] - leave out the calendar's holidays
+ * @yields {Date}
+ */
+function* occurrences(expression, tz, { after = new Date(), until = null, calendar, skipHolidays = false } = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const matches = dayMatcher(cron, calendar, skipHolidays);
+  const start = zonedParts(after, tz);
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    // Date.UTC rolls day overflow into the next month / year
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (until && zonedTime(year, month, day, 0, 0, 0, tz) > until) return;
+    if (!matches(year, month, day)) continue;
+
+    for (const hour of cron.hours) {
+      const top = zonedTime(year, month, day, hour, 0, 0, tz);
+      const wall = zonedParts(top, tz);
+      if (wall.hour !== hour || wall.day !== day) continue; // skipped by a DST jump
+      for (const minute of cron.minutes) {
+        for (const second of cron.seconds) {
+          const at = new Date(top.getTime() + (minute * 60 + second) * 1000);
+          if (at <= after) continue;
+          if (until && at > until) return;
+          yield at;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * The next `count` fire times after `after`.
+ * @param {object} [opts] - calendar / skipHolidays, as for occurrences()
+ * @returns {Date[]}
+ */
+function nextOccurrences(expression, tz, count, after = new Date(), opts = {}) {
+  const out = [];
+  if (count <= 0) return out;
+  for (const at of occurrences(expression, tz, { ...opts, after })) {
+    out.push(at);
+    if (out.length >= count) break;
+  }
+  return out;
+}
+
+/**
+ * Fire times in (from, to], keeping only the most recent `limit` of them.
+ * @param {object} [opts] - calendar / skipHolidays, as for occurrences()
+ * @returns {Date[]} oldest first
+ */
+function occurrencesBetween(expression, tz, from, to, limit = Infinity, opts = {}) {
+  const out = [];
+  for (const at of occurrences(expression, tz, { ...opts, after: from, until: to })) {
+    out.push(at);
+    if (out.length > limit) out.shift();
+  }
+  return out;
+}
+
+module.exports = {
+  parseCron,
+  hasCalendarRules,
+  nodeCronExpression,
+  matchesDate,
+  occurrences,
+  nextOccurrences,
+  occurrencesBetween,
+};
@@ -10,6 +10,11 @@
  *   'cuiban_view'      — 我的任务, 任务列表, /list, /tasks
  *   'cuiban_complete'  — 完成 [...], done, /done
  *   'cuiban_create'    — /add ...
+ *   'cuiban_status'    — /start /block /unblock /cancel /reopen /approve /reject, 开始 N / 阻塞 N 原因 / 通过 #N …
+ *   'cuiban_comment'   — /comment ID 内容, 评论 #ID 内容
+ *   'cuiban_defer'     — /snooze, 推迟 [N] 4小时 / 推迟到明天, /extend, 申请延期 N 日期, 同意延期 #N / 拒绝延期 #N
+ *   'cuiban_digest'    — /digest, 汇总提醒 [HH:mm] / 逐条提醒 / 汇总时间 HH:mm / 报告汇总 开|关 / 提醒设置
+ *   'cuiban_group'     — /group, 群任务 / 本群任务 (a group chat's open tasks)
  *   'command'          — other slash commands
  *   'unknown'          — everything else (let AI handle it)
  */
@@ -39,10 +44,47 @@ const CUIBAN_COMPLETE_PATTERNS = [
 // 催办 create: /add ... (natural language variants go to AI agent)
 const CUIBAN_CREATE_PATTERN = /^\/add(\s|$)/i;
 
+// 催办 status change: /start N, /block N 原因, /unblock N, /cancel ID, /reopen ID, /approve ID, /reject ID 原因
+// Chinese keywords require a task number so "开始吧" etc. still reach the AI;
+// 通过/驳回 are common words, so they need an explicit #ID.
+const CUIBAN_STATUS_PATTERNS = [
+  /^\/(start|block|unblock|cancel|reopen|approve|reject)(\s|$)/i,
+  /^(开始|阻塞|解除阻塞|取消任务|重新打开)\s*#?\d+(\s[\s\S]*)?$/,
+  /^(通过|驳回)\s*#\d+(\s[\s\S]*)?$/,
+];
+
+// 催办 comment: /comment ID 内容, 评论 #ID 内容 (replies to task DMs are matched in webhook.js)
+const CUIBAN_COMMENT_PATTERNS = [
+  /^\/comment(\s|$)/i,
+  /^评论\s*#\d+(\s[\s\S]*)?$/,
+];
+
+// 催办 defer: /snooze, /extend, 申请延期 N 日期, 同意延期 #ID / 拒绝延期 #ID 原因.
+// 推迟/延后 need a recognisable duration (推迟到明天, 推迟 2 4小时) so other 推迟… chatter reaches the AI.
+const CUIBAN_DEFER_PATTERNS = [
+  /^\/(snooze|extend)(\s|$)/i,
+  /^(推迟|延后)\s*(#?\d+\s+)?(到\s*)?(明天|后天|[\d一两二三半][\d.]*\s*(个?小时|分钟|天|h|min|m|d))后?再?(做|处理|提醒|说)?吧?$/i,
+  /^申请延期([\s#\d][\s\S]*)?$/,
+  /^(同意|拒绝)延期\s*#\d+(\s[\s\S]*)?$/,
+];
+
+// 催办 digest: /digest …, 汇总提醒 [HH:mm], 逐条提醒, 汇总时间 HH:mm, 报告汇总 开/关, 提醒设置
+const CUIBAN_DIGEST_PATTERNS = [
+  /^\/digest(\s|$)/i,
+  /^(汇总提醒(\s*\d{1,2}[:：]\d{2})?|逐条提醒|提醒设置)$/,
+  /^汇总时间\s*\d{1,2}[:：]\d{2}$/,
+  /^报告汇总\s*(开|关|开启|关闭)$/,
+];
+
+// 催办 group board: this group chat's open tasks
+const CUIBAN_GROUP_PATTERNS = [
+  /^(\/group|群任务|本群任务|群待办)$/i,
+];
+
 /**
  * Detect the intent of a message.
  * @param {string} text - Raw message text
- * @returns {'greeting' | 'menu' | 'cuiban_view' | 'cuiban_complete' | 'cuiban_create' | 'command' | 'unknown'}
+ * @returns {'greeting' | 'menu' | 'cuiban_view' | 'cuiban_complete' | 'cuiban_create' | 'cuiban_status' | 'cuiban_comment' | 'cuiban_defer' | 'cuiban_digest' | 'cuiban_group' | 'command' | 'unknown'}
  */
 // NOTE: The check order below is load-bearing. The short-message greeting fallback
 // at the bottom must come AFTER all command/cuiban patterns, because short strings
@@ -55,6 +97,31 @@ function detectIntent(text) {
   // Cuiban create (/add ...) — check before generic slash command catch-all
   if (CUIBAN_CREATE_PATTERN.test(trimmed)) return 'cuiban_create';
 
+  // Cuiban status change — also before the slash catch-all
+  for (const pattern of CUIBAN_STATUS_PATTERNS) {
+    if (pattern.test(trimmed)) return 'cuiban_status';
+  }
+
+  // Cuiban comment — also before the slash catch-all
+  for (const pattern of CUIBAN_COMMENT_PATTERNS) {
+    if (pattern.test(trimmed)) return 'cuiban_comment';
+  }
+
+  // Cuiban snooze / deadline extension — also before the slash catch-all
+  for (const pattern of CUIBAN_DEFER_PATTERNS) {
+    if (pattern.test(trimmed)) return 'cuiban_defer';
+  }
+
+  // Cuiban digest preferences — also before the slash catch-all
+  for (const pattern of CUIBAN_DIGEST_PATTERNS) {
+    if (pattern.test(trimmed)) return 'cuiban_digest';
+  }
+
+  // Cuiban group board — also before the slash catch-all
+  for (const pattern of CUIBAN_GROUP_PATTERNS) {
+    if (pattern.test(trimmed)) return 'cuiban_group';
+  }
+
   // Explicit slash commands (catch-all for any other /command)
   if (trimmed.startsWith('/')) return 'command';
 
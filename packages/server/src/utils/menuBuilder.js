@@ -23,12 +23,57 @@ const MENU_SECTIONS = [
       {
         feature: 'cuiban_complete',
         command: '完成 [任务名]',
-        desc: '标记任务为已完成（可附证明链接）',
+        desc: '标记任务为已完成（可附证明链接；直接发送截图 / 文件也可作为证明）',
+      },
+      {
+        feature: 'cuiban_complete',
+        command: '完成 N.M',
+        desc: '勾选第 N 个任务的第 M 项清单；「完成 N 强制」跳过未完成的清单',
+      },
+      {
+        feature: 'cuiban_complete',
+        command: '开始 N / 阻塞 N 原因 / 解除阻塞 N',
+        desc: '更新任务进度；阻塞期间暂停提醒',
+      },
+      {
+        feature: 'cuiban_complete',
+        command: '推迟 N 4小时 / 申请延期 N 日期 原因',
+        desc: '推迟下一次提醒（或回复提醒「明天再做」）；向报告人申请延长截止日期',
+      },
+      {
+        feature: 'cuiban_view',
+        command: '汇总提醒 [HH:mm] / 逐条提醒 / 报告汇总 开',
+        desc: '每天定时收到一条待办汇总代替逐条提醒；报告汇总附带你派出的未完成任务',
       },
       {
         feature: 'cuiban_create',
-        command: '/add 任务名 邮箱 [YYYY-MM-DD]',
-        desc: '创建催办任务并分配给他人，例：/add 提交报告 user@company.com 2026-03-15',
+        command: '/add 任务名 邮箱 [YYYY-MM-DD [HH:mm]]',
+        desc: '创建催办任务并分配给他人，例：/add 提交报告 user@company.com 2026-03-15 18:00',
+      },
+      {
+        feature: 'cuiban_create',
+        command: '/cancel 任务ID / /reopen 任务ID',
+        desc: '取消或重新打开你创建的任务',
+      },
+      {
+        feature: 'cuiban_create',
+        command: '通过 #任务ID / 驳回 #任务ID 原因',
+        desc: '验收执行人提交的任务；驳回后退回执行人修改',
+      },
+      {
+        feature: 'cuiban_create',
+        command: '同意延期 #任务ID / 拒绝延期 #任务ID 原因',
+        desc: '审批执行人的延期申请',
+      },
+      {
+        feature: 'cuiban_view',
+        command: '/comment 任务ID 内容',
+        desc: '在任务下留言并通知其他参与人；也可直接回复任务提醒消息',
+      },
+      {
+        feature: 'cuiban_view',
+        command: '@机器人 群任务',
+        desc: '在群聊中查看本群创建的未完成任务；群里 /add 可直接 @ 执行人',
       },
     ],
   },
@@ -0,0 +1,106 @@
+/**
+ * Message content
+ *
+ * Feishu sends message.content as a JSON string whose shape depends on message_type:
+ *
+ *   text   { text }
+ *   post   { title, content: [[ {tag:'text'|'a'|'at'|'img'|'media'|'code_block'|…}, … ], …] }
+ *          (older payloads wrap it per locale: { zh_cn: { title, content } })
+ *   image  { image_key }
+ *   file   { file_key, file_name }
+ *
+ * parseMessageContent() turns any of them into the text the bot reads (commands, intent
+ * detection, the agent) plus the images / files it carries, which can be downloaded with
+ * feishu.downloadMessageResource() and used as completion proof.
+ */
+
+/** Placeholders for what a post carries besides text, so the agent knows it is there */
+const IMAGE_PLACEHOLDER = '[图片]';
+const FILE_PLACEHOLDER = '[文件]';
+
+/** A post body, unwrapping the per-locale form */
+function postBody(raw) {
+  if (Array.isArray(raw.content)) return raw;
+  const locale = raw.zh_cn || raw.en_us || Object.values(raw).find(v => v && Array.isArray(v.content));
+  return locale && Array.isArray(locale.content) ? locale : { title: raw.title, content: [] };
+}
+
+/**
+ * Flatten a post to plain text, one line per paragraph.
+ * Links keep their URL (so「完成 1 + link」still finds the proof); @mentions keep their
+ * @_user_N placeholder so group @mention handling works the same as for text messages.
+ */
+function flattenPost(raw, resources) {
+  const { title, content } = postBody(raw);
+  const lines = [];
+  if (title) lines.push(title);
+  for (const paragraph of content) {
+    if (!Array.isArray(paragraph)) continue;
+    const parts = [];
+    for (const el of paragraph) {
+      switch (el?.tag) {
+        case 'text':
+        case 'code_block':
+          parts.push(el.text || '');
+          break;
+        case 'a':
+          parts.push(el.text && el.text !== el.href ? `${el.text} ${el.href}` : el.href || el.text || '');
+          break;
+        case 'at':
+          parts.push(el.user_id?.startsWith('@_') ? el.user_id : `@${el.user_name || el.user_id || ''}`);
+          break;
+        case 'img':
+          if (el.image_key) resources.push({ type: 'image', key: el.image_key, name: null });
+          parts.push(IMAGE_PLACEHOLDER);
+          break;
+        case 'media':
+          if (el.file_key) resources.push({ type: 'file', key: el.file_key, name: null });
+          parts.push(FILE_PLACEHOLDER);
+          break;
+        case 'emotion':
+          parts.push(el.emoji_type ? `[${el.emoji_type}]` : '');
+          break;
+        default:
+          break;
+      }
+    }
+    const line = parts.join(' ').replace(/[ \t]+/g, ' ').trim();
+    if (line) lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {string} messageType - event.message.message_type
+ * @param {string} content - event.message.content (JSON string)
+ * @returns {{text: string, resources: {type: 'image'|'file', key: string, name: string|null}[]}}
+ */
+function parseMessageContent(messageType, content) {
+  let raw;
+  try {
+    raw = JSON.parse(content || '{}') || {};
+  } catch {
+    return { text: '', resources: [] };
+  }
+  const resources = [];
+  switch (messageType) {
+    case 'post': {
+      const text = flattenPost(raw, resources);
+      // A post that is only images / files (and @mentions) reads like a bare image message
+      const hasText = text.split(/\s+/).some(w => w && w !== IMAGE_PLACEHOLDER && w !== FILE_PLACEHOLDER && !w.startsWith('@_'));
+      return { text: hasText ? text : '', resources };
+    }
+    case 'image':
+      if (raw.image_key) resources.push({ type: 'image', key: raw.image_key, name: null });
+      return { text: '', resources };
+    case 'file':
+      if (raw.file_key) resources.push({ type: 'file', key: raw.file_key, name: raw.file_name || null });
+      return { text: '', resources };
+    default:
+      return { text: typeof raw.text === 'string' ? raw.text : '', resources };
+  }
+}
+
+module.exports = {
+  parseMessageContent,
+};
@@ -0,0 +1,91 @@
+/**
+ * Task Card Builder
+ *
+ * Builds the interactive Feishu card (message card JSON) that task notifications are sent as:
+ * a header by notification kind, the notification text, and buttons to complete the task,
+ * snooze its next reminder or open it in the web dashboard, plus a comment box.
+ *
+ * Every button carries { action, taskId, kind } as its value; Feishu posts it back to
+ * /webhook/card, and services/cardActions.js answers with a rebuilt card that replaces this one.
+ */
+
+const CARD_ACTIONS = ['complete', 'snooze', 'comment'];
+
+const KIND_HEADERS = {
+  assigned: { title: '📋 你收到一个新的催办任务', template: 'blue' },
+  reminder: { title: '⏰ 催办提醒', template: 'orange' },
+  overdue: { title: '🚨 催办任务已逾期，请尽快完成', template: 'red' },
+};
+
+const CLOSED_HEADERS = {
+  completed: { title: '✅ 任务已完成', template: 'green' },
+  awaiting_review: { title: '🔍 已提交，等待验收', template: 'turquoise' },
+  cancelled: { title: '⛔ 任务已取消', template: 'grey' },
+  done: { title: '☑️ 你的部分已完成', template: 'green' },
+};
+
+/** Snooze buttons; `snooze` is a parseSnooze() phrase */
+const SNOOZE_OPTIONS = [
+  { snooze: '4h', label: '推迟 4 小时' },
+  { snooze: '明天', label: '明天再提醒' },
+];
+
+/** Link to the task in the web dashboard, or null when WEB_BASE_URL is not set */
+function taskUrl(taskId) {
+  const base = process.env.WEB_BASE_URL;
+  return base ? `${base.replace(/\/+$/, '')}/tasks/${taskId}` : null;
+}
+
+function button(content, value, type = 'default') {
+  return { tag: 'button', text: { tag: 'plain_text', content }, type, value };
+}
+
+/**
+ * @param {object} task - tasks row
+ * @param {object} opts
+ * @param {string} opts.kind     - assigned | reminder | overdue
+ * @param {string} opts.body     - card text (plain text, newlines kept)
+ * @param {string} [opts.notice] - result of the last button press, shown under the text
+ * @param {boolean} [opts.done]  - the recipient's own share is complete (multi-assignee task)
+ * @param {boolean} [opts.snoozable] - offer the snooze buttons (the task has reminders to snooze)
+ * @returns {object} card JSON for feishu.sendCardMessage()
+ */
+function buildTaskCard(task, { kind, body, notice = null, done = false, snoozable = false }) {
+  const closed = CLOSED_HEADERS[task.status] || (done ? CLOSED_HEADERS.done : null);
+  const header = closed || KIND_HEADERS[kind] || KIND_HEADERS.reminder;
+  const value = (action, extra = {}) => ({ action, taskId: task.id, kind, ...extra });
+
+  const buttons = [];
+  if (!closed) {
+    buttons.push(button('✅ 完成', value('complete'), 'primary'));
+    if (snoozable) {
+      for (const o of SNOOZE_OPTIONS) buttons.push(button(`⏰ ${o.label}`, value('snooze', { snooze: o.snooze })));
+    }
+  }
+  const url = taskUrl(task.id);
+  if (url) buttons.push({ tag: 'button', text: { tag: 'plain_text', content: '🔗 打开任务' }, type: 'default', url });
+
+  const elements = [{ tag: 'div', text: { tag: 'plain_text', content: body.trimEnd() } }];
+  if (notice) elements.push({ tag: 'note', elements: [{ tag: 'plain_text', content: notice }] });
+  if (buttons.length) elements.push({ tag: 'action', actions: buttons });
+  elements.push({
+    tag: 'input',
+    name: 'comment',
+    placeholder: { tag: 'plain_text', content: '写评论，回车发送给任务相关人' },
+    max_length: 1000,
+    value: value('comment'),
+  });
+
+  return {
+    config: { wide_screen_mode: true, update_multi: true },
+    header: { template: header.template, title: { tag: 'plain_text', content: header.title } },
+    elements,
+  };
+}
+
+module.exports = {
+  CARD_ACTIONS,
+  SNOOZE_OPTIONS,
+  buildTaskCard,
+  taskUrl,
+};
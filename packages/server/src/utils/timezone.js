@@ -0,0 +1,167 @@
+/**
+ * Timezone helpers
+ *
+ * Deadlines are stored as exact instants (TIMESTAMPTZ). A timezone only matters at the edges:
+ * reading "2026-03-01 18:00" typed by a user, and formatting an instant for the person who
+ * receives a Feishu message. Zones are IANA names ('Asia/Shanghai', 'America/Toronto');
+ * conversion uses Intl, so DST is handled by the runtime's tz database.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Shanghai';
+
+const DATE_ONLY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Wall-clock date + time with no offset: "2026-03-01 18:00", "2026-03-01T18:00:30"
+const LOCAL_DATE_TIME_RE = /^(\d{4})-(\d{2})-(\d{2})(?:T|\s+)(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const TIME_OF_DAY_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const formatterCache = new Map();
+
+function partsFormatter(tz) {
+  let fmt = formatterCache.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    formatterCache.set(tz, fmt);
+  }
+  return fmt;
+}
+
+/** @returns {boolean} true for an IANA zone name the runtime knows */
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    partsFormatter(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** The given zone if valid, otherwise DEFAULT_TIMEZONE */
+function resolveTimezone(tz) {
+  return isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Calendar fields of an instant as seen in a zone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function zonedParts(date, tz) {
+  const out = {};
+  for (const p of partsFormatter(resolveTimezone(tz)).formatToParts(new Date(date))) {
+    if (p.type !== 'literal') out[p.type] = Number(p.value);
+  }
+  return { year: out.year, month: out.month, day: out.day, hour: out.hour, minute: out.minute, second: out.second };
+}
+
+/** Offset of the zone from UTC at an instant, in ms (Asia/Shanghai → +8h) */
+function offsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (Math.floor(new Date(date).getTime() / 1000) * 1000);
+}
+
+/**
+ * The instant a wall-clock time occurs in a zone. Month is 1-based; out-of-range days roll
+ * over like Date.UTC (day 32 → next month). A time skipped by a DST jump lands just after it.
+ * @returns {Date}
+ */
+function zonedTime(year, month, day, hour = 0, minute = 0, second = 0, tz = DEFAULT_TIMEZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes: the offset at the first guess may differ from the offset at the answer
+  const offset = offsetMs(wall - offsetMs(wall, tz), tz);
+  const recheck = offsetMs(wall - offset, tz);
+  // Still inconsistent → the wall time falls in a DST gap; the smaller offset gives the later instant
+  return new Date(wall - Math.min(offset, recheck));
+}
+
+/** 'YYYY-MM-DD' of an instant in a zone */
+function zonedDateString(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/** ISO 8601 of an instant with the zone's offset: '2026-03-01T18:00:00+08:00' */
+function zonedISOString(date, tz) {
+  const zone = resolveTimezone(tz);
+  const p = zonedParts(date, zone);
+  const offset = Math.round(offsetMs(date, zone) / 60000);
+  const abs = Math.abs(offset);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Parse a deadline typed by a user.
+ *   'YYYY-MM-DD'                     → start of that day in tz
+ *   'YYYY-MM-DD HH:mm' / 'YYYY-MM-DDTHH:mm[:ss]' → that wall-clock time in tz
+ *   ISO 8601 with Z or an offset, Date → taken as-is
+ * @param {string|Date} deadline
+ * @param {string} [tz] - IANA zone; falls back to DEFAULT_TIMEZONE
+ * @returns {Date}
+ * @throws {Error} on an unparseable date
+ */
+function parseDeadline(deadline, tz) {
+  let date;
+  const text = typeof deadline === 'string' ? deadline.trim() : null;
+  const dateOnly = text && text.match(DATE_ONLY_RE);
+  const local = text && text.match(LOCAL_DATE_TIME_RE);
+  if (dateOnly) {
+    const [, y, m, d] = dateOnly.map(Number);
+    date = validWallClock(y, m, d, 0, 0) ? zonedTime(y, m, d, 0, 0, 0, resolveTimezone(tz)) : new Date(NaN);
+  } else if (local) {
+    const [, y, m, d, h, min, s = 0] = local.map(v => Number(v || 0));
+    date = validWallClock(y, m, d, h, min) ? zonedTime(y, m, d, h, min, s, resolveTimezone(tz)) : new Date(NaN);
+  } else {
+    date = new Date(deadline);
+  }
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid deadline date: ${deadline}`);
+  }
+  return date;
+}
+
+function validWallClock(y, m, d, h, min) {
+  const probe = new Date(Date.UTC(y, m - 1, d));
+  return probe.getUTCMonth() === m - 1 && probe.getUTCDate() === d && h <= 23 && min <= 59;
+}
+
+/** @returns {{hour: number, minute: number}|null} for 'HH:mm', null otherwise */
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && value.trim().match(TIME_OF_DAY_RE);
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+/**
+ * Format an instant for a Feishu message in the recipient's zone.
+ * Midnight prints as a date only ("3月1日"), anything else with the time ("3月1日 18:00");
+ * the year is added when it is not the current one.
+ * @param {string|Date|null} date
+ * @param {string} [tz]
+ * @param {{withTime?: boolean}} [opts] - withTime forces the time even at midnight
+ */
+function formatDateTime(date, tz, { withTime } = {}) {
+  if (!date) return '无';
+  const zone = resolveTimezone(tz);
+  const p = zonedParts(date, zone);
+  const year = p.year !== zonedParts(new Date(), zone).year ? `${p.year}年` : '';
+  const day = `${year}${p.month}月${p.day}日`;
+  if (!withTime && p.hour === 0 && p.minute === 0) return day;
+  return `${day} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  zonedParts,
+  zonedTime,
+  zonedDateString,
+  zonedISOString,
+  parseDeadline,
+  parseTimeOfDay,
+  formatDateTime,
+};
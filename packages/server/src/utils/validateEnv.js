@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const { isValidTimezone } = require('./timezone');
 
 /**
  * 验证必需的环境变量
@@ -26,6 +27,8 @@ function validateEnv() {
     'JWT_SECRET',
     'ADMIN_PASSWORD',
     'FEISHU_OAUTH_REDIRECT_URI',
+    'DEFAULT_TIMEZONE',
+    'STATE_STORE',
   ];
 
   const missing = [];
@@ -47,6 +50,18 @@ function validateEnv() {
     process.exit(1);
   }
 
+  // Every message and date-only deadline is formatted / read in this zone
+  if (process.env.DEFAULT_TIMEZONE && !isValidTimezone(process.env.DEFAULT_TIMEZONE)) {
+    logger.error('DEFAULT_TIMEZONE is not a valid IANA timezone', { value: process.env.DEFAULT_TIMEZONE });
+    process.exit(1);
+  }
+
+  // Where webhook dedup and rate-limit counters live; postgres is needed for multiple instances
+  if (process.env.STATE_STORE && !['memory', 'postgres'].includes(process.env.STATE_STORE)) {
+    logger.error('STATE_STORE must be memory or postgres', { value: process.env.STATE_STORE });
+    process.exit(1);
+  }
+
   // 警告可选但推荐的变量
   const warnings = [];
   if (!process.env.API_KEY) {
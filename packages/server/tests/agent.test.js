@@ -183,3 +183,219 @@ describe('Agent API Routes', () => {
     });
   });
 });
+
+describe('Agent task routes', () => {
+  const reminderService = require('../src/services/reminder');
+  const usersDb = require('../src/db/users');
+
+  // Assigned to ou_a, reported by ou_rep, created by ou_creator
+  const task = {
+    id: 5, title: '季度报告', status: 'pending', assignee_open_id: 'ou_a',
+    reporter_open_id: 'ou_rep', creator_id: 'ou_creator', reminder_interval_hours: 24,
+    deadline: new Date('2098-06-01T00:00:00.000Z'), created_at: new Date(), last_reminded_at: null,
+  };
+
+  beforeEach(() => {
+    jest.spyOn(reminderService, 'getTask').mockResolvedValue(task);
+    jest.spyOn(reminderService, 'findTaskAssignee').mockImplementation(async (t, openId) =>
+      (openId === 'ou_a' ? { assignee_open_id: 'ou_a', status: 'pending' } : null));
+    jest.spyOn(usersDb, 'findByOpenId').mockImplementation(async openId => ({
+      open_id: openId, feishu_user_id: null, name: `name of ${openId}`,
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('POST /api/agent/tasks/:id/snooze', () => {
+    const snooze = body => request(app).post('/api/agent/tasks/5/snooze').send(body);
+
+    it('should snooze the next reminder for an assignee', async () => {
+      jest.spyOn(reminderService, 'snoozeTask').mockImplementation(async () => ({ ...task, last_reminded_at: new Date() }));
+
+      const res = await snooze({ duration: '4h', user_open_id: 'ou_a' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.next_reminder_at).toBeTruthy();
+      expect(reminderService.snoozeTask).toHaveBeenCalledWith(5, expect.any(Date), { userId: 'ou_a' });
+    });
+
+    it('should reject a bad id, until or timezone', async () => {
+      expect((await request(app).post('/api/agent/tasks/abc/snooze').send({ duration: '4h' })).status).toBe(400);
+
+      const badUntil = await snooze({ until: 'next week-ish' });
+      expect(badUntil.status).toBe(400);
+      expect(badUntil.body.error).toMatch(/无法识别推迟时长/);
+
+      const badZone = await snooze({ duration: '明天', timezone: 'Mars/Olympus' });
+      expect(badZone.status).toBe(400);
+      expect(badZone.body.error).toBe('Invalid timezone: Mars/Olympus');
+    });
+
+    it('should 404 an unknown task and 403 anyone but an assignee', async () => {
+      reminderService.getTask.mockResolvedValueOnce(null);
+      expect((await snooze({ duration: '4h' })).status).toBe(404);
+
+      const res = await snooze({ duration: '4h', user_open_id: 'ou_rep' });
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('你只能推迟分配给自己的任务');
+    });
+
+    it('should 409 when the task changed before the snooze', async () => {
+      jest.spyOn(reminderService, 'snoozeTask').mockResolvedValue(null);
+      expect((await snooze({ duration: '4h', user_open_id: 'ou_a' })).status).toBe(409);
+    });
+  });
+
+  describe('POST /api/agent/tasks/:id/extension', () => {
+    const ask = body => request(app).post('/api/agent/tasks/5/extension').send(body);
+
+    it('should ask the reporter on behalf of an assignee', async () => {
+      jest.spyOn(reminderService, 'requestDeadlineExtension').mockResolvedValue({ id: 1, status: 'pending' });
+
+      const res = await ask({ deadline: '2099-01-01', reason: '等数据', user_open_id: 'ou_a', timezone: 'Asia/Tokyo' });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.requestDeadlineExtension).toHaveBeenCalledWith(5, '2099-01-01', {
+        userId: 'ou_a', requesterOpenId: 'ou_a', requesterName: 'name of ou_a', reason: '等数据', timezone: 'Asia/Tokyo',
+      });
+    });
+
+    it('should reject a deadline that is not later, and an invalid timezone', async () => {
+      const earlier = await ask({ deadline: '2098-01-01', user_open_id: 'ou_a' });
+      expect(earlier.status).toBe(400);
+      expect(earlier.body.error).toMatch(/必须晚于当前截止/);
+
+      expect((await ask({ deadline: 'soon', user_open_id: 'ou_a' })).body.error).toMatch(/无效的截止日期/);
+      expect((await ask({ deadline: '2099-01-01', timezone: 'Nowhere' })).status).toBe(400);
+    });
+
+    it('should 404 an unknown task, 403 anyone but an assignee, 409 a second request', async () => {
+      reminderService.getTask.mockResolvedValueOnce(null);
+      expect((await ask({ deadline: '2099-01-01' })).status).toBe(404);
+
+      const outsider = await ask({ deadline: '2099-01-01', user_open_id: 'ou_rep' });
+      expect(outsider.status).toBe(403);
+      expect(outsider.body.error).toBe('你只能为分配给自己的任务申请延期');
+
+      jest.spyOn(reminderService, 'requestDeadlineExtension').mockResolvedValue(null);
+      expect((await ask({ deadline: '2099-01-01', user_open_id: 'ou_a' })).status).toBe(409);
+    });
+  });
+
+  describe('POST /api/agent/tasks/:id/extension/decision', () => {
+    const decide = body => request(app).post('/api/agent/tasks/5/extension/decision').send(body);
+
+    it('should let the reporter decide', async () => {
+      jest.spyOn(reminderService, 'decideDeadlineExtension').mockResolvedValue({ task, request: { status: 'approved' } });
+
+      const res = await decide({ decision: 'approve', comment: '可以', user_open_id: 'ou_rep' });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.decideDeadlineExtension).toHaveBeenCalledWith(5, 'approve', {
+        userId: 'ou_rep', actorName: 'name of ou_rep', comment: '可以',
+      });
+    });
+
+    it('should reject an unknown decision and 404 an unknown task', async () => {
+      expect((await decide({ decision: 'maybe' })).status).toBe(400);
+      reminderService.getTask.mockResolvedValueOnce(null);
+      expect((await decide({ decision: 'approve' })).status).toBe(404);
+    });
+
+    it('should 403 anyone but the reporter, and 409 when nothing is pending', async () => {
+      const assignee = await decide({ decision: 'approve', user_open_id: 'ou_a' });
+      expect(assignee.status).toBe(403);
+      expect(assignee.body.error).toBe('只有任务的报告人可以审批延期');
+
+      jest.spyOn(reminderService, 'decideDeadlineExtension').mockResolvedValue(null);
+      expect((await decide({ decision: 'reject', user_open_id: 'ou_rep' })).status).toBe(409);
+    });
+  });
+
+  describe('PATCH /api/agent/tasks/:id', () => {
+    const edit = body => request(app).patch('/api/agent/tasks/5').send(body);
+
+    it('should let the creator edit', async () => {
+      jest.spyOn(reminderService, 'updateTask').mockResolvedValue({ task, changes: { priority: { from: 'p1', to: 'p0' } } });
+
+      const res = await edit({ priority: 'p0', user_open_id: 'ou_creator' });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.updateTask).toHaveBeenCalledWith(5, expect.objectContaining({ priority: 'p0' }),
+        expect.objectContaining({ userId: 'ou_creator', actorOpenId: 'ou_creator' }));
+    });
+
+    it('should 403 the assignee and anyone else', async () => {
+      jest.spyOn(reminderService, 'updateTask');
+      for (const openId of ['ou_a', 'ou_other']) {
+        const res = await edit({ priority: 'p0', user_open_id: openId });
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('只有任务的创建人或报告人可以修改任务');
+      }
+      expect(reminderService.updateTask).not.toHaveBeenCalled();
+    });
+
+    it('should 404 an unknown task, also when it goes away before the update', async () => {
+      reminderService.getTask.mockResolvedValueOnce(null);
+      expect((await edit({ priority: 'p0' })).status).toBe(404);
+
+      jest.spyOn(reminderService, 'updateTask').mockResolvedValue(null);
+      expect((await edit({ priority: 'p0', user_open_id: 'ou_rep' })).status).toBe(404);
+    });
+
+    it('should reject invalid fields and timezones', async () => {
+      expect((await edit({ priority: 'p9' })).status).toBe(400);
+      expect((await edit({ title: 'x', timezone: 'Nowhere' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/agent/tasks/:id/reassign', () => {
+    const reassign = body => request(app).post('/api/agent/tasks/5/reassign').send(body);
+
+    beforeEach(() => {
+      jest.spyOn(reminderService, 'reassignTask').mockImplementation(async (id, { assignee }) => ({ task, assignee }));
+    });
+
+    it('should let the reporter hand the task to someone else', async () => {
+      const res = await reassign({ target_open_id: 'ou_b', user_open_id: 'ou_rep', reason: ' 休假 ' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.assignee_name).toBe('name of ou_b');
+      expect(reminderService.reassignTask).toHaveBeenCalledWith(5,
+        { assignee: expect.objectContaining({ open_id: 'ou_b' }), targetTag: null, fromOpenId: undefined },
+        { userId: 'ou_rep', actorName: 'name of ou_rep', reason: '休假' });
+    });
+
+    it('should let an assignee hand over only their own share', async () => {
+      await reassign({ target_tag: 'finance', from_open_id: 'ou_c', user_open_id: 'ou_a' });
+
+      expect(reminderService.reassignTask).toHaveBeenCalledWith(5,
+        { assignee: null, targetTag: 'finance', fromOpenId: 'ou_a' }, expect.anything());
+    });
+
+    it('should 403 anyone who is not the reporter, creator or an assignee', async () => {
+      const res = await reassign({ target_open_id: 'ou_b', user_open_id: 'ou_other' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('只有任务的创建人、报告人或当前执行人可以转交任务');
+      expect(reminderService.reassignTask).not.toHaveBeenCalled();
+    });
+
+    it('should 404 an unknown task and 409 a closed one', async () => {
+      reminderService.getTask.mockResolvedValueOnce(null);
+      expect((await reassign({ target_open_id: 'ou_b' })).status).toBe(404);
+
+      reminderService.getTask.mockResolvedValueOnce({ ...task, status: 'completed' });
+      const closed = await reassign({ target_open_id: 'ou_b' });
+      expect(closed.status).toBe(409);
+      expect(closed.body.error).toMatch(/不能转交/);
+    });
+
+    it('should reject an unknown target and the current assignee', async () => {
+      expect((await reassign({})).status).toBe(400);
+      usersDb.findByOpenId.mockResolvedValueOnce(null);
+      expect((await reassign({ target_open_id: 'ou_ghost' })).body.error).toBe('User not found for open_id: ou_ghost');
+      expect((await reassign({ target_open_id: 'ou_a' })).body.error).toBe('新执行人与当前执行人相同');
+    });
+  });
+});
@@ -42,6 +42,47 @@ jest.mock('../src/db/users', () => ({
   deleteUser: jest.fn().mockResolvedValue({ user_id: 'test' }),
 }));
 
+// Mock escalation policies DB
+jest.mock('../src/db/escalationPolicies', () => ({
+  list: jest.fn().mockResolvedValue([]),
+  create: jest.fn().mockImplementation(async fields => ({ id: 5, name: fields.name, priority: fields.priority ?? null, target_tag: fields.targetTag ?? null, steps: fields.steps })),
+  update: jest.fn().mockResolvedValue(null),
+  remove: jest.fn().mockResolvedValue(null),
+}));
+
+// Mock group chats DB
+jest.mock('../src/db/groupChats', () => ({
+  list: jest.fn().mockResolvedValue([]),
+  update: jest.fn().mockImplementation(async (chatId, fields) => ({ chat_id: chatId, features: fields.features ?? {}, default_tag: fields.defaultTag ?? null })),
+  remove: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../src/db/attachments', () => ({
+  get: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../src/db/outbox', () => ({
+  list: jest.fn().mockResolvedValue({ rows: [], total: 0, counts: {} }),
+}));
+
+jest.mock('../src/services/outbox', () => ({
+  OUTBOX_STATUSES: ['pending', 'sending', 'sent', 'failed'],
+  retryFailed: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../src/db/scheduledTasks', () => ({
+  list: jest.fn().mockResolvedValue({ rows: [], total: 0 }),
+  create: jest.fn().mockResolvedValue({ id: 4 }),
+  get: jest.fn().mockResolvedValue(null),
+  listRuns: jest.fn().mockResolvedValue({ rows: [], total: 0 }),
+}));
+
+jest.mock('../src/services/scheduledTaskRunner', () => ({
+  CATCH_UP_POLICIES: ['none', 'latest', 'all'],
+  reload: jest.fn().mockResolvedValue(),
+  runNow: jest.fn().mockResolvedValue(null),
+}));
+
 // Mock feishu client
 jest.mock('../src/feishu/client', () => ({
   getUserByEmail: jest.fn().mockResolvedValue({ user_id: 'test_user_id' }),
@@ -66,9 +107,36 @@ jest.mock('../src/services/reminder', () => ({
   createTask: jest.fn().mockResolvedValue({ id: 1, title: 'Test', status: 'pending' }),
   completeTask: jest.fn().mockResolvedValue({ id: 1, status: 'completed' }),
   deleteTask: jest.fn().mockResolvedValue({ id: 1 }),
+  getTask: jest.fn().mockResolvedValue(null),
+  transitionTask: jest.fn().mockResolvedValue({ id: 1, status: 'in_progress' }),
+  reviewTask: jest.fn().mockResolvedValue({ id: 1, status: 'completed' }),
+  addComment: jest.fn().mockResolvedValue({ id: 3, task_id: 1, body: 'hi' }),
+  validateComment: jest.fn(body => (typeof body === 'string' && body.trim() ? null : '评论内容不能为空')),
+  getTaskTimeline: jest.fn().mockResolvedValue({ comments: [], timeline: [] }),
+  updateTask: jest.fn().mockResolvedValue({ task: { id: 1, title: 'New' }, changes: { title: { from: 'Old', to: 'New' } } }),
+  validateTaskUpdates: jest.fn().mockReturnValue(null),
+  reassignTask: jest.fn().mockResolvedValue({ task: { id: 1, assignee_open_id: 'ou_new' }, previousOpenId: 'ou_old' }),
+  rebalanceTag: jest.fn().mockResolvedValue({ moves: [], before: {}, after: {} }),
+  completionBlocker: jest.fn().mockResolvedValue(null),
+  validateChecklist: jest.fn().mockReturnValue(null),
+  dependencyProblem: jest.fn().mockResolvedValue(null),
+  getDependencies: jest.fn().mockResolvedValue({ chain: [], blocks: [] }),
+  addDependencies: jest.fn().mockResolvedValue({ chain: [{ id: 3, title: 'Upload', status: 'pending', depth: 1 }], blocks: [], waiting: true }),
+  removeDependency: jest.fn().mockResolvedValue({ released: true }),
+  setChecklistItem: jest.fn().mockResolvedValue({ item: { position: 2, title: 'Step', done: true }, done: 2, total: 3, requiredLeft: 1 }),
+  OPEN_STATUSES: ['pending', 'in_progress', 'blocked'],
+  COMPLETION_MODES: ['any', 'all'],
+  TASK_STATUSES: ['pending', 'in_progress', 'blocked', 'awaiting_review', 'completed', 'cancelled'],
+  STATUS_LABELS: {
+    pending: '待办', in_progress: '进行中', blocked: '阻塞', awaiting_review: '待验收', completed: '已完成', cancelled: '已取消',
+  },
+  REVIEW_DECISIONS: ['approve', 'reject'],
   DEFAULT_DEADLINE_DAYS: 3,
 }));
 
+const reminderService = require('../src/services/reminder');
+const usersDb = require('../src/db/users');
+
 const apiRoutes = require('../src/routes/api');
 
 const app = express();
@@ -132,6 +200,361 @@ describe('API Routes', () => {
     });
   });
 
+  describe('POST /api/tasks', () => {
+    it('should create a multi-assignee task with co-assignees', async () => {
+      usersDb.findByOpenId
+        .mockResolvedValueOnce({ open_id: 'ou_b', feishu_user_id: 'on_b', name: 'B' }) // co-assignee
+        .mockResolvedValueOnce({ open_id: 'ou_a', feishu_user_id: 'on_a', name: 'A' }); // primary
+      const res = await request(app).post('/api/tasks').send({
+        title: '盘点', targetOpenId: 'ou_a', targetOpenIds: ['ou_b'], completionMode: 'any',
+      });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.createTask).toHaveBeenCalledWith(expect.objectContaining({
+        assigneeOpenId: 'ou_a',
+        coAssignees: [{ assigneeId: 'on_b', assigneeOpenId: 'ou_b', assigneeName: 'B' }],
+        completionMode: 'any',
+      }));
+    });
+
+    it('should reject an invalid completionMode or unknown co-assignee', async () => {
+      let res = await request(app).post('/api/tasks').send({
+        title: '盘点', targetOpenId: 'ou_a', completionMode: 'most',
+      });
+      expect(res.status).toBe(400);
+
+      res = await request(app).post('/api/tasks').send({
+        title: '盘点', targetOpenId: 'ou_a', targetOpenIds: ['ou_ghost'],
+      });
+      expect(res.status).toBe(400);
+      expect(reminderService.createTask).not.toHaveBeenCalled();
+    });
+
+    it('should require a reporter for tasks that need approval', async () => {
+      const res = await request(app).post('/api/tasks').send({
+        title: '盘点', targetOpenId: 'ou_a', requiresApproval: true,
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('报告对象');
+      expect(reminderService.createTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/tasks/:id', () => {
+    it('should update task fields and return changes', async () => {
+      const res = await request(app).patch('/api/tasks/1').send({ title: 'New', userId: 'on_admin' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.changes).toHaveProperty('title');
+      expect(reminderService.updateTask).toHaveBeenCalledWith(
+        1, expect.objectContaining({ title: 'New' }), { userId: 'on_admin' }
+      );
+    });
+
+    it('should return 400 when validation fails', async () => {
+      reminderService.validateTaskUpdates.mockReturnValueOnce('没有可更新的字段');
+      const res = await request(app).patch('/api/tasks/1').send({});
+
+      expect(res.status).toBe(400);
+      expect(reminderService.updateTask).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when task does not exist', async () => {
+      reminderService.updateTask.mockResolvedValueOnce(null);
+      const res = await request(app).patch('/api/tasks/99').send({ priority: 'p0' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/tasks/:id/reassign', () => {
+    it('should reassign to a specific user', async () => {
+      reminderService.getTask.mockResolvedValueOnce({ id: 1, status: 'pending', assignee_open_id: 'ou_old' });
+      usersDb.findByOpenId.mockResolvedValueOnce({ open_id: 'ou_new', name: 'New' });
+      const res = await request(app).post('/api/tasks/1/reassign').send({ targetOpenId: 'ou_new', reason: '休假' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.previousOpenId).toBe('ou_old');
+      expect(reminderService.reassignTask).toHaveBeenCalledWith(
+        1,
+        { assignee: { open_id: 'ou_new', name: 'New' }, targetTag: null },
+        expect.objectContaining({ reason: '休假' })
+      );
+    });
+
+    it('should pass the tag through when reassigning to a tag', async () => {
+      reminderService.getTask.mockResolvedValueOnce({ id: 1, status: 'in_progress', assignee_open_id: 'ou_old' });
+      const res = await request(app).post('/api/tasks/1/reassign').send({ targetTag: 'finance' });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.reassignTask).toHaveBeenCalledWith(
+        1, { assignee: null, targetTag: 'finance' }, expect.any(Object)
+      );
+    });
+
+    it('should reject missing target, unknown user and same assignee', async () => {
+      const res1 = await request(app).post('/api/tasks/1/reassign').send({});
+      expect(res1.status).toBe(400);
+
+      reminderService.getTask.mockResolvedValue({ id: 1, status: 'pending', assignee_open_id: 'ou_old' });
+      const res2 = await request(app).post('/api/tasks/1/reassign').send({ targetOpenId: 'ou_ghost' });
+      expect(res2.status).toBe(400);
+
+      usersDb.findByOpenId.mockResolvedValueOnce({ open_id: 'ou_old' });
+      const res3 = await request(app).post('/api/tasks/1/reassign').send({ targetOpenId: 'ou_old' });
+      expect(res3.status).toBe(400);
+      reminderService.getTask.mockResolvedValue(null);
+
+      expect(reminderService.reassignTask).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a closed task', async () => {
+      reminderService.getTask.mockResolvedValueOnce({ id: 1, status: 'completed' });
+      const res = await request(app).post('/api/tasks/1/reassign').send({ targetTag: 'finance' });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('POST /api/workload/rebalance', () => {
+    it('should require a tag', async () => {
+      const res = await request(app).post('/api/workload/rebalance').send({});
+      expect(res.status).toBe(400);
+    });
+
+    it('should run a dry-run rebalance', async () => {
+      const res = await request(app).post('/api/workload/rebalance').send({ tag: 'Finance', dryRun: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty('moves');
+      expect(reminderService.rebalanceTag).toHaveBeenCalledWith('finance', expect.objectContaining({ dryRun: true }));
+    });
+  });
+
+  describe('POST /api/tasks/:id/complete', () => {
+    it('should complete the task', async () => {
+      const res = await request(app).post('/api/tasks/1/complete').send({ proof: 'https://x' });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.completeTask).toHaveBeenCalledWith(1, 'https://x', expect.anything());
+    });
+
+    it('should return 409 while required checklist items are open', async () => {
+      reminderService.completionBlocker.mockResolvedValueOnce('还有 1 项必做清单未完成：\n2. Step');
+      const res = await request(app).post('/api/tasks/1/complete').send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('必做清单');
+      expect(reminderService.completeTask).not.toHaveBeenCalled();
+    });
+
+    it('should skip the checklist guard with force', async () => {
+      const res = await request(app).post('/api/tasks/1/complete').send({ force: true });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.completionBlocker).not.toHaveBeenCalled();
+      expect(reminderService.completeTask).toHaveBeenCalledWith(
+        1, undefined, expect.anything(), null, expect.objectContaining({ force: true })
+      );
+    });
+  });
+
+  describe('PATCH /api/tasks/:id/checklist/:position', () => {
+    it('should tick a checklist item', async () => {
+      const res = await request(app).patch('/api/tasks/1/checklist/2').send({ done: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, done: 2, total: 3 });
+      expect(reminderService.setChecklistItem).toHaveBeenCalledWith(1, 2, true, expect.any(Object));
+    });
+
+    it('should reject a non-boolean done', async () => {
+      const res = await request(app).patch('/api/tasks/1/checklist/2').send({ done: 'yes' });
+
+      expect(res.status).toBe(400);
+      expect(reminderService.setChecklistItem).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown item', async () => {
+      reminderService.setChecklistItem.mockResolvedValueOnce(null);
+      const res = await request(app).patch('/api/tasks/1/checklist/9').send({ done: true });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('task dependencies', () => {
+    it('should link dependencies to an open task', async () => {
+      reminderService.getTask.mockResolvedValueOnce({ id: 5, status: 'pending' });
+      const res = await request(app).post('/api/tasks/5/dependencies').send({ dependsOn: [3] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, waiting: true });
+      expect(reminderService.addDependencies).toHaveBeenCalledWith(5, [3], expect.any(Object));
+    });
+
+    it('should reject cycles with 400', async () => {
+      reminderService.getTask.mockResolvedValueOnce({ id: 5, status: 'pending' });
+      reminderService.dependencyProblem.mockResolvedValueOnce('不能添加：会形成循环依赖（#5 → #3 → #5）');
+      const res = await request(app).post('/api/tasks/5/dependencies').send({ dependsOn: [3] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('循环依赖');
+      expect(reminderService.addDependencies).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty list and closed tasks', async () => {
+      const res1 = await request(app).post('/api/tasks/5/dependencies').send({ dependsOn: [] });
+      reminderService.getTask.mockResolvedValueOnce({ id: 5, status: 'completed' });
+      const res2 = await request(app).post('/api/tasks/5/dependencies').send({ dependsOn: [3] });
+
+      expect(res1.status).toBe(400);
+      expect(res2.status).toBe(409);
+    });
+
+    it('should return the dependency chain', async () => {
+      reminderService.getTask.mockResolvedValueOnce({ id: 5, waiting_on_dependencies: true });
+      const res = await request(app).get('/api/tasks/5/dependencies');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ waiting: true, chain: [], blocks: [] });
+    });
+
+    it('should remove a link and 404 on unknown links', async () => {
+      const res1 = await request(app).delete('/api/tasks/5/dependencies/3');
+      reminderService.removeDependency.mockResolvedValueOnce(null);
+      const res2 = await request(app).delete('/api/tasks/5/dependencies/4');
+
+      expect(res1.status).toBe(200);
+      expect(res1.body.released).toBe(true);
+      expect(res2.status).toBe(404);
+    });
+
+    it('should validate dependsOn on create', async () => {
+      reminderService.dependencyProblem.mockResolvedValueOnce('前置任务不存在：#9');
+      const res = await request(app).post('/api/tasks').send({ title: 'T', targetOpenId: 'ou_x', dependsOn: [9] });
+
+      expect(res.status).toBe(400);
+      expect(reminderService.createTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/tasks/:id/status', () => {
+    it('should transition task status', async () => {
+      const res = await request(app).post('/api/tasks/1/status').send({ status: 'in_progress' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.task).toHaveProperty('status', 'in_progress');
+      expect(reminderService.transitionTask).toHaveBeenCalledWith(
+        1, 'in_progress', expect.objectContaining({ reason: undefined })
+      );
+    });
+
+    it('should reject completed, awaiting_review and unknown statuses', async () => {
+      const res1 = await request(app).post('/api/tasks/1/status').send({ status: 'completed' });
+      const res2 = await request(app).post('/api/tasks/1/status').send({ status: 'done' });
+      const res3 = await request(app).post('/api/tasks/1/status').send({ status: 'awaiting_review' });
+
+      expect(res1.status).toBe(400);
+      expect(res2.status).toBe(400);
+      expect(res3.status).toBe(400);
+      expect(reminderService.transitionTask).not.toHaveBeenCalled();
+    });
+
+    it('should require a reason when blocking', async () => {
+      const res = await request(app).post('/api/tasks/1/status').send({ status: 'blocked', reason: '  ' });
+
+      expect(res.status).toBe(400);
+      expect(reminderService.transitionTask).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when task does not exist', async () => {
+      reminderService.transitionTask.mockResolvedValueOnce(null);
+      reminderService.getTask.mockResolvedValueOnce(null);
+      const res = await request(app).post('/api/tasks/99/status').send({ status: 'cancelled' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 409 when transition is not allowed', async () => {
+      reminderService.transitionTask.mockResolvedValueOnce(null);
+      reminderService.getTask.mockResolvedValueOnce({ id: 1, status: 'cancelled' });
+      const res = await request(app).post('/api/tasks/1/status').send({ status: 'blocked', reason: 'x' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('已取消');
+    });
+  });
+
+  describe('POST /api/tasks/:id/review', () => {
+    it('should approve a task awaiting review', async () => {
+      const res = await request(app).post('/api/tasks/1/review').send({ decision: 'approve', userId: 'on_boss' });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.reviewTask).toHaveBeenCalledWith(
+        1, 'approve', expect.objectContaining({ userId: 'on_boss', comment: undefined })
+      );
+    });
+
+    it('should reject unknown decisions and rejections without a comment', async () => {
+      const res1 = await request(app).post('/api/tasks/1/review').send({ decision: 'maybe' });
+      const res2 = await request(app).post('/api/tasks/1/review').send({ decision: 'reject', comment: ' ' });
+
+      expect(res1.status).toBe(400);
+      expect(res2.status).toBe(400);
+      expect(reminderService.reviewTask).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the task is not awaiting review', async () => {
+      reminderService.reviewTask.mockResolvedValueOnce(null);
+      reminderService.getTask.mockResolvedValueOnce({ id: 1, status: 'in_progress' });
+      const res = await request(app).post('/api/tasks/1/review').send({ decision: 'reject', comment: '图表不对' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('进行中');
+      expect(reminderService.reviewTask).toHaveBeenCalledWith(1, 'reject', expect.objectContaining({ comment: '图表不对' }));
+    });
+  });
+
+  describe('task comments & timeline', () => {
+    it('should return the merged timeline of an existing task', async () => {
+      reminderService.getTask.mockResolvedValueOnce({ id: 1, title: 'Recon' });
+      reminderService.getTaskTimeline.mockResolvedValueOnce({
+        comments: [{ id: 3 }], timeline: [{ type: 'comment', id: 3 }],
+      });
+      const res = await request(app).get('/api/tasks/1/timeline');
+
+      expect(res.status).toBe(200);
+      expect(res.body.timeline).toEqual([{ type: 'comment', id: 3 }]);
+    });
+
+    it('should return 404 for the timeline of a missing task', async () => {
+      const res = await request(app).get('/api/tasks/99/timeline');
+
+      expect(res.status).toBe(404);
+      expect(reminderService.getTaskTimeline).not.toHaveBeenCalled();
+    });
+
+    it('should post a comment from the dashboard', async () => {
+      const res = await request(app).post('/api/tasks/1/comments').send({ body: '进度如何？', userId: 'on_admin' });
+
+      expect(res.status).toBe(200);
+      expect(reminderService.addComment).toHaveBeenCalledWith(
+        1, '进度如何？', expect.objectContaining({ authorId: 'on_admin', source: 'web' })
+      );
+    });
+
+    it('should reject an empty comment and 404 on a missing task', async () => {
+      const res1 = await request(app).post('/api/tasks/1/comments').send({ body: ' ' });
+      expect(res1.status).toBe(400);
+
+      reminderService.addComment.mockResolvedValueOnce(null);
+      const res2 = await request(app).post('/api/tasks/99/comments').send({ body: 'hi' });
+      expect(res2.status).toBe(404);
+    });
+  });
+
   describe('GET /api/settings', () => {
     it('should return settings', async () => {
       const res = await request(app).get('/api/settings');
@@ -159,6 +582,294 @@ describe('API Routes', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
     });
+
+    it('should validate and normalize the work calendar', async () => {
+      const { settings } = require('../src/db');
+      const bad = await request(app)
+        .put('/api/settings/work_calendar')
+        .send({ value: { quietHours: { start: '22:00' } } });
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toMatch(/HH:mm/);
+
+      const res = await request(app)
+        .put('/api/settings/work_calendar')
+        .send({ value: { workdays: [5, 1, 2], holidays: ['2026-10-01'] } });
+      expect(res.status).toBe(200);
+      expect(settings.set).toHaveBeenCalledWith('work_calendar', expect.objectContaining({
+        workdays: [1, 2, 5],
+        holidays: [{ date: '2026-10-01', name: null }],
+        quietHours: null,
+      }), undefined);
+    });
+
+    it('should reject priority rules that lower a priority', async () => {
+      const bad = await request(app)
+        .put('/api/settings/priority_rules')
+        .send({ value: { enabled: true, rules: [{ from: 'p0', to: 'p2', hoursBeforeDeadline: 24 }] } });
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toMatch(/not more urgent/);
+    });
+  });
+
+  describe('Escalation policies', () => {
+    const escalationPoliciesDb = require('../src/db/escalationPolicies');
+
+    it('should create a policy with normalized tag and sorted steps', async () => {
+      const res = await request(app)
+        .post('/api/escalation-policies')
+        .send({
+          name: 'Finance P0', priority: 'p0', targetTag: ' Finance ',
+          steps: [{ afterHours: 72, target: 'manager' }, { afterHours: 24, target: 'reporter', chatId: 'ignored' }],
+        });
+
+      expect(res.status).toBe(200);
+      expect(escalationPoliciesDb.create).toHaveBeenCalledWith(expect.objectContaining({
+        targetTag: 'finance',
+        steps: [{ afterHours: 24, target: 'reporter' }, { afterHours: 72, target: 'manager' }],
+      }));
+    });
+
+    it('should reject invalid steps', async () => {
+      const res = await request(app)
+        .post('/api/escalation-policies')
+        .send({ name: 'Chat', steps: [{ afterHours: 120, target: 'chat' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('chatId is required');
+      expect(escalationPoliciesDb.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when updating a missing policy', async () => {
+      const res = await request(app).patch('/api/escalation-policies/99').send({ enabled: false });
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Group chats', () => {
+    const groupChatsDb = require('../src/db/groupChats');
+
+    it('should store only the features a group turns off', async () => {
+      const res = await request(app)
+        .patch('/api/groups/oc_team')
+        .send({ features: { cuiban_create: false, cuiban_view: true }, defaultTag: ' Ops ' });
+
+      expect(res.status).toBe(200);
+      expect(groupChatsDb.update).toHaveBeenCalledWith('oc_team', expect.objectContaining({
+        features: { cuiban_create: false },
+        defaultTag: 'ops',
+      }));
+    });
+
+    it('should reject admin-only features', async () => {
+      const res = await request(app).patch('/api/groups/oc_team').send({ features: { user_manage: false } });
+      expect(res.status).toBe(400);
+      expect(groupChatsDb.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Outbox', () => {
+    const outboxDb = require('../src/db/outbox');
+    const outbox = require('../src/services/outbox');
+
+    it('should list deliveries filtered by status and page', async () => {
+      outboxDb.list.mockResolvedValueOnce({ rows: [{ id: 5, status: 'failed' }], total: 1, counts: { failed: 1, sent: 9 } });
+      const res = await request(app).get('/api/outbox?status=failed&page=2&limit=10');
+
+      expect(res.status).toBe(200);
+      expect(outboxDb.list).toHaveBeenCalledWith({ status: 'failed', taskId: null, limit: 10, offset: 10 });
+      expect(res.body).toMatchObject({ total: 1, counts: { failed: 1, sent: 9 }, messages: [{ id: 5 }] });
+    });
+
+    it('should ignore an unknown status filter', async () => {
+      await request(app).get('/api/outbox?status=bogus');
+      expect(outboxDb.list).toHaveBeenCalledWith(expect.objectContaining({ status: null }));
+    });
+
+    it('should requeue one failed message, or 404 when it is not failed', async () => {
+      outbox.retryFailed.mockResolvedValueOnce([{ id: 5, status: 'pending', task_id: 2 }]);
+      const ok = await request(app).post('/api/outbox/5/retry');
+      expect(ok.status).toBe(200);
+      expect(outbox.retryFailed).toHaveBeenCalledWith(5);
+
+      const missing = await request(app).post('/api/outbox/6/retry');
+      expect(missing.status).toBe(404);
+    });
+
+    it('should requeue every failed message', async () => {
+      outbox.retryFailed.mockResolvedValueOnce([{ id: 1 }, { id: 2 }]);
+      const res = await request(app).post('/api/outbox/retry-failed');
+      expect(res.body).toEqual({ success: true, retried: 2 });
+      expect(outbox.retryFailed).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('Scheduled task runs', () => {
+    const scheduledTasksDb = require('../src/db/scheduledTasks');
+    const scheduledTaskRunner = require('../src/services/scheduledTaskRunner');
+    const { audit } = require('../src/db');
+
+    it('should list the run history of a scheduled task by page', async () => {
+      scheduledTasksDb.get.mockResolvedValueOnce({ id: 4 });
+      scheduledTasksDb.listRuns.mockResolvedValueOnce({ rows: [{ id: 9, status: 'created', task_id: 12 }], total: 21 });
+      const res = await request(app).get('/api/scheduled-tasks/4/runs?page=2&limit=10');
+
+      expect(res.status).toBe(200);
+      expect(scheduledTasksDb.listRuns).toHaveBeenCalledWith(4, { limit: 10, offset: 10 });
+      expect(res.body).toMatchObject({ total: 21, page: 2, runs: [{ id: 9, task_id: 12 }] });
+    });
+
+    it('should 404 the history of an unknown scheduled task', async () => {
+      const res = await request(app).get('/api/scheduled-tasks/4/runs');
+      expect(res.status).toBe(404);
+      expect(scheduledTasksDb.listRuns).not.toHaveBeenCalled();
+    });
+
+    it('should run a scheduled task now and audit it', async () => {
+      scheduledTaskRunner.runNow.mockResolvedValueOnce({ id: 9, source: 'manual', status: 'created', task_id: 12 });
+      const res = await request(app).post('/api/scheduled-tasks/4/run');
+
+      expect(res.status).toBe(200);
+      expect(res.body.run).toMatchObject({ status: 'created', task_id: 12 });
+      expect(scheduledTaskRunner.runNow).toHaveBeenCalledWith(4, expect.any(String));
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'run_scheduled_task', targetId: '4', details: { runId: 9, status: 'created', taskId: 12 },
+      }));
+    });
+
+    it('should validate and store the catch-up policy', async () => {
+      const body = { name: '日报', title: '提交日报', schedule: '0 8 * * *', targetOpenId: 'ou_a' };
+      const bad = await request(app).post('/api/scheduled-tasks').send({ ...body, catchUp: 'sometimes' });
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toMatch(/catchUp/);
+
+      const ok = await request(app).post('/api/scheduled-tasks').send({ ...body, catchUp: 'all' });
+      expect(ok.status).toBe(200);
+      expect(scheduledTasksDb.create).toHaveBeenCalledWith(expect.objectContaining({ catchUp: 'all' }));
+    });
+
+    it('should 404 running an unknown scheduled task', async () => {
+      const res = await request(app).post('/api/scheduled-tasks/4/run');
+      expect(res.status).toBe(404);
+      expect(audit.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Scheduled task schedules', () => {
+    const scheduledTasksDb = require('../src/db/scheduledTasks');
+    const { settings } = require('../src/db');
+
+    // Only Date is faked: supertest still needs real timers
+    beforeEach(() => {
+      jest.useFakeTimers({
+        now: new Date('2026-10-19T00:00:00.000Z'),
+        doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval',
+          'queueMicrotask', 'hrtime', 'performance'],
+      });
+    });
+    afterEach(() => jest.useRealTimers());
+
+    it('should preview the next 10 fires by the work calendar, described in both languages', async () => {
+      settings.get.mockResolvedValueOnce({
+        workdays: [1, 2, 3, 4, 5], holidays: [{ date: '2026-12-31', name: '跨年' }],
+      });
+      const res = await request(app).get('/api/scheduled-tasks/preview')
+        .query({ schedule: '0 8 LW * *', timezone: 'Asia/Shanghai' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.occurrences).toHaveLength(10);
+      expect(res.body.occurrences.slice(0, 3)).toEqual([
+        '2026-10-30T08:00:00+08:00', '2026-11-30T08:00:00+08:00', '2026-12-30T08:00:00+08:00',
+      ]);
+      expect(res.body.description).toEqual({
+        zh: '每月最后一个工作日 08:00', en: 'On the last working day of the month at 08:00',
+      });
+    });
+
+    it('should preview a saved scheduled task in its timezone', async () => {
+      scheduledTasksDb.get.mockResolvedValueOnce({
+        id: 4, schedule: '0 8 1 * *', timezone: 'America/Toronto', skip_holidays: true, enabled: true,
+      });
+      const res = await request(app).get('/api/scheduled-tasks/4/preview?count=3');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        scheduledTaskId: 4,
+        timezone: 'America/Toronto',
+        occurrences: ['2026-11-01T08:00:00-05:00', '2026-12-01T08:00:00-05:00', '2027-01-01T08:00:00-05:00'],
+        description: { zh: '每月1日 08:00（节假日跳过）', en: 'On day 1 of the month at 08:00, skipping holidays' },
+      });
+    });
+
+    it('should describe each listed scheduled task, calendar rules included', async () => {
+      scheduledTasksDb.list.mockResolvedValueOnce({
+        rows: [
+          { id: 1, schedule: '0 8 BD3 * *', skip_holidays: false },
+          { id: 2, schedule: '0 9 * * 1#2', skip_holidays: true },
+          { id: 3, schedule: '0 8 * * funday', skip_holidays: false },
+        ],
+        total: 3,
+      });
+      const res = await request(app).get('/api/scheduled-tasks');
+
+      expect(res.status).toBe(200);
+      expect(res.body.scheduledTasks.map(st => st.description)).toEqual([
+        { zh: '每月第 3 个工作日 08:00', en: 'On the 3rd working day of the month at 08:00' },
+        { zh: '每月第二个周一 09:00（节假日跳过）', en: 'On the second Monday of the month at 09:00, skipping holidays' },
+        null,
+      ]);
+    });
+
+    it('should 404 the preview of an unknown scheduled task', async () => {
+      const res = await request(app).get('/api/scheduled-tasks/4/preview');
+      expect(res.status).toBe(404);
+    });
+
+    it('should reject a malformed rule with the reason, and store skipHolidays', async () => {
+      const preview = await request(app).get('/api/scheduled-tasks/preview').query({ schedule: '0 8 * * 1#6' });
+      expect(preview.status).toBe(400);
+      expect(preview.body.error).toMatch(/nth weekday allowed 1-5/);
+
+      const body = { name: '月结', title: '月末盘点', schedule: '0 8 L * *', targetOpenId: 'ou_a' };
+      const bad = await request(app).post('/api/scheduled-tasks').send({ ...body, skipHolidays: 'yes' });
+      expect(bad.status).toBe(400);
+
+      const ok = await request(app).post('/api/scheduled-tasks').send({ ...body, skipHolidays: true });
+      expect(ok.status).toBe(200);
+      expect(scheduledTasksDb.create).toHaveBeenCalledWith(expect.objectContaining({
+        schedule: '0 8 L * *', skipHolidays: true,
+      }));
+    });
+  });
+
+  describe('GET /api/attachments/:id', () => {
+    const attachmentsDb = require('../src/db/attachments');
+
+    it('should serve an image inline with its type', async () => {
+      attachmentsDb.get.mockResolvedValueOnce({
+        id: 3, kind: 'image', file_name: null, mime_type: 'image/png', data: Buffer.from('png-bytes'),
+      });
+      const res = await request(app).get('/api/attachments/3');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/png');
+      expect(res.headers['content-disposition']).toMatch(/^inline; filename\*=UTF-8''attachment-3$/);
+      expect(res.body.toString()).toBe('png-bytes');
+    });
+
+    it('should download files under their original name', async () => {
+      attachmentsDb.get.mockResolvedValueOnce({
+        id: 4, kind: 'file', file_name: '报告.pdf', mime_type: null, data: Buffer.from('%PDF'),
+      });
+      const res = await request(app).get('/api/attachments/4');
+
+      expect(res.headers['content-type']).toBe('application/octet-stream');
+      expect(res.headers['content-disposition']).toBe(`attachment; filename*=UTF-8''${encodeURIComponent('报告.pdf')}`);
+    });
+
+    it('should return 404 for an unknown attachment', async () => {
+      const res = await request(app).get('/api/attachments/99');
+      expect(res.status).toBe(404);
+    });
   });
 
   describe('GET /api/audit', () => {
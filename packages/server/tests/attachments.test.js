@@ -0,0 +1,63 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/db/attachments', () => ({
+  create: jest.fn(),
+}));
+
+jest.mock('../src/feishu/client', () => ({
+  downloadMessageResource: jest.fn(),
+}));
+
+const attachmentsDb = require('../src/db/attachments');
+const feishu = require('../src/feishu/client');
+const { saveProofAttachments, MAX_ATTACHMENT_BYTES } = require('../src/services/attachments');
+
+describe('saveProofAttachments', () => {
+  const savedBase = process.env.WEB_BASE_URL;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.WEB_BASE_URL = 'https://bot.example.com/';
+  });
+
+  afterAll(() => {
+    if (savedBase === undefined) delete process.env.WEB_BASE_URL;
+    else process.env.WEB_BASE_URL = savedBase;
+  });
+
+  it('should download each resource, store it against the task and return links', async () => {
+    feishu.downloadMessageResource.mockResolvedValue({ data: Buffer.from('jpg'), contentType: 'image/jpeg', fileName: 'a.jpg' });
+    attachmentsDb.create.mockResolvedValueOnce({ id: 7, size_bytes: 3 }).mockResolvedValueOnce({ id: 8, size_bytes: 3 });
+
+    const urls = await saveProofAttachments({
+      attachments: [
+        { messageId: 'om_1', type: 'image', key: 'img_1', name: null },
+        { messageId: 'om_2', type: 'file', key: 'file_1', name: '发票.pdf' },
+      ],
+      taskId: 42,
+      uploadedBy: 'on_zhang',
+    });
+
+    expect(urls).toEqual(['https://bot.example.com/api/attachments/7', 'https://bot.example.com/api/attachments/8']);
+    expect(feishu.downloadMessageResource).toHaveBeenCalledWith('om_2', 'file_1', 'file');
+    expect(attachmentsDb.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      taskId: 42, messageId: 'om_1', fileKey: 'img_1', kind: 'image', fileName: 'a.jpg', mimeType: 'image/jpeg',
+    }));
+    expect(attachmentsDb.create).toHaveBeenNthCalledWith(2, expect.objectContaining({ fileName: '发票.pdf' }));
+  });
+
+  it('should refuse resources over the size limit', async () => {
+    feishu.downloadMessageResource.mockResolvedValue({ data: Buffer.alloc(MAX_ATTACHMENT_BYTES + 1), contentType: null, fileName: null });
+
+    await expect(saveProofAttachments({
+      attachments: [{ messageId: 'om_1', type: 'file', key: 'file_big' }],
+      taskId: 42,
+    })).rejects.toThrow(/too large/);
+    expect(attachmentsDb.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/db/pool', () => ({
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+  connect: jest.fn(),
+}));
+
+jest.mock('../src/db', () => ({
+  audit: { log: jest.fn().mockResolvedValue(null) },
+  settings: { get: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock('../src/db/users', () => ({
+  findByOpenId: jest.fn(),
+}));
+
+jest.mock('../src/services/reminder', () => ({
+  ...jest.requireActual('../src/services/reminder'),
+  getTask: jest.fn(),
+  findTaskAssignee: jest.fn(),
+  isTaskParticipant: jest.fn(),
+  completionBlocker: jest.fn(),
+  completeTask: jest.fn(),
+  snoozeTask: jest.fn(),
+  addComment: jest.fn(),
+}));
+
+const usersDb = require('../src/db/users');
+const reminderService = require('../src/services/reminder');
+const { buildTaskCard } = require('../src/utils/taskCard');
+const { handleCardAction } = require('../src/services/cardActions');
+
+const task = {
+  id: 7, title: 'Quarterly report', priority: 'p1', status: 'pending',
+  assignee_open_id: 'ou_a', reporter_open_id: 'ou_r', reminder_interval_hours: 24,
+  deadline: new Date('2026-06-30T10:00:00Z'), created_at: new Date('2026-06-01T00:00:00Z'),
+};
+
+const buttons = card => card.elements.find(e => e.tag === 'action')?.actions || [];
+
+describe('Task cards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.WEB_BASE_URL;
+    usersDb.findByOpenId.mockResolvedValue({ open_id: 'ou_a', feishu_user_id: 'on_a', name: '张三', role: 'user', configs: {} });
+    reminderService.getTask.mockResolvedValue(task);
+    reminderService.findTaskAssignee.mockResolvedValue({ assignee_open_id: 'ou_a', status: 'pending' });
+  });
+
+  describe('buildTaskCard', () => {
+    it('should offer complete, snooze and open buttons on an open task', () => {
+      process.env.WEB_BASE_URL = 'https://bot.example.com/';
+      const card = buildTaskCard(task, { kind: 'overdue', body: 'text\n', snoozable: true });
+      expect(card.header.template).toBe('red');
+      expect(card.elements[0].text.content).toBe('text');
+      expect(buttons(card).map(b => b.value?.action || b.url)).toEqual([
+        'complete', 'snooze', 'snooze', 'https://bot.example.com/tasks/7',
+      ]);
+      expect(card.elements.at(-1)).toMatchObject({ tag: 'input', value: { action: 'comment', taskId: 7, kind: 'overdue' } });
+    });
+
+    it('should drop the action buttons once the task is closed', () => {
+      const card = buildTaskCard({ ...task, status: 'completed' }, { kind: 'reminder', body: 'text', snoozable: true });
+      expect(card.header.title.content).toContain('已完成');
+      expect(buttons(card)).toEqual([]);
+    });
+  });
+
+  describe('handleCardAction', () => {
+    it('should complete the operator\'s task and redraw the card', async () => {
+      reminderService.completionBlocker.mockResolvedValue(null);
+      reminderService.completeTask.mockResolvedValue({ ...task, status: 'completed' });
+      reminderService.getTask
+        .mockResolvedValueOnce(task)
+        .mockResolvedValueOnce({ ...task, status: 'completed' });
+
+      const result = await handleCardAction({ openId: 'ou_a', value: { action: 'complete', taskId: 7, kind: 'reminder' } });
+      expect(reminderService.completeTask).toHaveBeenCalledWith(7, '', 'on_a', '张三', {
+        assigneeOpenId: 'ou_a', assigneeId: 'on_a',
+      });
+      expect(result.toast).toEqual({ type: 'success', content: '✅ 已完成' });
+      expect(result.card.header.title.content).toContain('已完成');
+      expect(buttons(result.card)).toEqual([]);
+    });
+
+    it('should refuse to complete for someone who is not an assignee', async () => {
+      reminderService.findTaskAssignee.mockResolvedValue(null);
+      const result = await handleCardAction({ openId: 'ou_x', value: { action: 'complete', taskId: 7, kind: 'reminder' } });
+      expect(reminderService.completeTask).not.toHaveBeenCalled();
+      expect(result.toast.type).toBe('warning');
+      expect(buttons(result.card).map(b => b.value.action)).toContain('complete');
+    });
+
+    it('should snooze the next reminder with a known snooze option', async () => {
+      const now = new Date('2026-06-10T02:00:00Z');
+      reminderService.snoozeTask.mockImplementation((id, until) => Promise.resolve({
+        ...task, last_reminded_at: new Date(until - 24 * 3600 * 1000),
+      }));
+
+      const result = await handleCardAction({ openId: 'ou_a', value: { action: 'snooze', taskId: 7, snooze: '4h' }, now });
+      expect(reminderService.snoozeTask).toHaveBeenCalledWith(7, new Date('2026-06-10T06:00:00Z'), { userId: 'on_a' });
+      expect(result.toast.content).toContain('6月10日 14:00');
+
+      await handleCardAction({ openId: 'ou_a', value: { action: 'snooze', taskId: 7, snooze: '99d' }, now });
+      expect(reminderService.snoozeTask).toHaveBeenCalledTimes(1);
+    });
+
+    it('should post the typed comment as the operator', async () => {
+      reminderService.findTaskAssignee.mockResolvedValue(null);
+      reminderService.isTaskParticipant.mockResolvedValue(true);
+      reminderService.addComment.mockResolvedValue({ id: 1 });
+
+      const result = await handleCardAction({
+        openId: 'ou_r', value: { action: 'comment', taskId: 7, kind: 'reminder' }, inputValue: ' 进度如何？ ',
+      });
+      expect(reminderService.addComment).toHaveBeenCalledWith(7, ' 进度如何？ ', {
+        authorId: 'on_a', authorOpenId: 'ou_r', authorName: '张三', source: 'feishu',
+      });
+      expect(result.card.elements[1].elements[0].content).toBe('💬 你的评论：进度如何？');
+    });
+
+    it('should reject unknown actions and tasks', async () => {
+      expect((await handleCardAction({ openId: 'ou_a', value: { action: 'delete', taskId: 7 } })).card).toBeNull();
+      reminderService.getTask.mockResolvedValueOnce(null);
+      const result = await handleCardAction({ openId: 'ou_a', value: { action: 'complete', taskId: 8 } });
+      expect(result).toEqual({ toast: { type: 'error', content: '任务 #8 不存在' }, card: null });
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { describeCron } = require('../src/utils/cronDescription');
+
+describe('Cron description', () => {
+  it('should describe daily, weekly and monthly schedules in Chinese and English', () => {
+    expect(describeCron('0 8 1 * *')).toEqual({ zh: '每月1日 08:00', en: 'On day 1 of the month at 08:00' });
+    expect(describeCron('0 6 * * 1')).toEqual({ zh: '每周一 06:00', en: 'Every Monday at 06:00' });
+    expect(describeCron('0 9 * * 1-5')).toEqual({ zh: '每周一至周五 09:00', en: 'Every Monday through Friday at 09:00' });
+    expect(describeCron('0 8,12,18 * * *')).toEqual({
+      zh: '每天 08:00、12:00、18:00', en: 'Every day at 08:00, 12:00 and 18:00',
+    });
+  });
+
+  it('should describe calendar rules', () => {
+    expect(describeCron('0 8 LW * *').zh).toBe('每月最后一个工作日 08:00');
+    expect(describeCron('0 9 BD3 * *').en).toBe('On the 3rd working day of the month at 09:00');
+    expect(describeCron('0 9 * * 1#2')).toEqual({
+      zh: '每月第二个周一 09:00', en: 'On the second Monday of the month at 09:00',
+    });
+    expect(describeCron('0 8 1,L * *').zh).toBe('每月1日、最后一天 08:00');
+    expect(describeCron('0 17 * * 5L', { skipHolidays: true })).toEqual({
+      zh: '每月最后一个周五 17:00（节假日跳过）', en: 'On the last Friday of the month at 17:00, skipping holidays',
+    });
+  });
+
+  it('should describe months, and days that must match both fields', () => {
+    expect(describeCron('0 8 1 3,6,9,12 *')).toEqual({
+      zh: '每年3、6、9、12月1日 08:00', en: 'On day 1 of March, June, September and December at 08:00',
+    });
+    expect(describeCron('0 0 13 * 5').zh).toBe('每月13日（且为周五） 00:00');
+  });
+
+  it('should describe frequent schedules by their pattern', () => {
+    expect(describeCron('*/15 9-17 * * 1-5')).toEqual({
+      zh: '每周一至周五 9点至17点每 15 分钟',
+      en: 'Every 15 minutes from 09:00 to 17:45, every Monday through Friday',
+    });
+    expect(describeCron('0 */2 * * *')).toEqual({ zh: '每 2 小时整点', en: 'Every 2 hours on the hour' });
+    expect(describeCron('*/10 * * * * *')).toEqual({ zh: '每 10 秒', en: 'Every 10 seconds' });
+  });
+
+  it('should throw for an invalid expression', () => {
+    expect(() => describeCron('0 25 * * *')).toThrow('Invalid hour');
+  });
+});
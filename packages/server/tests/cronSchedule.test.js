@@ -0,0 +1,117 @@
+const {
+  parseCron, nodeCronExpression, matchesDate, nextOccurrences, occurrencesBetween,
+} = require('../src/utils/cronSchedule');
+
+const iso = dates => dates.map(d => d.toISOString());
+
+describe('Cron schedule', () => {
+  describe('parseCron', () => {
+    it('should read lists, ranges, steps and names', () => {
+      const cron = parseCron('*/15 9-17/4 * jan,MAR mon-fri');
+      expect(cron.minutes).toEqual([0, 15, 30, 45]);
+      expect(cron.hours).toEqual([9, 13, 17]);
+      expect([...cron.months]).toEqual([1, 3]);
+      expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+      expect(cron.seconds).toEqual([0]);
+    });
+
+    it('should take a leading seconds field and 7 as Sunday', () => {
+      const cron = parseCron('30 0 8 * * 7');
+      expect(cron).toMatchObject({ hasSeconds: true, seconds: [30], minutes: [0], hours: [8] });
+      expect([...cron.weekdays]).toEqual([0]);
+    });
+
+    it('should reject out-of-range values and malformed expressions', () => {
+      expect(() => parseCron('0 25 * * *')).toThrow('Invalid hour: 25');
+      expect(() => parseCron('0 8 * * funday')).toThrow('Invalid day of week');
+      expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+      expect(() => parseCron('0 8 * *')).toThrow('5 fields');
+    });
+  });
+
+  describe('nextOccurrences', () => {
+    it('should list weekday mornings in the timezone', () => {
+      // Friday 2026-10-16 09:00 Shanghai: today's 08:00 has passed
+      const after = new Date('2026-10-16T01:00:00.000Z');
+      expect(iso(nextOccurrences('0 8 * * 1-5', 'Asia/Shanghai', 3, after))).toEqual([
+        '2026-10-19T00:00:00.000Z', '2026-10-20T00:00:00.000Z', '2026-10-21T00:00:00.000Z',
+      ]);
+    });
+
+    it('should follow DST and skip a wall-clock time that does not exist', () => {
+      // America/New_York springs forward at 02:00 on 2027-03-14
+      const after = new Date('2027-03-13T01:00:00.000Z');
+      expect(iso(nextOccurrences('30 2 * * *', 'America/New_York', 3, after))).toEqual([
+        '2027-03-13T07:30:00.000Z', '2027-03-15T06:30:00.000Z', '2027-03-16T06:30:00.000Z',
+      ]);
+    });
+
+    it('should require day-of-month and day-of-week to both match, and end for dates that never come', () => {
+      // The 13th that is a Friday
+      expect(iso(nextOccurrences('0 0 13 * 5', 'UTC', 1, new Date('2026-10-19T00:00:00.000Z'))))
+        .toEqual(['2026-11-13T00:00:00.000Z']);
+      expect(nextOccurrences('0 0 30 2 *', 'UTC', 1)).toEqual([]);
+    });
+  });
+
+  describe('calendar rules', () => {
+    const after = new Date('2026-10-19T00:00:00.000Z');
+    // Monday to Friday, with New Year's Eve and Day off
+    const calendar = {
+      workdays: [1, 2, 3, 4, 5],
+      holidays: [{ date: '2026-12-31', name: '跨年' }, { date: '2027-01-01', name: '元旦' }],
+    };
+    const next = (expr, opts) => iso(nextOccurrences(expr, 'UTC', 4, after, opts)).map(at => at.slice(0, 10));
+
+    it('should fire on the last day of the month', () => {
+      expect(next('0 8 L * *')).toEqual(['2026-10-31', '2026-11-30', '2026-12-31', '2027-01-31']);
+      expect(next('0 8 1,L * *')).toEqual(['2026-10-31', '2026-11-01', '2026-11-30', '2026-12-01']);
+    });
+
+    it('should count working days by the calendar', () => {
+      expect(next('0 8 LW * *', { calendar })).toEqual(['2026-10-30', '2026-11-30', '2026-12-30', '2027-01-29']);
+      expect(next('0 8 BD3 * *', { calendar })).toEqual(['2026-11-04', '2026-12-03', '2027-01-06', '2027-02-03']);
+      // Without a calendar every day works
+      expect(next('0 8 BD3 * *')).toEqual(['2026-11-03', '2026-12-03', '2027-01-03', '2027-02-03']);
+    });
+
+    it('should fire on the nth and the last weekday of the month', () => {
+      expect(next('0 9 * * 1#2')).toEqual(['2026-11-09', '2026-12-14', '2027-01-11', '2027-02-08']);
+      expect(next('0 9 * * friL')).toEqual(['2026-10-30', '2026-11-27', '2026-12-25', '2027-01-29']);
+    });
+
+    it('should leave out holidays when asked', () => {
+      const from = new Date('2026-12-30T12:00:00.000Z');
+      expect(iso(nextOccurrences('0 8 * * *', 'UTC', 2, from, { calendar, skipHolidays: true })))
+        .toEqual(['2027-01-02T08:00:00.000Z', '2027-01-03T08:00:00.000Z']);
+    });
+
+    it('should reject malformed rules', () => {
+      expect(() => parseCron('0 8 BD0 * *')).toThrow('Invalid working day of month');
+      expect(() => parseCron('0 8 * * 1#6')).toThrow('nth weekday allowed 1-5');
+      expect(() => parseCron('0 8 L/2 * *')).toThrow('Invalid day of month');
+      expect(() => parseCron('0 8 * * L')).toThrow('Invalid day of week');
+    });
+
+    it('should hand node-cron a daily job and match the day on each fire', () => {
+      expect(nodeCronExpression('0 8 LW * *')).toBe('0 8 * * *');
+      expect(nodeCronExpression('30 0 9 * * 1#2')).toBe('30 0 9 * * *');
+      expect(nodeCronExpression('0 8 1 * 1-5')).toBe('0 8 1 * 1-5');
+      // 2026-10-30 08:00 in Shanghai is the last working day of October there, not yet in Toronto
+      const at = new Date('2026-10-30T00:00:00.000Z');
+      expect(matchesDate('0 8 LW * *', at, 'Asia/Shanghai', { calendar })).toBe(true);
+      expect(matchesDate('0 8 LW * *', at, 'America/Toronto', { calendar })).toBe(false);
+    });
+  });
+
+  describe('occurrencesBetween', () => {
+    it('should keep the most recent fires in the range, oldest first', () => {
+      const from = new Date('2026-10-16T00:00:00.000Z');
+      const to = new Date('2026-10-16T05:00:00.000Z');
+      expect(occurrencesBetween('0 * * * *', 'UTC', from, to)).toHaveLength(5);
+      expect(iso(occurrencesBetween('0 * * * *', 'UTC', from, to, 2))).toEqual([
+        '2026-10-16T04:00:00.000Z', '2026-10-16T05:00:00.000Z',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/db/pool', () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+
+// No work calendar stored → every day is a working day
+jest.mock('../src/db', () => ({
+  audit: { log: jest.fn().mockResolvedValue(null) },
+  settings: { get: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock('../src/db/users', () => ({
+  listDigestRecipients: jest.fn(),
+  claimDigest: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('../src/services/outbox', () => ({
+  enqueue: jest.fn().mockResolvedValue({}),
+  deliverSoon: jest.fn(),
+}));
+
+const pool = require('../src/db/pool');
+const usersDb = require('../src/db/users');
+const outbox = require('../src/services/outbox');
+const { settings } = require('../src/db');
+const reminderService = require('../src/services/reminder');
+const { buildDigest, sortForDigest, normalizeDigestTime, sendDailyDigests } = require('../src/services/digest');
+
+// 2026-03-10 09:30 in Asia/Shanghai (a Tuesday)
+const NOW = new Date('2026-03-10T01:30:00Z');
+
+const task = (id, priority, deadline, extra = {}) => ({
+  id, title: `Task ${id}`, priority, status: 'pending',
+  deadline: deadline && new Date(deadline), created_at: new Date('2026-03-01T00:00:00Z'), ...extra,
+});
+
+describe('Daily digest', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    jest.spyOn(reminderService, 'getUserPendingTasks').mockResolvedValue([]);
+    jest.spyOn(reminderService, 'getOpenReportedTasks').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should normalize digest times', () => {
+    expect(normalizeDigestTime('8:30')).toBe('08:30');
+    expect(normalizeDigestTime('24:00')).toBeNull();
+  });
+
+  it('should list tasks by priority then deadline and flag overdue ones', () => {
+    const tasks = [
+      task(1, 'p2', '2026-03-09T00:00:00Z'),
+      task(2, 'p0', null),
+      task(3, 'p0', '2026-03-12T00:00:00Z'),
+      task(4, 'p1', '2026-03-11T00:00:00Z'),
+    ];
+    expect(sortForDigest(tasks).map(t => t.id)).toEqual([3, 2, 4, 1]);
+
+    const msg = buildDigest({ assigned: tasks }, 'Asia/Shanghai', NOW);
+    expect(msg).toContain('3/10 周二');
+    expect(msg).toContain('你的待办（4 项，1 项已逾期）');
+    expect(msg.indexOf('#3')).toBeLessThan(msg.indexOf('#1'));
+    expect(msg).toMatch(/🔺 🟢 \[P2 不紧急\] 「Task 1」 #1/);
+    expect(buildDigest({}, 'Asia/Shanghai', NOW)).toBeNull();
+  });
+
+  it('should add the tasks a reporter assigned', () => {
+    const msg = buildDigest({
+      reported: [task(5, 'p1', '2026-03-11T00:00:00Z', { status: 'awaiting_review', assignee_name: '张三' })],
+    }, 'Asia/Shanghai', NOW);
+    expect(msg).toContain('你派出的未完成任务（1 项，1 项待你验收）');
+    expect(msg).toContain('#5 → 张三 🔍待验收');
+    expect(msg).not.toContain('你的待办');
+  });
+
+  it('should send once the chosen time has passed, on working days only', async () => {
+    usersDb.listDigestRecipients.mockResolvedValue([
+      { open_id: 'ou_a', feishu_user_id: 'on_a', timezone: 'Asia/Shanghai', reminder_mode: 'digest', digest_time: '09:00', reporter_digest: false },
+      { open_id: 'ou_b', timezone: 'Asia/Shanghai', reminder_mode: 'digest', digest_time: '10:00', reporter_digest: false },
+    ]);
+    reminderService.getUserPendingTasks.mockResolvedValue([task(1, 'p1', '2026-03-11T00:00:00Z')]);
+
+    expect(await sendDailyDigests(NOW)).toBe(1);
+    expect(usersDb.claimDigest).toHaveBeenCalledTimes(1);
+    expect(usersDb.claimDigest).toHaveBeenCalledWith('ou_a', '2026-03-10', client);
+    expect(reminderService.getOpenReportedTasks).not.toHaveBeenCalled();
+    // Claimed and queued in one transaction
+    expect(outbox.enqueue).toHaveBeenCalledWith(
+      { receiveId: 'ou_a', content: expect.stringContaining('每日催办汇总') }, client);
+    expect(client.query.mock.calls.map(c => c[0])).toEqual(['BEGIN', 'COMMIT']);
+    expect(outbox.deliverSoon).toHaveBeenCalled();
+
+    // Already claimed by another run
+    usersDb.claimDigest.mockResolvedValueOnce(false);
+    expect(await sendDailyDigests(NOW)).toBe(0);
+
+    // Tuesday is not a working day
+    settings.get.mockResolvedValueOnce({ workdays: [1, 3, 4, 5] });
+    jest.clearAllMocks();
+    expect(await sendDailyDigests(NOW)).toBe(0);
+    expect(usersDb.claimDigest).not.toHaveBeenCalled();
+  });
+
+  it('should release the day when the digest cannot be queued', async () => {
+    usersDb.listDigestRecipients.mockResolvedValue([
+      { open_id: 'ou_a', feishu_user_id: 'on_a', timezone: 'Asia/Shanghai', reminder_mode: 'digest', digest_time: '09:00', reporter_digest: false },
+    ]);
+    reminderService.getUserPendingTasks.mockResolvedValue([task(1, 'p1', '2026-03-11T00:00:00Z')]);
+    outbox.enqueue.mockRejectedValueOnce(new Error('connection reset'));
+
+    expect(await sendDailyDigests(NOW)).toBe(0);
+    // The claim is rolled back, so the next run tries again
+    expect(client.query.mock.calls.map(c => c[0])).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockQuery = jest.fn();
+const mockClient = { query: (...args) => mockQuery(...args), release: jest.fn() };
+jest.mock('../src/db/pool', () => ({
+  query: (...args) => mockQuery(...args),
+  connect: jest.fn(() => Promise.resolve(mockClient)),
+}));
+
+jest.mock('../src/db', () => ({
+  audit: { log: jest.fn().mockResolvedValue(null) },
+  settings: { get: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock('../src/db/escalationPolicies', () => ({
+  listEnabled: jest.fn(),
+  recordStep: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('../src/feishu/client', () => ({
+  sendMessage: jest.fn().mockResolvedValue({}),
+}));
+
+const escalationPoliciesDb = require('../src/db/escalationPolicies');
+const feishu = require('../src/feishu/client');
+const { audit } = require('../src/db');
+const { choosePolicy, validatePolicy, stepKey, sendDueEscalations } = require('../src/services/escalation');
+
+const HOUR = 3600 * 1000;
+
+function overdueTask(hours, extra = {}) {
+  return {
+    id: 7, title: 'Quarterly report', priority: 'p1', status: 'pending',
+    assignee_open_id: 'ou_a', assignee_name: '张三', reporter_open_id: 'ou_r',
+    assignee_manager_open_id: 'ou_m', assignee_tags: ['finance'], target_tag: null,
+    deadline: new Date(Date.now() - hours * HOUR), fired_steps: [],
+    ...extra,
+  };
+}
+
+/** Tasks SELECT returns `tasks`; everything else (prefs lookup, outbox insert, BEGIN/COMMIT) is empty */
+function mockTasks(tasks) {
+  mockQuery.mockImplementation((sql) => Promise.resolve({
+    rows: sql.includes('FROM tasks t') ? tasks : [],
+  }));
+}
+
+describe('Escalation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockReset();
+  });
+
+  describe('choosePolicy', () => {
+    const policies = [
+      { id: 1, priority: null, target_tag: null },
+      { id: 2, priority: 'p0', target_tag: null },
+      { id: 3, priority: null, target_tag: 'finance' },
+      { id: 4, priority: 'p0', target_tag: 'finance' },
+    ];
+
+    it('should pick the most specific matching policy', () => {
+      expect(choosePolicy(policies, { priority: 'p0', assignee_tags: ['finance'] }).id).toBe(4);
+      expect(choosePolicy(policies, { priority: 'p1', assignee_tags: ['finance'] }).id).toBe(3);
+      expect(choosePolicy(policies, { priority: 'p0', target_tag: 'ops' }).id).toBe(2);
+      expect(choosePolicy(policies, { priority: 'p2' }).id).toBe(1);
+      expect(choosePolicy(policies.slice(1, 3), { priority: 'p2' })).toBeNull();
+    });
+  });
+
+  describe('validatePolicy', () => {
+    it('should require a name and well-formed steps', () => {
+      const steps = [{ afterHours: 24, target: 'reporter' }];
+      expect(validatePolicy({ name: 'P0', priority: 'p0', steps })).toBeNull();
+      expect(validatePolicy({ steps })).toBe('name is required');
+      expect(validatePolicy({ name: 'x', steps: [] })).toMatch(/non-empty/);
+      expect(validatePolicy({ name: 'x', steps: [{ afterHours: 0, target: 'reporter' }] })).toMatch(/afterHours/);
+      expect(validatePolicy({ name: 'x', steps: [{ afterHours: 24, target: 'boss' }] })).toMatch(/target must be one of/);
+      expect(validatePolicy({ name: 'x', steps: [{ afterHours: 24, target: 'chat' }] })).toMatch(/chatId is required/);
+      expect(validatePolicy({ name: 'x', steps: [...steps, ...steps] })).toBe('steps[1] repeats an earlier step');
+      expect(validatePolicy({ enabled: false }, { partial: true })).toBeNull();
+      expect(validatePolicy({ priority: 'p9' }, { partial: true })).toMatch(/Invalid priority/);
+    });
+  });
+
+  describe('sendDueEscalations', () => {
+    const policy = {
+      id: 1, name: '逾期升级', priority: null, target_tag: null,
+      steps: [
+        { afterHours: 24, target: 'reporter' },
+        { afterHours: 72, target: 'manager' },
+        { afterHours: 120, target: 'chat', chatId: 'oc_team' },
+      ],
+    };
+
+    it('should do nothing without enabled policies', async () => {
+      escalationPoliciesDb.listEnabled.mockResolvedValue([]);
+      expect(await sendDueEscalations()).toBe(0);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should fire each due step that has not fired yet', async () => {
+      escalationPoliciesDb.listEnabled.mockResolvedValue([policy]);
+      // 4 days overdue, reporter step already fired → only the manager step is due
+      mockTasks([overdueTask(96, { fired_steps: [{ policy_id: 1, step_key: '24h:reporter' }] })]);
+
+      expect(await sendDueEscalations()).toBe(1);
+      // Claimed and queued in one transaction
+      expect(escalationPoliciesDb.recordStep).toHaveBeenCalledWith({
+        taskId: 7, policyId: 1, stepKey: '72h:manager', step: 1, recipient: 'ou_m', outcome: 'sent',
+      }, mockClient);
+      // Person steps are queued in the outbox (services/outbox), recorded on the task once delivered
+      const queued = mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO outbound_messages'));
+      expect(queued).toHaveLength(1);
+      expect(queued[0][1]).toEqual(['ou_m', 'open_id', 'text', expect.stringContaining('逾期 4 天'), 7, 'escalation']);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'escalate_task', targetId: '7',
+        details: expect.objectContaining({ step: 1, target: 'manager', outcome: 'sent' }),
+      }));
+    });
+
+    it('should post chat steps to the group and record steps without a recipient as skipped', async () => {
+      escalationPoliciesDb.listEnabled.mockResolvedValue([policy]);
+      mockTasks([overdueTask(130, {
+        reporter_open_id: null,
+        fired_steps: [{ policy_id: 1, step_key: '72h:manager' }],
+      })]);
+
+      expect(await sendDueEscalations()).toBe(2);
+      expect(escalationPoliciesDb.recordStep).toHaveBeenCalledWith(
+        expect.objectContaining({ stepKey: '24h:reporter', step: 0, recipient: null, outcome: 'skipped' }), mockClient);
+      expect(escalationPoliciesDb.recordStep).toHaveBeenCalledWith(
+        expect.objectContaining({ stepKey: '120h:chat:oc_team', step: 2, recipient: 'oc_team', outcome: 'sent' }), mockClient);
+      const queued = mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO outbound_messages'));
+      expect(queued).toHaveLength(1);
+      expect(queued[0][1]).toEqual(['oc_team', 'chat_id', 'text', expect.stringContaining('催办升级'), null, null]);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should leave a step unclaimed when its message cannot be queued', async () => {
+      escalationPoliciesDb.listEnabled.mockResolvedValue([policy]);
+      mockTasks([overdueTask(30)]);
+      const tasksQuery = mockQuery.getMockImplementation();
+      mockQuery.mockImplementation((sql, params) => (sql.includes('INSERT INTO outbound_messages')
+        ? Promise.reject(new Error('connection reset'))
+        : tasksQuery(sql, params)));
+
+      expect(await sendDueEscalations()).toBe(0);
+      expect(mockQuery).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockQuery).not.toHaveBeenCalledWith('COMMIT');
+      expect(audit.log).not.toHaveBeenCalled();
+    });
+
+    it('should track fired steps by what they are when the policy is edited', async () => {
+      expect(policy.steps.map(stepKey)).toEqual(['24h:reporter', '72h:manager', '120h:chat:oc_team']);
+      // A 48h step inserted after the reporter and manager steps had fired: only it is due
+      escalationPoliciesDb.listEnabled.mockResolvedValue([{
+        ...policy,
+        steps: [policy.steps[0], { afterHours: 48, target: 'user', openId: 'ou_admin' }, ...policy.steps.slice(1)],
+      }]);
+      mockTasks([overdueTask(96, {
+        fired_steps: [{ policy_id: 1, step_key: '24h:reporter' }, { policy_id: 1, step_key: '72h:manager' }],
+      })]);
+
+      expect(await sendDueEscalations()).toBe(1);
+      expect(escalationPoliciesDb.recordStep).toHaveBeenCalledTimes(1);
+      expect(escalationPoliciesDb.recordStep).toHaveBeenCalledWith(
+        expect.objectContaining({ stepKey: '48h:user:ou_admin', step: 1, recipient: 'ou_admin' }), mockClient);
+    });
+
+    it('should not send a step another run already claimed', async () => {
+      escalationPoliciesDb.listEnabled.mockResolvedValue([policy]);
+      escalationPoliciesDb.recordStep.mockResolvedValueOnce(false);
+      mockTasks([overdueTask(30)]);
+
+      expect(await sendDueEscalations()).toBe(0);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+});
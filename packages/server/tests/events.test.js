@@ -0,0 +1,117 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/events/messageReceived', () => ({
+  'im.message.receive_v1': jest.fn(),
+}));
+
+jest.mock('../src/db/groupChats', () => ({
+  setBotPresent: jest.fn(),
+}));
+
+jest.mock('../src/db/users', () => ({
+  autoProvision: jest.fn(),
+}));
+
+jest.mock('../src/feishu/client', () => ({
+  sendMessage: jest.fn().mockResolvedValue({}),
+}));
+
+jest.mock('../src/services/agentForwarder', () => ({
+  forgetMessage: jest.fn().mockResolvedValue(1),
+}));
+
+jest.mock('../src/services/offboarding', () => ({
+  offboardUser: jest.fn().mockResolvedValue(null),
+  reactivateUser: jest.fn().mockResolvedValue(null),
+}));
+
+const events = require('../src/events');
+const messageReceived = require('../src/events/messageReceived');
+const groupChatsDb = require('../src/db/groupChats');
+const usersDb = require('../src/db/users');
+const feishu = require('../src/feishu/client');
+const agentForwarder = require('../src/services/agentForwarder');
+const offboarding = require('../src/services/offboarding');
+
+describe('Feishu event registry', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('should dispatch to the handler registered for the type', async () => {
+    const event = { message: { message_id: 'om_1' } };
+    expect(await events.dispatch('im.message.receive_v1', event, { eventId: 'ev_1' })).toBe(true);
+    expect(messageReceived['im.message.receive_v1']).toHaveBeenCalledWith(event, expect.objectContaining({ eventId: 'ev_1' }));
+  });
+
+  it('should ignore unregistered types and contain handler errors', async () => {
+    expect(await events.dispatch('im.message.reaction.created_v1', {})).toBe(false);
+
+    const failing = jest.fn().mockRejectedValue(new Error('boom'));
+    events.register('test.failing_v1', failing);
+    await expect(events.dispatch('test.failing_v1', {})).resolves.toBe(true);
+    expect(() => events.register('test.failing_v1', failing)).toThrow(/Duplicate/);
+  });
+
+  it('should register the group and say hello when the bot is added', async () => {
+    groupChatsDb.setBotPresent.mockResolvedValue({ chat_id: 'oc_1', name: '财务群', enabled: true });
+    await events.dispatch('im.chat.member.bot.added_v1', { chat_id: 'oc_1', name: '财务群' });
+
+    expect(groupChatsDb.setBotPresent).toHaveBeenCalledWith('oc_1', true, '财务群');
+    expect(feishu.sendMessage).toHaveBeenCalledWith('oc_1', expect.stringContaining('@我'), 'chat_id');
+  });
+
+  it('should stay quiet in a group an admin disabled', async () => {
+    groupChatsDb.setBotPresent.mockResolvedValue({ chat_id: 'oc_1', enabled: false });
+    await events.dispatch('im.chat.member.bot.added_v1', { chat_id: 'oc_1' });
+    expect(feishu.sendMessage).not.toHaveBeenCalled();
+
+    await events.dispatch('im.chat.member.bot.deleted_v1', { chat_id: 'oc_1' });
+    expect(groupChatsDb.setBotPresent).toHaveBeenLastCalledWith('oc_1', false);
+  });
+
+  it('should greet a user opening the bot chat only the first time', async () => {
+    usersDb.autoProvision.mockResolvedValue({ role: 'user', configs: {}, name: '张三' });
+    await events.dispatch('im.chat.access_event.bot_p2p_chat_entered_v1', {
+      chat_id: 'oc_p2p', operator_id: { open_id: 'ou_zhang', user_id: 'on_zhang' },
+    });
+    expect(usersDb.autoProvision).toHaveBeenCalledWith({ openId: 'ou_zhang', feishuUserId: 'on_zhang' });
+    expect(feishu.sendMessage).toHaveBeenCalledWith('oc_p2p', expect.stringContaining('张三'), 'chat_id');
+
+    feishu.sendMessage.mockClear();
+    await events.dispatch('im.chat.access_event.bot_p2p_chat_entered_v1', {
+      chat_id: 'oc_p2p', operator_id: { open_id: 'ou_zhang' }, last_message_id: 'om_9',
+    });
+    expect(feishu.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('should scrub a recalled message from the agent history', async () => {
+    await events.dispatch('im.message.recalled_v1', { message_id: 'om_5', chat_id: 'oc_1' });
+    expect(agentForwarder.forgetMessage).toHaveBeenCalledWith('om_5');
+  });
+
+  it('should offboard deleted, resigned and frozen users', async () => {
+    await events.dispatch('contact.user.deleted_v3', { object: { open_id: 'ou_a' } });
+    await events.dispatch('contact.user.updated_v3', {
+      object: { open_id: 'ou_b', status: { is_resigned: true } },
+      old_object: { status: { is_resigned: false } },
+    });
+    expect(offboarding.offboardUser.mock.calls).toEqual([['ou_a'], ['ou_b']]);
+  });
+
+  it('should reactivate unfrozen users and ignore other profile updates', async () => {
+    await events.dispatch('contact.user.updated_v3', {
+      object: { open_id: 'ou_c', status: { is_frozen: false } },
+      old_object: { status: { is_frozen: true } },
+    });
+    await events.dispatch('contact.user.updated_v3', {
+      object: { open_id: 'ou_c', name: '新名字', status: { is_frozen: true } },
+      old_object: { name: '旧名字' },
+    });
+    expect(offboarding.reactivateUser).toHaveBeenCalledWith('ou_c');
+    expect(offboarding.offboardUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/db/groupChats', () => ({
+  get: jest.fn(),
+  ensure: jest.fn(),
+}));
+
+jest.mock('../src/feishu/client', () => ({
+  getChatInfo: jest.fn(),
+}));
+
+const groupChatsDb = require('../src/db/groupChats');
+const feishu = require('../src/feishu/client');
+const { resolveFeatures } = require('../src/features');
+const {
+  parseGroupMessage, applyGroupFeatures, validateGroupSettings, loadGroup,
+} = require('../src/services/groupChat');
+
+const mentions = [
+  { key: '@_user_1', id: { open_id: 'ou_bot' }, name: '催办机器人' },
+  { key: '@_user_2', id: { open_id: 'ou_zhang', user_id: 'on_zhang' }, name: '张三' },
+];
+
+describe('Group chats', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('parseGroupMessage', () => {
+    it('should strip the bot mention and keep the others', () => {
+      const parsed = parseGroupMessage('@_user_1 /add 周报 @_user_2 2026-03-01', mentions, 'ou_bot');
+      expect(parsed.botMentioned).toBe(true);
+      expect(parsed.text).toBe('/add 周报 @_user_2 2026-03-01');
+      expect(parsed.mentions).toEqual([{ key: '@_user_2', openId: 'ou_zhang', userId: 'on_zhang', name: '张三' }]);
+    });
+
+    it('should report messages that do not mention the bot', () => {
+      expect(parseGroupMessage('@_user_2 看下周报', mentions.slice(1), 'ou_bot').botMentioned).toBe(false);
+      expect(parseGroupMessage('大家好', undefined, 'ou_bot').botMentioned).toBe(false);
+    });
+
+    it('should take a mention without a user_id as the bot when its open_id is unknown', () => {
+      const parsed = parseGroupMessage('@_user_1 群任务', mentions, null);
+      expect(parsed.botMentioned).toBe(true);
+      expect(parsed.text).toBe('群任务');
+    });
+  });
+
+  describe('applyGroupFeatures', () => {
+    it('should only ever turn features off', () => {
+      const resolved = resolveFeatures({ role: 'admin', configs: {} });
+      const inGroup = applyGroupFeatures(resolved, { features: { cuiban_create: false, history: true } });
+      expect(inGroup.cuiban_create).toBe(false);
+      expect(inGroup.history).toBe(true);
+      expect(applyGroupFeatures(resolveFeatures({ role: 'user', configs: {} }), { features: { history: true } }).history).toBe(false);
+      expect(applyGroupFeatures(resolved, null)).toBe(resolved);
+    });
+  });
+
+  describe('validateGroupSettings', () => {
+    it('should accept chat features and reject the rest', () => {
+      expect(validateGroupSettings({ enabled: false, features: { cuiban_create: false }, defaultTag: 'ops' })).toBeNull();
+      expect(validateGroupSettings({ enabled: 'no' })).toMatch(/enabled/);
+      expect(validateGroupSettings({ features: { system_config: false } })).toMatch(/admin-only/);
+      expect(validateGroupSettings({ features: { cuiban_view: 'off' } })).toMatch(/boolean/);
+    });
+  });
+
+  describe('loadGroup', () => {
+    it('should register a new group under its Feishu name', async () => {
+      groupChatsDb.get.mockResolvedValue(null);
+      feishu.getChatInfo.mockResolvedValue({ name: '财务群' });
+      groupChatsDb.ensure.mockResolvedValue({ chat_id: 'oc_1', name: '财务群', enabled: true });
+
+      expect((await loadGroup('oc_1')).name).toBe('财务群');
+      expect(groupChatsDb.ensure).toHaveBeenCalledWith('oc_1', '财务群');
+    });
+
+    it('should not look up a known group again', async () => {
+      groupChatsDb.get.mockResolvedValue({ chat_id: 'oc_1', name: '财务群' });
+      await loadGroup('oc_1');
+      expect(feishu.getChatInfo).not.toHaveBeenCalled();
+      expect(groupChatsDb.ensure).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { parseMessageContent } = require('../src/utils/messageContent');
+
+describe('parseMessageContent', () => {
+  it('should read text messages', () => {
+    expect(parseMessageContent('text', JSON.stringify({ text: '完成 1' }))).toEqual({ text: '完成 1', resources: [] });
+    expect(parseMessageContent('text', JSON.stringify({ text: '' })).text).toBe('');
+    expect(parseMessageContent('text', 'not json')).toEqual({ text: '', resources: [] });
+  });
+
+  it('should flatten a post and collect its images', () => {
+    const content = {
+      title: '周报',
+      content: [
+        [{ tag: 'at', user_id: '@_user_1', user_name: '催办机器人' }, { tag: 'text', text: '完成 2' }],
+        [{ tag: 'a', text: '文档', href: 'https://docs.example.com/w' }],
+        [{ tag: 'img', image_key: 'img_v2_1' }],
+      ],
+    };
+    expect(parseMessageContent('post', JSON.stringify(content))).toEqual({
+      text: '周报\n@_user_1 完成 2\n文档 https://docs.example.com/w\n[图片]',
+      resources: [{ type: 'image', key: 'img_v2_1', name: null }],
+    });
+  });
+
+  it('should unwrap per-locale posts', () => {
+    const content = { zh_cn: { title: '', content: [[{ tag: 'text', text: '你好' }]] } };
+    expect(parseMessageContent('post', JSON.stringify(content)).text).toBe('你好');
+  });
+
+  it('should treat a post with only images as having no text', () => {
+    const content = { content: [[{ tag: 'at', user_id: '@_user_1' }, { tag: 'img', image_key: 'img_1' }]] };
+    expect(parseMessageContent('post', JSON.stringify(content))).toEqual({
+      text: '',
+      resources: [{ type: 'image', key: 'img_1', name: null }],
+    });
+  });
+
+  it('should return image and file messages as resources', () => {
+    expect(parseMessageContent('image', JSON.stringify({ image_key: 'img_2' }))).toEqual({
+      text: '', resources: [{ type: 'image', key: 'img_2', name: null }],
+    });
+    expect(parseMessageContent('file', JSON.stringify({ file_key: 'file_1', file_name: '发票.pdf' }))).toEqual({
+      text: '', resources: [{ type: 'file', key: 'file_1', name: '发票.pdf' }],
+    });
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/db', () => ({
+  audit: { log: jest.fn().mockResolvedValue({}) },
+}));
+
+jest.mock('../src/db/users', () => ({
+  setActive: jest.fn(),
+  findByOpenId: jest.fn(),
+}));
+
+jest.mock('../src/services/outbox', () => ({
+  enqueue: jest.fn().mockResolvedValue({}),
+}));
+
+jest.mock('../src/services/reminder', () => ({
+  getUserPendingTasks: jest.fn(),
+  reassignTask: jest.fn(),
+}));
+
+const { audit } = require('../src/db');
+const usersDb = require('../src/db/users');
+const outbox = require('../src/services/outbox');
+const reminderService = require('../src/services/reminder');
+const { offboardUser } = require('../src/services/offboarding');
+
+const departed = { user_id: 'zhang@corp.com', open_id: 'ou_zhang', feishu_user_id: 'on_zhang', name: '张三', manager_open_id: 'ou_boss' };
+const boss = { open_id: 'ou_boss', name: '老板', active: true };
+
+describe('offboardUser', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    usersDb.setActive.mockResolvedValue(departed);
+    usersDb.findByOpenId.mockResolvedValue(boss);
+  });
+
+  it('should do nothing for unknown or already inactive users', async () => {
+    usersDb.setActive.mockResolvedValue(null);
+    expect(await offboardUser('ou_gone')).toBeNull();
+    expect(reminderService.getUserPendingTasks).not.toHaveBeenCalled();
+  });
+
+  it('should hand tasks to the tag first, then the manager', async () => {
+    reminderService.getUserPendingTasks.mockResolvedValue([
+      { id: 1, title: '报表', target_tag: 'finance' },
+      { id: 2, title: '周报', target_tag: null },
+    ]);
+    reminderService.reassignTask.mockResolvedValue({ task: {} });
+
+    const result = await offboardUser('ou_zhang');
+
+    expect(usersDb.setActive).toHaveBeenCalledWith('ou_zhang', false);
+    expect(reminderService.getUserPendingTasks).toHaveBeenCalledWith('on_zhang', 'ou_zhang');
+    expect(reminderService.reassignTask).toHaveBeenCalledWith(1, { targetTag: 'finance', fromOpenId: 'ou_zhang' }, expect.objectContaining({ userId: 'system' }));
+    expect(reminderService.reassignTask).toHaveBeenCalledWith(2, { assignee: boss, fromOpenId: 'ou_zhang' }, expect.anything());
+    expect(result).toMatchObject({ reassigned: 2, flagged: 0 });
+  });
+
+  it('should fall back to the manager when nobody in the tag is free', async () => {
+    reminderService.getUserPendingTasks.mockResolvedValue([{ id: 1, title: '报表', target_tag: 'finance' }]);
+    reminderService.reassignTask
+      .mockRejectedValueOnce(new Error('标签 "finance" 下没有其他可用用户'))
+      .mockResolvedValueOnce({ task: {} });
+
+    expect(await offboardUser('ou_zhang')).toMatchObject({ reassigned: 1, flagged: 0 });
+    expect(reminderService.reassignTask).toHaveBeenLastCalledWith(1, { assignee: boss, fromOpenId: 'ou_zhang' }, expect.anything());
+  });
+
+  it('should flag the task to its reporter when there is nobody to hand it to', async () => {
+    usersDb.findByOpenId.mockResolvedValue({ ...boss, active: false });
+    reminderService.getUserPendingTasks.mockResolvedValue([{ id: 3, title: '合同', target_tag: null, reporter_open_id: 'ou_li' }]);
+
+    expect(await offboardUser('ou_zhang')).toMatchObject({ reassigned: 0, flagged: 1 });
+    expect(reminderService.reassignTask).not.toHaveBeenCalled();
+    expect(outbox.enqueue).toHaveBeenCalledWith({ receiveId: 'ou_li', content: expect.stringContaining('张三 已离职') });
+    expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'flag_task', targetId: '3' }));
+    expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'deactivate_user', details: expect.objectContaining({ flagged: 1 }) }));
+  });
+});
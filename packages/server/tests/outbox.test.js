@@ -0,0 +1,115 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockQuery = jest.fn().mockResolvedValue({ rows: [] });
+jest.mock('../src/db/pool', () => ({
+  query: (...args) => mockQuery(...args),
+}));
+
+jest.mock('../src/db/outbox', () => ({
+  enqueue: jest.fn(),
+  claimDue: jest.fn(),
+  markSent: jest.fn().mockResolvedValue(),
+  markAttemptFailed: jest.fn().mockResolvedValue(),
+  release: jest.fn().mockResolvedValue(),
+  retryFailed: jest.fn(),
+}));
+
+jest.mock('../src/feishu/client', () => ({
+  sendMessage: jest.fn(),
+  sendCardMessage: jest.fn(),
+}));
+
+const outboxDb = require('../src/db/outbox');
+const feishu = require('../src/feishu/client');
+const outbox = require('../src/services/outbox');
+
+const row = (id, extra = {}) => ({
+  id, receive_id: 'ou_a', receive_id_type: 'open_id', msg_type: 'text', content: `消息 ${id}`,
+  task_id: null, kind: null, attempts: 0, ...extra,
+});
+
+function feishuError(code) {
+  const err = new Error(`Feishu API error: ${code} - failed`);
+  err.code = code;
+  return err;
+}
+
+describe('Outbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    outboxDb.claimDue.mockResolvedValue([]);
+  });
+
+  describe('backoffSeconds', () => {
+    it('should double from 30s and cap at an hour', () => {
+      expect([1, 2, 3, 4].map(outbox.backoffSeconds)).toEqual([30, 60, 120, 240]);
+      expect(outbox.backoffSeconds(20)).toBe(3600);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should store text as text and cards as interactive, in the given transaction', async () => {
+      const client = { query: jest.fn() };
+      await outbox.enqueue({ receiveId: 'ou_a', content: '你好' });
+      await outbox.enqueue({ receiveId: 'ou_b', content: { header: {} }, taskId: 3, kind: 'reminder' }, client);
+
+      expect(outboxDb.enqueue).toHaveBeenNthCalledWith(1,
+        expect.objectContaining({ receiveId: 'ou_a', receiveIdType: 'open_id', msgType: 'text' }), expect.anything());
+      expect(outboxDb.enqueue).toHaveBeenNthCalledWith(2,
+        expect.objectContaining({ msgType: 'interactive', taskId: 3, kind: 'reminder' }), client);
+    });
+  });
+
+  describe('deliverPending', () => {
+    it('should send each claimed message and record task messages on the timeline', async () => {
+      outboxDb.claimDue.mockResolvedValueOnce([
+        row(1),
+        row(2, { msg_type: 'interactive', content: { header: {} }, task_id: 9, kind: 'reminder' }),
+      ]);
+      feishu.sendMessage.mockResolvedValue({ data: { message_id: 'om_1' } });
+      feishu.sendCardMessage.mockResolvedValue({ data: { message_id: 'om_2' } });
+
+      expect(await outbox.deliverPending()).toEqual({ sent: 2, retried: 0, failed: 0 });
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_a', '消息 1', 'open_id');
+      expect(feishu.sendCardMessage).toHaveBeenCalledWith('ou_a', { header: {} }, 'open_id');
+      expect(outboxDb.markSent).toHaveBeenCalledWith(1, 'om_1');
+      expect(outboxDb.markSent).toHaveBeenCalledWith(2, 'om_2');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO task_messages'), [9, 'om_2', 'ou_a', 'reminder']);
+    });
+
+    it('should back off after a failure and give up after the last attempt', async () => {
+      outboxDb.claimDue.mockResolvedValueOnce([row(1), row(2, { attempts: outbox.MAX_ATTEMPTS - 1 })]);
+      feishu.sendMessage.mockRejectedValue(new Error('Request timeout: /im/v1/messages'));
+
+      expect(await outbox.deliverPending()).toEqual({ sent: 0, retried: 1, failed: 1 });
+      expect(outboxDb.markAttemptFailed).toHaveBeenCalledWith(1, 'Request timeout: /im/v1/messages', 30);
+      expect(outboxDb.markAttemptFailed).toHaveBeenCalledWith(2, 'Request timeout: /im/v1/messages', null);
+      expect(outboxDb.markSent).not.toHaveBeenCalled();
+    });
+
+    it('should put the rest of the batch back when Feishu rate-limits', async () => {
+      outboxDb.claimDue.mockResolvedValueOnce([row(1), row(2), row(3)]);
+      feishu.sendMessage
+        .mockResolvedValueOnce({ data: { message_id: 'om_1' } })
+        .mockRejectedValueOnce(feishuError(99991400));
+
+      expect(await outbox.deliverPending()).toEqual({ sent: 1, retried: 0, failed: 0 });
+      expect(outboxDb.release).toHaveBeenCalledWith([2, 3], 30, 'Feishu rate limit');
+      expect(outboxDb.markAttemptFailed).not.toHaveBeenCalled();
+      expect(feishu.sendMessage).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share one run between concurrent callers', async () => {
+      const [a, b] = [outbox.deliverPending(), outbox.deliverPending()];
+      expect(a).toBe(b);
+      await a;
+      expect(outboxDb.claimDue).toHaveBeenCalledTimes(1);
+    });
+  });
+});
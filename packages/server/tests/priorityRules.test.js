@@ -0,0 +1,126 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockQuery = jest.fn();
+jest.mock('../src/db/pool', () => ({
+  query: (...args) => mockQuery(...args),
+  connect: jest.fn(),
+}));
+
+jest.mock('../src/db', () => ({
+  audit: { log: jest.fn().mockResolvedValue(null) },
+  settings: { get: jest.fn().mockResolvedValue(undefined) },
+}));
+
+const { audit, settings } = require('../src/db');
+const { validateRules, normalizeRules, planRaise, applyPriorityRules, DEFAULT_REMINDER_INTERVALS } = require('../src/services/priorityRules');
+
+const HOUR = 3600 * 1000;
+const NOW = new Date('2026-03-10T08:00:00Z');
+
+const CONFIG = normalizeRules({
+  enabled: true,
+  rules: [
+    { from: 'p2', to: 'p1', hoursBeforeDeadline: 24 },
+    { from: 'p1', to: 'p0', hoursBeforeDeadline: 0 },
+  ],
+  reminderIntervals: { p0: 4, p1: 12 },
+});
+
+describe('Priority rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockReset();
+  });
+
+  describe('validateRules', () => {
+    it('should accept raising rules and reject the rest', () => {
+      expect(validateRules(CONFIG)).toBeNull();
+      expect(validateRules({ rules: [{ from: 'p1', to: 'p2', hoursBeforeDeadline: 24 }] })).toMatch(/not more urgent/);
+      expect(validateRules({ rules: [{ from: 'p2', to: 'p1' }] })).toMatch(/hoursBeforeDeadline/);
+      expect(validateRules({
+        rules: [{ from: 'p2', to: 'p1', hoursBeforeDeadline: 24 }, { from: 'p2', to: 'p0', hoursBeforeDeadline: 0 }],
+      })).toMatch(/one rule per/);
+      expect(validateRules({ reminderIntervals: { p0: 0 } })).toMatch(/whole number/);
+      expect(validateRules([])).toMatch(/object/);
+    });
+  });
+
+  describe('normalizeRules', () => {
+    it('should tighten intervals by default, and keep an explicit opt-out', () => {
+      expect(normalizeRules(null)).toEqual({ enabled: false, rules: [], reminderIntervals: DEFAULT_REMINDER_INTERVALS });
+      expect(normalizeRules({ reminderIntervals: { p0: 2 } }).reminderIntervals).toEqual({ p0: 2, p1: 12 });
+      expect(normalizeRules({ reminderIntervals: { p1: null } }).reminderIntervals).toEqual({ p0: 4, p1: null });
+    });
+  });
+
+  describe('planRaise', () => {
+    it('should follow the chain as far as the deadline allows', () => {
+      const task = (priority, hoursLeft) => ({ priority, deadline: new Date(NOW.getTime() + hoursLeft * HOUR) });
+      expect(planRaise(CONFIG, task('p2', 48), NOW)).toBeNull();
+      expect(planRaise(CONFIG, task('p2', 12), NOW)).toEqual({ to: 'p1', hoursBeforeDeadline: 24 });
+      expect(planRaise(CONFIG, task('p2', -1), NOW)).toEqual({ to: 'p0', hoursBeforeDeadline: 0 });
+      expect(planRaise(CONFIG, task('p1', 12), NOW)).toBeNull();
+      expect(planRaise(CONFIG, task('p0', -100), NOW)).toBeNull();
+    });
+  });
+
+  describe('applyPriorityRules', () => {
+    it('should do nothing while the rules are disabled', async () => {
+      settings.get.mockResolvedValueOnce({ ...CONFIG, enabled: false });
+      expect(await applyPriorityRules(NOW)).toBe(0);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should raise due tasks, tighten their interval and audit the change', async () => {
+      settings.get.mockResolvedValueOnce(CONFIG);
+      mockQuery
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, priority: 'p2', deadline: new Date(NOW.getTime() + 6 * HOUR), reminder_interval_hours: 24 },
+            { id: 2, priority: 'p1', deadline: new Date(NOW.getTime() - HOUR), reminder_interval_hours: 0 },
+          ],
+        })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 0 }); // task 2 was edited in between
+
+      expect(await applyPriorityRules(NOW)).toBe(1);
+      expect(mockQuery.mock.calls[1][1]).toEqual([1, 'p2', 'p1', 12]);
+      // Disabled reminders stay disabled
+      expect(mockQuery.mock.calls[2][1]).toEqual([2, 'p1', 'p0', 0]);
+      expect(audit.log).toHaveBeenCalledTimes(1);
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'raise_priority', targetId: '1',
+        details: expect.objectContaining({ from: 'p2', to: 'p1', reminderIntervalHours: { from: 24, to: 12 } }),
+      }));
+    });
+
+    it('should tighten the interval with rules saved without reminderIntervals', async () => {
+      settings.get.mockResolvedValueOnce({ enabled: true, rules: [{ from: 'p1', to: 'p0', hoursBeforeDeadline: 0 }] });
+      mockQuery
+        .mockResolvedValueOnce({
+          rows: [{ id: 3, priority: 'p1', deadline: new Date(NOW.getTime() - HOUR), reminder_interval_hours: 24 }],
+        })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      expect(await applyPriorityRules(NOW)).toBe(1);
+      expect(mockQuery.mock.calls[1][1]).toEqual([3, 'p1', 'p0', DEFAULT_REMINDER_INTERVALS.p0]);
+    });
+
+    it('should keep the interval of a priority set to null', async () => {
+      settings.get.mockResolvedValueOnce({ ...CONFIG, reminderIntervals: { p0: null } });
+      mockQuery
+        .mockResolvedValueOnce({
+          rows: [{ id: 3, priority: 'p1', deadline: new Date(NOW.getTime() - HOUR), reminder_interval_hours: 24 }],
+        })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      await applyPriorityRules(NOW);
+      expect(mockQuery.mock.calls[1][1]).toEqual([3, 'p1', 'p0', 24]);
+    });
+  });
+});
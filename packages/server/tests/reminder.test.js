@@ -17,21 +17,45 @@ jest.mock('../src/db/pool', () => ({
   connect: jest.fn().mockResolvedValue(mockClient),
 }));
 
-// Mock audit
+// Mock audit + settings (no work calendar stored → nothing is quiet time)
 jest.mock('../src/db', () => ({
   audit: {
     log: jest.fn().mockResolvedValue(null),
   },
+  settings: {
+    get: jest.fn().mockResolvedValue(undefined),
+  },
 }));
 
 // Mock feishu client
 jest.mock('../src/feishu/client', () => ({
   sendMessage: jest.fn().mockResolvedValue({}),
+  sendCardMessage: jest.fn().mockResolvedValue({}),
 }));
 
+// Mock the outbox as if every queued message were delivered at once, so the tests can
+// assert on what reaches Feishu
+jest.mock('../src/services/outbox', () => {
+  const client = require('../src/feishu/client');
+  return {
+    enqueue: jest.fn(({ receiveId, content }) => (typeof content === 'string'
+      ? client.sendMessage(receiveId, content, 'open_id')
+      : client.sendCardMessage(receiveId, content, 'open_id'))),
+    deliverSoon: jest.fn(),
+  };
+});
+
 const reminderService = require('../src/services/reminder');
 const feishu = require('../src/feishu/client');
-const { audit } = require('../src/db');
+const { audit, settings } = require('../src/db');
+
+/** Recipients of the task cards sent (assignment, reminder and overdue DMs) */
+const cardRecipients = () => feishu.sendCardMessage.mock.calls.map(c => c[0]);
+/** Header and text of the card sent to openId */
+function cardText(openId) {
+  const call = feishu.sendCardMessage.mock.calls.find(c => c[0] === openId);
+  return call && `${call[1].header.title.content}\n${call[1].elements[0].text.content}`;
+}
 
 describe('Reminder Service', () => {
   beforeEach(() => {
@@ -74,12 +98,13 @@ describe('Reminder Service', () => {
   });
 
   describe('getAllPendingTasks', () => {
-    it('should return only pending tasks', async () => {
+    it('should return only open tasks', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [{ id: 1, status: 'pending' }] });
       const tasks = await reminderService.getAllPendingTasks();
       expect(tasks).toHaveLength(1);
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining("status = 'pending'")
+        expect.stringContaining('status = ANY($1)'),
+        [reminderService.OPEN_STATUSES]
       );
     });
   });
@@ -90,14 +115,14 @@ describe('Reminder Service', () => {
       await reminderService.getUserPendingTasks('user_123', 'ou_456');
       expect(mockQuery).toHaveBeenCalledWith(
         expect.stringContaining('assignee_id'),
-        ['user_123', 'ou_456']
+        ['user_123', 'ou_456', reminderService.OPEN_STATUSES]
       );
     });
 
     it('should handle null feishu_user_id', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [] });
       await reminderService.getUserPendingTasks(null, 'ou_456');
-      expect(mockQuery).toHaveBeenCalledWith(expect.any(String), [null, 'ou_456']);
+      expect(mockQuery).toHaveBeenCalledWith(expect.any(String), [null, 'ou_456', reminderService.OPEN_STATUSES]);
     });
   });
 
@@ -147,7 +172,8 @@ describe('Reminder Service', () => {
         assigneeId: 'user_123',
         assigneeOpenId: 'ou_123',
       });
-      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_123', expect.any(String), 'open_id');
+      expect(feishu.sendCardMessage).toHaveBeenCalledWith('ou_123', expect.any(Object), 'open_id');
+      expect(cardText('ou_123')).toContain('新的催办任务');
     });
 
     it('should use default deadline when none provided', async () => {
@@ -165,16 +191,70 @@ describe('Reminder Service', () => {
       ).rejects.toThrow('Invalid deadline date');
     });
 
-    it('should accept YYYY-MM-DD deadline format', async () => {
+    it('should insert task_assignees rows for co-assignees and DM each of them', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Test', completion_mode: 'any' }] });
+      const task = await reminderService.createTask({
+        title: 'Test',
+        assigneeId: 'on_a', assigneeOpenId: 'ou_a', assigneeName: 'A',
+        coAssignees: [
+          { assigneeId: 'on_b', assigneeOpenId: 'ou_b', assigneeName: 'B' },
+          { assigneeId: 'on_a', assigneeOpenId: 'ou_a' }, // duplicate of the primary
+        ],
+        completionMode: 'any',
+      });
+
+      const params = mockQuery.mock.calls[0][1];
+      expect(mockQuery.mock.calls[0][0]).toContain('INSERT INTO task_assignees');
+      expect(params[11]).toBe('any');
+      expect(params[12]).toEqual(['on_a', 'on_b']);
+      expect(params[13]).toEqual(['ou_a', 'ou_b']);
+      expect(task.assignee_count).toBe(2);
+      expect(cardRecipients()).toEqual(['ou_a', 'ou_b']);
+      expect(cardText('ou_a')).toContain('任一人完成即可');
+    });
+
+    it('should insert checklist items in order', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Month end' }] });
+      const task = await reminderService.createTask({
+        title: 'Month end', assigneeId: 'on_a', assigneeOpenId: 'ou_a',
+        checklist: ['导出报表', { title: '核对差异', required: false }],
+      });
+
+      const params = mockQuery.mock.calls[0][1];
+      expect(params[14]).toEqual(['导出报表', '核对差异']);
+      expect(params[15]).toEqual([true, false]);
+      expect(task.checklist_total).toBe(2);
+      expect(cardText('ou_a')).toContain('2. 核对差异（可选）');
+    });
+
+    it('should reject an invalid checklist without touching the DB', async () => {
+      await expect(
+        reminderService.createTask({ title: 'Test', assigneeId: 'on_a', checklist: ['ok', '  '] })
+      ).rejects.toThrow('清单项标题不能为空');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should accept YYYY-MM-DD deadline format as midnight in the default timezone', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Test' }] });
       await reminderService.createTask({ title: 'Test', assigneeId: 'user_123', deadline: '2026-06-15' });
 
       const insertCall = mockQuery.mock.calls[0];
       const deadlineArg = insertCall[1][4];
       expect(deadlineArg).toBeInstanceOf(Date);
-      expect(deadlineArg.getFullYear()).toBe(2026);
-      expect(deadlineArg.getMonth()).toBe(5); // June = 5
-      expect(deadlineArg.getDate()).toBe(15);
+      expect(deadlineArg.toISOString()).toBe('2026-06-14T16:00:00.000Z'); // 00:00 Asia/Shanghai
+    });
+
+    it('should read a deadline time in the given timezone and DM it in the assignee\'s', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Test', deadline: null }] })
+        .mockResolvedValueOnce({ rows: [{ open_id: 'ou_x', timezone: 'Asia/Shanghai' }] }); // recipient timezones
+      await reminderService.createTask({
+        title: 'Test', assigneeId: 'user_123', assigneeOpenId: 'ou_x',
+        deadline: '2026-06-15 18:00', timezone: 'America/Toronto',
+      });
+
+      expect(mockQuery.mock.calls[0][1][4].toISOString()).toBe('2026-06-15T22:00:00.000Z');
+      expect(cardText('ou_x')).toContain('截止：6月16日 06:00');
     });
   });
 
@@ -186,11 +266,21 @@ describe('Reminder Service', () => {
       const task = await reminderService.completeTask(1, 'proof-url', 'user_123');
       expect(task).toEqual(mockTask);
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining("status = 'completed'"),
-        [1, 'proof-url']
+        expect.stringContaining("ELSE 'completed' END"),
+        [1, 'proof-url', reminderService.OPEN_STATUSES, false]
       );
     });
 
+    it('should guard on required checklist items unless forced', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Test' }] });
+      await reminderService.completeTask(1, '', 'user_123', null, { force: true });
+      expect(mockQuery.mock.calls[0][0]).toContain('task_checklist_items');
+      expect(mockQuery.mock.calls[0][1][3]).toBe(true);
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'complete_task', details: { proof: '', force: true },
+      }));
+    });
+
     it('should return null when task not found', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [] });
       const result = await reminderService.completeTask(999);
@@ -216,6 +306,570 @@ describe('Reminder Service', () => {
       await reminderService.completeTask(1);
       expect(feishu.sendMessage).not.toHaveBeenCalled();
     });
+
+    describe('per-assignee completion', () => {
+      const task = { id: 1, title: 'Team task', status: 'pending', reporter_open_id: 'ou_reporter' };
+
+      it('should record the share and report progress while others are pending', async () => {
+        mockQuery
+          .mockResolvedValueOnce({ rows: [{ assignee_open_id: 'ou_a', completion_mode: 'all' }] }) // UPDATE share
+          .mockResolvedValueOnce({ rows: [{ total: 3, done: 1 }] })                               // progress
+          .mockResolvedValueOnce({ rows: [task] });                                               // getTask
+
+        const result = await reminderService.completeTask(1, 'proof', 'user_a', 'A', { assigneeOpenId: 'ou_a' });
+        expect(result).toMatchObject({ status: 'pending', assignees_done: 1, assignee_count: 3 });
+        expect(mockQuery).toHaveBeenCalledTimes(3);
+        expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'complete_task_share' }));
+        expect(feishu.sendMessage).toHaveBeenCalledWith('ou_reporter', expect.stringContaining('1/3'), 'open_id');
+      });
+
+      it('should close the task when the last share completes', async () => {
+        mockQuery
+          .mockResolvedValueOnce({ rows: [{ assignee_open_id: 'ou_a', completion_mode: 'all' }] })
+          .mockResolvedValueOnce({ rows: [{ total: 2, done: 2 }] })
+          .mockResolvedValueOnce({ rows: [{ ...task, status: 'completed' }] }); // close task
+
+        const result = await reminderService.completeTask(1, '', 'user_a', 'A', { assigneeOpenId: 'ou_a' });
+        expect(result).toMatchObject({ status: 'completed', assignees_done: 2, assignee_count: 2 });
+        expect(mockQuery.mock.calls[2][0]).toContain('UPDATE tasks');
+        expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'complete_task' }));
+      });
+
+      it('should close the task on the first share in any mode', async () => {
+        mockQuery
+          .mockResolvedValueOnce({ rows: [{ assignee_open_id: 'ou_a', completion_mode: 'any' }] })
+          .mockResolvedValueOnce({ rows: [{ total: 3, done: 1 }] })
+          .mockResolvedValueOnce({ rows: [{ ...task, status: 'completed' }] });
+
+        const result = await reminderService.completeTask(1, '', 'user_a', 'A', { assigneeOpenId: 'ou_a' });
+        expect(result.status).toBe('completed');
+        expect(feishu.sendMessage.mock.calls[0][1]).toContain('1/3 位执行人已完成');
+      });
+
+      it('should return null when the assignee has no pending share', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [] });
+        const result = await reminderService.completeTask(1, '', 'user_x', null, { assigneeOpenId: 'ou_x' });
+        expect(result).toBeNull();
+        expect(mockQuery).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('checklists', () => {
+    it('should list open required items as the completion blocker', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ position: 2, title: '核对差异' }] });
+      expect(await reminderService.completionBlocker(1)).toContain('还有 1 项必做清单未完成');
+
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      expect(await reminderService.completionBlocker(1)).toBeNull();
+    });
+
+    it('should tick an item and report progress', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ task_id: 1, position: 2, title: '核对差异', required: true }] })
+        .mockResolvedValueOnce({ rows: [{ total: 3, done: 2, required_left: 1 }] });
+
+      const result = await reminderService.setChecklistItem(1, 2, true, { userId: 'on_a' });
+      expect(result).toMatchObject({ done: 2, total: 3, requiredLeft: 1 });
+      expect(mockQuery.mock.calls[0][1]).toEqual([1, 2, true, 'on_a', reminderService.OPEN_STATUSES]);
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'check_item' }));
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should tell the reporter once the last required item is ticked', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ task_id: 1, position: 3, title: '归档', required: true }] })
+        .mockResolvedValueOnce({ rows: [{ total: 3, done: 3, required_left: 0 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Month end', reporter_open_id: 'ou_reporter' }] });
+
+      await reminderService.setChecklistItem(1, 3, true);
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_reporter', expect.stringContaining('3/3'), 'open_id');
+    });
+
+    it('should return null for a closed task or unknown item', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      expect(await reminderService.setChecklistItem(1, 9, true)).toBeNull();
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('dependencies', () => {
+    it('should hold back the assignee DM while a dependency is open', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 5, title: 'Reconcile', waiting_on_dependencies: true }] }) // INSERT
+        .mockResolvedValueOnce({ rows: [] });                                                          // re-check
+
+      const task = await reminderService.createTask({
+        title: 'Reconcile', assigneeId: 'user_b', assigneeOpenId: 'ou_b', deadline: '2026-03-31', dependsOn: [3, 3],
+      });
+      expect(mockQuery.mock.calls[0][0]).toContain('INSERT INTO task_dependencies');
+      expect(mockQuery.mock.calls[0][1][16]).toEqual([3]);
+      expect(mockQuery.mock.calls[1][1][0]).toEqual([5]);
+      expect(task.waiting_on_dependencies).toBe(true);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should reject self links, unknown tasks and cycles', async () => {
+      expect(await reminderService.dependencyProblem(5, [5])).toBe('任务不能依赖自己');
+
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 3 }] });
+      expect(await reminderService.dependencyProblem(5, [3, 9])).toContain('#9');
+
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })              // existence
+        .mockResolvedValueOnce({ rows: [{ path: [5, 3, 4, 5] }] }); // cycle search
+      expect(await reminderService.dependencyProblem(5, [3])).toContain('#5 → #3 → #4 → #5');
+
+      expect(await reminderService.dependencyProblem(null, ['x'])).toContain('dependsOn');
+    });
+
+    it('should release dependents when a task completes', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 3, title: 'Upload', reporter_open_id: null, dependent_ids: [5] }] })
+        .mockResolvedValueOnce({ rows: [{
+          id: 5, title: 'Reconcile', priority: 'p1', deadline: null, pending_assignee_open_ids: ['ou_b'],
+        }] });
+
+      const task = await reminderService.completeTask(3, '', 'user_a');
+      expect(task).not.toHaveProperty('dependent_ids');
+      expect(mockQuery.mock.calls[1][0]).toContain('waiting_on_dependencies = FALSE');
+      expect(mockQuery.mock.calls[1][1][0]).toEqual([5]);
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_b', expect.stringContaining('可以开始了'), 'open_id');
+    });
+
+    it('should release dependents of a cancelled task', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{
+          id: 3, title: 'Upload', status: 'cancelled', previous_status: 'pending', dependent_ids: [5, 6],
+        }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await reminderService.transitionTask(3, 'cancelled');
+      expect(mockQuery.mock.calls[1][1][0]).toEqual([5, 6]);
+    });
+
+    it('should put an open task on hold and tell its assignees what they wait for', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})                                  // BEGIN
+        .mockResolvedValueOnce({})                                  // advisory lock
+        .mockResolvedValueOnce({ rows: [] })                        // cycle search
+        .mockResolvedValueOnce({})                                  // INSERT links
+        .mockResolvedValueOnce({ rows: [{
+          id: 5, title: 'Reconcile', priority: 'p1', pending_assignee_open_ids: ['ou_b'],
+          waiting_on: [{ id: 3, title: 'Upload' }],
+        }] })                                                       // UPDATE on hold
+        .mockResolvedValueOnce({});                                 // COMMIT
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 3, title: 'Upload', status: 'pending', depth: 1 }] }) // chain
+        .mockResolvedValueOnce({ rows: [] })                                                       // blocks
+        .mockResolvedValueOnce({ rows: [{ id: 5, waiting_on_dependencies: true }] });              // getTask
+
+      const result = await reminderService.addDependencies(5, [3], { userId: 'user_a' });
+      expect(result).toMatchObject({ waiting: true, chain: [{ id: 3 }] });
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_b', expect.stringContaining('#3「Upload」'), 'open_id');
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'add_dependency' }));
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should roll back when a concurrent edit closed a cycle', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})                                  // BEGIN
+        .mockResolvedValueOnce({})                                  // advisory lock
+        .mockResolvedValueOnce({ rows: [{ path: [5, 3, 5] }] })     // cycle search
+        .mockResolvedValueOnce({});                                 // ROLLBACK
+
+      await expect(reminderService.addDependencies(5, [3])).rejects.toThrow('循环依赖');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it('should release the task when its last open dependency link is removed', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ task_id: 5, depends_on_id: 3 }] })  // DELETE link
+        .mockResolvedValueOnce({ rows: [{ id: 5, title: 'Reconcile', pending_assignee_open_ids: ['ou_b'] }] });
+
+      expect(await reminderService.removeDependency(5, 3)).toEqual({ released: true });
+      expect(feishu.sendMessage).toHaveBeenCalledTimes(1);
+
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      expect(await reminderService.removeDependency(5, 4)).toBeNull();
+    });
+  });
+
+  describe('approval', () => {
+    const submitted = {
+      id: 7, title: 'Bank recon', priority: 'p1', status: 'awaiting_review',
+      reporter_open_id: 'ou_reporter', assignee_open_id: 'ou_a', dependent_ids: [8],
+    };
+
+    it('should submit a task that requires approval for review instead of closing it', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [submitted] });
+
+      const task = await reminderService.completeTask(7, 'https://proof', 'user_a', 'A');
+      expect(task.status).toBe('awaiting_review');
+      expect(mockQuery).toHaveBeenCalledTimes(1); // dependents stay on hold
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'submit_task' }));
+      const [openId, msg] = feishu.sendMessage.mock.calls[0];
+      expect(openId).toBe('ou_reporter');
+      expect(msg).toContain('待你验收');
+      expect(msg).toContain('通过 #7');
+    });
+
+    it('should complete on approval and release dependents', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...submitted, status: 'completed' }] })              // UPDATE
+        .mockResolvedValueOnce({ rows: [{ assignee_open_id: 'ou_a' }] })                         // assignees
+        .mockResolvedValueOnce({ rows: [] });                                                    // release
+
+      const task = await reminderService.reviewTask(7, 'approve', { userId: 'user_r' });
+      expect(task.status).toBe('completed');
+      expect(mockQuery.mock.calls[0][1]).toEqual([7, 'completed', null]);
+      expect(mockQuery.mock.calls[2][1][0]).toEqual([8]);
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_a', expect.stringContaining('通过验收'), 'open_id');
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'approve_task' }));
+    });
+
+    it('should send a rejected task back to every assignee with the comment', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...submitted, status: 'in_progress' }] })               // UPDATE
+        .mockResolvedValueOnce({ rows: [] })                                                      // reset shares
+        .mockResolvedValueOnce({ rows: [{ assignee_open_id: 'ou_a' }, { assignee_open_id: 'ou_b' }] });
+
+      const task = await reminderService.reviewTask(7, 'reject', { userId: 'user_r', comment: '缺少回单' });
+      expect(task.status).toBe('in_progress');
+      expect(mockQuery.mock.calls[0][0]).toContain('last_reminded_at = NOW()');
+      expect(mockQuery.mock.calls[1][0]).toContain("UPDATE task_assignees SET status = 'pending'");
+      expect(feishu.sendMessage).toHaveBeenCalledTimes(2);
+      expect(feishu.sendMessage.mock.calls[1][1]).toContain('缺少回单');
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'reject_task' }));
+    });
+
+    it('should require a comment to reject and return null when not awaiting review', async () => {
+      await expect(reminderService.reviewTask(7, 'reject', { comment: ' ' })).rejects.toThrow('原因');
+      await expect(reminderService.reviewTask(7, 'maybe')).rejects.toThrow();
+      expect(mockQuery).not.toHaveBeenCalled();
+
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      expect(await reminderService.reviewTask(7, 'approve')).toBeNull();
+    });
+  });
+
+  describe('canTransition', () => {
+    it('should follow the lifecycle table', () => {
+      expect(reminderService.canTransition('pending', 'in_progress')).toBe(true);
+      expect(reminderService.canTransition('blocked', 'in_progress')).toBe(true);
+      expect(reminderService.canTransition('completed', 'pending')).toBe(true);
+      expect(reminderService.canTransition('cancelled', 'blocked')).toBe(false);
+      expect(reminderService.canTransition('completed', 'cancelled')).toBe(false);
+      expect(reminderService.canTransition('pending', 'pending')).toBe(false);
+    });
+
+    it('should attribute cancel and reopen to the reporter', () => {
+      expect(reminderService.transitionActorRole('pending', 'cancelled')).toBe('reporter');
+      expect(reminderService.transitionActorRole('completed', 'pending')).toBe('reporter');
+      expect(reminderService.transitionActorRole('pending', 'blocked')).toBe('assignee');
+    });
+  });
+
+  describe('transitionTask', () => {
+    it('should reject invalid target statuses', async () => {
+      await expect(reminderService.transitionTask(1, 'completed')).rejects.toThrow();
+      await expect(reminderService.transitionTask(1, 'done')).rejects.toThrow();
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should only update from allowed source statuses', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      const result = await reminderService.transitionTask(1, 'blocked', { reason: '等接口' });
+      expect(result).toBeNull();
+      const [sql, params] = mockQuery.mock.calls[0];
+      expect(sql).toContain('FOR UPDATE');
+      expect(params).toEqual([1, 'blocked', '等接口', ['pending', 'in_progress']]);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should notify reporter and audit when blocked', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{
+        id: 1, title: 'Test', status: 'blocked', previous_status: 'in_progress',
+        blocked_reason: '等接口', reporter_open_id: 'ou_reporter', assignee_open_id: 'ou_a',
+      }] });
+      await reminderService.transitionTask(1, 'blocked', { userId: 'user_1', reason: '等接口' });
+      expect(feishu.sendMessage).toHaveBeenCalledWith(
+        'ou_reporter', expect.stringContaining('等接口'), 'open_id'
+      );
+      expect(audit.log).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'block_task', targetId: '1' })
+      );
+    });
+
+    it('should notify assignee when cancelled or reopened', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{
+          id: 1, title: 'Test', status: 'cancelled', previous_status: 'pending',
+          reporter_open_id: 'ou_reporter', assignee_open_id: 'ou_a',
+        }] })
+        .mockResolvedValueOnce({ rows: [{
+          id: 1, title: 'Test', status: 'pending', previous_status: 'cancelled',
+          reporter_open_id: 'ou_reporter', assignee_open_id: 'ou_a',
+        }] });
+      await reminderService.transitionTask(1, 'cancelled');
+      await reminderService.transitionTask(1, 'pending', { userId: 'user_1' });
+      expect(feishu.sendMessage).toHaveBeenNthCalledWith(1, 'ou_a', expect.stringContaining('取消'), 'open_id');
+      expect(feishu.sendMessage).toHaveBeenNthCalledWith(2, 'ou_a', expect.stringContaining('重新打开'), 'open_id');
+      expect(audit.log).toHaveBeenLastCalledWith(expect.objectContaining({ action: 'reopen_task' }));
+    });
+
+    it('should reset the assignee shares and escalation steps in the reopening statement itself', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{
+        id: 1, title: 'Test', status: 'pending', previous_status: 'completed', assignee_open_id: 'ou_a',
+      }] });
+      await reminderService.transitionTask(1, 'pending');
+
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+      const [sql] = mockQuery.mock.calls[0];
+      expect(sql).toMatch(/reset_shares AS \(\s*UPDATE task_assignees/);
+      expect(sql).toMatch(/clear_escalations AS \(\s*DELETE FROM task_escalations/);
+      expect(sql).toContain("prev.status IN ('completed', 'cancelled')");
+    });
+
+    it('should notify every co-assignee but the actor when cancelled or reopened', async () => {
+      const shared = { id: 1, title: 'Test', reporter_open_id: 'ou_reporter', assignee_open_id: 'ou_a',
+        assignee_open_ids: ['ou_a', 'ou_b', 'ou_c'] };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...shared, status: 'cancelled', previous_status: 'pending' }] })
+        .mockResolvedValueOnce({ rows: [{ ...shared, status: 'pending', previous_status: 'cancelled' }] });
+      await reminderService.transitionTask(1, 'cancelled', { actorOpenId: 'ou_reporter' });
+      await reminderService.transitionTask(1, 'pending', { actorOpenId: 'ou_c' });
+
+      expect(mockQuery.mock.calls[0][0]).toContain('AS assignee_open_ids');
+      expect(feishu.sendMessage.mock.calls.map(c => [c[0], c[1].slice(0, 12)])).toEqual([
+        ['ou_a', expect.stringContaining('取消')],
+        ['ou_b', expect.stringContaining('取消')],
+        ['ou_c', expect.stringContaining('取消')],
+        ['ou_a', expect.stringContaining('重新打开')],
+        ['ou_b', expect.stringContaining('重新打开')],
+      ]);
+    });
+  });
+
+  describe('validateTaskUpdates', () => {
+    it('should accept a partial update', () => {
+      expect(reminderService.validateTaskUpdates({ deadline: '2026-03-05' })).toBeNull();
+      expect(reminderService.validateTaskUpdates({ note: '', estimatedHours: null })).toBeNull();
+    });
+
+    it('should reject empty or invalid updates', () => {
+      expect(reminderService.validateTaskUpdates({})).toMatch('没有可更新的字段');
+      expect(reminderService.validateTaskUpdates({ title: '  ' })).toMatch('不能为空');
+      expect(reminderService.validateTaskUpdates({ priority: 'p9' })).toMatch('优先级');
+      expect(reminderService.validateTaskUpdates({ deadline: 'not-a-date' })).toMatch('截止日期');
+      expect(reminderService.validateTaskUpdates({ reminderIntervalHours: 'abc' })).toMatch('提醒间隔');
+    });
+  });
+
+  describe('updateTask', () => {
+    const existing = {
+      id: 1, title: 'Old', status: 'pending', priority: 'p1', note: null,
+      deadline: new Date('2026-03-01T00:00:00+08:00'), reminder_interval_hours: 24,
+      estimated_hours: null, assignee_open_id: 'ou_a',
+    };
+
+    it('should return null when task not found', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})              // BEGIN
+        .mockResolvedValueOnce({ rows: [] })    // SELECT FOR UPDATE
+        .mockResolvedValueOnce({});             // ROLLBACK
+      const result = await reminderService.updateTask(99, { title: 'New' });
+      expect(result).toBeNull();
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should skip the UPDATE when nothing changed', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({});
+      const result = await reminderService.updateTask(1, { title: 'Old', priority: 'p1' });
+      expect(result.changes).toEqual({});
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE tasks'), expect.anything());
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should reset deadline_notified_at and DM the assignee when deadline moves later', async () => {
+      const updated = { ...existing, deadline: new Date('2026-03-05T00:00:00+08:00') };
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({ rows: [updated] })  // UPDATE
+        .mockResolvedValueOnce({})                   // DELETE escalations
+        .mockResolvedValueOnce({});                  // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getTaskAssignees
+      const result = await reminderService.updateTask(
+        1, { deadline: '2026-03-05' }, { userId: 'user_1', actorName: 'Boss' }
+      );
+
+      expect(Object.keys(result.changes)).toEqual(['deadline']);
+      const [sql, params] = mockClient.query.mock.calls[2];
+      expect(sql).toContain('deadline = $2');
+      expect(sql).toContain('deadline_notified_at = NULL');
+      expect(params[0]).toBe(1);
+      expect(mockClient.query.mock.calls[3]).toEqual(['DELETE FROM task_escalations WHERE task_id = $1', [1]]);
+      expect(feishu.sendMessage).toHaveBeenCalledWith(
+        'ou_a', expect.stringMatching(/截止：3月1日 → 3月5日/), 'open_id'
+      );
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'update_task' }));
+    });
+
+    it('should not reset deadline_notified_at when deadline moves earlier', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({});
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      await reminderService.updateTask(1, { deadline: '2026-02-20' });
+      expect(mockClient.query.mock.calls[2][0]).not.toContain('deadline_notified_at');
+      // An earlier deadline still restarts escalation: the fired steps were for the old one
+      expect(mockClient.query.mock.calls[3][0]).toBe('DELETE FROM task_escalations WHERE task_id = $1');
+    });
+
+    it('should not DM for estimated hours only, or when the assignee edits', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({ rows: [{ ...existing, estimated_hours: '2.00' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({ rows: [{ ...existing, priority: 'p0' }] })
+        .mockResolvedValueOnce({});
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      await reminderService.updateTask(1, { estimatedHours: 2 });
+      await reminderService.updateTask(1, { priority: 'p0' }, { actorOpenId: 'ou_a' });
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('task_escalations'), expect.anything());
+    });
+
+    it('should DM every co-assignee except the one who edited', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({ rows: [{ ...existing, title: 'New' }] })
+        .mockResolvedValueOnce({});
+      mockQuery.mockResolvedValueOnce({ rows: [
+        { assignee_open_id: 'ou_a' }, { assignee_open_id: 'ou_b' }, { assignee_open_id: 'ou_c' },
+      ] });
+      await reminderService.updateTask(1, { title: 'New' }, { actorOpenId: 'ou_b' });
+
+      expect(feishu.sendMessage.mock.calls.map(c => c[0])).toEqual(['ou_a', 'ou_c']);
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_c', expect.stringContaining('标题：Old → New'), 'open_id');
+    });
+
+    it('should throw on invalid fields without touching the DB', async () => {
+      await expect(reminderService.updateTask(1, { priority: 'urgent' })).rejects.toThrow('优先级');
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reassignTask', () => {
+    const open = {
+      id: 1, title: 'Test', status: 'pending', priority: 'p1', deadline: null,
+      assignee_open_id: 'ou_old', reporter_open_id: 'ou_reporter', reminder_interval_hours: 24,
+    };
+    const newUser = { open_id: 'ou_new', feishu_user_id: 'on_new', name: 'New' };
+
+    it('should return null for closed tasks', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...open, status: 'cancelled' }] });
+      const result = await reminderService.reassignTask(1, { assignee: newUser });
+      expect(result).toBeNull();
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject reassigning to the current assignee', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [open] })
+        .mockResolvedValueOnce({ rows: [] });
+      await expect(
+        reminderService.reassignTask(1, { assignee: { open_id: 'ou_old' } })
+      ).rejects.toThrow('相同');
+    });
+
+    it('should update the assignee and DM old assignee, new assignee and reporter', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [open] })                                           // getTask
+        .mockResolvedValueOnce({ rows: [{ assignee_id: 'on_old', assignee_open_id: 'ou_old' }] }) // getTaskAssignees
+        .mockResolvedValueOnce({ rows: [{ ...open, assignee_open_id: 'ou_new' }] })        // UPDATE
+        .mockResolvedValueOnce({ rows: [{ open_id: 'ou_old', name: 'Old' }] });           // findByOpenId(old)
+      const result = await reminderService.reassignTask(
+        1, { assignee: newUser }, { userId: 'user_1', reason: '休假' }
+      );
+
+      expect(result.previousOpenId).toBe('ou_old');
+      expect(mockQuery.mock.calls[2][1]).toEqual(
+        [1, 'on_new', 'ou_new', null, reminderService.OPEN_STATUSES, 'ou_old']
+      );
+      const recipients = feishu.sendMessage.mock.calls.map(c => c[0]);
+      expect(recipients).toEqual(['ou_old', 'ou_new', 'ou_reporter']);
+      expect(feishu.sendMessage.mock.calls[1][1]).toContain('原执行人：Old');
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'reassign_task' }));
+    });
+
+    it('should replace a co-assignee and refuse someone already on the task', async () => {
+      const assignees = [
+        { assignee_id: 'on_old', assignee_open_id: 'ou_old' },
+        { assignee_id: 'on_co', assignee_open_id: 'ou_co' },
+      ];
+      mockQuery
+        .mockResolvedValueOnce({ rows: [open] })
+        .mockResolvedValueOnce({ rows: assignees });
+      await expect(
+        reminderService.reassignTask(1, { assignee: { open_id: 'ou_co' } })
+      ).rejects.toThrow('已是此任务的执行人');
+
+      mockQuery
+        .mockResolvedValueOnce({ rows: [open] })
+        .mockResolvedValueOnce({ rows: assignees })
+        .mockResolvedValueOnce({ rows: [open] })                        // UPDATE (primary unchanged)
+        .mockResolvedValueOnce({ rows: [{ open_id: 'ou_co', name: 'Co' }] });
+      const result = await reminderService.reassignTask(1, { assignee: newUser, fromOpenId: 'ou_co' });
+      expect(result.previousOpenId).toBe('ou_co');
+      expect(mockQuery.mock.calls[4][1][5]).toBe('ou_co');
+    });
+  });
+
+  describe('planRebalance', () => {
+    it('should move tasks from the heaviest to the lightest member', () => {
+      const { moves, scores } = reminderService.planRebalance(
+        { ou_a: 6, ou_b: 0 },
+        [
+          { id: 1, assignee_open_id: 'ou_a', estimated_hours: 3 },
+          { id: 2, assignee_open_id: 'ou_a', estimated_hours: 2 },
+          { id: 3, assignee_open_id: 'ou_a', estimated_hours: 1 },
+        ]
+      );
+      expect(moves).toEqual([{ taskId: 1, from: 'ou_a', to: 'ou_b', hours: 3 }]);
+      expect(scores).toEqual({ ou_a: 3, ou_b: 3 });
+    });
+
+    it('should not move a task that would only flip the imbalance', () => {
+      const { moves } = reminderService.planRebalance(
+        { ou_a: 4, ou_b: 0 },
+        [{ id: 1, assignee_open_id: 'ou_a', estimated_hours: 4 }]
+      );
+      expect(moves).toEqual([]);
+    });
+
+    it('should count tasks without an estimate as 1 hour', () => {
+      const { moves, scores } = reminderService.planRebalance(
+        { ou_a: 3, ou_b: 0, ou_c: 0 },
+        [
+          { id: 1, assignee_open_id: 'ou_a', estimated_hours: null },
+          { id: 2, assignee_open_id: 'ou_a', estimated_hours: null },
+          { id: 3, assignee_open_id: 'ou_a', estimated_hours: null },
+        ]
+      );
+      expect(moves).toHaveLength(2);
+      expect(scores).toEqual({ ou_a: 1, ou_b: 1, ou_c: 1 });
+    });
   });
 
   describe('deleteTask', () => {
@@ -240,6 +894,161 @@ describe('Reminder Service', () => {
     });
   });
 
+  describe('comments & timeline', () => {
+    it('should add a comment and notify every other participant', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 3, task_id: 7, body: '数据晚点到', source: 'feishu' }] })  // INSERT
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Bank recon', assignee_open_id: 'ou_a', reporter_open_id: 'ou_r' }] })
+        .mockResolvedValueOnce({ rows: [{ assignee_open_id: 'ou_a' }, { assignee_open_id: 'ou_b' }] });
+
+      const comment = await reminderService.addComment(7, '  数据晚点到 ', {
+        authorId: 'on_a', authorOpenId: 'ou_a', authorName: 'A', source: 'feishu',
+      });
+      expect(comment.id).toBe(3);
+      expect(mockQuery.mock.calls[0][1]).toEqual([7, 'on_a', 'ou_a', 'A', '数据晚点到', 'feishu']);
+      const recipients = feishu.sendMessage.mock.calls.map(c => c[0]).sort();
+      expect(recipients).toEqual(['ou_b', 'ou_r']); // not the author
+      expect(feishu.sendMessage.mock.calls[0][1]).toContain('A：数据晚点到');
+    });
+
+    it('should reject empty comments and return null for a missing task', async () => {
+      await expect(reminderService.addComment(7, '   ')).rejects.toThrow('评论内容不能为空');
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      expect(await reminderService.addComment(99, 'hi')).toBeNull();
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should merge comments, reminders and audit events oldest first', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1, created_at: '2026-03-02T00:00:00Z', author_name: 'A', body: 'hi', source: 'web' }] })
+        .mockResolvedValueOnce({ rows: [{ sent_at: '2026-03-03T00:00:00Z', kind: 'reminder', recipient_open_id: 'ou_a' }] })
+        .mockResolvedValueOnce({ rows: [{ created_at: '2026-03-01T00:00:00Z', action: 'create_task', user_id: 'on_r', details: {} }] });
+
+      const { comments, timeline } = await reminderService.getTaskTimeline(7);
+      expect(comments).toHaveLength(1);
+      expect(timeline.map(e => e.type)).toEqual(['event', 'comment', 'message']);
+      expect(timeline[2]).toEqual(expect.objectContaining({ kind: 'reminder', recipientOpenId: 'ou_a' }));
+      expect(mockQuery.mock.calls[2][1]).toEqual(['7']);
+    });
+
+    it('should map a replied-to DM back to its task', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ task_id: 7 }] });
+      expect(await reminderService.findTaskByMessage('om_1')).toBe(7);
+      expect(await reminderService.findTaskByMessage(null)).toBeNull();
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('snooze & deadline extensions', () => {
+    const now = new Date('2026-03-10T12:00:00Z'); // 20:00 China time
+    const open = {
+      id: 7, title: 'Bank recon', priority: 'p1', status: 'in_progress', reminder_interval_hours: 24,
+      deadline: '2026-03-12T00:00:00Z', reporter_open_id: 'ou_r', assignee_open_id: 'ou_a',
+      created_at: '2026-03-01T00:00:00Z', last_reminded_at: '2026-03-10T00:00:00Z',
+    };
+
+    it('should parse snooze durations and 明天 as 09:00 China time', () => {
+      expect(reminderService.parseSnooze('4h', now).toISOString()).toBe('2026-03-10T16:00:00.000Z');
+      expect(reminderService.parseSnooze('半小时', now).toISOString()).toBe('2026-03-10T12:30:00.000Z');
+      expect(reminderService.parseSnooze('2天', now).toISOString()).toBe('2026-03-12T12:00:00.000Z');
+      expect(reminderService.parseSnooze('明天', now).toISOString()).toBe('2026-03-11T01:00:00.000Z');
+      expect(reminderService.parseSnooze('下辈子', now)).toBeNull();
+      expect(reminderService.parseSnooze('0h', now)).toBeNull();
+    });
+
+    it('should only snooze remindable tasks, within the limit', () => {
+      const later = new Date(now.getTime() + 3600000);
+      expect(reminderService.validateSnooze(open, later, now)).toBeNull();
+      expect(reminderService.validateSnooze({ ...open, status: 'blocked' }, later, now)).toContain('阻塞');
+      expect(reminderService.validateSnooze({ ...open, reminder_interval_hours: 0 }, later, now)).toContain('没有开启');
+      expect(reminderService.validateSnooze(open, new Date('2026-03-30T00:00:00Z'), now)).toContain('最多推迟');
+      expect(reminderService.validateSnooze(open, null, now)).toContain('无法识别');
+    });
+
+    it('should move last_reminded_at so the next reminder lands at the snooze time', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...open, last_reminded_at: '2026-03-10T01:00:00Z' }] });
+      const until = new Date('2026-03-11T01:00:00Z');
+
+      const task = await reminderService.snoozeTask(7, until, { userId: 'on_a' });
+      expect(mockQuery.mock.calls[0][0]).toContain('GREATEST');
+      expect(mockQuery.mock.calls[0][1].slice(0, 2)).toEqual([7, until]);
+      expect(reminderService.nextReminderAt(task).toISOString()).toBe('2026-03-11T01:00:00.000Z');
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'snooze_task' }));
+    });
+
+    it('should validate extension requests against the current deadline', () => {
+      expect(reminderService.validateExtensionRequest(open, '2026-03-20', now)).toBeNull();
+      expect(reminderService.validateExtensionRequest(open, '2026-03-11', now)).toContain('晚于当前截止');
+      expect(reminderService.validateExtensionRequest(open, 'soon', now)).toContain('无效');
+      expect(reminderService.validateExtensionRequest({ ...open, reporter_open_id: null }, '2026-03-20', now)).toContain('没有报告人');
+      expect(reminderService.validateExtensionRequest({ ...open, status: 'completed' }, '2026-03-20', now)).toContain('已完成');
+    });
+
+    it('should ask the reporter and return null while a request is pending', async () => {
+      const future = { ...open, deadline: '2099-01-01T00:00:00Z' };
+      mockQuery
+        .mockResolvedValueOnce({ rows: [future] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, task_id: 7, requested_deadline: '2099-02-01T00:00:00Z', reason: '等回单' }] });
+
+      const request = await reminderService.requestDeadlineExtension(7, '2099-02-01', {
+        userId: 'on_a', requesterOpenId: 'ou_a', requesterName: 'A', reason: '等回单',
+      });
+      expect(request.id).toBe(1);
+      expect(mockQuery.mock.calls[1][0]).toContain('ON CONFLICT (task_id) WHERE status = \'pending\' DO NOTHING');
+      const [openId, msg] = feishu.sendMessage.mock.calls[0];
+      expect(openId).toBe('ou_r');
+      expect(msg).toContain('同意延期 #7');
+      expect(msg).toContain('等回单');
+
+      mockQuery
+        .mockResolvedValueOnce({ rows: [future] })
+        .mockResolvedValueOnce({ rows: [] });
+      expect(await reminderService.requestDeadlineExtension(7, '2099-02-01', { userId: 'on_a' })).toBeNull();
+    });
+
+    it('should move the deadline on approval and tell the assignees', async () => {
+      const request = { id: 1, requester_open_id: 'ou_a', current_deadline: open.deadline, requested_deadline: '2026-03-20T00:00:00Z' };
+      mockClient.query
+        .mockResolvedValueOnce({})                                                          // BEGIN
+        .mockResolvedValueOnce({ rows: [open] })                                            // SELECT … FOR UPDATE
+        .mockResolvedValueOnce({ rows: [request] })                                         // UPDATE request
+        .mockResolvedValueOnce({ rows: [{ ...open, deadline: request.requested_deadline }] }) // UPDATE tasks
+        .mockResolvedValueOnce({})                                                          // DELETE escalations
+        .mockResolvedValueOnce({});                                                         // COMMIT
+      mockQuery.mockResolvedValueOnce({ rows: [{ assignee_open_id: 'ou_a' }, { assignee_open_id: 'ou_b' }] });
+
+      const result = await reminderService.decideDeadlineExtension(7, 'approve', { userId: 'on_r' });
+      expect(result.task.deadline).toBe('2026-03-20T00:00:00Z');
+      expect(mockClient.query.mock.calls[3][0]).toContain('deadline_notified_at = NULL');
+      // Escalation starts over from the new deadline, in the same transaction
+      expect(mockClient.query.mock.calls[4]).toEqual(['DELETE FROM task_escalations WHERE task_id = $1', [7]]);
+      expect(mockClient.query.mock.calls[5][0]).toBe('COMMIT');
+      expect(feishu.sendMessage.mock.calls.map(c => c[0]).sort()).toEqual(['ou_a', 'ou_b']);
+      expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'approve_extension' }));
+    });
+
+    it('should leave the deadline alone when rejected and return null without a pending request', async () => {
+      const request = { id: 1, requester_open_id: 'ou_a', requested_deadline: '2026-03-20T00:00:00Z', decision_comment: '不行' };
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [open] })
+        .mockResolvedValueOnce({ rows: [request] })
+        .mockResolvedValueOnce({});
+      const result = await reminderService.decideDeadlineExtension(7, 'reject', { userId: 'on_r', comment: '不行' });
+      expect(result.task).toBe(open);
+      expect(mockClient.query).toHaveBeenCalledTimes(4);
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_a', expect.stringContaining('不行'), 'open_id');
+
+      mockClient.query.mockReset();
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [open] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+      expect(await reminderService.decideDeadlineExtension(7, 'approve')).toBeNull();
+    });
+  });
+
   describe('sendPendingReminders', () => {
     it('should return 0 when no tasks are due', async () => {
       // Part 1: BEGIN + SELECT overdue → empty
@@ -255,6 +1064,9 @@ describe('Reminder Service', () => {
       const count = await reminderService.sendPendingReminders();
       expect(count).toBe(0);
       expect(mockClient.release).toHaveBeenCalled();
+      // Tasks waiting on dependencies get neither the overdue alert nor interval reminders
+      expect(mockClient.query.mock.calls[1][0]).toContain('NOT waiting_on_dependencies');
+      expect(mockClient.query.mock.calls[4][0]).toContain('NOT waiting_on_dependencies');
     });
 
     it('should send overdue alerts and return count', async () => {
@@ -274,8 +1086,47 @@ describe('Reminder Service', () => {
 
       const count = await reminderService.sendPendingReminders();
       expect(count).toBe(1);
-      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_1', expect.stringContaining('逾期'), 'open_id');
+      expect(cardText('ou_1')).toContain('逾期');
       expect(feishu.sendMessage).toHaveBeenCalledWith('ou_r1', expect.stringContaining('逾期'), 'open_id');
+      expect(mockClient.query.mock.calls[2][1]).toEqual([1, ['ou_1', 'ou_r1'], true]);
+    });
+
+    it('should keep the overdue alert for a reporter in quiet hours until they are awake', async () => {
+      // ou_r1 is in personal quiet hours around now (UTC); the assignee is awake
+      const hour = new Date().getUTCHours();
+      const pad = h => `${String((h + 24) % 24).padStart(2, '0')}:00`;
+      mockQuery.mockImplementation((sql) => Promise.resolve({
+        rows: String(sql).includes('quiet_hours_start')
+          ? [{ open_id: 'ou_r1', timezone: 'UTC', quiet_hours_start: pad(hour - 1), quiet_hours_end: pad(hour + 2), reminder_mode: 'per_task' }]
+          : [],
+      }));
+      const task = { id: 1, title: 'Overdue 1', assignee_open_id: 'ou_1', reporter_open_id: 'ou_r1', deadline: new Date('2025-01-01'), reminder_interval_hours: 24 };
+      const runOverdue = rows => mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows }) // SELECT overdue
+        .mockResolvedValueOnce({}) // UPDATE deadline_alerted_open_ids
+        .mockResolvedValueOnce({}) // COMMIT
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // SELECT interval
+        .mockResolvedValueOnce({}); // COMMIT
+
+      runOverdue([task]);
+      await reminderService.sendPendingReminders();
+      expect(cardRecipients()).toEqual(['ou_1']);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+      // The assignee is marked; the task stays due for the reporter
+      expect(mockClient.query.mock.calls[2][0]).toContain('deadline_alerted_open_ids || $2::text[]');
+      expect(mockClient.query.mock.calls[2][1]).toEqual([1, ['ou_1'], false]);
+
+      // Next run, the reporter is out of quiet hours and the only one still owed the alert
+      jest.clearAllMocks();
+      mockClient.query.mockReset();
+      mockQuery.mockReset();
+      runOverdue([{ ...task, deadline_alerted_open_ids: ['ou_1'] }]);
+      await reminderService.sendPendingReminders();
+      expect(feishu.sendCardMessage).not.toHaveBeenCalled();
+      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_r1', expect.stringContaining('逾期通报'), 'open_id');
+      expect(mockClient.query.mock.calls[2][1]).toEqual([1, ['ou_r1'], true]);
     });
 
     it('should send interval reminders and return count', async () => {
@@ -295,7 +1146,130 @@ describe('Reminder Service', () => {
 
       const count = await reminderService.sendPendingReminders();
       expect(count).toBe(1);
-      expect(feishu.sendMessage).toHaveBeenCalledWith('ou_2', expect.stringContaining('催办提醒'), 'open_id');
+      expect(cardText('ou_2')).toContain('催办提醒');
+    });
+
+    it('should remind only the pending assignees of a multi-assignee task', async () => {
+      const intervalTasks = [
+        {
+          id: 3, title: 'Team', assignee_open_id: 'ou_a', pending_assignee_open_ids: ['ou_b', 'ou_c'],
+          deadline: new Date('2026-12-31'), reminder_interval_hours: 24,
+        },
+      ];
+
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // SELECT overdue
+        .mockResolvedValueOnce({}) // COMMIT
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: intervalTasks }) // SELECT interval
+        .mockResolvedValueOnce({}) // UPDATE last_reminded_at
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await reminderService.sendPendingReminders();
+      expect(cardRecipients()).toEqual(['ou_b', 'ou_c']);
+    });
+
+    it('should include checklist progress in reminders', async () => {
+      const intervalTasks = [
+        { id: 4, title: 'Month end', assignee_open_id: 'ou_a', checklist_total: 5, checklist_done: 3, reminder_interval_hours: 24 },
+      ];
+
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // SELECT overdue
+        .mockResolvedValueOnce({}) // COMMIT
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: intervalTasks }) // SELECT interval
+        .mockResolvedValueOnce({}) // UPDATE last_reminded_at
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await reminderService.sendPendingReminders();
+      expect(cardText('ou_a')).toContain('清单进度：3/5');
+    });
+
+    it('should mention an automatic priority raise in the first reminder after it', async () => {
+      const raisedAt = new Date(Date.now() - 3600 * 1000);
+      const intervalTasks = [
+        {
+          id: 5, title: 'Raised', assignee_open_id: 'ou_a', priority: 'p0', reminder_interval_hours: 4,
+          priority_raised_from: 'p1', priority_raised_at: raisedAt, last_reminded_at: new Date(raisedAt - 3600 * 1000),
+        },
+        {
+          id: 6, title: 'Raised earlier', assignee_open_id: 'ou_b', priority: 'p0', reminder_interval_hours: 4,
+          priority_raised_from: 'p1', priority_raised_at: raisedAt, last_reminded_at: new Date(),
+        },
+      ];
+
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // SELECT overdue
+        .mockResolvedValueOnce({}) // COMMIT
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: intervalTasks }) // SELECT interval
+        .mockResolvedValueOnce({}) // UPDATE last_reminded_at
+        .mockResolvedValueOnce({}) // UPDATE last_reminded_at
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await reminderService.sendPendingReminders();
+      expect(cardText('ou_a')).toContain('优先级已自动提升：🟡 [P1 一般] → 🔴 [P0 紧急]');
+      expect(cardText('ou_b')).not.toContain('自动提升');
+    });
+
+    it('should leave digest users out of interval reminders and reporter follow-ups', async () => {
+      mockQuery.mockImplementation((sql) => Promise.resolve({
+        rows: String(sql).includes('reminder_mode')
+          ? [
+              { open_id: 'ou_b', reminder_mode: 'digest', reporter_digest: false },
+              { open_id: 'ou_r', reminder_mode: 'per_task', reporter_digest: true },
+            ]
+          : [],
+      }));
+      const intervalTasks = [
+        {
+          id: 3, title: 'Team', assignee_open_id: 'ou_a', pending_assignee_open_ids: ['ou_a', 'ou_b'],
+          reporter_open_id: 'ou_r', deadline: new Date('2025-01-01'), reminder_interval_hours: 24,
+        },
+      ];
+
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // SELECT overdue
+        .mockResolvedValueOnce({}) // COMMIT
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: intervalTasks }) // SELECT interval
+        .mockResolvedValueOnce({}) // UPDATE last_reminded_at
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await reminderService.sendPendingReminders();
+      expect(cardRecipients()).toEqual(['ou_a']);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+      mockQuery.mockReset();
+    });
+
+    it('should hold reminders while every assignee is in quiet time', async () => {
+      // Only tomorrow (Shanghai) is a working day, so today is quiet for everyone
+      const today = new Date(new Date().toLocaleString('en-US', { timeZone: 'Asia/Shanghai' })).getDay();
+      settings.get.mockResolvedValueOnce({ workdays: [(today + 1) % 7] }).mockResolvedValueOnce({ workdays: [(today + 1) % 7] });
+      const overdueTasks = [
+        { id: 1, title: 'Overdue 1', assignee_open_id: 'ou_1', reporter_open_id: 'ou_r1', deadline: new Date('2025-01-01'), reminder_interval_hours: 24 },
+      ];
+      const intervalTasks = [
+        { id: 2, title: 'Remind Me', assignee_open_id: 'ou_2', deadline: new Date('2026-12-31'), reminder_interval_hours: 24 },
+      ];
+
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: overdueTasks }) // SELECT overdue
+        .mockResolvedValueOnce({}) // COMMIT — no UPDATE: the alert stays due
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: intervalTasks }) // SELECT interval
+        .mockResolvedValueOnce({}); // COMMIT — last_reminded_at untouched
+
+      const count = await reminderService.sendPendingReminders();
+      expect(count).toBe(0);
+      expect(feishu.sendMessage).not.toHaveBeenCalled();
+      expect(mockClient.query.mock.calls.some(c => String(c[0]).startsWith('UPDATE'))).toBe(false);
     });
 
     it('should rollback and release client on Part 1 error', async () => {
@@ -0,0 +1,375 @@
+/**
+ * Two server instances running the scheduled task runner against one database.
+ *
+ * Each instance is loaded in its own module registry (its own node-cron jobs, like a separate
+ * process); node-cron is replaced so the test decides when a job fires. The shared fake pool
+ * enforces the unique (scheduled_task_id, fire_time) index over cron and catch-up runs in
+ * scheduled_task_runs.
+ */
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockDb = { scheduledTasks: [], runs: [] };
+
+async function mockSharedQuery(sql, params = []) {
+  if (sql.includes('INSERT INTO scheduled_task_runs')) {
+    const [id, fireTime, instance, source, triggeredBy] = params;
+    const claims = ['cron', 'catch_up'];
+    const taken = claims.includes(source) && mockDb.runs.some(r =>
+      r.scheduled_task_id === id && claims.includes(r.source) && r.fire_time.getTime() === fireTime.getTime());
+    if (taken) return { rowCount: 0, rows: [] };
+    const run = {
+      id: mockDb.runs.length + 1, scheduled_task_id: id, fire_time: fireTime, instance, source,
+      triggered_by: triggeredBy, status: 'running',
+    };
+    mockDb.runs.push(run);
+    return { rowCount: 1, rows: [run] };
+  }
+  if (sql.includes('UPDATE scheduled_task_runs')) {
+    const [runId, status, assigneeOpenId, assigneeName, taskId, error] = params;
+    const run = mockDb.runs.find(r => r.id === runId);
+    Object.assign(run, { status, assignee_open_id: assigneeOpenId, assignee_name: assigneeName, task_id: taskId, error });
+    return { rowCount: 1, rows: [run] };
+  }
+  if (sql.includes('AS last_fire_at')) {
+    return {
+      rows: mockDb.scheduledTasks
+        .filter(st => st.enabled && st.catch_up !== 'none')
+        .map(st => {
+          const fires = mockDb.runs
+            .filter(r => r.scheduled_task_id === st.id && ['cron', 'catch_up'].includes(r.source))
+            .map(r => r.fire_time.getTime());
+          return { ...st, last_fire_at: new Date(Math.max(st.created_at.getTime(), ...fires)) };
+        }),
+    };
+  }
+  if (sql.startsWith('SELECT * FROM scheduled_tasks WHERE id')) {
+    return { rows: mockDb.scheduledTasks.filter(st => st.id === params[0]) };
+  }
+  if (sql.startsWith('SELECT * FROM scheduled_tasks WHERE enabled')) {
+    return { rows: mockDb.scheduledTasks.filter(st => st.enabled) };
+  }
+  if (sql.startsWith('UPDATE scheduled_tasks SET last_run_at')) return { rowCount: 1, rows: [] };
+  if (sql.startsWith('UPDATE scheduled_tasks SET deferred_run_at')) return { rowCount: 1, rows: [] };
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+jest.mock('../src/db/pool', () => ({
+  query: (...args) => mockSharedQuery(...args),
+}));
+
+const mockAuditLog = jest.fn().mockResolvedValue(null);
+jest.mock('../src/db', () => ({
+  audit: { log: (...args) => mockAuditLog(...args) },
+}));
+
+jest.mock('node-cron', () => ({
+  validate: () => true,
+  schedule: jest.fn((expression, fn) => {
+    const job = { expression, fn, destroyed: false };
+    job.destroy = () => { job.destroyed = true; };
+    return job;
+  }),
+}));
+
+const mockCreateTask = jest.fn().mockResolvedValue({ id: 1 });
+jest.mock('../src/services/reminder', () => ({
+  createTask: (...args) => mockCreateTask(...args),
+}));
+
+const mockCalendar = { workdays: [0, 1, 2, 3, 4, 5, 6], holidays: [], rollScheduledRuns: false };
+jest.mock('../src/services/workCalendar', () => ({
+  ...jest.requireActual('../src/services/workCalendar'),
+  loadCalendar: jest.fn(async () => mockCalendar),
+}));
+
+jest.mock('../src/db/users', () => ({
+  findByOpenId: jest.fn().mockResolvedValue({ name: '张三' }),
+  pickByWorkload: jest.fn().mockResolvedValue(null),
+}));
+
+const cron = require('node-cron');
+
+/** A fresh runner with its jobs loaded; returns a function that fires its job at a time */
+async function startInstance() {
+  let runner;
+  jest.isolateModules(() => {
+    runner = require('../src/services/scheduledTaskRunner');
+  });
+  const before = cron.schedule.mock.results.length;
+  await runner.loadAll();
+  const [job] = cron.schedule.mock.results.slice(before).map(r => r.value);
+  return {
+    runner,
+    fire: (iso) => job.fn({ date: new Date(iso) }),
+    stop: () => job.destroy(),
+  };
+}
+
+describe('Scheduled task runner', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.runs = [];
+    mockDb.scheduledTasks = [{
+      id: 7, name: '日报', title: '提交日报', enabled: true, schedule: '0 8 * * *',
+      timezone: 'Asia/Shanghai', target_open_id: 'ou_a', deadline_days: 1, priority: 'p1',
+      reminder_interval_hours: 24, completion_mode: 'all', co_assignee_open_ids: [],
+      catch_up: 'latest', skip_holidays: false, created_at: new Date('2026-10-01T00:00:00.000Z'),
+    }];
+    Object.assign(mockCalendar, { workdays: [0, 1, 2, 3, 4, 5, 6], holidays: [] });
+  });
+
+  describe('across instances', () => {
+    it('should create one task when the same fire reaches both instances', async () => {
+      const [a, b] = [await startInstance(), await startInstance()];
+
+      await Promise.all([a.fire('2026-10-19T00:00:00.000Z'), b.fire('2026-10-19T00:00:00.000Z')]);
+
+      expect(mockCreateTask).toHaveBeenCalledTimes(1);
+      expect(mockDb.runs).toHaveLength(1);
+      expect(mockDb.runs[0].instance).toMatch(/:\d+$/);
+    });
+
+    it('should treat fires a moment apart as the same cron slot', async () => {
+      const [a, b] = [await startInstance(), await startInstance()];
+
+      await a.fire('2026-10-19T00:00:00.000Z');
+      await b.fire('2026-10-19T00:00:01.250Z');
+
+      expect(mockCreateTask).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep firing on the surviving instance when the other goes down', async () => {
+      const [a, b] = [await startInstance(), await startInstance()];
+
+      await a.fire('2026-10-19T00:00:00.000Z');
+      await b.fire('2026-10-19T00:00:00.000Z');
+      a.stop();
+      await b.fire('2026-10-20T00:00:00.000Z');
+
+      expect(mockCreateTask).toHaveBeenCalledTimes(2);
+      expect(mockDb.runs.map(r => r.fire_time.toISOString())).toEqual([
+        '2026-10-19T00:00:00.000Z', '2026-10-20T00:00:00.000Z',
+      ]);
+    });
+  });
+
+  describe('run history', () => {
+    it('should record the assignee and the created task', async () => {
+      mockCreateTask.mockResolvedValueOnce({ id: 42 });
+      const a = await startInstance();
+
+      const run = await a.fire('2026-10-19T00:00:00.000Z');
+
+      expect(run).toMatchObject({
+        source: 'cron', status: 'created', assignee_open_id: 'ou_a', assignee_name: '张三', task_id: 42, error: null,
+      });
+    });
+
+    it('should record a skipped run when the tag group has nobody to assign', async () => {
+      mockDb.scheduledTasks[0] = { ...mockDb.scheduledTasks[0], target_open_id: null, target_tag: 'finance' };
+      const a = await startInstance();
+
+      const run = await a.fire('2026-10-19T00:00:00.000Z');
+
+      expect(run).toMatchObject({ status: 'skipped', error: 'No users found for tag finance' });
+      expect(mockCreateTask).not.toHaveBeenCalled();
+    });
+
+    it('should record the error when creating the task fails', async () => {
+      mockCreateTask.mockRejectedValueOnce(new Error('connection terminated'));
+      const a = await startInstance();
+
+      const run = await a.fire('2026-10-19T00:00:00.000Z');
+
+      expect(run).toMatchObject({ status: 'failed', assignee_open_id: 'ou_a', error: 'connection terminated' });
+    });
+
+    it('should run a disabled task on demand, recording who triggered it', async () => {
+      mockDb.scheduledTasks[0].enabled = false;
+      const { runner } = await startInstance();
+
+      expect(await runner.runNow(7, 'admin@example.com')).toMatchObject({
+        source: 'manual', triggered_by: 'admin@example.com', status: 'created',
+      });
+      expect(await runner.runNow(99, 'admin@example.com')).toBeNull();
+      expect(mockCreateTask).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not let a manual run take the slot of a cron fire', async () => {
+      const a = await startInstance();
+      jest.useFakeTimers({ now: new Date('2026-10-19T00:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        await a.runner.runNow(7, 'admin@example.com');
+      } finally {
+        jest.useRealTimers();
+      }
+      await a.fire('2026-10-19T00:00:00.000Z');
+
+      expect(mockCreateTask).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('catchUp', () => {
+    // Last fired Thursday 08:00 Shanghai; the server was down until Sunday 09:30
+    const lastFire = new Date('2026-10-15T00:00:00.000Z');
+    const now = new Date('2026-10-18T01:30:00.000Z');
+
+    beforeEach(() => {
+      mockDb.runs.push({ id: 100, scheduled_task_id: 7, fire_time: lastFire, source: 'cron', status: 'created' });
+    });
+
+    it('should make up only the latest missed run, audited as a catch-up', async () => {
+      const { runner } = await startInstance();
+
+      expect(await runner.catchUp(now)).toBe(1);
+
+      expect(mockCreateTask).toHaveBeenCalledTimes(1);
+      const run = mockDb.runs.find(r => r.source === 'catch_up');
+      expect(run).toMatchObject({ fire_time: new Date('2026-10-18T00:00:00.000Z'), status: 'created' });
+      expect(mockAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'system',
+        action: 'run_scheduled_task',
+        targetId: '7',
+        details: expect.objectContaining({ catchUp: true, fireTime: '2026-10-18T00:00:00.000Z', status: 'created' }),
+      }));
+    });
+
+    it('should make up every missed run, oldest first, with the all policy', async () => {
+      mockDb.scheduledTasks[0].catch_up = 'all';
+      const { runner } = await startInstance();
+
+      expect(await runner.catchUp(now)).toBe(3);
+
+      expect(mockDb.runs.filter(r => r.source === 'catch_up').map(r => r.fire_time.toISOString())).toEqual([
+        '2026-10-16T00:00:00.000Z', '2026-10-17T00:00:00.000Z', '2026-10-18T00:00:00.000Z',
+      ]);
+    });
+
+    it('should not catch up with the none policy, or when nothing was missed', async () => {
+      const { runner } = await startInstance();
+      expect(await runner.catchUp(new Date('2026-10-15T12:00:00.000Z'))).toBe(0);
+
+      mockDb.scheduledTasks[0].catch_up = 'none';
+      expect(await runner.catchUp(now)).toBe(0);
+      expect(mockCreateTask).not.toHaveBeenCalled();
+    });
+
+    it('should make up a missed run once when several instances start together', async () => {
+      mockDb.scheduledTasks[0].catch_up = 'all';
+      const [a, b] = [await startInstance(), await startInstance()];
+
+      await Promise.all([a.runner.catchUp(now), b.runner.catchUp(now)]);
+
+      expect(mockCreateTask).toHaveBeenCalledTimes(3);
+    });
+
+    it('should date each made-up task by the day it should have fired', async () => {
+      mockDb.scheduledTasks[0].catch_up = 'all';
+      const { runner } = await startInstance();
+
+      await runner.catchUp(now);
+
+      // deadline_days 1 → midnight Shanghai after each missed Friday, Saturday and Sunday
+      expect(mockCreateTask.mock.calls.map(([t]) => t.deadline.toISOString())).toEqual([
+        '2026-10-16T16:00:00.000Z', '2026-10-17T16:00:00.000Z', '2026-10-18T16:00:00.000Z',
+      ]);
+    });
+
+    it('should defer runs by the day they were missed, not the day they are made up', async () => {
+      mockDb.scheduledTasks[0].catch_up = 'all';
+      Object.assign(mockCalendar, { workdays: [1, 2, 3, 4, 5], rollScheduledRuns: true });
+      const { runner } = await startInstance();
+      // Back on Monday 09:30 Shanghai: Friday's and Monday's runs go ahead, the weekend's roll
+      // over to Monday; back on Saturday 06:00, Thursday's and Friday's still go ahead
+      const monday = new Date('2026-10-19T01:30:00.000Z');
+      const saturday = new Date('2026-10-16T22:00:00.000Z');
+      const statuses = async (at) => {
+        mockDb.runs = mockDb.runs.filter(r => r.source === 'cron');
+        jest.useFakeTimers({ now: at, doNotFake: ['nextTick', 'setImmediate'] });
+        try {
+          await runner.catchUp(at);
+        } finally {
+          jest.useRealTimers();
+        }
+        return mockDb.runs.filter(r => r.source === 'catch_up').map(r => [r.fire_time.toISOString(), r.status]);
+      };
+
+      try {
+        expect(await statuses(monday)).toEqual([
+          ['2026-10-16T00:00:00.000Z', 'created'],
+          ['2026-10-17T00:00:00.000Z', 'deferred'],
+          ['2026-10-18T00:00:00.000Z', 'deferred'],
+          ['2026-10-19T00:00:00.000Z', 'created'],
+        ]);
+        expect(mockDb.runs.find(r => r.status === 'deferred').error)
+          .toBe('Non-working day, deferred to 2026-10-19T00:00:00.000Z');
+
+        mockDb.runs = [{ id: 100, scheduled_task_id: 7, fire_time: new Date('2026-10-14T00:00:00.000Z'), source: 'cron' }];
+        expect(await statuses(saturday)).toEqual([
+          ['2026-10-15T00:00:00.000Z', 'created'],
+          ['2026-10-16T00:00:00.000Z', 'created'],
+        ]);
+      } finally {
+        mockCalendar.rollScheduledRuns = false;
+      }
+    });
+
+    it('should not fire a slot again that a catch-up run already made up', async () => {
+      const a = await startInstance();
+      await a.runner.catchUp(now);
+
+      expect(await a.fire('2026-10-18T00:00:00.000Z')).toBeNull();
+      expect(mockCreateTask).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('calendar rules', () => {
+    it('should register the last working day as a daily job that only runs on that day', async () => {
+      Object.assign(mockDb.scheduledTasks[0], { schedule: '0 8 LW * *' });
+      Object.assign(mockCalendar, { workdays: [1, 2, 3, 4, 5] });
+      const a = await startInstance();
+
+      expect(cron.schedule).toHaveBeenCalledWith('0 8 * * *', expect.any(Function), expect.anything());
+      // Thursday 29th, then Friday 30th October 08:00 Shanghai
+      expect(await a.fire('2026-10-29T00:00:00.000Z')).toBeNull();
+      expect(await a.fire('2026-10-30T00:00:00.000Z')).toMatchObject({ status: 'created' });
+      expect(mockDb.runs).toHaveLength(1);
+    });
+
+    it('should record a fire on a holiday as skipped when the task skips holidays', async () => {
+      mockDb.scheduledTasks[0].skip_holidays = true;
+      mockCalendar.holidays = [{ date: '2026-10-19', name: '公司年假' }];
+      const a = await startInstance();
+
+      expect(await a.fire('2026-10-19T00:00:00.000Z')).toMatchObject({
+        status: 'skipped', error: 'Holiday 2026-10-19 (公司年假)',
+      });
+      expect(await a.fire('2026-10-20T00:00:00.000Z')).toMatchObject({ status: 'created' });
+      expect(mockCreateTask).toHaveBeenCalledTimes(1);
+    });
+
+    it('should catch up on the missed day the rule picks', async () => {
+      Object.assign(mockDb.scheduledTasks[0], { schedule: '0 8 * * 5L', catch_up: 'latest' });
+      mockDb.runs.push({ id: 100, scheduled_task_id: 7, fire_time: new Date('2026-10-01T00:00:00.000Z'), source: 'cron' });
+      const { runner } = await startInstance();
+
+      expect(await runner.catchUp(new Date('2026-11-03T00:00:00.000Z'))).toBe(1);
+      // Last Friday of October
+      expect(mockDb.runs.find(r => r.source === 'catch_up').fire_time).toEqual(new Date('2026-10-30T00:00:00.000Z'));
+    });
+  });
+
+  describe('fireSlot', () => {
+    it('should truncate to the minute, or to the second for six-field expressions', async () => {
+      const { runner } = await startInstance();
+      const at = new Date('2026-10-19T00:00:42.731Z');
+      expect(runner.fireSlot('0 8 * * *', at).toISOString()).toBe('2026-10-19T00:00:00.000Z');
+      expect(runner.fireSlot('*/30 * * * * *', at).toISOString()).toBe('2026-10-19T00:00:42.000Z');
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Two server instances behind a load balancer, sharing one database (STATE_STORE=postgres).
+ *
+ * Each instance is loaded in its own module registry, so it has its own in-process state —
+ * exactly like two processes. The pool of both points at one fake database that applies the
+ * two statements the stores issue (INSERT … ON CONFLICT into processed_events, the windowed
+ * upsert into rate_limit_counters) with the same semantics as PostgreSQL; the statements
+ * themselves are checked word for word, and run against a real database in the last block
+ * (requires a running PostgreSQL, see db.test.js).
+ */
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockDb = { events: new Map(), counters: new Map(), queries: 0, down: false, calls: [] };
+
+async function mockSharedQuery(sql, params) {
+  mockDb.queries++;
+  mockDb.calls.push({ sql: sql.replace(/\s+/g, ' '), params });
+  if (mockDb.down) throw new Error('connect ECONNREFUSED');
+  if (sql.includes('INSERT INTO processed_events')) {
+    const [eventId, ttlSeconds] = params;
+    const expiresAt = mockDb.events.get(eventId);
+    if (expiresAt !== undefined && expiresAt >= Date.now()) return { rowCount: 0, rows: [] };
+    mockDb.events.set(eventId, Date.now() + ttlSeconds * 1000);
+    return { rowCount: 1, rows: [] };
+  }
+  if (sql.includes('INSERT INTO rate_limit_counters')) {
+    const [key, windowMs] = params;
+    const bucket = `${key}@${Math.floor(Date.now() / windowMs)}`;
+    const count = (mockDb.counters.get(bucket) || 0) + 1;
+    mockDb.counters.set(bucket, count);
+    return { rowCount: 1, rows: [{ count }] };
+  }
+  if (sql.startsWith('DELETE')) return { rowCount: 0, rows: [] };
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+jest.mock('../src/db/pool', () => ({
+  query: (...args) => mockSharedQuery(...args),
+}));
+
+const mockDispatch = jest.fn().mockResolvedValue(true);
+jest.mock('../src/events', () => ({
+  dispatch: (...args) => mockDispatch(...args),
+}));
+
+jest.mock('../src/services/cardActions', () => ({
+  handleCardAction: jest.fn(),
+}));
+
+const instances = [];
+
+/** A fresh server instance: its own modules, its own memory, the shared database */
+function startInstance(maxRequests = 100) {
+  let instance;
+  jest.isolateModules(() => {
+    const express = require('express');
+    const { rateLimit, limiter } = require('../src/middleware/rateLimit');
+    const eventDedup = require('../src/services/eventDedup');
+    const app = express();
+    app.use(express.json());
+    app.use('/webhook', rateLimit({ maxRequests, windowMs: 60 * 1000 }), require('../src/routes/webhook'));
+    instance = { app, limiter, eventDedup };
+  });
+  instances.push(instance);
+  return instance.app;
+}
+
+const feishuEvent = (eventId) => ({
+  schema: '2.0',
+  header: { event_id: eventId, event_type: 'im.message.receive_v1' },
+  event: { message: { message_id: `om_${eventId}` } },
+});
+
+describe('Shared dedup and rate limiting across instances', () => {
+  const originalStore = process.env.STATE_STORE;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.events.clear();
+    mockDb.counters.clear();
+    mockDb.queries = 0;
+    mockDb.down = false;
+    mockDb.calls = [];
+  });
+
+  afterEach(() => {
+    if (originalStore === undefined) delete process.env.STATE_STORE;
+    else process.env.STATE_STORE = originalStore;
+    for (const { limiter, eventDedup } of instances.splice(0)) {
+      limiter.destroy();
+      eventDedup.destroy();
+    }
+  });
+
+  describe('STATE_STORE=postgres', () => {
+    beforeEach(() => { process.env.STATE_STORE = 'postgres'; });
+
+    it('should handle an event redelivered to the other instance only once', async () => {
+      const [a, b] = [startInstance(), startInstance()];
+
+      await request(a).post('/webhook/event').send(feishuEvent('ev_1')).expect(200);
+      await request(b).post('/webhook/event').send(feishuEvent('ev_1')).expect(200);
+      await request(b).post('/webhook/event').send(feishuEvent('ev_2')).expect(200);
+
+      expect(mockDispatch.mock.calls.map(c => c[2].eventId)).toEqual(['ev_1', 'ev_2']);
+    });
+
+    it('should handle an event delivered to both instances at once only once', async () => {
+      const [a, b] = [startInstance(), startInstance()];
+
+      await Promise.all([
+        request(a).post('/webhook/event').send(feishuEvent('ev_3')),
+        request(b).post('/webhook/event').send(feishuEvent('ev_3')),
+      ]);
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should count requests against one limit whichever instance serves them', async () => {
+      const [a, b] = [startInstance(3), startInstance(3)];
+
+      const first = await request(a).post('/webhook/event').send(feishuEvent('ev_4'));
+      const second = await request(b).post('/webhook/event').send(feishuEvent('ev_5'));
+      const third = await request(a).post('/webhook/event').send(feishuEvent('ev_6'));
+
+      expect([first.status, second.status, third.status]).toEqual([200, 200, 429]);
+      expect(second.headers['x-ratelimit-remaining']).toBe('1');
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should claim an event and count a request with one statement each', async () => {
+      const a = startInstance();
+
+      await request(a).post('/webhook/event').send(feishuEvent('ev_9')).expect(200);
+
+      expect(mockDb.calls).toEqual([
+        {
+          sql: 'INSERT INTO rate_limit_counters AS c (key, window_start, expires_at, count) ' +
+            'SELECT $1, w.start, w.start + make_interval(secs => $2::int / 1000.0), 1 ' +
+            'FROM (SELECT to_timestamp(floor(extract(epoch FROM NOW()) * 1000 / $2::int) * $2::int / 1000.0) AS start) w ' +
+            'ON CONFLICT (key, window_start) DO UPDATE SET count = c.count + 1 RETURNING count',
+          params: [expect.any(String), 60 * 1000],
+        },
+        {
+          sql: 'INSERT INTO processed_events (event_id, expires_at) VALUES ($1, NOW() + make_interval(secs => $2)) ' +
+            'ON CONFLICT (event_id) DO UPDATE SET expires_at = EXCLUDED.expires_at ' +
+            'WHERE processed_events.expires_at < NOW()',
+          params: ['ev_9', 300],
+        },
+      ]);
+    });
+
+    it('should fail open while the database is unreachable', async () => {
+      const a = startInstance(1);
+      mockDb.down = true;
+
+      // Neither the limit (1 request) nor the duplicate stops the event from being handled
+      await request(a).post('/webhook/event').send(feishuEvent('ev_7')).expect(200);
+      await request(a).post('/webhook/event').send(feishuEvent('ev_7')).expect(200);
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('STATE_STORE=memory', () => {
+    beforeEach(() => { delete process.env.STATE_STORE; });
+
+    it('should keep state per instance and never touch the database', async () => {
+      const [a, b] = [startInstance(), startInstance()];
+
+      await request(a).post('/webhook/event').send(feishuEvent('ev_8')).expect(200);
+      await request(a).post('/webhook/event').send(feishuEvent('ev_8')).expect(200);
+      await request(b).post('/webhook/event').send(feishuEvent('ev_8')).expect(200);
+
+      // Deduplicated within instance a, but b cannot know a already handled it
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+      expect(mockDb.queries).toBe(0);
+    });
+  });
+});
+
+describe('Shared dedup and rate limiting against PostgreSQL', () => {
+  const skipIfNoDb = !process.env.DATABASE_URL || process.env.NODE_ENV === 'test';
+  if (skipIfNoDb) {
+    it.skip('should claim events and count requests in the database (requires database)', () => {});
+    return;
+  }
+
+  const { Pool } = jest.requireActual('pg');
+  const { PgEventDedup } = require('../src/services/eventDedup');
+  const { PgRateLimiter } = require('../src/middleware/rateLimit');
+  // One pool per instance, like two processes
+  const pools = [];
+  const stores = [];
+  const instance = (Store) => {
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL, max: 2 });
+    const store = new Store(pool);
+    pools.push(pool);
+    stores.push(store);
+    return store;
+  };
+
+  beforeAll(async () => {
+    const migration = fs.readFileSync(path.join(__dirname, '../../../db/migrations/030_add_shared_state.sql'), 'utf8');
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    await pool.query(migration);
+    await pool.query('TRUNCATE processed_events, rate_limit_counters');
+    await pool.end();
+  });
+
+  afterAll(async () => {
+    for (const store of stores) store.destroy();
+    await Promise.all(pools.map(pool => pool.end()));
+  });
+
+  it('should let exactly one instance claim an event id', async () => {
+    const [a, b] = [instance(PgEventDedup), instance(PgEventDedup)];
+
+    expect(await a.seen('ev_db_1')).toBe(false);
+    expect(await b.seen('ev_db_1')).toBe(true);
+    expect(await a.seen('ev_db_1')).toBe(true);
+
+    const claims = await Promise.all([a.seen('ev_db_2'), b.seen('ev_db_2'), a.seen('ev_db_2'), b.seen('ev_db_2')]);
+    expect(claims.filter(duplicate => !duplicate)).toHaveLength(1);
+  });
+
+  it('should claim an expired event id again and prune expired ones', async () => {
+    const [a, b] = [instance(PgEventDedup), instance(PgEventDedup)];
+    await a.seen('ev_db_3');
+    await pools[0].query("UPDATE processed_events SET expires_at = NOW() - INTERVAL '1 second' WHERE event_id = 'ev_db_3'");
+
+    expect(await b.seen('ev_db_3')).toBe(false);
+    expect(await a.seen('ev_db_3')).toBe(true);
+
+    await a.seen('ev_db_4');
+    await pools[0].query("UPDATE processed_events SET expires_at = NOW() - INTERVAL '1 second' WHERE event_id = 'ev_db_4'");
+    await b.cleanup();
+    const { rows } = await pools[0].query("SELECT event_id FROM processed_events WHERE event_id LIKE 'ev_db_%' ORDER BY 1");
+    expect(rows.map(r => r.event_id)).toEqual(['ev_db_1', 'ev_db_2', 'ev_db_3']);
+  });
+
+  it('should count hits from every instance in one window', async () => {
+    const [a, b] = [instance(PgRateLimiter), instance(PgRateLimiter)];
+    const windowMs = 60 * 60 * 1000;
+
+    expect(await a.hit('10.0.0.1', 3, windowMs)).toEqual({ limited: false, remaining: 2 });
+    expect(await b.hit('10.0.0.1', 3, windowMs)).toEqual({ limited: false, remaining: 1 });
+    expect(await a.hit('10.0.0.1', 3, windowMs)).toEqual({ limited: true, remaining: 0 });
+    expect(await b.hit('10.0.0.2', 3, windowMs)).toEqual({ limited: false, remaining: 2 });
+
+    const hits = await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? a : b).hit('10.0.0.3', 100, windowMs)));
+    expect(hits.map(h => h.remaining).sort((x, y) => x - y)).toEqual([90, 91, 92, 93, 94, 95, 96, 97, 98, 99]);
+
+    // One row per key and window, aligned to the window and expiring at its end
+    const { rows } = await pools[0].query(
+      `SELECT count, extract(epoch FROM window_start) * 1000 AS start_ms,
+              extract(epoch FROM expires_at - window_start) * 1000 AS length_ms
+       FROM rate_limit_counters WHERE key = '10.0.0.1'`
+    );
+    expect(rows).toHaveLength(1);
+    expect(rows[0].count).toBe(3);
+    expect(Number(rows[0].start_ms) % windowMs).toBe(0);
+    expect(Number(rows[0].length_ms)).toBe(windowMs);
+  });
+
+  it('should start a new count in the next window', async () => {
+    const [a, b] = [instance(PgRateLimiter), instance(PgRateLimiter)];
+    const windowMs = 1000;
+    // Start right after a window boundary so both hits share the first window
+    await new Promise(resolve => setTimeout(resolve, windowMs - (Date.now() % windowMs) + 50));
+
+    expect(await a.hit('10.0.0.4', 2, windowMs)).toEqual({ limited: false, remaining: 1 });
+    expect(await b.hit('10.0.0.4', 2, windowMs)).toEqual({ limited: true, remaining: 0 });
+    await new Promise(resolve => setTimeout(resolve, windowMs));
+    expect(await b.hit('10.0.0.4', 2, windowMs)).toEqual({ limited: false, remaining: 1 });
+  });
+});
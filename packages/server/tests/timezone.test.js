@@ -0,0 +1,56 @@
+const {
+  isValidTimezone,
+  parseDeadline,
+  parseTimeOfDay,
+  formatDateTime,
+  zonedDateString,
+  zonedISOString,
+} = require('../src/utils/timezone');
+
+describe('Timezone helpers', () => {
+  describe('parseDeadline', () => {
+    it('should read a date as the start of that day in the zone', () => {
+      expect(parseDeadline('2026-03-01', 'Asia/Shanghai').toISOString()).toBe('2026-02-28T16:00:00.000Z');
+      expect(parseDeadline('2026-03-01', 'America/Toronto').toISOString()).toBe('2026-03-01T05:00:00.000Z');
+    });
+
+    it('should read a wall-clock time in the zone, across DST', () => {
+      expect(parseDeadline('2026-03-01 18:00', 'America/Toronto').toISOString()).toBe('2026-03-01T23:00:00.000Z');
+      expect(parseDeadline('2026-07-01T18:00', 'America/Toronto').toISOString()).toBe('2026-07-01T22:00:00.000Z');
+      // 02:30 does not exist on the spring-forward day; it lands just after the gap
+      expect(parseDeadline('2026-03-08 02:30', 'America/Toronto').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    it('should take an explicit offset as-is and reject impossible dates', () => {
+      expect(parseDeadline('2026-03-01T10:00:00Z', 'America/Toronto').toISOString()).toBe('2026-03-01T10:00:00.000Z');
+      expect(() => parseDeadline('2026-02-30')).toThrow('Invalid deadline date');
+      expect(() => parseDeadline('2026-03-01 25:00')).toThrow('Invalid deadline date');
+      expect(() => parseDeadline('soon')).toThrow('Invalid deadline date');
+    });
+  });
+
+  it('should format an instant in the recipient zone, dropping a midnight time', () => {
+    const d = new Date('2026-03-01T16:00:00Z');
+    expect(formatDateTime(d, 'Asia/Shanghai')).toMatch(/3月2日$/);
+    expect(formatDateTime(d, 'Asia/Shanghai', { withTime: true })).toMatch(/3月2日 00:00$/);
+    expect(formatDateTime(d, 'America/Toronto')).toMatch(/3月1日 11:00$/);
+    expect(formatDateTime(null)).toBe('无');
+    expect(zonedDateString(d, 'America/Toronto')).toBe('2026-03-01');
+  });
+
+  it('should write an instant as ISO 8601 with the zone offset', () => {
+    const d = new Date('2026-03-01T16:00:00Z');
+    expect(zonedISOString(d, 'Asia/Shanghai')).toBe('2026-03-02T00:00:00+08:00');
+    expect(zonedISOString(d, 'America/Toronto')).toBe('2026-03-01T11:00:00-05:00');
+    expect(zonedISOString(d, 'Asia/Kolkata')).toBe('2026-03-01T21:30:00+05:30');
+    expect(new Date(zonedISOString(d, 'America/Toronto')).getTime()).toBe(d.getTime());
+  });
+
+  it('should validate zone names and times of day', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(parseTimeOfDay('18:30')).toEqual({ hour: 18, minute: 30 });
+    expect(parseTimeOfDay('24:00')).toBeNull();
+  });
+});
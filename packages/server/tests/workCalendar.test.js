@@ -0,0 +1,74 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/db', () => ({
+  settings: { get: jest.fn() },
+}));
+
+const { settings } = require('../src/db');
+const {
+  validateCalendar,
+  validateQuietHours,
+  normalizeCalendar,
+  loadCalendar,
+  isWorkingDay,
+  isQuietTime,
+  rollToWorkingDay,
+} = require('../src/services/workCalendar');
+
+const calendar = normalizeCalendar({
+  quietHours: { start: '22:00', end: '08:00' },
+  workdays: [1, 2, 3, 4, 5],
+  holidays: [{ date: '2026-10-01', name: '国庆节' }],
+});
+
+describe('Work calendar', () => {
+  it('should treat weekends and holidays as non-working days in the given zone', () => {
+    // Fri 2026-10-02 23:00 in Toronto is already Saturday in Shanghai
+    const instant = new Date('2026-10-03T03:00:00Z');
+    expect(isWorkingDay(instant, 'America/Toronto', calendar)).toBe(true);
+    expect(isWorkingDay(instant, 'Asia/Shanghai', calendar)).toBe(false);
+    expect(isWorkingDay(new Date('2026-10-01T04:00:00Z'), 'Asia/Shanghai', calendar)).toBe(false);
+  });
+
+  it('should apply quiet hours that wrap midnight, plus personal quiet hours', () => {
+    const tz = 'Asia/Shanghai';
+    expect(isQuietTime(new Date('2026-10-13T19:00:00Z'), tz, calendar)).toBe(true);  // Wed 03:00
+    expect(isQuietTime(new Date('2026-10-14T02:00:00Z'), tz, calendar)).toBe(false); // Wed 10:00
+    expect(isQuietTime(new Date('2026-10-14T04:30:00Z'), tz, calendar, { start: '12:00', end: '13:30' })).toBe(true);
+    expect(isQuietTime(new Date('2026-10-17T02:00:00Z'), tz, calendar)).toBe(true);  // Saturday
+  });
+
+  it('should roll a date to the same time on the next working day', () => {
+    const tz = 'Asia/Shanghai';
+    // Wed 2026-09-30 18:00 stays; Thu 10-01 (holiday) 18:00 → Fri 10-02; Sat 10-03 → Mon 10-05
+    expect(rollToWorkingDay(new Date('2026-09-30T10:00:00Z'), tz, calendar).toISOString()).toBe('2026-09-30T10:00:00.000Z');
+    expect(rollToWorkingDay(new Date('2026-10-01T10:00:00Z'), tz, calendar).toISOString()).toBe('2026-10-02T10:00:00.000Z');
+    expect(rollToWorkingDay(new Date('2026-10-03T10:00:00Z'), tz, calendar).toISOString()).toBe('2026-10-05T10:00:00.000Z');
+  });
+
+  it('should validate calendars and quiet hours', () => {
+    expect(validateCalendar(calendar)).toBeNull();
+    expect(validateCalendar([])).toBe('Calendar must be an object');
+    expect(validateCalendar({ workdays: [] })).toMatch(/At least one weekday/);
+    expect(validateCalendar({ workdays: [7] })).toMatch(/weekdays 0–6/);
+    expect(validateCalendar({ holidays: ['2026-13-01'] })).toMatch(/Invalid holiday date/);
+    expect(validateQuietHours('22:00', '')).toMatch(/HH:mm/);
+    expect(validateQuietHours('08:00', '08:00')).toMatch(/must differ/);
+    expect(validateQuietHours(null, null)).toBeNull();
+  });
+
+  it('should restrict nothing when no calendar is stored or it cannot be read', async () => {
+    settings.get.mockResolvedValueOnce(undefined);
+    const empty = await loadCalendar();
+    expect(empty.quietHours).toBeNull();
+    expect(isQuietTime(new Date('2026-10-17T19:00:00Z'), 'Asia/Shanghai', empty)).toBe(false);
+
+    settings.get.mockRejectedValueOnce(new Error('db down'));
+    expect((await loadCalendar()).workdays).toHaveLength(7);
+  });
+});
@@ -28,6 +28,9 @@ export default function NavBar() {
                 <NavLink href="/settings" active={pathname.startsWith('/settings')}>设置</NavLink>
                 <NavLink href="/api-keys" active={pathname.startsWith('/api-keys')}>API Keys</NavLink>
                 <NavLink href="/scheduled-tasks" active={pathname.startsWith('/scheduled-tasks')}>定时任务</NavLink>
+                <NavLink href="/escalations" active={pathname.startsWith('/escalations')}>逾期升级</NavLink>
+                <NavLink href="/groups" active={pathname.startsWith('/groups')}>群聊管理</NavLink>
+                <NavLink href="/outbox" active={pathname.startsWith('/outbox')}>消息投递</NavLink>
               </>
             )}
             <div className="flex items-center gap-3">
@@ -0,0 +1,429 @@
+'use client';
+
+import { useState } from 'react';
+import useSWR, { mutate } from 'swr';
+import { api, SWR_KEYS, EscalationPolicy, EscalationStep, EscalationTarget, User } from '@/lib/api';
+import AdminGuard from '@/components/AdminGuard';
+import UserCombobox from '@/components/UserCombobox';
+import { PRIORITY_BADGE } from '@/components/TaskBadges';
+
+// ── constants ────────────────────────────────────────────────────────────────
+
+const TARGET_LABELS: Record<EscalationTarget, string> = {
+  reporter: '报告对象',
+  manager:  '执行人的主管',
+  user:     '指定人员',
+  chat:     '群聊',
+};
+
+/** Step delays are stored in hours; the form edits them in days */
+function formatAfter(hours: number) {
+  return hours % 24 === 0 ? `${hours / 24} 天` : `${hours} 小时`;
+}
+
+interface StepForm {
+  afterDays: number;
+  target: EscalationTarget;
+  openId: string | null;
+  chatId: string;
+}
+
+interface FormState {
+  name: string;
+  priority: '' | 'p0' | 'p1' | 'p2';
+  targetTag: string;
+  steps: StepForm[];
+  enabled: boolean;
+}
+
+const DEFAULT_FORM: FormState = {
+  name: '',
+  priority: '',
+  targetTag: '',
+  steps: [
+    { afterDays: 1, target: 'reporter', openId: null, chatId: '' },
+    { afterDays: 3, target: 'manager',  openId: null, chatId: '' },
+  ],
+  enabled: true,
+};
+
+// ── page ─────────────────────────────────────────────────────────────────────
+
+export default function EscalationsPage() {
+  return (
+    <AdminGuard>
+      <EscalationsContent />
+    </AdminGuard>
+  );
+}
+
+function EscalationsContent() {
+  const { data: policies = [], error, isLoading } = useSWR(SWR_KEYS.escalationPolicies, api.getEscalationPolicies);
+  const { data: users = [] } = useSWR(SWR_KEYS.users, api.getUsers);
+  const [showForm, setShowForm] = useState(false);
+  const [editing, setEditing] = useState<EscalationPolicy | null>(null);
+
+  const userName = (openId?: string) => users.find(u => u.openId === openId)?.name || openId || '—';
+  const refresh = () => mutate(SWR_KEYS.escalationPolicies);
+  const closeForm = () => { setShowForm(false); setEditing(null); };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">逾期升级</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            任务逾期一定时间后依次通知报告对象、主管、指定人员或群聊，每一步对每个任务只触发一次
+          </p>
+        </div>
+        <button
+          onClick={() => { setEditing(null); setShowForm(true); }}
+          className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors"
+        >
+          + 新增升级策略
+        </button>
+      </div>
+
+      {showForm && (
+        <PolicyForm
+          initial={editing}
+          users={users}
+          onSuccess={() => { closeForm(); refresh(); }}
+          onCancel={closeForm}
+        />
+      )}
+
+      {isLoading && <div className="text-center py-8 text-gray-400">加载中…</div>}
+      {error && <div className="p-4 bg-red-50 text-red-700 rounded-lg mb-4">{error.message}</div>}
+
+      {!isLoading && !error && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="w-full min-w-[760px]" aria-label="升级策略列表">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-40">名称</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-40">适用范围</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">升级步骤</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-16">状态</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-24">操作</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {policies.map(policy => (
+                <PolicyRow
+                  key={policy.id}
+                  policy={policy}
+                  userName={userName}
+                  onEdit={() => { setEditing(policy); setShowForm(true); }}
+                  onRefresh={refresh}
+                />
+              ))}
+              {policies.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-400">
+                    暂无升级策略，点击「新增升级策略」创建
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── table row ────────────────────────────────────────────────────────────────
+
+function PolicyRow({
+  policy,
+  userName,
+  onEdit,
+  onRefresh,
+}: {
+  policy: EscalationPolicy;
+  userName: (openId?: string) => string;
+  onEdit: () => void;
+  onRefresh: () => void;
+}) {
+  const [loading, setLoading] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+
+  const run = async (action: () => Promise<unknown>) => {
+    setLoading(true);
+    try {
+      await action();
+      onRefresh();
+    } finally {
+      setLoading(false);
+      setConfirming(false);
+    }
+  };
+
+  const badge = policy.priority ? PRIORITY_BADGE[policy.priority] : null;
+
+  return (
+    <tr className={`hover:bg-gray-50 align-top ${loading ? 'opacity-50' : ''}`}>
+      <td className="px-4 py-2 font-medium text-sm">{policy.name}</td>
+      <td className="px-4 py-2 text-sm space-x-1">
+        {badge && <span className={`text-xs px-1.5 py-0.5 rounded font-medium ${badge.className}`}>{badge.label}</span>}
+        {policy.target_tag && (
+          <span className="text-xs px-2 py-0.5 bg-purple-50 text-purple-700 border border-purple-200 rounded-full">
+            🏷 {policy.target_tag}
+          </span>
+        )}
+        {!badge && !policy.target_tag && <span className="text-xs text-gray-400">所有任务</span>}
+      </td>
+      <td className="px-4 py-2">
+        <ol className="text-sm text-gray-700 space-y-0.5">
+          {policy.steps.map((step, i) => (
+            <li key={i}>
+              <span className="text-gray-400 mr-1">逾期 {formatAfter(step.afterHours)} →</span>
+              {TARGET_LABELS[step.target]}
+              {step.target === 'user' && <span className="text-gray-500">（{userName(step.openId)}）</span>}
+              {step.target === 'chat' && <span className="text-gray-500 font-mono text-xs ml-1">{step.chatId}</span>}
+            </li>
+          ))}
+        </ol>
+      </td>
+      <td className="px-4 py-2">
+        <button
+          onClick={() => run(() => api.updateEscalationPolicy(policy.id, { enabled: !policy.enabled }))}
+          disabled={loading}
+          className={`text-xs px-2 py-0.5 rounded font-medium whitespace-nowrap ${
+            policy.enabled ? 'bg-green-100 text-green-700 hover:bg-green-200' : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+          }`}
+        >
+          {policy.enabled ? '✅ 启用' : '⏸ 停用'}
+        </button>
+      </td>
+      <td className="px-4 py-2">
+        <div className="flex gap-2 items-center whitespace-nowrap">
+          {confirming ? (
+            <>
+              <button
+                onClick={() => run(() => api.deleteEscalationPolicy(policy.id))}
+                disabled={loading}
+                className="text-xs font-medium px-2 py-0.5 rounded bg-red-100 text-red-700 disabled:opacity-50"
+              >
+                确认
+              </button>
+              <button onClick={() => setConfirming(false)} className="text-xs text-gray-400 hover:text-gray-600">
+                取消
+              </button>
+            </>
+          ) : (
+            <>
+              <button onClick={onEdit} className="text-blue-600 hover:text-blue-800 text-xs font-medium">编辑</button>
+              <button onClick={() => setConfirming(true)} className="text-red-500 hover:text-red-700 text-xs">删除</button>
+            </>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// ── form ─────────────────────────────────────────────────────────────────────
+
+function PolicyForm({
+  initial,
+  users,
+  onSuccess,
+  onCancel,
+}: {
+  initial: EscalationPolicy | null;
+  users: User[];
+  onSuccess: () => void;
+  onCancel: () => void;
+}) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [form, setForm] = useState<FormState>(() => (initial
+    ? {
+        name: initial.name,
+        priority: initial.priority ?? '',
+        targetTag: initial.target_tag ?? '',
+        steps: initial.steps.map(s => ({
+          afterDays: s.afterHours / 24,
+          target: s.target,
+          openId: s.openId ?? null,
+          chatId: s.chatId ?? '',
+        })),
+        enabled: initial.enabled,
+      }
+    : DEFAULT_FORM));
+
+  const setStep = (index: number, patch: Partial<StepForm>) =>
+    setForm(f => ({ ...f, steps: f.steps.map((s, i) => (i === index ? { ...s, ...patch } : s)) }));
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) { setError('请填写策略名称'); return; }
+    if (!form.steps.length) { setError('至少添加一个升级步骤'); return; }
+    if (form.steps.some(s => !(s.afterDays > 0))) { setError('逾期天数必须大于 0'); return; }
+    if (form.steps.some(s => s.target === 'user' && !s.openId)) { setError('请为「指定人员」步骤选择用户'); return; }
+    if (form.steps.some(s => s.target === 'chat' && !s.chatId.trim())) { setError('请为「群聊」步骤填写 chat_id'); return; }
+    setLoading(true);
+    setError(null);
+    try {
+      const steps: EscalationStep[] = form.steps.map(s => ({
+        afterHours: Math.round(s.afterDays * 24 * 100) / 100,
+        target: s.target,
+        ...(s.target === 'user' && s.openId ? { openId: s.openId } : {}),
+        ...(s.target === 'chat' ? { chatId: s.chatId.trim() } : {}),
+      }));
+      const payload = {
+        name: form.name.trim(),
+        priority: form.priority || null,
+        targetTag: form.targetTag.trim().toLowerCase() || null,
+        steps,
+        enabled: form.enabled,
+      };
+      if (initial) {
+        await api.updateEscalationPolicy(initial.id, payload);
+      } else {
+        await api.createEscalationPolicy(payload);
+      }
+      onSuccess();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-6">
+      <h3 className="text-lg font-semibold mb-4">{initial ? '编辑升级策略' : '新增升级策略'}</h3>
+      {error && <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>}
+
+      <div className="grid grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">名称 *</label>
+          <input
+            type="text" required
+            value={form.name}
+            onChange={e => setForm({ ...form, name: e.target.value })}
+            placeholder="例：P0 逾期升级"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">适用优先级</label>
+          <select
+            value={form.priority}
+            onChange={e => setForm({ ...form, priority: e.target.value as FormState['priority'] })}
+            className={inputClass}
+          >
+            <option value="">所有优先级</option>
+            <option value="p0">P0 紧急</option>
+            <option value="p1">P1 一般</option>
+            <option value="p2">P2 不紧急</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">适用标签</label>
+          <input
+            type="text"
+            value={form.targetTag}
+            onChange={e => setForm({ ...form, targetTag: e.target.value })}
+            placeholder="留空 = 所有标签"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-400 mt-1">
+        多个策略都匹配时使用最具体的：优先级 + 标签 &gt; 标签 &gt; 优先级 &gt; 不限。标签匹配任务的分配标签或执行人的用户标签。
+      </p>
+
+      <div className="mt-5">
+        <label className="block text-sm font-medium text-gray-700 mb-2">升级步骤</label>
+        <div className="space-y-2">
+          {form.steps.map((step, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <span className="text-sm text-gray-500 whitespace-nowrap">逾期</span>
+              <input
+                type="number" min={0.5} step={0.5}
+                aria-label={`第 ${i + 1} 步逾期天数`}
+                value={step.afterDays}
+                onChange={e => setStep(i, { afterDays: Number(e.target.value) })}
+                className="w-20 border rounded-lg px-2 py-1.5 text-sm"
+              />
+              <span className="text-sm text-gray-500 whitespace-nowrap">天后通知</span>
+              <select
+                aria-label={`第 ${i + 1} 步通知对象`}
+                value={step.target}
+                onChange={e => setStep(i, { target: e.target.value as EscalationTarget })}
+                className="border rounded-lg px-2 py-1.5 text-sm"
+              >
+                {(Object.keys(TARGET_LABELS) as EscalationTarget[]).map(t => (
+                  <option key={t} value={t}>{TARGET_LABELS[t]}</option>
+                ))}
+              </select>
+              {step.target === 'user' && (
+                <div className="flex-1">
+                  <UserCombobox
+                    value={step.openId}
+                    onChange={openId => setStep(i, { openId })}
+                    users={users}
+                    placeholder="搜索用户…"
+                  />
+                </div>
+              )}
+              {step.target === 'chat' && (
+                <input
+                  type="text"
+                  aria-label={`第 ${i + 1} 步群聊 chat_id`}
+                  value={step.chatId}
+                  onChange={e => setStep(i, { chatId: e.target.value })}
+                  placeholder="oc_xxx"
+                  className="flex-1 border rounded-lg px-2 py-1.5 text-sm font-mono"
+                />
+              )}
+              <button
+                type="button"
+                onClick={() => setForm(f => ({ ...f, steps: f.steps.filter((_, j) => j !== i) }))}
+                className="text-red-500 hover:text-red-700 text-sm ml-auto"
+              >
+                删除
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setForm(f => ({
+            ...f,
+            steps: [...f.steps, { afterDays: (f.steps[f.steps.length - 1]?.afterDays ?? 0) + 2, target: 'chat', openId: null, chatId: '' }],
+          }))}
+          className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+        >
+          + 添加步骤
+        </button>
+        <p className="text-xs text-gray-400 mt-1">「执行人的主管」在用户管理中设置；发给个人的步骤遵守工作日历的免打扰时段。</p>
+      </div>
+
+      <div className="flex items-center justify-between mt-6">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={form.enabled} onChange={e => setForm({ ...form, enabled: e.target.checked })} />
+          启用
+        </label>
+        <div className="flex gap-3">
+          <button type="button" onClick={onCancel} className="px-4 py-2 border rounded-lg text-sm hover:bg-gray-50">
+            取消
+          </button>
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 disabled:opacity-50"
+          >
+            {loading ? '保存中…' : '保存'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
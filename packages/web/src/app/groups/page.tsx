@@ -0,0 +1,279 @@
+'use client';
+
+import { useState } from 'react';
+import useSWR, { mutate } from 'swr';
+import { api, SWR_KEYS, Feature, GroupChat } from '@/lib/api';
+import AdminGuard from '@/components/AdminGuard';
+
+// ── page ─────────────────────────────────────────────────────────────────────
+
+export default function GroupsPage() {
+  return (
+    <AdminGuard>
+      <GroupsContent />
+    </AdminGuard>
+  );
+}
+
+function GroupsContent() {
+  const { data, error, isLoading } = useSWR(SWR_KEYS.groups, api.getGroups);
+  const { data: allFeatures = [] } = useSWR(SWR_KEYS.features, api.getFeatures);
+  const [editing, setEditing] = useState<GroupChat | null>(null);
+
+  const groups = data?.groups ?? [];
+  const features = allFeatures.filter(f => data?.features.includes(f.id));
+  const refresh = () => mutate(SWR_KEYS.groups);
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h2 className="text-2xl font-bold">群聊管理</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          机器人在群里被 @ 时才会回复；群聊在第一次 @ 机器人时自动加入列表。群设置只能关闭功能，不能超出成员自身的权限。
+        </p>
+      </div>
+
+      {editing && (
+        <GroupForm
+          group={editing}
+          features={features}
+          onSuccess={() => { setEditing(null); refresh(); }}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {isLoading && <div className="text-center py-8 text-gray-400">加载中…</div>}
+      {error && <div className="p-4 bg-red-50 text-red-700 rounded-lg mb-4">{error.message}</div>}
+
+      {!isLoading && !error && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="w-full min-w-[760px]" aria-label="群聊列表">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">群聊</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-32">默认标签</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">已关闭功能</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-20">进行中</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-16">状态</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-24">操作</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {groups.map(group => (
+                <GroupRow
+                  key={group.chat_id}
+                  group={group}
+                  features={features}
+                  onEdit={() => setEditing(group)}
+                  onRefresh={refresh}
+                />
+              ))}
+              {groups.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-8 text-center text-gray-400">
+                    暂无群聊，把机器人拉进群并 @ 它即可
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── table row ────────────────────────────────────────────────────────────────
+
+function GroupRow({
+  group,
+  features,
+  onEdit,
+  onRefresh,
+}: {
+  group: GroupChat;
+  features: Feature[];
+  onEdit: () => void;
+  onRefresh: () => void;
+}) {
+  const [loading, setLoading] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+
+  const run = async (action: () => Promise<unknown>) => {
+    setLoading(true);
+    try {
+      await action();
+      onRefresh();
+    } finally {
+      setLoading(false);
+      setConfirming(false);
+    }
+  };
+
+  const disabled = Object.keys(group.features || {})
+    .filter(id => group.features[id] === false)
+    .map(id => features.find(f => f.id === id)?.label || id);
+
+  return (
+    <tr className={`hover:bg-gray-50 align-top ${loading ? 'opacity-50' : ''}`}>
+      <td className="px-4 py-2">
+        <div className="font-medium text-sm">{group.name || '未命名群聊'}</div>
+        <div className="text-xs text-gray-400 font-mono">{group.chat_id}</div>
+        {group.bot_removed_at && (
+          <div className="text-xs text-red-500">机器人已被移出群聊</div>
+        )}
+      </td>
+      <td className="px-4 py-2 text-sm">
+        {group.default_tag ? (
+          <span className="text-xs px-2 py-0.5 bg-purple-50 text-purple-700 border border-purple-200 rounded-full">
+            🏷 {group.default_tag}
+          </span>
+        ) : (
+          <span className="text-xs text-gray-400">—</span>
+        )}
+      </td>
+      <td className="px-4 py-2 text-sm text-gray-600">
+        {disabled.length ? disabled.join('、') : <span className="text-xs text-gray-400">无</span>}
+      </td>
+      <td className="px-4 py-2 text-sm">{group.open_tasks}</td>
+      <td className="px-4 py-2">
+        <button
+          onClick={() => run(() => api.updateGroup(group.chat_id, { enabled: !group.enabled }))}
+          disabled={loading}
+          className={`text-xs px-2 py-0.5 rounded font-medium whitespace-nowrap ${
+            group.enabled ? 'bg-green-100 text-green-700 hover:bg-green-200' : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+          }`}
+        >
+          {group.enabled ? '✅ 启用' : '⏸ 停用'}
+        </button>
+      </td>
+      <td className="px-4 py-2">
+        <div className="flex gap-2 items-center whitespace-nowrap">
+          {confirming ? (
+            <>
+              <button
+                onClick={() => run(() => api.deleteGroup(group.chat_id))}
+                disabled={loading}
+                className="text-xs font-medium px-2 py-0.5 rounded bg-red-100 text-red-700 disabled:opacity-50"
+              >
+                确认
+              </button>
+              <button onClick={() => setConfirming(false)} className="text-xs text-gray-400 hover:text-gray-600">
+                取消
+              </button>
+            </>
+          ) : (
+            <>
+              <button onClick={onEdit} className="text-blue-600 hover:text-blue-800 text-xs font-medium">编辑</button>
+              <button
+                onClick={() => setConfirming(true)}
+                title="清除设置，下次 @ 机器人时按默认设置重新加入"
+                className="text-red-500 hover:text-red-700 text-xs"
+              >
+                重置
+              </button>
+            </>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// ── form ─────────────────────────────────────────────────────────────────────
+
+function GroupForm({
+  group,
+  features,
+  onSuccess,
+  onCancel,
+}: {
+  group: GroupChat;
+  features: Feature[];
+  onSuccess: () => void;
+  onCancel: () => void;
+}) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [name, setName] = useState(group.name ?? '');
+  const [defaultTag, setDefaultTag] = useState(group.default_tag ?? '');
+  const [off, setOff] = useState<Record<string, boolean>>(group.features || {});
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      await api.updateGroup(group.chat_id, {
+        name: name.trim() || null,
+        defaultTag: defaultTag.trim().toLowerCase() || null,
+        features: off,
+      });
+      onSuccess();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-6">
+      <h3 className="text-lg font-semibold mb-4">编辑群聊 <span className="text-sm font-mono text-gray-400">{group.chat_id}</span></h3>
+      {error && <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>}
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">名称</label>
+          <input type="text" value={name} onChange={e => setName(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">默认标签</label>
+          <input
+            type="text"
+            value={defaultTag}
+            onChange={e => setDefaultTag(e.target.value)}
+            placeholder="例：ops（留空 = 不自动分配）"
+            className={inputClass}
+          />
+          <p className="text-xs text-gray-400 mt-1">群里 /add 没有 @ 执行人时，在该标签的成员中自动分配；「群任务」也会列出该标签的任务。</p>
+        </div>
+      </div>
+
+      <div className="mt-5">
+        <label className="block text-sm font-medium text-gray-700 mb-2">群内可用功能</label>
+        <div className="grid grid-cols-2 gap-2">
+          {features.map(f => (
+            <label key={f.id} className="flex items-start gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="mt-0.5"
+                checked={off[f.id] !== false}
+                onChange={e => setOff(prev => ({ ...prev, [f.id]: e.target.checked }))}
+              />
+              <span>
+                {f.label}
+                <span className="block text-xs text-gray-400">{f.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-3 mt-6">
+        <button type="button" onClick={onCancel} className="px-4 py-2 border rounded-lg text-sm hover:bg-gray-50">
+          取消
+        </button>
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 disabled:opacity-50"
+        >
+          {loading ? '保存中…' : '保存'}
+        </button>
+      </div>
+    </form>
+  );
+}
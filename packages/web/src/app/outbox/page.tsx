@@ -0,0 +1,210 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import useSWR, { mutate } from 'swr';
+import { api, SWR_KEYS, OutboundMessage, OutboxStatus } from '@/lib/api';
+import AdminGuard from '@/components/AdminGuard';
+import Pagination from '@/components/Pagination';
+import { LoadingState, ErrorState } from '@/components/StatusStates';
+
+// ── constants ────────────────────────────────────────────────────────────────
+
+const PAGE_SIZE = 50;
+
+const STATUS_BADGE: Record<OutboxStatus, { label: string; className: string }> = {
+  pending: { label: '待发送', className: 'bg-yellow-100 text-yellow-700' },
+  sending: { label: '发送中', className: 'bg-blue-100 text-blue-700' },
+  sent:    { label: '已发送', className: 'bg-green-100 text-green-700' },
+  failed:  { label: '失败',   className: 'bg-red-100 text-red-700' },
+};
+
+const formatTime = (iso: string | null) =>
+  iso ? new Date(iso).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' }) : '—';
+
+/** Text messages as they are; cards by their header title */
+function preview(message: OutboundMessage): string {
+  if (typeof message.content === 'string') return message.content;
+  const header = message.content.header as { title?: { content?: string } } | undefined;
+  return `[卡片] ${header?.title?.content ?? ''}`.trim();
+}
+
+// ── page ─────────────────────────────────────────────────────────────────────
+
+export default function OutboxPage() {
+  return (
+    <AdminGuard>
+      <OutboxContent />
+    </AdminGuard>
+  );
+}
+
+function OutboxContent() {
+  const [status, setStatus] = useState<OutboxStatus | null>(null);
+  const [page, setPage] = useState(1);
+  const [retrying, setRetrying] = useState(false);
+
+  const swrKey = `${SWR_KEYS.outbox}?status=${status ?? ''}&page=${page}`;
+  const { data, error, isLoading } = useSWR(
+    swrKey,
+    () => api.getOutbox({ status, page, limit: PAGE_SIZE }),
+    { refreshInterval: 15_000 }
+  );
+
+  const messages   = data?.messages ?? [];
+  const counts     = data?.counts ?? {};
+  const total      = data?.total ?? 0;
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const refresh    = () => mutate(swrKey);
+
+  const selectStatus = (s: OutboxStatus | null) => { setStatus(s); setPage(1); };
+
+  const retryAll = async () => {
+    setRetrying(true);
+    try {
+      await api.retryFailedOutbound();
+      refresh();
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">消息投递</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            机器人发出的提醒和通知先进入投递队列，飞书不可用时自动重试；多次失败后标记为失败，可在此重新投递。
+          </p>
+        </div>
+        {(counts.failed ?? 0) > 0 && (
+          <button
+            onClick={retryAll}
+            disabled={retrying}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
+          >
+            重试全部失败（{counts.failed}）
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <FilterButton active={status === null} onClick={() => selectStatus(null)}>全部</FilterButton>
+        {(Object.keys(STATUS_BADGE) as OutboxStatus[]).map(s => (
+          <FilterButton key={s} active={status === s} onClick={() => selectStatus(s)}>
+            {STATUS_BADGE[s].label}
+            <span className="ml-1 text-gray-400">{counts[s] ?? 0}</span>
+          </FilterButton>
+        ))}
+      </div>
+
+      {isLoading && <LoadingState />}
+      {error && <ErrorState message={error.message} retryKey={swrKey} />}
+
+      {!isLoading && !error && (
+        <>
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="w-full min-w-[860px]" aria-label="消息投递记录">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-44">创建时间</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-40">接收人</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">内容</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-24">状态</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 w-20">操作</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {messages.map(m => <OutboxRow key={m.id} message={m} onRefresh={refresh} />)}
+                {messages.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-8 text-center text-gray-400">暂无消息</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          {totalPages > 1 && (
+            <Pagination
+              page={page} totalPages={totalPages} total={total}
+              pageSize={PAGE_SIZE} onPageChange={setPage}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ── sub-components ────────────────────────────────────────────────────────────
+
+function FilterButton({ active, onClick, children }: { active: boolean; onClick: () => void; children: React.ReactNode }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`text-sm px-3 py-1 rounded-full border transition-colors ${
+        active ? 'bg-blue-500 text-white border-blue-500' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function OutboxRow({ message, onRefresh }: { message: OutboundMessage; onRefresh: () => void }) {
+  const [loading, setLoading] = useState(false);
+  const badge = STATUS_BADGE[message.status];
+
+  const retry = async () => {
+    setLoading(true);
+    try {
+      await api.retryOutboundMessage(message.id);
+      onRefresh();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <tr className={`hover:bg-gray-50 align-top ${loading ? 'opacity-50' : ''}`}>
+      <td className="px-4 py-2 text-xs text-gray-500 whitespace-nowrap">{formatTime(message.created_at)}</td>
+      <td className="px-4 py-2 text-xs text-gray-600 font-mono break-all">{message.receive_id}</td>
+      <td className="px-4 py-2 text-sm">
+        <div className="text-gray-800 whitespace-pre-line line-clamp-3">{preview(message)}</div>
+        {message.task_id && (
+          <Link href={`/tasks/${message.task_id}`} className="text-xs text-blue-600 hover:text-blue-800">
+            #{message.task_id} {message.task_title ?? ''}
+          </Link>
+        )}
+        {message.last_error && message.status !== 'sent' && (
+          <div className="text-xs text-red-500 mt-1 break-all">{message.last_error}</div>
+        )}
+      </td>
+      <td className="px-4 py-2 text-sm">
+        <span className={`text-xs px-2 py-0.5 rounded font-medium whitespace-nowrap ${badge.className}`}>
+          {badge.label}
+        </span>
+        <div className="text-xs text-gray-400 mt-1 whitespace-nowrap">
+          {message.status === 'sent'
+            ? formatTime(message.sent_at)
+            : `已尝试 ${message.attempts} 次`}
+        </div>
+        {message.status === 'pending' && message.attempts > 0 && (
+          <div className="text-xs text-gray-400 whitespace-nowrap">下次：{formatTime(message.next_attempt_at)}</div>
+        )}
+      </td>
+      <td className="px-4 py-2">
+        {message.status === 'failed' && (
+          <button
+            onClick={retry}
+            disabled={loading}
+            className="text-blue-600 hover:text-blue-800 text-xs font-medium disabled:opacity-50"
+          >
+            重试
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+}
@@ -10,7 +10,7 @@ export default function Dashboard() {
   if (isLoading) return <LoadingState />;
   if (error) return <ErrorState message={error.message} retryKey={SWR_KEYS.dashboard} />;
 
-  const stats = data?.stats || { totalTasks: 0, pendingTasks: 0, completedTasks: 0, adminCount: 0, totalUsers: 0 };
+  const stats = data?.stats || { totalTasks: 0, pendingTasks: 0, blockedTasks: 0, awaitingReviewTasks: 0, completedTasks: 0, adminCount: 0, totalUsers: 0 };
   const builtinEnabled = data?.builtinEnabled ?? false;
   const activity = data?.recentActivity || [];
 
@@ -1,26 +1,17 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
 import useSWR, { mutate } from 'swr';
-import cronstrue from 'cronstrue/i18n';
-import { api, SWR_KEYS, ScheduledTask, User, WorkloadUser } from '@/lib/api';
+import {
+  api, SWR_KEYS, ScheduledTask, ScheduledTaskCatchUp, ScheduledTaskRunSource, ScheduledTaskRunStatus,
+  SchedulePreview, User, WorkloadUser,
+} from '@/lib/api';
 import AdminGuard from '@/components/AdminGuard';
 import UserCombobox from '@/components/UserCombobox';
 import FeishuUserLookup from '@/components/FeishuUserLookup';
 import Pagination from '@/components/Pagination';
-
-/**
- * Translate a cron expression into plain Chinese.
- * Returns '' if the expression is invalid.
- */
-function describeCron(expr: string): string {
-  if (!expr) return '';
-  try {
-    return cronstrue.toString(expr, { locale: 'zh_CN', use24HourTimeFormat: true });
-  } catch {
-    return '';
-  }
-}
+import { TIMEZONES } from '@/lib/timezones';
 
 // ── constants ────────────────────────────────────────────────────────────────
 
@@ -30,16 +21,44 @@ const PRIORITY_BADGE: Record<string, { label: string; className: string }> = {
   p2: { label: 'P2 不紧急', className: 'bg-green-100 text-green-700' },
 };
 
+const RUN_STATUS_BADGE: Record<ScheduledTaskRunStatus, { label: string; className: string }> = {
+  running:  { label: '执行中', className: 'bg-blue-100 text-blue-700' },
+  created:  { label: '已创建', className: 'bg-green-100 text-green-700' },
+  deferred: { label: '已顺延', className: 'bg-gray-100 text-gray-600' },
+  skipped:  { label: '已跳过', className: 'bg-yellow-100 text-yellow-700' },
+  failed:   { label: '失败',   className: 'bg-red-100 text-red-700' },
+};
+
+const RUN_SOURCE_LABEL: Record<ScheduledTaskRunSource, string> = {
+  cron: '定时',
+  catch_up: '补执行',
+  deferred: '顺延',
+  manual: '手动',
+};
+
+const CATCH_UP_OPTIONS: { value: ScheduledTaskCatchUp; label: string }[] = [
+  { value: 'latest', label: '只补最近一次（默认）' },
+  { value: 'all',    label: '全部补上' },
+  { value: 'none',   label: '不补' },
+];
+
+const RUNS_PAGE_SIZE = 10;
+
+const formatTime = (iso: string | null) =>
+  iso ? new Date(iso).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' }) : '—';
+
 const CRON_PRESETS = [
   { label: '每周一 6:00 (CST)', value: '0 6 * * 1' },
   { label: '每周五 17:00 (CST)', value: '0 17 * * 5' },
   { label: '每月1号 9:00 (CST)', value: '0 9 1 * *' },
   { label: '每月4号 6:00 (CST)', value: '0 6 4 * *' },
+  { label: '每月最后一天 8:00 (CST)', value: '0 8 L * *' },
+  { label: '每月最后一个工作日 8:00 (CST)', value: '0 8 LW * *' },
+  { label: '每月第3个工作日 9:00 (CST)', value: '0 9 BD3 * *' },
+  { label: '每月第二个周一 9:00 (CST)', value: '0 9 * * 1#2' },
   { label: '自定义', value: 'custom' },
 ];
 
-const TIMEZONES = ['America/Toronto', 'Asia/Shanghai', 'UTC', 'America/New_York', 'America/Vancouver', 'America/Chicago', 'America/Los_Angeles'];
-
 // ── types ─────────────────────────────────────────────────────────────────────
 
 interface FormState {
@@ -49,14 +68,18 @@ interface FormState {
   targetOpenId: string;
   targetTag: string;
   reporterOpenId: string;
+  requiresApproval: boolean;      // completed tasks wait for the reporter's review
   schedulePreset: string;
   schedule: string;
   timezone: string;
   deadlineDays: number;
+  deadlineTime: string;           // 'HH:MM' in timezone; empty = 00:00
   priority: 'p0' | 'p1' | 'p2';
   note: string;
   reminderIntervalHours: number;
   enabled: boolean;
+  catchUp: ScheduledTaskCatchUp;  // runs missed while the server was down
+  skipHolidays: boolean;
 }
 
 const DEFAULT_FORM: FormState = {
@@ -66,14 +89,18 @@ const DEFAULT_FORM: FormState = {
   targetOpenId: '',
   targetTag: '',
   reporterOpenId: '',
+  requiresApproval: false,
   schedulePreset: '0 6 * * 1',
   schedule: '0 6 * * 1',
   timezone: 'Asia/Shanghai',
   deadlineDays: 1,
+  deadlineTime: '',
   priority: 'p1',
   note: '',
   reminderIntervalHours: 24,
   enabled: true,
+  catchUp: 'latest',
+  skipHolidays: false,
 };
 
 // ── page ─────────────────────────────────────────────────────────────────────
@@ -252,7 +279,7 @@ function ScheduledTaskTable({
             <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 whitespace-nowrap w-20">截止天数</th>
             <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 whitespace-nowrap w-16">状态</th>
             <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 whitespace-nowrap w-28">上次执行</th>
-            <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 whitespace-nowrap w-20">操作</th>
+            <th className="px-4 py-3 text-left text-sm font-medium text-gray-500 whitespace-nowrap w-36">操作</th>
           </tr>
         </thead>
         <tbody className="divide-y">
@@ -284,7 +311,9 @@ function ScheduledTaskRow({
   onRefresh: () => void;
 }) {
   const [loading, setLoading] = useState(false);
-  const [confirming, setConfirming] = useState(false);
+  const [confirming, setConfirming] = useState<'delete' | 'run' | null>(null);
+  const [showRuns, setShowRuns] = useState(false);
+  const [runError, setRunError] = useState<string | null>(null);
 
   const handleToggle = async () => {
     setLoading(true);
@@ -303,129 +332,293 @@ function ScheduledTaskRow({
       onRefresh();
     } finally {
       setLoading(false);
-      setConfirming(false);
+      setConfirming(null);
+    }
+  };
+
+  // Fire once now; the outcome shows up at the top of the run history
+  const handleRun = async () => {
+    setLoading(true);
+    setRunError(null);
+    try {
+      await api.runScheduledTask(task.id);
+      setShowRuns(true);
+      mutate(runsKey(task.id, 1));
+      onRefresh();
+    } catch (err) {
+      setRunError(err instanceof Error ? err.message : '执行失败');
+    } finally {
+      setLoading(false);
+      setConfirming(null);
     }
   };
 
   const badge = PRIORITY_BADGE[task.priority] || PRIORITY_BADGE['p1'];
-  const lastRun = task.last_run_at
-    ? new Date(task.last_run_at).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })
-    : '—';
+  const lastRun = formatTime(task.last_run_at);
 
   const assigneeName = task.target_open_id
     ? (userMap[task.target_open_id] || task.target_open_id)
     : null;
 
   return (
-    <tr className={`hover:bg-gray-50 ${loading ? 'opacity-50' : ''}`}>
-      {/* 名称 */}
-      <td className="px-4 py-2 font-medium text-sm whitespace-nowrap">{task.name}</td>
-
-      {/* 催办标题 + 备注（截断） */}
-      <td className="px-4 py-2 max-w-xs">
-        <p className="text-sm text-gray-800 truncate">{task.title}</p>
-        {task.note && (
-          <p className="text-xs text-gray-400 truncate" title={task.note}>{task.note}</p>
-        )}
-      </td>
-
-      {/* 被催办人 — 名字 or 标签自动分配 */}
-      <td className="px-4 py-2 whitespace-nowrap">
-        {task.target_tag ? (
-          <span className="inline-flex items-center gap-1 text-xs px-2 py-0.5 bg-purple-50 text-purple-700 border border-purple-200 rounded-full font-medium">
-            🏷 {task.target_tag}
-            <span className="text-purple-400 font-normal">按工作量</span>
-          </span>
-        ) : (
-          <span className="text-sm font-medium" title={task.target_open_id ?? undefined}>
-            {assigneeName}
-          </span>
-        )}
-      </td>
-
-      {/* 执行时间 — cron + 人话描述 + timezone */}
-      <td className="px-4 py-2">
-        <span className="text-xs font-mono bg-gray-100 px-1.5 py-0.5 rounded">{task.schedule}</span>
-        {describeCron(task.schedule) && (
-          <span className="text-xs text-blue-600 block mt-0.5 leading-snug">
-            {describeCron(task.schedule)}
-          </span>
-        )}
-        <span className="text-xs text-gray-400 block mt-0.5">{task.timezone}</span>
-      </td>
-
-      {/* 优先级 */}
-      <td className="px-4 py-2 whitespace-nowrap">
-        <span className={`text-xs px-1.5 py-0.5 rounded font-medium ${badge.className}`}>
-          {badge.label}
-        </span>
-      </td>
-
-      {/* 截止天数 */}
-      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">
-        {task.deadline_days === 0
-          ? <span className="text-xs text-gray-400">当天</span>
-          : <span>{task.deadline_days} 天</span>}
-      </td>
-
-      {/* 状态 */}
-      <td className="px-4 py-2 whitespace-nowrap">
-        <button
-          onClick={handleToggle}
-          disabled={loading}
-          className={`text-xs px-2 py-0.5 rounded font-medium transition-colors whitespace-nowrap ${
-            task.enabled
-              ? 'bg-green-100 text-green-700 hover:bg-green-200'
-              : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
-          }`}
-        >
-          {task.enabled ? '✅ 启用' : '⏸ 停用'}
-        </button>
-      </td>
-
-      {/* 上次执行 */}
-      <td className="px-4 py-2 text-xs text-gray-400 whitespace-nowrap">{lastRun}</td>
-
-      {/* 操作 */}
-      <td className="px-4 py-2">
-        <div className="flex gap-2 items-center whitespace-nowrap">
-          {confirming ? (
-            <>
-              <button
-                onClick={handleDelete}
-                disabled={loading}
-                className="text-xs font-medium px-2 py-0.5 rounded bg-red-100 text-red-700 disabled:opacity-50"
-              >
-                确认
-              </button>
-              <button
-                onClick={() => setConfirming(false)}
-                disabled={loading}
-                className="text-xs text-gray-400 hover:text-gray-600"
-              >
-                取消
-              </button>
-            </>
+    <>
+      <tr className={`hover:bg-gray-50 ${loading ? 'opacity-50' : ''}`}>
+        {/* 名称 */}
+        <td className="px-4 py-2 font-medium text-sm whitespace-nowrap">{task.name}</td>
+
+        {/* 催办标题 + 备注（截断） */}
+        <td className="px-4 py-2 max-w-xs">
+          <p className="text-sm text-gray-800 truncate">{task.title}</p>
+          {task.note && (
+            <p className="text-xs text-gray-400 truncate" title={task.note}>{task.note}</p>
+          )}
+        </td>
+
+        {/* 被催办人 — 名字 or 标签自动分配 */}
+        <td className="px-4 py-2 whitespace-nowrap">
+          {task.target_tag ? (
+            <span className="inline-flex items-center gap-1 text-xs px-2 py-0.5 bg-purple-50 text-purple-700 border border-purple-200 rounded-full font-medium">
+              🏷 {task.target_tag}
+              <span className="text-purple-400 font-normal">按工作量</span>
+            </span>
           ) : (
-            <>
-              <button
-                onClick={() => onEdit(task)}
-                className="text-blue-600 hover:text-blue-800 text-xs font-medium"
-              >
-                编辑
-              </button>
-              <button
-                onClick={() => setConfirming(true)}
-                disabled={loading}
-                className="text-red-600 hover:text-red-800 text-xs font-medium disabled:opacity-50"
-              >
-                删除
-              </button>
-            </>
+            <span className="text-sm font-medium" title={task.target_open_id ?? undefined}>
+              {assigneeName}
+            </span>
           )}
-        </div>
-      </td>
-    </tr>
+        </td>
+
+        {/* 执行时间 — cron + 人话描述 + timezone */}
+        <td className="px-4 py-2">
+          <span className="text-xs font-mono bg-gray-100 px-1.5 py-0.5 rounded">{task.schedule}</span>
+          {task.description && (
+            <span className="text-xs text-blue-600 block mt-0.5 leading-snug" title={task.description.en}>
+              {task.description.zh}
+            </span>
+          )}
+          <span className="text-xs text-gray-400 block mt-0.5">{task.timezone}</span>
+        </td>
+
+        {/* 优先级 */}
+        <td className="px-4 py-2 whitespace-nowrap">
+          <span className={`text-xs px-1.5 py-0.5 rounded font-medium ${badge.className}`}>
+            {badge.label}
+          </span>
+        </td>
+
+        {/* 截止天数 */}
+        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">
+          {task.deadline_days === 0
+            ? <span className="text-xs text-gray-400">当天</span>
+            : <span>{task.deadline_days} 天</span>}
+          {task.deadline_time && <span className="text-xs text-gray-400 ml-1">{task.deadline_time}</span>}
+        </td>
+
+        {/* 状态 */}
+        <td className="px-4 py-2 whitespace-nowrap">
+          <button
+            onClick={handleToggle}
+            disabled={loading}
+            className={`text-xs px-2 py-0.5 rounded font-medium transition-colors whitespace-nowrap ${
+              task.enabled
+                ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+            }`}
+          >
+            {task.enabled ? '✅ 启用' : '⏸ 停用'}
+          </button>
+        </td>
+
+        {/* 上次执行 */}
+        <td className="px-4 py-2 text-xs text-gray-400 whitespace-nowrap">{lastRun}</td>
+
+        {/* 操作 */}
+        <td className="px-4 py-2">
+          <div className="flex gap-2 items-center whitespace-nowrap">
+            {confirming ? (
+              <>
+                <button
+                  onClick={confirming === 'delete' ? handleDelete : handleRun}
+                  disabled={loading}
+                  className={`text-xs font-medium px-2 py-0.5 rounded disabled:opacity-50 ${
+                    confirming === 'delete' ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'
+                  }`}
+                >
+                  {confirming === 'delete' ? '确认删除' : '确认执行'}
+                </button>
+                <button
+                  onClick={() => setConfirming(null)}
+                  disabled={loading}
+                  className="text-xs text-gray-400 hover:text-gray-600"
+                >
+                  取消
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={() => onEdit(task)}
+                  className="text-blue-600 hover:text-blue-800 text-xs font-medium"
+                >
+                  编辑
+                </button>
+                <button
+                  onClick={() => setConfirming('run')}
+                  disabled={loading}
+                  title="立即创建一次任务（不受启用状态和工作日历限制）"
+                  className="text-blue-600 hover:text-blue-800 text-xs font-medium disabled:opacity-50"
+                >
+                  执行
+                </button>
+                <button
+                  onClick={() => setShowRuns(v => !v)}
+                  className="text-gray-600 hover:text-gray-800 text-xs font-medium"
+                >
+                  {showRuns ? '收起' : '历史'}
+                </button>
+                <button
+                  onClick={() => setConfirming('delete')}
+                  disabled={loading}
+                  className="text-red-600 hover:text-red-800 text-xs font-medium disabled:opacity-50"
+                >
+                  删除
+                </button>
+              </>
+            )}
+          </div>
+          {runError && <p className="text-xs text-red-500 mt-1">{runError}</p>}
+        </td>
+      </tr>
+      {showRuns && (
+        <tr className="bg-gray-50">
+          <td colSpan={9} className="px-4 py-3">
+            <ScheduledTaskUpcoming task={task} />
+            <ScheduledTaskRuns scheduledTaskId={task.id} userMap={userMap} />
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+// ── upcoming fires ────────────────────────────────────────────────────────────
+
+const UPCOMING_COUNT = 5;
+
+/** Fire times as wall-clock times in the task's timezone */
+function OccurrenceList({ occurrences, timezone }: { occurrences: string[]; timezone: string }) {
+  return (
+    <ul className="grid grid-cols-2 gap-x-4 gap-y-0.5 font-mono">
+      {occurrences.map(iso => (
+        <li key={iso}>
+          {new Date(iso).toLocaleString('zh-CN', {
+            timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+            weekday: 'short', hour: '2-digit', minute: '2-digit',
+          })}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ScheduledTaskUpcoming({ task }: { task: ScheduledTask }) {
+  // The saved schedule is part of the key so an edit refreshes the preview
+  const { data, error } = useSWR(
+    [`${SWR_KEYS.scheduledTasks}/${task.id}/preview`, task.schedule, task.timezone, task.skip_holidays],
+    () => api.getScheduledTaskPreview(task.id, UPCOMING_COUNT)
+  );
+
+  if (error) return <div className="text-xs text-red-600 mb-2">{error.message}</div>;
+  if (!data) return null;
+
+  return (
+    <div className="text-xs text-gray-500 mb-3">
+      <p className="mb-1">
+        <span className="text-blue-600">{data.description.zh}</span>
+        <span className="text-gray-400 ml-2">{data.description.en}</span>
+      </p>
+      {data.occurrences.length > 0 ? (
+        <>
+          <p className="mb-1">
+            接下来 {data.occurrences.length} 次执行（{data.timezone}）{!task.enabled && '，任务已停用，恢复后生效'}：
+          </p>
+          <OccurrenceList occurrences={data.occurrences} timezone={data.timezone} />
+        </>
+      ) : (
+        <p>近期没有执行时间</p>
+      )}
+    </div>
+  );
+}
+
+// ── run history ───────────────────────────────────────────────────────────────
+
+const runsKey = (id: number, page: number) => `${SWR_KEYS.scheduledTasks}/${id}/runs?page=${page}`;
+
+function ScheduledTaskRuns({ scheduledTaskId, userMap }: { scheduledTaskId: number; userMap: Record<string, string> }) {
+  const [page, setPage] = useState(1);
+  const swrKey = runsKey(scheduledTaskId, page);
+  const { data, error, isLoading } = useSWR(
+    swrKey,
+    () => api.getScheduledTaskRuns(scheduledTaskId, { page, limit: RUNS_PAGE_SIZE })
+  );
+
+  const runs       = data?.runs ?? [];
+  const total      = data?.total ?? 0;
+  const totalPages = Math.max(1, Math.ceil(total / RUNS_PAGE_SIZE));
+
+  if (isLoading) return <div className="text-xs text-gray-400">加载中…</div>;
+  if (error) return <div className="text-xs text-red-600">{error.message}</div>;
+  if (runs.length === 0) return <div className="text-xs text-gray-400">暂无运行记录</div>;
+
+  return (
+    <div>
+      <table className="w-full text-xs" aria-label="运行历史">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 pr-3 font-medium w-40">触发时间</th>
+            <th className="py-1 pr-3 font-medium w-14">来源</th>
+            <th className="py-1 pr-3 font-medium w-20">状态</th>
+            <th className="py-1 pr-3 font-medium w-32">执行人</th>
+            <th className="py-1 pr-3 font-medium">任务 / 原因</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {runs.map(run => {
+            const badge = RUN_STATUS_BADGE[run.status];
+            const assignee = run.assignee_name
+              || (run.assignee_open_id && (userMap[run.assignee_open_id] || run.assignee_open_id));
+            return (
+              <tr key={run.id} className="align-top">
+                <td className="py-1.5 pr-3 text-gray-600 whitespace-nowrap">{formatTime(run.fire_time)}</td>
+                <td className="py-1.5 pr-3 text-gray-500 whitespace-nowrap" title={run.triggered_by ?? undefined}>
+                  {RUN_SOURCE_LABEL[run.source]}
+                </td>
+                <td className="py-1.5 pr-3 whitespace-nowrap">
+                  <span className={`px-1.5 py-0.5 rounded font-medium ${badge.className}`}>{badge.label}</span>
+                </td>
+                <td className="py-1.5 pr-3 text-gray-700 whitespace-nowrap">{assignee || '—'}</td>
+                <td className="py-1.5 pr-3">
+                  {run.task_id && (
+                    <Link href={`/tasks/${run.task_id}`} className="text-blue-600 hover:text-blue-800">
+                      #{run.task_id} {run.task_title}
+                    </Link>
+                  )}
+                  {run.error && (
+                    <span className={`block break-all ${run.status === 'failed' ? 'text-red-500' : 'text-gray-500'}`}>
+                      {run.error}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {totalPages > 1 && (
+        <Pagination page={page} totalPages={totalPages} total={total} pageSize={RUNS_PAGE_SIZE} onPageChange={setPage} />
+      )}
+    </div>
   );
 }
 
@@ -460,14 +653,18 @@ function ScheduledTaskForm({
       targetOpenId: initial.target_open_id || '',
       targetTag: initial.target_tag || '',
       reporterOpenId: initial.reporter_open_id || '',
+      requiresApproval: initial.requires_approval,
       schedulePreset: presetForSchedule(initial.schedule),
       schedule: initial.schedule,
       timezone: initial.timezone,
       deadlineDays: initial.deadline_days,
+      deadlineTime: initial.deadline_time || '',
       priority: initial.priority,
       note: initial.note || '',
       reminderIntervalHours: initial.reminder_interval_hours,
       enabled: initial.enabled,
+      catchUp: initial.catch_up ?? 'latest',
+      skipHolidays: initial.skip_holidays ?? false,
     };
   });
 
@@ -492,6 +689,25 @@ function ScheduledTaskForm({
     return () => clearTimeout(timer);
   }, [form.assignMode, form.targetTag]);
 
+  // Validate the schedule server-side (calendar rules, work calendar), describe it and list its
+  // next fires, debounced the same way.
+  const [schedulePreview, setSchedulePreview] = useState<{ preview: SchedulePreview | null; error: string | null }>(
+    { preview: null, error: null }
+  );
+  useEffect(() => {
+    const schedule = form.schedule.trim();
+    if (!schedule) {
+      setSchedulePreview({ preview: null, error: null });
+      return;
+    }
+    const timer = setTimeout(() => {
+      api.previewSchedule({ schedule, timezone: form.timezone, skipHolidays: form.skipHolidays })
+        .then(preview => setSchedulePreview({ preview, error: null }))
+        .catch(err => setSchedulePreview({ preview: null, error: err instanceof Error ? err.message : String(err) }));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [form.schedule, form.timezone, form.skipHolidays]);
+
   const handlePresetChange = (value: string) => {
     if (value === 'custom') {
       setForm(f => ({ ...f, schedulePreset: 'custom' }));
@@ -516,13 +732,17 @@ function ScheduledTaskForm({
         targetOpenId: form.assignMode === 'direct' ? form.targetOpenId : null,
         targetTag: form.assignMode === 'tag' ? form.targetTag.trim().toLowerCase() : null,
         reporterOpenId: form.reporterOpenId || null,
+        requiresApproval: !!form.reporterOpenId && form.requiresApproval,
         schedule: form.schedule,
         timezone: form.timezone,
         deadlineDays: form.deadlineDays,
+        deadlineTime: form.deadlineTime || null,
         priority: form.priority,
         note: form.note || null,
         reminderIntervalHours: form.reminderIntervalHours,
         enabled: form.enabled,
+        catchUp: form.catchUp,
+        skipHolidays: form.skipHolidays,
       };
       if (initial) {
         await api.updateScheduledTask(initial.id, payload);
@@ -672,6 +892,16 @@ function ScheduledTaskForm({
               mutate(SWR_KEYS.users);
             }}
           />
+          {form.reporterOpenId && (
+            <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.requiresApproval}
+                onChange={e => setForm({ ...form, requiresApproval: e.target.checked })}
+              />
+              完成后需报告人验收
+            </label>
+          )}
         </div>
 
         {/* 执行时间预设 */}
@@ -691,25 +921,36 @@ function ScheduledTaskForm({
               type="text"
               value={form.schedule}
               onChange={e => setForm({ ...form, schedule: e.target.value })}
-              placeholder="Cron 表达式，例：0 9 * * 1-5"
+              placeholder="Cron 表达式，例：0 9 * * 1-5、0 8 LW * *"
               className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm"
             />
           )}
-          {/* Human-readable cron preview */}
-          {(() => {
-            const desc = describeCron(form.schedule);
-            const isInvalid = form.schedulePreset === 'custom' && form.schedule && !desc;
-            return desc ? (
-              <p className="mt-1 text-xs text-blue-600 flex items-center gap-1">
-                <span>🕐</span> {desc}
+          {/* Validity and the description both come from the server preview */}
+          {schedulePreview.error ? (
+            <p className="mt-1 text-xs text-red-500">{schedulePreview.error}</p>
+          ) : schedulePreview.preview && (
+            <div className="mt-1 text-xs">
+              <p className="text-blue-600 flex items-center gap-1">
+                <span>🕐</span> {schedulePreview.preview.description.zh}
               </p>
-            ) : isInvalid ? (
-              <p className="mt-1 text-xs text-red-500">无效的 cron 表达式</p>
-            ) : null;
-          })()}
+              <p className="text-gray-400 pl-5">{schedulePreview.preview.description.en}</p>
+            </div>
+          )}
+          {form.schedulePreset === 'custom' && (
+            <p className="mt-1 text-xs text-gray-400">
+              日期还可用：<code>L</code> 月末、<code>LW</code> 最后一个工作日、<code>BD3</code> 第 3 个工作日（日字段），
+              <code>1#2</code> 第二个周一、<code>5L</code> 最后一个周五（星期字段）；工作日按工作日历
+            </p>
+          )}
           {form.schedulePreset !== 'custom' && (
             <span className="text-xs text-gray-400 font-mono">{form.schedule}</span>
           )}
+          {schedulePreview.preview && schedulePreview.preview.occurrences.length > 0 && (
+            <div className="mt-2 text-xs text-gray-500">
+              <p className="mb-1">接下来 {schedulePreview.preview.occurrences.length} 次执行（{form.timezone}）：</p>
+              <OccurrenceList occurrences={schedulePreview.preview.occurrences} timezone={form.timezone} />
+            </div>
+          )}
         </div>
 
         {/* 时区 */}
@@ -740,6 +981,20 @@ function ScheduledTaskForm({
           />
         </div>
 
+        {/* 截止时刻 */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            截止时刻
+            <span className="ml-1 text-gray-400 font-normal text-xs">（按上方时区，不填为当天 00:00）</span>
+          </label>
+          <input
+            type="time"
+            value={form.deadlineTime}
+            onChange={e => setForm({ ...form, deadlineTime: e.target.value })}
+            className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+
         {/* 紧急程度 */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">紧急程度</label>
@@ -780,6 +1035,38 @@ function ScheduledTaskForm({
           />
         </div>
 
+        {/* 错过的执行 */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            错过的执行
+            <span className="ml-1 text-gray-400 font-normal text-xs">（服务停机期间未触发的，重启后补上）</span>
+          </label>
+          <select
+            value={form.catchUp}
+            onChange={e => setForm({ ...form, catchUp: e.target.value as ScheduledTaskCatchUp })}
+            className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {CATCH_UP_OPTIONS.map(o => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* 节假日 */}
+        <div className="flex items-center gap-2 pt-6">
+          <input
+            type="checkbox"
+            id="skipHolidays"
+            checked={form.skipHolidays}
+            onChange={e => setForm({ ...form, skipHolidays: e.target.checked })}
+            className="w-4 h-4 text-blue-600 rounded"
+          />
+          <label htmlFor="skipHolidays" className="text-sm font-medium text-gray-700">
+            节假日不执行
+            <span className="ml-1 text-gray-400 font-normal text-xs">（工作日历中的节假日跳过）</span>
+          </label>
+        </div>
+
         {/* 启用 */}
         <div className="flex items-center gap-2 pt-6">
           <input
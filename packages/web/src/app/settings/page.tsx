@@ -2,30 +2,66 @@
 
 import { useState } from 'react';
 import useSWR, { mutate } from 'swr';
-import { api, Setting } from '@/lib/api';
+import { api, Setting, WorkCalendar, PriorityRules } from '@/lib/api';
 import AdminGuard from '@/components/AdminGuard';
 
+const WORK_CALENDAR_KEY = 'work_calendar';
+const PRIORITY_RULES_KEY = 'priority_rules';
+
+// Same as the server with no calendar stored: nothing is restricted
+const OPEN_CALENDAR: WorkCalendar = {
+  quietHours: null,
+  workdays: [0, 1, 2, 3, 4, 5, 6],
+  holidays: [],
+  rollDeadlines: false,
+  rollScheduledRuns: false,
+};
+
+// Same as the server with no rules stored: nothing is raised, and a raise would tighten
+// reminders to the default intervals
+const NO_PRIORITY_RULES: PriorityRules = {
+  enabled: false,
+  rules: [],
+  reminderIntervals: { p0: 4, p1: 12 },
+};
+
+const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
+
 function SettingsPage() {
   const { data: settings, error, isLoading } = useSWR<Setting[]>('/settings', api.getSettings);
 
   if (isLoading) return <LoadingState />;
   if (error) return <ErrorState message={error.message} />;
 
+  const calendar = settings?.find((s) => s.key === WORK_CALENDAR_KEY)?.value as WorkCalendar | undefined;
+  const priorityRules = settings?.find((s) => s.key === PRIORITY_RULES_KEY)?.value as PriorityRules | undefined;
+  const otherSettings = settings?.filter((s) => s.key !== WORK_CALENDAR_KEY && s.key !== PRIORITY_RULES_KEY);
+
   return (
     <div>
       <h2 className="text-2xl font-bold mb-6">系统设置</h2>
 
       <div className="bg-white rounded-lg shadow">
         <div className="divide-y">
-          {settings?.map((setting) => (
+          {otherSettings?.map((setting) => (
             <SettingRow key={setting.key} setting={setting} />
           ))}
-          {settings?.length === 0 && (
+          {otherSettings?.length === 0 && (
             <div className="px-4 py-8 text-center text-gray-500">暂无配置项</div>
           )}
         </div>
       </div>
 
+      <WorkCalendarSection calendar={{ ...OPEN_CALENDAR, ...calendar }} />
+
+      <PriorityRulesSection
+        config={{
+          ...NO_PRIORITY_RULES,
+          ...priorityRules,
+          reminderIntervals: { ...NO_PRIORITY_RULES.reminderIntervals, ...priorityRules?.reminderIntervals },
+        }}
+      />
+
       {/* 系统信息 */}
       <SystemInfo />
     </div>
@@ -141,6 +177,321 @@ function SettingRow({ setting }: { setting: Setting }) {
   );
 }
 
+function WorkCalendarSection({ calendar }: { calendar: WorkCalendar }) {
+  const [form, setForm] = useState<WorkCalendar>(calendar);
+  const [holidayDate, setHolidayDate] = useState('');
+  const [holidayName, setHolidayName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  const update = (patch: Partial<WorkCalendar>) => {
+    setForm((f) => ({ ...f, ...patch }));
+    setSaved(false);
+  };
+
+  const toggleWeekday = (day: number) =>
+    update({
+      workdays: form.workdays.includes(day)
+        ? form.workdays.filter((d) => d !== day)
+        : [...form.workdays, day].sort(),
+    });
+
+  const addHoliday = () => {
+    if (!holidayDate || form.holidays.some((h) => h.date === holidayDate)) return;
+    update({
+      holidays: [...form.holidays, { date: holidayDate, name: holidayName.trim() || null }]
+        .sort((a, b) => a.date.localeCompare(b.date)),
+    });
+    setHolidayDate('');
+    setHolidayName('');
+  };
+
+  const handleSave = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await api.updateSetting(WORK_CALENDAR_KEY, form, '工作日历：免打扰时段、工作日与节假日');
+      mutate('/settings');
+      setSaved(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '保存失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow p-6 space-y-5">
+      <div>
+        <h3 className="text-lg font-semibold">工作日历</h3>
+        <p className="text-sm text-gray-500">
+          免打扰时段和非工作日不发送催办提醒，到可发送时段后再补发。时间按每位接收人的时区计算。
+        </p>
+      </div>
+
+      <div>
+        <label className="flex items-center gap-2 text-sm font-medium">
+          <input
+            type="checkbox"
+            checked={!!form.quietHours}
+            onChange={(e) => update({ quietHours: e.target.checked ? { start: '22:00', end: '08:00' } : null })}
+          />
+          免打扰时段
+        </label>
+        {form.quietHours && (
+          <div className="mt-2 flex items-center gap-2 text-sm">
+            <input
+              type="time"
+              aria-label="免打扰开始"
+              value={form.quietHours.start}
+              onChange={(e) => update({ quietHours: { ...form.quietHours!, start: e.target.value } })}
+              className="border rounded px-2 py-1"
+            />
+            <span className="text-gray-400">至</span>
+            <input
+              type="time"
+              aria-label="免打扰结束"
+              value={form.quietHours.end}
+              onChange={(e) => update({ quietHours: { ...form.quietHours!, end: e.target.value } })}
+              className="border rounded px-2 py-1"
+            />
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div className="text-sm font-medium mb-2">工作日</div>
+        <div className="flex gap-2">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={day}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              aria-pressed={form.workdays.includes(day)}
+              className={`w-9 h-9 rounded-full text-sm border ${
+                form.workdays.includes(day) ? 'bg-blue-600 text-white border-blue-600' : 'text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="text-sm font-medium mb-2">节假日</div>
+        {form.holidays.length > 0 ? (
+          <ul className="mb-2 divide-y border rounded text-sm">
+            {form.holidays.map((h) => (
+              <li key={h.date} className="flex items-center justify-between px-3 py-1.5">
+                <span>
+                  <span className="font-mono">{h.date}</span>
+                  {h.name && <span className="ml-2 text-gray-500">{h.name}</span>}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => update({ holidays: form.holidays.filter((x) => x.date !== h.date) })}
+                  className="text-red-500 hover:text-red-700"
+                >
+                  删除
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mb-2 text-sm text-gray-400">暂无节假日</p>
+        )}
+        <div className="flex items-center gap-2 text-sm">
+          <input
+            type="date"
+            aria-label="节假日日期"
+            value={holidayDate}
+            onChange={(e) => setHolidayDate(e.target.value)}
+            className="border rounded px-2 py-1"
+          />
+          <input
+            type="text"
+            placeholder="名称（可选）"
+            value={holidayName}
+            onChange={(e) => setHolidayName(e.target.value)}
+            className="border rounded px-2 py-1 w-40"
+          />
+          <button
+            type="button"
+            onClick={addHoliday}
+            disabled={!holidayDate}
+            className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            添加
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-2 text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={form.rollDeadlines}
+            onChange={(e) => update({ rollDeadlines: e.target.checked })}
+          />
+          新任务截止时间落在非工作日时，顺延到下一个工作日
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={form.rollScheduledRuns}
+            onChange={(e) => update({ rollScheduledRuns: e.target.checked })}
+          />
+          定时任务在非工作日触发时，顺延到下一个工作日的同一时间
+        </label>
+      </div>
+
+      <div className="flex items-center gap-4">
+        <button
+          onClick={handleSave}
+          disabled={loading || form.workdays.length === 0}
+          className="bg-blue-600 text-white rounded px-4 py-1.5 text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {loading ? '保存中...' : '保存工作日历'}
+        </button>
+        {saved && <span className="text-sm text-green-600">已保存</span>}
+        {form.workdays.length === 0 && <span className="text-sm text-red-500">至少选择一个工作日</span>}
+        {error && <span className="text-sm text-red-500">{error}</span>}
+      </div>
+    </div>
+  );
+}
+
+/** One row per starting priority; p0 is already the most urgent */
+const RULE_ROWS = [
+  { from: 'p2', label: 'P2 不紧急', targets: [{ value: 'p1', label: 'P1 一般' }, { value: 'p0', label: 'P0 紧急' }] },
+  { from: 'p1', label: 'P1 一般',   targets: [{ value: 'p0', label: 'P0 紧急' }] },
+] as const;
+
+function PriorityRulesSection({ config }: { config: PriorityRules }) {
+  const [form, setForm] = useState<PriorityRules>(config);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  const update = (patch: Partial<PriorityRules>) => {
+    setForm((f) => ({ ...f, ...patch }));
+    setSaved(false);
+  };
+
+  type Rule = PriorityRules['rules'][number];
+  const ruleFor = (from: Rule['from']) => form.rules.find((r) => r.from === from);
+  const setRule = (from: Rule['from'], rule: Rule | null) =>
+    update({ rules: [...form.rules.filter((r) => r.from !== from), ...(rule ? [rule] : [])] });
+
+  const setReminderInterval = (p: 'p0' | 'p1', value: string) =>
+    update({ reminderIntervals: { ...form.reminderIntervals, [p]: value ? parseInt(value, 10) : null } });
+
+  const handleSave = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await api.updateSetting(PRIORITY_RULES_KEY, form, '优先级自动提升：临近截止时提升优先级并缩短提醒间隔');
+      mutate('/settings');
+      setSaved(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '保存失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow p-6 space-y-5">
+      <div>
+        <h3 className="text-lg font-semibold">优先级自动提升</h3>
+        <p className="text-sm text-gray-500">
+          临近截止时自动提升任务优先级，并把提醒间隔缩短到新优先级的间隔。每次提升记入审计日志，并在下一次提醒中告知执行人。
+        </p>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm font-medium">
+        <input type="checkbox" checked={form.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+        启用
+      </label>
+
+      <div className="space-y-2 text-sm">
+        {RULE_ROWS.map((row) => {
+          const rule = ruleFor(row.from);
+          return (
+            <div key={row.from} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                aria-label={`${row.label} 自动提升`}
+                checked={!!rule}
+                onChange={(e) => setRule(row.from, e.target.checked
+                  ? { from: row.from, to: row.targets[0].value, hoursBeforeDeadline: row.from === 'p2' ? 24 : 0 }
+                  : null)}
+              />
+              <span className="w-20">{row.label}</span>
+              <span className="text-gray-500">距截止不足</span>
+              <input
+                type="number"
+                step={1}
+                aria-label={`${row.label} 提升时距截止小时数`}
+                disabled={!rule}
+                value={rule?.hoursBeforeDeadline ?? ''}
+                onChange={(e) => rule && setRule(row.from, { ...rule, hoursBeforeDeadline: Number(e.target.value) })}
+                className="w-20 border rounded px-2 py-1 disabled:bg-gray-50"
+              />
+              <span className="text-gray-500">小时时提升为</span>
+              <select
+                aria-label={`${row.label} 提升为`}
+                disabled={!rule}
+                value={rule?.to ?? row.targets[0].value}
+                onChange={(e) => rule && setRule(row.from, { ...rule, to: e.target.value as Rule['to'] })}
+                className="border rounded px-2 py-1 disabled:bg-gray-50"
+              >
+                {row.targets.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+              </select>
+            </div>
+          );
+        })}
+        <p className="text-xs text-gray-400">0 = 逾期时提升，负数 = 逾期该小时数后提升。逾期较久的任务会一次连升两级。</p>
+      </div>
+
+      <div className="text-sm">
+        <div className="font-medium mb-2">提升后的提醒间隔</div>
+        <div className="flex items-center gap-4">
+          {(['p0', 'p1'] as const).map((p) => (
+            <label key={p} className="flex items-center gap-2">
+              <span>{p === 'p0' ? 'P0 紧急' : 'P1 一般'}</span>
+              <input
+                type="number"
+                min={1}
+                placeholder="不调整"
+                value={form.reminderIntervals[p] ?? ''}
+                onChange={(e) => setReminderInterval(p, e.target.value)}
+                className="w-24 border rounded px-2 py-1"
+              />
+              <span className="text-gray-500">小时</span>
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-gray-400 mt-1">只会缩短原有间隔；关闭了提醒的任务保持关闭。</p>
+      </div>
+
+      <div className="flex items-center gap-4">
+        <button
+          onClick={handleSave}
+          disabled={loading}
+          className="bg-blue-600 text-white rounded px-4 py-1.5 text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {loading ? '保存中...' : '保存提升规则'}
+        </button>
+        {saved && <span className="text-sm text-green-600">已保存</span>}
+        {error && <span className="text-sm text-red-500">{error}</span>}
+      </div>
+    </div>
+  );
+}
+
 function SystemInfo() {
   // Only NEXT_PUBLIC_* vars are available in the browser bundle.
   // FEISHU_APP_ID is server-only — do not reference it here.
@@ -0,0 +1,262 @@
+'use client';
+
+import { useState, useMemo } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import useSWR, { mutate } from 'swr';
+import { api, SWR_KEYS, User, TimelineEntry } from '@/lib/api';
+import { LoadingState, ErrorState } from '@/components/StatusStates';
+import { PRIORITY_BADGE, STATUS_BADGE, StatusBadge, formatDeadline } from '@/components/TaskBadges';
+
+// ── constants ────────────────────────────────────────────────────────────────
+
+const EVENT_LABEL: Record<string, string> = {
+  create_task:         '创建了任务',
+  update_task:         '修改了任务',
+  reassign_task:       '转派了任务',
+  start_task:          '开始处理',
+  block_task:          '标记为阻塞',
+  unblock_task:        '解除阻塞',
+  cancel_task:         '取消了任务',
+  reopen_task:         '重新打开任务',
+  update_task_status:  '更新了状态',
+  complete_task_share: '完成了自己的部分',
+  complete_task:       '完成了任务',
+  submit_task:         '提交验收',
+  approve_task:        '验收通过',
+  reject_task:         '验收驳回',
+  check_item:          '勾选了检查项',
+  uncheck_item:        '取消勾选检查项',
+  add_dependency:      '添加了前置任务',
+  remove_dependency:   '移除了前置任务',
+  snooze_task:         '推迟了提醒',
+  request_extension:   '申请延期',
+  approve_extension:   '同意延期',
+  reject_extension:    '拒绝延期',
+  escalate_task:       '触发了逾期升级',
+  raise_priority:      '自动提升了优先级',
+  flag_task:           '标记需要重新分配',
+};
+
+const MESSAGE_LABEL: Record<string, string> = {
+  assigned: '机器人通知了执行人',
+  reminder: '机器人发送了催办提醒',
+  overdue:  '机器人发送了逾期提醒',
+  escalation: '机器人发送了升级通知',
+};
+
+const SOURCE_LABEL: Record<string, string> = {
+  feishu: '飞书',
+  web:    '管理后台',
+  agent:  'Agent',
+};
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function formatTime(value: string) {
+  return new Date(value).toLocaleString('zh-CN', {
+    month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+/** Short human-readable extra for an audit event — reason, comment, new assignee… */
+function eventDetail(entry: Extract<TimelineEntry, { type: 'event' }>): string | null {
+  const d = entry.details || {};
+  if (entry.action === 'snooze_task' && typeof d.until === 'string') return `下次提醒 ${formatTime(d.until)}`;
+  if (entry.action === 'escalate_task' && typeof d.policy === 'string') {
+    return d.outcome === 'skipped' ? `${d.policy}（无接收人，已跳过）` : d.policy;
+  }
+  if (entry.action === 'raise_priority' && typeof d.from === 'string' && typeof d.to === 'string') {
+    const label = (p: string) => PRIORITY_BADGE[p]?.label ?? p;
+    return `${label(d.from)} → ${label(d.to)}`;
+  }
+  if (entry.action.endsWith('_extension') && typeof d.to === 'string') {
+    const to = `延至 ${formatDeadline(d.to)}`;
+    const why = d.reason || d.comment;
+    return typeof why === 'string' && why ? `${to}（${why}）` : to;
+  }
+  if (typeof d.reason === 'string' && d.reason)   return d.reason;
+  if (typeof d.comment === 'string' && d.comment) return d.comment;
+  if (typeof d.proof === 'string' && d.proof)     return d.proof;
+  if (typeof d.title === 'string' && entry.action.endsWith('_item')) return d.title;
+  if (entry.action === 'update_task_status' && typeof d.to === 'string') {
+    return STATUS_BADGE[d.to as keyof typeof STATUS_BADGE]?.label ?? d.to;
+  }
+  return null;
+}
+
+// ── page ─────────────────────────────────────────────────────────────────────
+
+export default function TaskDetailPage() {
+  const { id } = useParams<{ id: string }>();
+  const swrKey = `${SWR_KEYS.tasks}/${id}/timeline`;
+  const { data, error, isLoading } = useSWR(swrKey, () => api.getTaskTimeline(id));
+
+  const { data: users } = useSWR<User[]>(SWR_KEYS.users, api.getUsers);
+  const userMap = useMemo(() => {
+    const map = new Map<string, string>();
+    users?.forEach((u) => {
+      const name = u.name || u.email || u.userId;
+      if (u.openId) map.set(u.openId, name);
+      if (u.userId) map.set(u.userId, name);
+      if (u.feishuUserId) map.set(u.feishuUserId, name);
+    });
+    return map;
+  }, [users]);
+  const resolveName = (idOrOpenId: string | null) =>
+    (idOrOpenId && userMap.get(idOrOpenId)) || idOrOpenId || '系统';
+
+  if (isLoading) return <LoadingState />;
+  if (error)     return <ErrorState message={error.message} retryKey={swrKey} />;
+  if (!data)     return null;
+
+  const { task, timeline } = data;
+  const priority = PRIORITY_BADGE[task.priority] || PRIORITY_BADGE['p1'];
+
+  return (
+    <div className="max-w-3xl">
+      <Link href="/tasks" className="text-sm text-blue-500 hover:underline">← 返回任务列表</Link>
+
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-5 mt-3 mb-4">
+        <h2 className="text-xl font-bold text-gray-900">
+          <span className="mr-2 text-base font-normal text-gray-400">#{task.id}</span>
+          {task.title}
+        </h2>
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+          <StatusBadge status={task.status} />
+          <span className={`px-2 py-0.5 rounded-full font-medium ${priority.className}`}>{priority.label}</span>
+          {task.deadline && (
+            <span className="text-gray-500">截止 {formatDeadline(task.deadline, { year: 'numeric', month: 'numeric', day: 'numeric' })}</span>
+          )}
+        </div>
+        <dl className="grid grid-cols-2 gap-x-6 gap-y-1 mt-3 text-sm">
+          <dt className="text-gray-400">执行人</dt>
+          <dd className="text-gray-700">{resolveName(task.assignee_open_id || task.assignee_id)}</dd>
+          <dt className="text-gray-400">报告人</dt>
+          <dd className="text-gray-700">{task.reporter_open_id ? resolveName(task.reporter_open_id) : '-'}</dd>
+        </dl>
+        {task.note && <p className="text-sm text-gray-500 mt-3 whitespace-pre-wrap">{task.note}</p>}
+      </div>
+
+      {/* Timeline */}
+      <div className="bg-white rounded-lg shadow p-5">
+        <h3 className="font-semibold text-gray-900 mb-3">动态</h3>
+        {timeline.length === 0 ? (
+          <p className="text-sm text-gray-400">暂无动态</p>
+        ) : (
+          <ol className="space-y-3">
+            {timeline.map((entry, i) => (
+              <TimelineItem key={i} entry={entry} resolveName={resolveName} />
+            ))}
+          </ol>
+        )}
+        <CommentForm taskId={task.id} onPosted={() => mutate(swrKey)} />
+      </div>
+    </div>
+  );
+}
+
+// ── timeline ─────────────────────────────────────────────────────────────────
+
+function TimelineItem({
+  entry,
+  resolveName,
+}: {
+  entry: TimelineEntry;
+  resolveName: (idOrOpenId: string | null) => string;
+}) {
+  const time = <span className="text-xs text-gray-400 whitespace-nowrap">{formatTime(entry.at)}</span>;
+
+  if (entry.type === 'comment') {
+    return (
+      <li className="flex gap-3">
+        <span aria-hidden="true">💬</span>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2 text-sm">
+            <span className="font-medium text-gray-900">{resolveName(entry.actorOpenId || entry.actor)}</span>
+            <span className="text-xs text-gray-400">来自{SOURCE_LABEL[entry.source] ?? entry.source}</span>
+            <span className="ml-auto">{time}</span>
+          </div>
+          <p className="text-sm text-gray-700 mt-1 whitespace-pre-wrap break-words bg-gray-50 rounded px-3 py-2">
+            {entry.body}
+          </p>
+        </div>
+      </li>
+    );
+  }
+
+  if (entry.type === 'message') {
+    return (
+      <li className="flex gap-3 text-sm text-gray-500">
+        <span aria-hidden="true">🔔</span>
+        <span className="flex-1">
+          {MESSAGE_LABEL[entry.kind] ?? entry.kind}
+          {entry.recipientOpenId && <span className="text-gray-400">（{resolveName(entry.recipientOpenId)}）</span>}
+        </span>
+        {time}
+      </li>
+    );
+  }
+
+  const detail = eventDetail(entry);
+  return (
+    <li className="flex gap-3 text-sm text-gray-600">
+      <span aria-hidden="true">•</span>
+      <span className="flex-1">
+        <span className="font-medium text-gray-800">{resolveName(entry.actor)}</span>{' '}
+        {EVENT_LABEL[entry.action] ?? entry.action}
+        {detail && <span className="text-gray-400">：{detail}</span>}
+      </span>
+      {time}
+    </li>
+  );
+}
+
+// ── comment form ─────────────────────────────────────────────────────────────
+
+function CommentForm({ taskId, onPosted }: { taskId: number; onPosted: () => void }) {
+  const [body, setBody] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setLoading(true);
+    setError(null);
+    try {
+      await api.addTaskComment(taskId, body.trim());
+      setBody('');
+      onPosted();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '评论失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-5 border-t pt-4">
+      <textarea
+        value={body}
+        onChange={e => setBody(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder="写评论…执行人和报告人会在飞书收到通知"
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm
+                   focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+      <div className="flex justify-end mt-2">
+        <button
+          type="submit"
+          disabled={loading || !body.trim()}
+          className="bg-blue-500 text-white px-4 py-1.5 rounded-lg text-sm hover:bg-blue-600 disabled:opacity-50"
+        >
+          {loading ? '发送中…' : '发表评论'}
+        </button>
+      </div>
+    </form>
+  );
+}
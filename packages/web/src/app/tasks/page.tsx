@@ -1,22 +1,27 @@
 'use client';
 
 import { useState, useMemo, useEffect } from 'react';
+import Link from 'next/link';
 import useSWR, { mutate } from 'swr';
-import { api, SWR_KEYS, Task, User, CreateTaskParams, WorkloadUser } from '@/lib/api';
+import { api, SWR_KEYS, Task, TaskStatus, User, CreateTaskParams, WorkloadUser } from '@/lib/api';
 import UserCombobox from '@/components/UserCombobox';
 import Pagination from '@/components/Pagination';
 import { LoadingState, ErrorState } from '@/components/StatusStates';
+import { PRIORITY_BADGE, STATUS_BADGE, StatusBadge, formatDeadline } from '@/components/TaskBadges';
 
 // ── constants ────────────────────────────────────────────────────────────────
 
-const PRIORITY_BADGE: Record<string, { label: string; className: string }> = {
-  p0: { label: 'P0 紧急', className: 'bg-red-100 text-red-700' },
-  p1: { label: 'P1 一般', className: 'bg-yellow-100 text-yellow-700' },
-  p2: { label: 'P2 不紧急', className: 'bg-green-100 text-green-700' },
-};
+const OPEN_STATUSES: TaskStatus[] = ['pending', 'in_progress', 'blocked'];
 
 // ── helpers ──────────────────────────────────────────────────────────────────
 
+/** "12, 15 #18" → [12, 15, 18]; null when anything is not a task id */
+function parseTaskIds(input: string): number[] | null {
+  const parts = input.split(/[\s,，、#]+/).filter(Boolean);
+  const ids = parts.map(p => Number(p));
+  return ids.every(id => Number.isInteger(id) && id > 0) ? ids : null;
+}
+
 /** Build open_id → display name map from the users list */
 function useUserMap() {
   const { data: users } = useSWR<User[]>(SWR_KEYS.users, api.getUsers);
@@ -38,7 +43,7 @@ function resolveName(openId: string | null, userMap: Map<string, string>) {
 
 const PAGE_SIZE = 20;
 
-function makeSwrKey(page: number, search: string, status: 'pending' | 'completed' | null) {
+function makeSwrKey(page: number, search: string, status: TaskStatus | null) {
   const q = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
   if (search) q.set('search', search);
   if (status) q.set('status', status);
@@ -49,7 +54,7 @@ export default function TasksPage() {
   const [page,          setPage]          = useState(1);
   const [search,        setSearch]        = useState('');
   const [debouncedSearch, setDebounced]   = useState('');
-  const [filterStatus,  setFilterStatus]  = useState<'pending' | 'completed' | null>(null);
+  const [filterStatus,  setFilterStatus]  = useState<TaskStatus | null>(null);
   const [showForm,      setShowForm]      = useState(false);
 
   // Debounce search — 350 ms
@@ -113,13 +118,14 @@ export default function TasksPage() {
         />
         <select
           value={filterStatus ?? 'all'}
-          onChange={e => setFilterStatus(e.target.value === 'all' ? null : e.target.value as 'pending' | 'completed')}
+          onChange={e => setFilterStatus(e.target.value === 'all' ? null : e.target.value as TaskStatus)}
           className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm
                      focus:outline-none focus:ring-2 focus:ring-blue-500"
         >
           <option value="all">全部状态</option>
-          <option value="pending">待办</option>
-          <option value="completed">已完成</option>
+          {(Object.keys(STATUS_BADGE) as TaskStatus[]).map(s => (
+            <option key={s} value={s}>{STATUS_BADGE[s].label}</option>
+          ))}
         </select>
       </div>
 
@@ -168,7 +174,7 @@ function TaskTable({
             <th className={`${TH} w-28`}>催办对象</th>
             <th className={`${TH} w-20`}>状态</th>
             <th className={`${TH} w-24`}>截止时间</th>
-            <th className={`${TH} w-20`}>操作</th>
+            <th className={`${TH} w-40`}>操作</th>
           </tr>
         </thead>
         <tbody className="divide-y divide-gray-100">
@@ -191,13 +197,93 @@ function TaskTable({
 function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string, string>; onRefresh: () => void }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
-  const [confirming, setConfirming] = useState<'complete' | 'delete' | null>(null);
+  const [confirming, setConfirming] = useState<'complete' | 'delete' | 'block' | 'cancel' | 'depend' | 'reject' | null>(null);
+  const [reason, setReason] = useState('');
+  const [showChecklist, setShowChecklist] = useState(false);
+
+  const checklist = task.checklist ?? [];
+  const checklistDone = checklist.filter((i) => i.done).length;
+  const requiredOpen = checklist.filter((i) => i.required && !i.done).length;
+  const isOpen = OPEN_STATUSES.includes(task.status);
+
+  const handleStatus = async (status: Exclude<TaskStatus, 'completed' | 'awaiting_review'>) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await api.updateTaskStatus(task.id, { status, reason: reason.trim() || undefined });
+      onRefresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setLoading(false);
+      setConfirming(null);
+      setReason('');
+    }
+  };
+
+  const handleConfirm = () => {
+    if (confirming === 'complete') return handleComplete();
+    if (confirming === 'delete') return handleDelete();
+    if (confirming === 'block') return handleStatus('blocked');
+    if (confirming === 'cancel') return handleStatus('cancelled');
+    if (confirming === 'depend') return handleAddDependencies();
+    if (confirming === 'reject') return handleReview('reject');
+  };
+
+  const handleReview = async (decision: 'approve' | 'reject') => {
+    setLoading(true);
+    setError(null);
+    try {
+      await api.reviewTask(task.id, decision, reason.trim() || undefined);
+      onRefresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setLoading(false);
+      setConfirming(null);
+      setReason('');
+    }
+  };
+
+  const handleAddDependencies = async () => {
+    const ids = parseTaskIds(reason);
+    if (!ids?.length) {
+      setError('请输入前置任务 ID，多个用逗号分隔');
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await api.addTaskDependencies(task.id, ids);
+      onRefresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setLoading(false);
+      setConfirming(null);
+      setReason('');
+    }
+  };
+
+  const handleRemoveDependency = async (dependsOnId: number) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await api.removeTaskDependency(task.id, dependsOnId);
+      onRefresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleComplete = async () => {
     setLoading(true);
     setError(null);
     try {
-      await api.completeTask(String(task.id), {});
+      // The confirm button reads 强制完成 when required items are open
+      await api.completeTask(String(task.id), requiredOpen > 0 ? { force: true } : {});
       onRefresh();
     } catch (err) {
       setError(err instanceof Error ? err.message : '操作失败');
@@ -207,6 +293,19 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
     }
   };
 
+  const handleToggleItem = async (position: number, done: boolean) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await api.setChecklistItem(task.id, position, done);
+      onRefresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '操作失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDelete = async () => {
     setLoading(true);
     setError(null);
@@ -223,6 +322,11 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
 
   const assigneeName = resolveName(task.assignee_open_id, userMap);
   const reporterName = resolveName(task.reporter_open_id, userMap);
+  const assignees = task.assignees ?? [];
+  const coAssigneeNames = assignees
+    .slice(1)
+    .map((a) => (a.assignee_open_id ? resolveName(a.assignee_open_id, userMap) : a.assignee_id));
+  const assigneesDone = assignees.filter((a) => a.status === 'completed').length;
 
   const badge = PRIORITY_BADGE[task.priority] || PRIORITY_BADGE['p1'];
 
@@ -232,12 +336,27 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
 
         {/* 任务名称 — title + note + secondary tags */}
         <td className="px-3 py-2.5">
-          <p className="text-sm font-medium text-gray-900 leading-snug">{task.title}</p>
+          <p className="text-sm font-medium text-gray-900 leading-snug">
+            <span className="mr-1 text-xs font-normal text-gray-400">#{task.id}</span>
+            <Link href={`/tasks/${task.id}`} className="hover:text-blue-600 hover:underline">
+              {task.title}
+            </Link>
+          </p>
           {task.note && (
             <p className="text-xs text-gray-400 mt-0.5 truncate max-w-xs" title={task.note}>
               {task.note}
             </p>
           )}
+          {task.status === 'blocked' && task.blocked_reason && (
+            <p className="text-xs text-red-500 mt-0.5 truncate max-w-xs" title={task.blocked_reason}>
+              🚧 {task.blocked_reason}
+            </p>
+          )}
+          {task.review_comment && task.status !== 'completed' && task.status !== 'cancelled' && (
+            <p className="text-xs text-purple-600 mt-0.5 truncate max-w-xs" title={task.review_comment}>
+              ↩️ 驳回：{task.review_comment}
+            </p>
+          )}
           {/* Secondary meta: reporter / reminder / workload tags */}
           <div className="flex gap-1.5 mt-1 flex-wrap">
             {task.reporter_open_id && reporterName && (
@@ -260,7 +379,42 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
                 #{task.target_tag}
               </span>
             )}
+            {checklist.length > 0 && (
+              <button type="button" onClick={() => setShowChecklist(!showChecklist)}
+                className={`text-xs px-1.5 py-0.5 rounded ${
+                  requiredOpen > 0 ? 'text-teal-700 bg-teal-50 hover:bg-teal-100' : 'text-green-700 bg-green-50 hover:bg-green-100'
+                }`}>
+                ☑ {checklistDone}/{checklist.length} {showChecklist ? '▴' : '▾'}
+              </button>
+            )}
           </div>
+          {/* Dependency chain: what this task waits for / what waits for it */}
+          {((task.depends_on?.length ?? 0) > 0 || (task.blocks?.length ?? 0) > 0) && (
+            <div className="flex gap-1.5 mt-1 flex-wrap">
+              {(task.depends_on ?? []).map((dep) => {
+                const resolved = dep.status === 'completed' || dep.status === 'cancelled';
+                return (
+                  <span key={dep.id}
+                    title={`前置任务（${STATUS_BADGE[dep.status]?.label ?? dep.status}）`}
+                    className={`text-xs px-1.5 py-0.5 rounded ${
+                      resolved ? 'text-green-700 bg-green-50 line-through' : 'text-orange-700 bg-orange-50'
+                    }`}>
+                    ⛓ #{dep.id} {dep.title}
+                    {isOpen && (
+                      <button type="button" onClick={() => handleRemoveDependency(dep.id)} disabled={loading}
+                        className="ml-1 text-gray-400 hover:text-red-500 no-underline">×</button>
+                    )}
+                  </span>
+                );
+              })}
+              {(task.blocks ?? []).map((next) => (
+                <span key={next.id} title="依赖本任务的任务"
+                  className="text-xs text-gray-500 bg-gray-100 px-1.5 py-0.5 rounded">
+                  → #{next.id} {next.title}
+                </span>
+              ))}
+            </div>
+          )}
         </td>
 
         {/* 优先级 */}
@@ -273,17 +427,31 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
         {/* 催办对象 */}
         <td className="px-3 py-2.5 whitespace-nowrap text-sm text-gray-700">
           {assigneeName || <span className="text-gray-300">—</span>}
+          {assignees.length > 1 && (
+            <span
+              className="ml-1.5 text-xs text-indigo-600 bg-indigo-50 px-1.5 py-0.5 rounded"
+              title={`另有：${coAssigneeNames.join('、')}（${task.completion_mode === 'any' ? '任一人完成即可' : '需全部完成'}）`}
+            >
+              👥 {assigneesDone}/{assignees.length}
+            </span>
+          )}
         </td>
 
         {/* 状态 */}
         <td className="px-3 py-2.5 whitespace-nowrap">
           <StatusBadge status={task.status} />
+          {task.waiting_on_dependencies && isOpen && (
+            <p className="text-xs text-orange-600 mt-0.5" title="前置任务完成前不通知、不提醒执行人">⏳ 等待前置</p>
+          )}
+          {task.requires_approval && task.status !== 'awaiting_review' && (
+            <p className="text-xs text-purple-500 mt-0.5" title="执行人完成后需报告对象验收">🔍 需验收</p>
+          )}
         </td>
 
         {/* 截止时间 */}
         <td className="px-3 py-2.5 whitespace-nowrap text-sm text-gray-500">
           {task.deadline
-            ? new Date(task.deadline).toLocaleDateString('zh-CN', { month: 'numeric', day: 'numeric' })
+            ? formatDeadline(task.deadline)
             : <span className="text-gray-300">—</span>}
         </td>
 
@@ -291,26 +459,89 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
         <td className="px-3 py-2.5 whitespace-nowrap">
           {confirming ? (
             <div className="flex items-center gap-1.5">
-              <button onClick={confirming === 'complete' ? handleComplete : handleDelete}
-                disabled={loading}
+              {(confirming === 'block' || confirming === 'cancel' || confirming === 'depend' || confirming === 'reject') && (
+                <input
+                  type="text" autoFocus
+                  value={reason}
+                  onChange={e => setReason(e.target.value)}
+                  placeholder={
+                    confirming === 'block' ? '阻塞原因（必填）'
+                      : confirming === 'reject' ? '驳回原因（必填）'
+                      : confirming === 'depend' ? '前置任务 ID，如 12,15'
+                      : '取消原因（可选）'
+                  }
+                  className="w-32 text-xs border rounded px-1.5 py-0.5 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                />
+              )}
+              <button onClick={handleConfirm}
+                disabled={loading || ((confirming === 'block' || confirming === 'depend' || confirming === 'reject') && !reason.trim())}
+                title={confirming === 'complete' && requiredOpen > 0 ? `还有 ${requiredOpen} 项必做清单未完成` : undefined}
                 className={`text-xs font-medium px-2 py-0.5 rounded disabled:opacity-50 ${
-                  confirming === 'delete'
-                    ? 'bg-red-100 text-red-700 hover:bg-red-200'
-                    : 'bg-green-100 text-green-700 hover:bg-green-200'
+                  (confirming === 'complete' && requiredOpen === 0) || confirming === 'depend'
+                    ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                    : 'bg-red-100 text-red-700 hover:bg-red-200'
                 }`}>
-                {loading ? '…' : '确认'}
+                {loading ? '…' : confirming === 'complete' && requiredOpen > 0 ? '强制完成' : '确认'}
               </button>
-              <button onClick={() => setConfirming(null)} disabled={loading}
+              <button onClick={() => { setConfirming(null); setReason(''); }} disabled={loading}
                 className="text-xs text-gray-400 hover:text-gray-600">取消</button>
             </div>
           ) : (
             <div className="flex items-center gap-2">
-              {task.status === 'pending' && (
+              {OPEN_STATUSES.includes(task.status) && (
                 <button onClick={() => setConfirming('complete')} disabled={loading}
                   className="text-xs text-green-600 hover:text-green-800 font-medium disabled:opacity-50">
                   完成
                 </button>
               )}
+              {task.status === 'pending' && (
+                <button onClick={() => handleStatus('in_progress')} disabled={loading}
+                  className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                  开始
+                </button>
+              )}
+              {(task.status === 'pending' || task.status === 'in_progress') && (
+                <button onClick={() => setConfirming('block')} disabled={loading}
+                  className="text-xs text-orange-600 hover:text-orange-800 disabled:opacity-50">
+                  阻塞
+                </button>
+              )}
+              {task.status === 'blocked' && (
+                <button onClick={() => handleStatus('in_progress')} disabled={loading}
+                  className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                  解除阻塞
+                </button>
+              )}
+              {task.status === 'awaiting_review' && (
+                <>
+                  <button onClick={() => handleReview('approve')} disabled={loading}
+                    className="text-xs text-green-600 hover:text-green-800 font-medium disabled:opacity-50">
+                    验收通过
+                  </button>
+                  <button onClick={() => setConfirming('reject')} disabled={loading}
+                    className="text-xs text-orange-600 hover:text-orange-800 disabled:opacity-50">
+                    驳回
+                  </button>
+                </>
+              )}
+              {isOpen && (
+                <button onClick={() => setConfirming('depend')} disabled={loading}
+                  className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-50">
+                  前置
+                </button>
+              )}
+              {(isOpen || task.status === 'awaiting_review') && (
+                <button onClick={() => setConfirming('cancel')} disabled={loading}
+                  className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-50">
+                  取消任务
+                </button>
+              )}
+              {(task.status === 'completed' || task.status === 'cancelled') && (
+                <button onClick={() => handleStatus('pending')} disabled={loading}
+                  className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                  重新打开
+                </button>
+              )}
               <button onClick={() => setConfirming('delete')} disabled={loading}
                 className="text-xs text-red-500 hover:text-red-700 disabled:opacity-50">
                 删除
@@ -320,6 +551,28 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
         </td>
       </tr>
 
+      {showChecklist && checklist.length > 0 && (
+        <tr className="bg-gray-50">
+          <td colSpan={6} className="px-3 py-2">
+            <ol className="space-y-1">
+              {checklist.map((item) => (
+                <li key={item.position} className="flex items-center gap-2 text-xs text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    disabled={loading || !isOpen}
+                    onChange={e => handleToggleItem(item.position, e.target.checked)}
+                  />
+                  <span className="text-gray-400">{item.position}.</span>
+                  <span className={item.done ? 'line-through text-gray-400' : ''}>{item.title}</span>
+                  {!item.required && <span className="text-gray-400">（可选）</span>}
+                </li>
+              ))}
+            </ol>
+          </td>
+        </tr>
+      )}
+
       {error && (
         <tr>
           <td colSpan={6} className="px-3 py-1.5">
@@ -334,21 +587,6 @@ function TaskRow({ task, userMap, onRefresh }: { task: Task; userMap: Map<string
   );
 }
 
-function StatusBadge({ status }: { status: Task['status'] }) {
-  if (status === 'completed') {
-    return (
-      <span className="inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700 whitespace-nowrap">
-        已完成
-      </span>
-    );
-  }
-  return (
-    <span className="inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700 whitespace-nowrap">
-      待办
-    </span>
-  );
-}
-
 // ── create form ───────────────────────────────────────────────────────────────
 
 function TaskForm({ onSuccess }: { onSuccess: () => void }) {
@@ -369,22 +607,30 @@ function TaskForm({ onSuccess }: { onSuccess: () => void }) {
     targetOpenId: string | null;
     targetTag: string;
     reporterOpenId: string | null;
+    requiresApproval: boolean;       // only sent when a reporter is chosen
     deadline: string;
+    deadlineTime: string;            // optional HH:mm; empty = start of the day
     note: string;
     estimatedHours: string;          // kept as string for input binding; parsed on submit
     reminderIntervalHours: number;
     priority: 'p0' | 'p1' | 'p2';
+    checklist: string;               // one item per line; a leading "?" marks the item optional
+    dependsOn: string;               // task ids, comma separated; parsed on submit
   }>({
     title: '',
     assignMode: 'direct',
     targetOpenId: null,
     targetTag: '',
     reporterOpenId: null,
+    requiresApproval: false,
     deadline: '',
+    deadlineTime: '',
     note: '',
     estimatedHours: '',
     reminderIntervalHours: 24,
     priority: 'p1',
+    checklist: '',
+    dependsOn: '',
   });
 
   // Workload preview for tag mode — fires immediately on tag select
@@ -415,6 +661,10 @@ function TaskForm({ onSuccess }: { onSuccess: () => void }) {
     if (form.assignMode === 'tag' && !form.targetTag) {
       setError('请选择分配标签'); return;
     }
+    const dependsOn = form.dependsOn.trim() ? parseTaskIds(form.dependsOn) : [];
+    if (!dependsOn) {
+      setError('前置任务请填写任务 ID，多个用逗号分隔'); return;
+    }
     setLoading(true);
     setError(null);
     try {
@@ -422,11 +672,24 @@ function TaskForm({ onSuccess }: { onSuccess: () => void }) {
       const params: CreateTaskParams = {
         title: form.title,
         reporterOpenId: form.reporterOpenId ?? undefined,
-        deadline: form.deadline || undefined,
+        deadline: form.deadline
+          ? (form.deadlineTime ? `${form.deadline} ${form.deadlineTime}` : form.deadline)
+          : undefined,
+        // Date and time are the admin's wall clock
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
         note: form.note || undefined,
         reminderIntervalHours: form.reminderIntervalHours,
         priority: form.priority,
         estimatedHours: (parsedHours != null && !isNaN(parsedHours)) ? parsedHours : null,
+        checklist: form.checklist
+          .split('\n')
+          .map(line => line.trim())
+          .filter(Boolean)
+          .map(line => (line.startsWith('?')
+            ? { title: line.slice(1).trim(), required: false }
+            : { title: line, required: true })),
+        dependsOn,
+        requiresApproval: !!form.reporterOpenId && form.requiresApproval,
       };
       if (form.assignMode === 'tag') {
         params.targetTag = form.targetTag;
@@ -565,17 +828,37 @@ function TaskForm({ onSuccess }: { onSuccess: () => void }) {
             onChange={openId => setForm({ ...form, reporterOpenId: openId })}
             placeholder="搜索姓名或邮箱（可选）"
           />
+          {form.reporterOpenId && (
+            <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.requiresApproval}
+                onChange={e => setForm({ ...form, requiresApproval: e.target.checked })}
+              />
+              完成后需报告对象验收
+            </label>
+          )}
         </div>
 
         {/* 截止时间 */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">截止时间</label>
-          <input
-            type="date"
-            value={form.deadline}
-            onChange={e => setForm({ ...form, deadline: e.target.value })}
-            className={inputCls}
-          />
+          <div className="flex gap-2">
+            <input
+              type="date"
+              value={form.deadline}
+              onChange={e => setForm({ ...form, deadline: e.target.value })}
+              className={inputCls}
+            />
+            <input
+              type="time"
+              value={form.deadlineTime}
+              disabled={!form.deadline}
+              onChange={e => setForm({ ...form, deadlineTime: e.target.value })}
+              className="w-32 shrink-0 border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50"
+              title="可选，不填为当天 00:00"
+            />
+          </div>
         </div>
 
         {/* 预计工时 */}
@@ -632,6 +915,36 @@ function TaskForm({ onSuccess }: { onSuccess: () => void }) {
             className={inputCls}
           />
         </div>
+
+        {/* 前置任务 */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            前置任务
+            <span className="ml-1 text-gray-400 font-normal text-xs">（任务 ID；完成前不通知、不提醒执行人）</span>
+          </label>
+          <input
+            type="text"
+            value={form.dependsOn}
+            onChange={e => setForm({ ...form, dependsOn: e.target.value })}
+            className={inputCls}
+            placeholder="例：12, 15"
+          />
+        </div>
+
+        {/* 清单 */}
+        <div className="col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            清单
+            <span className="ml-1 text-gray-400 font-normal text-xs">（每行一项，以 ? 开头为可选项；必做项全部勾选后才能完成任务）</span>
+          </label>
+          <textarea
+            rows={3}
+            value={form.checklist}
+            onChange={e => setForm({ ...form, checklist: e.target.value })}
+            className={inputCls}
+            placeholder={'例：\n整理数据\n提交审批\n?同步群公告'}
+          />
+        </div>
       </div>
 
       <div className="mt-4">
@@ -2,9 +2,11 @@
 
 import { useState, useEffect, useRef, useCallback, useId, cloneElement, type RefObject, type ReactElement } from 'react';
 import useSWR, { mutate } from 'swr';
-import { api, SWR_KEYS, User, Feature, UserRole } from '@/lib/api';
+import { api, SWR_KEYS, User, Feature, UserRole, ReminderMode } from '@/lib/api';
 import { LoadingState, ErrorState } from '@/components/StatusStates';
 import AdminGuard from '@/components/AdminGuard';
+import UserCombobox from '@/components/UserCombobox';
+import { TIMEZONES } from '@/lib/timezones';
 
 const ROLE_LABELS: Record<UserRole, string> = {
   superadmin: '超级管理员',
@@ -18,6 +20,14 @@ const ROLE_COLORS: Record<UserRole, string> = {
   user: 'bg-gray-100 text-gray-600',
 };
 
+/** Only shown when it differs from the default (per-task reminders, no reporter digest) */
+function reminderSummary(user: User): string | null {
+  const parts = [];
+  if (user.reminderMode === 'digest') parts.push(`每日 ${user.digestTime} 汇总`);
+  if (user.reporterDigest) parts.push(`报告汇总 ${user.digestTime}`);
+  return parts.length ? parts.join('，') : null;
+}
+
 function UsersPage() {
   const { data: users = [], error: usersErr, isLoading } = useSWR(SWR_KEYS.users, api.getUsers);
   const { data: features = [] } = useSWR(SWR_KEYS.features, api.getFeatures);
@@ -108,6 +118,7 @@ function UsersPage() {
       {editUser && (
         <EditUserModal
           user={editUser}
+          users={users}
           onClose={closeEditModal}
           onSaved={savedEditModal}
         />
@@ -125,6 +136,7 @@ function UsersPage() {
           <UserRow
             key={user.userId}
             user={user}
+            managerName={user.managerOpenId ? (users.find(u => u.openId === user.managerOpenId)?.name || user.managerOpenId) : null}
             features={features}
             expanded={expandedId === user.userId}
             saving={saving}
@@ -147,9 +159,10 @@ function UsersPage() {
 // ── UserRow ──────────────────────────────────────────────────────────────────
 
 function UserRow({
-  user, features, expanded, saving, confirmingDelete, onExpand, onRoleChange, onFeatureToggle, onEdit, onDelete, onConfirmDelete, onCancelDelete, onActionError,
+  user, managerName, features, expanded, saving, confirmingDelete, onExpand, onRoleChange, onFeatureToggle, onEdit, onDelete, onConfirmDelete, onCancelDelete, onActionError,
 }: {
   user: User;
+  managerName: string | null;
   features: Feature[];
   expanded: boolean;
   saving: string | null;
@@ -183,6 +196,11 @@ function UserRow({
             <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${ROLE_COLORS[user.role]}`}>
               {ROLE_LABELS[user.role]}
             </span>
+            {!user.active && (
+              <span className="text-xs px-1.5 py-0.5 rounded-full bg-red-50 text-red-500 border border-red-200">
+                已离职
+              </span>
+            )}
             {(user.openId || user.feishuUserId) ? (
               <span className="text-xs px-1.5 py-0.5 rounded-full bg-green-50 text-green-600 border border-green-200">
                 ✓ 已关联
@@ -267,6 +285,10 @@ function UserRow({
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1.5">
               <InfoRow icon="📧" label="邮箱" value={user.email} mono={false} />
               <InfoRow icon="📱" label="手机" value={user.phone} mono={false} />
+              <InfoRow icon="🕐" label="时区" value={user.timezone} mono={false} />
+              <InfoRow icon="👔" label="主管" value={managerName} mono={false} />
+              <InfoRow icon="🌙" label="免打扰" value={user.quietHours ? `${user.quietHours.start}–${user.quietHours.end}` : null} mono={false} />
+              <InfoRow icon="📰" label="提醒方式" value={reminderSummary(user)} mono={false} />
               <InfoRow icon="🆔" label="飞书 User ID" value={user.feishuUserId} mono />
               <InfoRow icon="🔗" label="Open ID" value={user.openId} mono />
               <InfoRow
@@ -452,11 +474,18 @@ function TagChipEditor({ tags, onChange }: { tags: string[]; onChange: (t: strin
 
 // ── EditUserModal ─────────────────────────────────────────────────────────────
 
-function EditUserModal({ user, onClose, onSaved }: { user: User; onClose: () => void; onSaved: () => void }) {
+function EditUserModal({ user, users, onClose, onSaved }: { user: User; users: User[]; onClose: () => void; onSaved: () => void }) {
   const [form, setForm] = useState({
     name: user.name ?? '',
     email: user.email ?? '',
     phone: user.phone ?? '',
+    timezone: user.timezone ?? '',
+    quietStart: user.quietHours?.start ?? '',
+    quietEnd: user.quietHours?.end ?? '',
+    managerOpenId: user.managerOpenId,
+    reminderMode: user.reminderMode,
+    digestTime: user.digestTime,
+    reporterDigest: user.reporterDigest,
   });
   const [tags, setTags] = useState<string[]>(user.tags ?? []);
   const [loading, setLoading] = useState(false);
@@ -479,6 +508,12 @@ function EditUserModal({ user, onClose, onSaved }: { user: User; onClose: () =>
         name: form.name.trim() || null,
         email: form.email.trim() || null,
         phone: form.phone.trim() || null,
+        timezone: form.timezone || null,
+        quietHours: form.quietStart && form.quietEnd ? { start: form.quietStart, end: form.quietEnd } : null,
+        managerOpenId: form.managerOpenId,
+        reminderMode: form.reminderMode,
+        digestTime: form.digestTime,
+        reporterDigest: form.reporterDigest,
         tags,
       });
       onSaved();
@@ -522,6 +557,87 @@ function EditUserModal({ user, onClose, onSaved }: { user: User; onClose: () =>
               placeholder="+86 138 0000 0000"
             />
           </Field>
+          <Field label="时区" hint="飞书消息中的时间按此时区显示，日期类截止时间也按此时区理解">
+            <select
+              value={form.timezone}
+              onChange={e => setForm(f => ({ ...f, timezone: e.target.value }))}
+              className="input"
+            >
+              <option value="">默认（服务器时区）</option>
+              {(TIMEZONES.includes(form.timezone) || !form.timezone ? TIMEZONES : [form.timezone, ...TIMEZONES]).map(tz => (
+                <option key={tz} value={tz}>{tz}</option>
+              ))}
+            </select>
+          </Field>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              主管
+              <span className="ml-1 text-xs text-gray-400 font-normal">（逾期升级通知「执行人的主管」时发给此人）</span>
+            </label>
+            <UserCombobox
+              value={form.managerOpenId}
+              onChange={openId => setForm(f => ({ ...f, managerOpenId: openId }))}
+              users={users.filter(u => u.openId && u.openId !== user.openId)}
+              placeholder="搜索主管…"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              个人免打扰时段
+              <span className="ml-1 text-xs text-gray-400 font-normal">（系统免打扰之外另加，按上面的时区）</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="time"
+                aria-label="免打扰开始"
+                value={form.quietStart}
+                onChange={e => setForm(f => ({ ...f, quietStart: e.target.value }))}
+                className="input"
+              />
+              <span className="text-gray-400">至</span>
+              <input
+                type="time"
+                aria-label="免打扰结束"
+                value={form.quietEnd}
+                onChange={e => setForm(f => ({ ...f, quietEnd: e.target.value }))}
+                className="input"
+              />
+            </div>
+            <p className="text-xs text-gray-400 mt-1">例：12:00 至 13:30；留空表示不设置</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              提醒方式
+              <span className="ml-1 text-xs text-gray-400 font-normal">（用户也可在飞书发送「汇总提醒」「逐条提醒」切换）</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <select
+                aria-label="提醒方式"
+                value={form.reminderMode}
+                onChange={e => setForm(f => ({ ...f, reminderMode: e.target.value as ReminderMode }))}
+                className="input"
+              >
+                <option value="per_task">逐条提醒（每个任务按间隔单独提醒）</option>
+                <option value="digest">每日汇总（每天一条待办汇总）</option>
+              </select>
+              <input
+                type="time"
+                aria-label="汇总时间"
+                value={form.digestTime}
+                onChange={e => setForm(f => ({ ...f, digestTime: e.target.value }))}
+                className="input w-32"
+                required
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mt-2">
+              <input
+                type="checkbox"
+                checked={form.reporterDigest}
+                onChange={e => setForm(f => ({ ...f, reporterDigest: e.target.checked }))}
+              />
+              报告汇总：每天同一时间附带他派出的未完成任务
+            </label>
+          </div>
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -0,0 +1,32 @@
+import { Task, TaskStatus } from '@/lib/api';
+
+export const PRIORITY_BADGE: Record<string, { label: string; className: string }> = {
+  p0: { label: 'P0 紧急', className: 'bg-red-100 text-red-700' },
+  p1: { label: 'P1 一般', className: 'bg-yellow-100 text-yellow-700' },
+  p2: { label: 'P2 不紧急', className: 'bg-green-100 text-green-700' },
+};
+
+export const STATUS_BADGE: Record<TaskStatus, { label: string; className: string }> = {
+  pending:     { label: '待办',   className: 'bg-amber-100 text-amber-700' },
+  in_progress: { label: '进行中', className: 'bg-blue-100 text-blue-700' },
+  blocked:     { label: '阻塞',   className: 'bg-red-100 text-red-700' },
+  awaiting_review: { label: '待验收', className: 'bg-purple-100 text-purple-700' },
+  completed:   { label: '已完成', className: 'bg-green-100 text-green-700' },
+  cancelled:   { label: '已取消', className: 'bg-gray-100 text-gray-500' },
+};
+
+export function StatusBadge({ status }: { status: Task['status'] }) {
+  const badge = STATUS_BADGE[status] || STATUS_BADGE.pending;
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${badge.className}`}>
+      {badge.label}
+    </span>
+  );
+}
+
+/** Deadline in the browser's timezone: "3/1", or "3/1 18:00" when it has a time of day */
+export function formatDeadline(deadline: string, opts: Intl.DateTimeFormatOptions = { month: 'numeric', day: 'numeric' }) {
+  const d = new Date(deadline);
+  const hasTime = d.getHours() !== 0 || d.getMinutes() !== 0;
+  return d.toLocaleString('zh-CN', hasTime ? { ...opts, hour: '2-digit', minute: '2-digit', hour12: false } : opts);
+}
@@ -1,5 +1,36 @@
 // ============ 类型定义 ============
 
+export type TaskStatus = 'pending' | 'in_progress' | 'blocked' | 'awaiting_review' | 'completed' | 'cancelled';
+
+export interface TaskAssignee {
+  assignee_id: string;
+  assignee_open_id: string | null;
+  status: 'pending' | 'completed';
+  proof: string | null;
+  completed_at: string | null;
+}
+
+export interface ChecklistItem {
+  position: number;                  // 1-based, as shown to users
+  title: string;
+  required: boolean;                 // required items gate completion
+  done: boolean;
+  done_at: string | null;
+}
+
+/** Checklist item as accepted on create / stored on scheduled tasks */
+export interface ChecklistTemplateItem {
+  title: string;
+  required?: boolean;                // defaults to true
+}
+
+/** Another task in a dependency link */
+export interface TaskLink {
+  id: number;
+  title: string;
+  status: TaskStatus;
+}
+
 export interface Task {
   id: number;
   title: string;
@@ -8,7 +39,9 @@ export interface Task {
   assignee_open_id: string | null;
   reporter_open_id: string | null;   // person notified on completion
   deadline: string | null;           // ISO date string
-  status: 'pending' | 'completed';
+  status: TaskStatus;
+  blocked_reason: string | null;     // set while status = 'blocked'
+  status_changed_at: string | null;
   priority: 'p0' | 'p1' | 'p2';
   reminder_interval_hours: number;
   last_reminded_at: string | null;
@@ -16,28 +49,162 @@ export interface Task {
   note: string | null;
   estimated_hours: number | null;    // effort estimate — weights workload auto-assignment
   target_tag: string | null;         // tag used for workload-based auto-assignment
+  completion_mode: 'any' | 'all';    // multi-assignee: close on first completion, or when everyone is done
+  assignees?: TaskAssignee[] | null; // per-assignee rows (task list only); primary first
+  checklist?: ChecklistItem[] | null; // ordered checklist (task list only)
+  waiting_on_dependencies: boolean;  // on hold: no assignee DM / reminders until dependencies finish
+  depends_on?: TaskLink[] | null;    // tasks this one waits for (task list only)
+  blocks?: TaskLink[] | null;        // tasks waiting for this one (task list only)
+  requires_approval: boolean;        // completion goes to awaiting_review until the reporter approves
+  submitted_at: string | null;       // when the work was last submitted for review
+  review_comment: string | null;     // reason given on the last rejection
   created_at: string;
   completed_at: string | null;
 }
 
+export interface TaskComment {
+  id: number;
+  author_id: string | null;
+  author_open_id: string | null;
+  author_name: string | null;
+  body: string;
+  source: 'feishu' | 'web' | 'agent';
+  created_at: string;
+}
+
+/** One row of a task's activity timeline, oldest first */
+export type TimelineEntry =
+  | { type: 'comment'; at: string; id: number; actor: string | null; actorOpenId: string | null; body: string; source: TaskComment['source'] }
+  | { type: 'message'; at: string; kind: 'assigned' | 'reminder' | 'overdue' | 'escalation'; recipientOpenId: string | null }
+  | { type: 'event'; at: string; action: string; actor: string | null; details: Record<string, unknown> | null };
+
 export interface ScheduledTask {
   id: number;
   name: string;
   title: string;
   target_open_id: string | null;   // null when using tag-based auto-assignment
   target_tag: string | null;       // tag group for workload-based auto-assignment
+  co_assignee_open_ids: string[];  // extra assignees on every created task
+  completion_mode: 'any' | 'all';
+  checklist: ChecklistTemplateItem[]; // copied into every created task
   reporter_open_id: string | null;
+  requires_approval: boolean;      // created tasks wait for the reporter's review when completed
   schedule: string;
   timezone: string;
   deadline_days: number;
+  deadline_time: string | null;    // 'HH:MM' in timezone; null = 00:00
   priority: 'p0' | 'p1' | 'p2';
   note: string | null;
   reminder_interval_hours: number;
   enabled: boolean;
+  catch_up: ScheduledTaskCatchUp;  // runs missed while the server was down
+  skip_holidays: boolean;          // fires on a work-calendar holiday are skipped
+  description: ScheduleDescription | null;  // schedule in words; null if it no longer parses
   last_run_at: string | null;
   created_at: string;
 }
 
+export type ScheduledTaskCatchUp = 'none' | 'latest' | 'all';
+
+export interface ScheduleDescription {
+  zh: string;                      // 每月1日 08:00
+  en: string;                      // On day 1 of the month at 08:00
+}
+
+export interface SchedulePreview {
+  schedule: string;
+  timezone: string;
+  skipHolidays: boolean;
+  description: ScheduleDescription;
+  occurrences: string[];           // ISO 8601 with the timezone's offset, e.g. 2026-11-02T08:00:00+08:00
+}
+
+export type ScheduledTaskRunSource = 'cron' | 'catch_up' | 'deferred' | 'manual';
+export type ScheduledTaskRunStatus = 'running' | 'created' | 'deferred' | 'skipped' | 'failed';
+
+export interface ScheduledTaskRun {
+  id: number;
+  scheduled_task_id: number;
+  fire_time: string;               // cron slot, or when a deferred / manual run started
+  source: ScheduledTaskRunSource;
+  status: ScheduledTaskRunStatus;
+  assignee_open_id: string | null;
+  assignee_name: string | null;
+  task_id: number | null;          // task created by this run
+  task_title: string | null;
+  task_status: TaskStatus | null;
+  error: string | null;            // failure, or why the run was skipped / deferred
+  triggered_by: string | null;     // manual runs
+  instance: string | null;         // server instance that ran it
+  finished_at: string | null;
+}
+
+export type EscalationTarget = 'reporter' | 'manager' | 'user' | 'chat';
+
+export interface EscalationStep {
+  afterHours: number;              // hours past the deadline
+  target: EscalationTarget;        // manager = assignee's managerOpenId
+  openId?: string;                 // target 'user'
+  chatId?: string;                 // target 'chat' (Feishu group chat_id)
+}
+
+export interface EscalationPolicy {
+  id: number;
+  name: string;
+  priority: 'p0' | 'p1' | 'p2' | null;   // null = any priority
+  target_tag: string | null;             // task target_tag or assignee tag; null = any
+  steps: EscalationStep[];
+  enabled: boolean;
+  created_at: string;
+}
+
+export interface EscalationPolicyInput {
+  name?: string;
+  priority?: 'p0' | 'p1' | 'p2' | null;
+  targetTag?: string | null;
+  steps?: EscalationStep[];
+  enabled?: boolean;
+}
+
+export interface GroupChat {
+  chat_id: string;
+  name: string | null;
+  enabled: boolean;                      // false = the bot ignores the group
+  features: Record<string, boolean>;     // only { featureId: false } entries are stored
+  default_tag: string | null;            // /add without @mentions assigns within this tag
+  open_tasks: number;                    // open tasks created from the group
+  bot_removed_at: string | null;         // set while the bot is not a member of the group
+  created_at: string;
+  updated_at: string;
+}
+
+export type OutboxStatus = 'pending' | 'sending' | 'sent' | 'failed';
+
+export interface OutboundMessage {
+  id: number;
+  receive_id: string;
+  receive_id_type: string;
+  msg_type: 'text' | 'interactive';
+  content: string | Record<string, unknown>;   // text, or an interactive card
+  task_id: number | null;
+  task_title: string | null;
+  kind: string | null;
+  status: OutboxStatus;
+  attempts: number;
+  next_attempt_at: string;                      // when pending: the next delivery attempt
+  last_error: string | null;
+  message_id: string | null;                    // Feishu message_id once sent
+  created_at: string;
+  sent_at: string | null;
+}
+
+export interface GroupChatInput {
+  name?: string | null;
+  enabled?: boolean;
+  features?: Record<string, boolean>;
+  defaultTag?: string | null;
+}
+
 export interface WorkloadUser {
   userId: string;
   openId: string | null;
@@ -52,11 +219,15 @@ export interface CreateTaskParams {
   targetOpenId?: string;             // assignee's open_id (ou_xxx) — required unless targetTag is set
   targetTag?: string;                // tag for workload-based auto-assignment — alternative to targetOpenId
   reporterOpenId?: string;           // reporter's open_id — notified on completion
-  deadline?: string;
+  deadline?: string;                 // YYYY-MM-DD or 'YYYY-MM-DD HH:mm', read in timezone
+  timezone?: string;                 // IANA zone, e.g. the browser's; server default otherwise
   note?: string;
   reminderIntervalHours?: number;
   priority?: 'p0' | 'p1' | 'p2';
   estimatedHours?: number | null;    // effort estimate in hours — weights workload ranking
+  checklist?: (string | ChecklistTemplateItem)[];
+  dependsOn?: number[];              // ids of tasks that must finish first
+  requiresApproval?: boolean;        // reporter must approve completion — needs reporterOpenId
 }
 
 export interface Admin {
@@ -88,6 +259,13 @@ export interface User {
   phone: string | null;
   role: UserRole;
   tags: string[];
+  timezone: string | null;           // IANA zone Feishu messages are formatted in; null = server default
+  quietHours: QuietHours | null;     // personal quiet hours on top of the work calendar, in timezone
+  managerOpenId: string | null;      // receives "manager" escalation steps
+  reminderMode: ReminderMode;
+  digestTime: string;                // 'HH:mm' in timezone; when the daily digest goes out
+  reporterDigest: boolean;           // digest also lists the open tasks this user assigned
+  active: boolean;                   // false once the user left the organisation in Feishu
   avatarUrl: string | null;
   configs: { features?: Record<string, boolean> };
   resolvedFeatures?: Record<string, boolean>;
@@ -109,6 +287,30 @@ export interface Setting {
   description: string | null;
 }
 
+/** per_task = one DM per task per reminder interval; digest = one daily summary */
+export type ReminderMode = 'per_task' | 'digest';
+
+export interface QuietHours {
+  start: string;                     // 'HH:mm'; may be later than end (22:00–08:00 wraps midnight)
+  end: string;
+}
+
+/** Value of the 'work_calendar' setting */
+export interface WorkCalendar {
+  quietHours: QuietHours | null;
+  workdays: number[];                // 0 = Sunday … 6 = Saturday
+  holidays: { date: string; name: string | null }[];
+  rollDeadlines: boolean;            // new deadlines on a non-working day move to the next working day
+  rollScheduledRuns: boolean;        // scheduled runs on a non-working day wait for the next working day
+}
+
+/** Value of the 'priority_rules' setting */
+export interface PriorityRules {
+  enabled: boolean;
+  rules: { from: 'p1' | 'p2'; to: 'p0' | 'p1'; hoursBeforeDeadline: number }[];  // 0 = once overdue, < 0 = hours after
+  reminderIntervals: { p0?: number | null; p1?: number | null; p2?: number | null }; // hours a raised task's interval tightens to; null = keep
+}
+
 export interface AuditLog {
   id: number;
   user_id: string;
@@ -122,7 +324,9 @@ export interface AuditLog {
 export interface DashboardData {
   stats: {
     totalTasks: number;
-    pendingTasks: number;
+    pendingTasks: number;             // all open tasks (pending + in_progress + blocked)
+    blockedTasks: number;
+    awaitingReviewTasks: number;
     completedTasks: number;
     adminCount: number;
     totalUsers: number;
@@ -155,6 +359,9 @@ export const SWR_KEYS = {
   features: '/users/_features',
   apiKeys: '/api-keys',
   scheduledTasks: '/scheduled-tasks',
+  escalationPolicies: '/escalation-policies',
+  groups: '/groups',
+  outbox: '/outbox',
   workload: '/workload',
 } as const;
 
@@ -225,7 +432,7 @@ export const api = {
     page?: number;
     limit?: number;
     search?: string;
-    status?: 'pending' | 'completed' | null;
+    status?: TaskStatus | null;
   }): Promise<{ tasks: Task[]; total: number; page: number; limit: number }> => {
     const q = new URLSearchParams();
     if (params?.page)   q.set('page',   String(params.page));
@@ -244,12 +451,62 @@ export const api = {
       body: JSON.stringify(data),
     }),
 
-  completeTask: (id: string, data: { proof?: string; userId?: string }) =>
+  // Fails with 409 while required checklist items are open, unless force is set
+  completeTask: (id: string, data: { proof?: string; userId?: string; force?: boolean }) =>
     fetchAPI<{ success: boolean }>(`/tasks/${id}/complete`, {
       method: 'POST',
       body: JSON.stringify(data),
     }),
 
+  setChecklistItem: (id: number, position: number, done: boolean) =>
+    fetchAPI<{ success: boolean; item: ChecklistItem; done: number; total: number }>(
+      `/tasks/${id}/checklist/${position}`,
+      { method: 'PATCH', body: JSON.stringify({ done }) }
+    ),
+
+  // Full upstream chain (depth 1 = direct dependency) plus direct dependents
+  getTaskDependencies: (id: number) =>
+    fetchAPI<{ success: boolean; waiting: boolean; chain: (TaskLink & { depth: number })[]; blocks: TaskLink[] }>(
+      `/tasks/${id}/dependencies`
+    ),
+
+  addTaskDependencies: (id: number, dependsOn: number[]) =>
+    fetchAPI<{ success: boolean; waiting: boolean }>(`/tasks/${id}/dependencies`, {
+      method: 'POST',
+      body: JSON.stringify({ dependsOn }),
+    }),
+
+  removeTaskDependency: (id: number, dependsOnId: number) =>
+    fetchAPI<{ success: boolean; released: boolean }>(`/tasks/${id}/dependencies/${dependsOnId}`, {
+      method: 'DELETE',
+    }),
+
+  // Start / block / unblock / cancel / reopen — completion goes through completeTask
+  updateTaskStatus: (id: number, data: { status: Exclude<TaskStatus, 'completed' | 'awaiting_review'>; reason?: string }) =>
+    fetchAPI<{ success: boolean; task: Task }>(`/tasks/${id}/status`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+
+  // Comments, bot reminders and audit events merged in time order
+  getTaskTimeline: (id: string) =>
+    fetchAPI<{ success: boolean; task: Task; comments: TaskComment[]; timeline: TimelineEntry[] }>(
+      `/tasks/${id}/timeline`
+    ),
+
+  addTaskComment: (id: number, body: string) =>
+    fetchAPI<{ success: boolean; comment: TaskComment }>(`/tasks/${id}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    }),
+
+  // Reporter's verdict on a task awaiting review; reject needs a comment
+  reviewTask: (id: number, decision: 'approve' | 'reject', comment?: string) =>
+    fetchAPI<{ success: boolean; task: Task }>(`/tasks/${id}/review`, {
+      method: 'POST',
+      body: JSON.stringify({ decision, comment }),
+    }),
+
   deleteTask: (id: string, userId?: string) => {
     const query = userId ? `?userId=${encodeURIComponent(userId)}` : '';
     return fetchAPI<{ success: boolean }>(`/tasks/${id}${query}`, {
@@ -299,7 +556,7 @@ export const api = {
   upsertUser: (data: { userId: string; name?: string; email?: string; role?: UserRole; openId?: string }) =>
     fetchAPI<{ user: User }>('/users', { method: 'POST', body: JSON.stringify(data) }).then(r => r.user),
 
-  updateUser: (userId: string, data: { role?: UserRole; configs?: { features?: Record<string, boolean> }; name?: string | null; email?: string | null; phone?: string | null; tags?: string[] }) =>
+  updateUser: (userId: string, data: { role?: UserRole; configs?: { features?: Record<string, boolean> }; name?: string | null; email?: string | null; phone?: string | null; tags?: string[]; timezone?: string | null; quietHours?: QuietHours | null; managerOpenId?: string | null; reminderMode?: ReminderMode; digestTime?: string; reporterDigest?: boolean }) =>
     fetchAPI<{ user: User }>(`/users/${userId}`, { method: 'PATCH', body: JSON.stringify(data) }).then(r => r.user),
 
   setFeature: (userId: string, featureId: string, enabled: boolean) =>
@@ -364,6 +621,83 @@ export const api = {
 
   deleteScheduledTask: (id: number): Promise<void> =>
     fetchAPI<{ success: boolean }>(`/scheduled-tasks/${id}`, { method: 'DELETE' }).then(() => undefined),
+
+  getScheduledTaskRuns: (id: number, params?: { page?: number; limit?: number }): Promise<{
+    runs: ScheduledTaskRun[]; total: number; page: number; limit: number;
+  }> => {
+    const q = new URLSearchParams();
+    if (params?.page)  q.set('page',  String(params.page));
+    if (params?.limit) q.set('limit', String(params.limit));
+    const qs = q.toString();
+    return fetchAPI(`/scheduled-tasks/${id}/runs${qs ? `?${qs}` : ''}`);
+  },
+
+  /** Validate a (possibly unsaved) schedule; resolves to its next 10 fire times (ISO), rejects with the reason */
+  previewSchedule: (params: { schedule: string; timezone: string; skipHolidays?: boolean; count?: number }): Promise<SchedulePreview> => {
+    const q = new URLSearchParams({ schedule: params.schedule, timezone: params.timezone });
+    if (params.skipHolidays) q.set('skipHolidays', 'true');
+    if (params.count) q.set('count', String(params.count));
+    return fetchAPI<{ success: boolean } & SchedulePreview>(`/scheduled-tasks/preview?${q}`);
+  },
+
+  getScheduledTaskPreview: (id: number, count?: number): Promise<SchedulePreview> =>
+    fetchAPI<{ success: boolean; scheduledTaskId: number; enabled: boolean } & SchedulePreview>(
+      `/scheduled-tasks/${id}/preview${count ? `?count=${count}` : ''}`
+    ),
+
+  runScheduledTask: (id: number): Promise<ScheduledTaskRun> =>
+    fetchAPI<{ success: boolean; run: ScheduledTaskRun }>(`/scheduled-tasks/${id}/run`, { method: 'POST' }).then(d => d.run),
+
+  // Escalation policies
+  getEscalationPolicies: (): Promise<EscalationPolicy[]> =>
+    fetchAPI<{ policies: EscalationPolicy[] }>('/escalation-policies').then(d => d.policies),
+
+  createEscalationPolicy: (data: EscalationPolicyInput & { name: string; steps: EscalationStep[] }): Promise<EscalationPolicy> =>
+    fetchAPI<{ success: boolean; policy: EscalationPolicy }>('/escalation-policies', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }).then(d => d.policy),
+
+  updateEscalationPolicy: (id: number, data: EscalationPolicyInput): Promise<EscalationPolicy> =>
+    fetchAPI<{ success: boolean; policy: EscalationPolicy }>(`/escalation-policies/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    }).then(d => d.policy),
+
+  deleteEscalationPolicy: (id: number): Promise<void> =>
+    fetchAPI<{ success: boolean }>(`/escalation-policies/${id}`, { method: 'DELETE' }).then(() => undefined),
+
+  // Group chats
+  getGroups: (): Promise<{ groups: GroupChat[]; features: string[] }> =>
+    fetchAPI<{ groups: GroupChat[]; features: string[] }>('/groups'),
+
+  updateGroup: (chatId: string, data: GroupChatInput): Promise<GroupChat> =>
+    fetchAPI<{ success: boolean; group: GroupChat }>(`/groups/${encodeURIComponent(chatId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    }).then(d => d.group),
+
+  deleteGroup: (chatId: string): Promise<void> =>
+    fetchAPI<{ success: boolean }>(`/groups/${encodeURIComponent(chatId)}`, { method: 'DELETE' }).then(() => undefined),
+
+  // Outbox (bot message delivery log)
+  getOutbox: (params?: { status?: OutboxStatus | null; taskId?: number; page?: number; limit?: number }): Promise<{
+    messages: OutboundMessage[]; total: number; counts: Partial<Record<OutboxStatus, number>>; page: number; limit: number;
+  }> => {
+    const q = new URLSearchParams();
+    if (params?.status) q.set('status', params.status);
+    if (params?.taskId) q.set('taskId', String(params.taskId));
+    if (params?.page)   q.set('page',   String(params.page));
+    if (params?.limit)  q.set('limit',  String(params.limit));
+    const qs = q.toString();
+    return fetchAPI(`/outbox${qs ? `?${qs}` : ''}`);
+  },
+
+  retryOutboundMessage: (id: number): Promise<OutboundMessage> =>
+    fetchAPI<{ success: boolean; message: OutboundMessage }>(`/outbox/${id}/retry`, { method: 'POST' }).then(d => d.message),
+
+  retryFailedOutbound: (): Promise<number> =>
+    fetchAPI<{ success: boolean; retried: number }>('/outbox/retry-failed', { method: 'POST' }).then(d => d.retried),
 };
 
 export default api;
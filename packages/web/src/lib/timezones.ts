@@ -0,0 +1,2 @@
+/** IANA zones offered in timezone pickers (scheduled tasks, user profiles) */
+export const TIMEZONES = ['America/Toronto', 'Asia/Shanghai', 'UTC', 'America/New_York', 'America/Vancouver', 'America/Chicago', 'America/Los_Angeles'];
@@ -37,29 +37,30 @@ async function createScheduledTask(payload) {
 async function main() {
   let created = 0, failCount = 0;
   for (const record of failedRecords) {
-    for (const assigneeOpenId of record.assignees) {
-      const payload = {
-        name: record.name,
-        title: record.name,
-        targetOpenId: assigneeOpenId,
-        schedule: record.schedule,
-        timezone: TZ,
-        deadlineDays: record.deadlineDays,
-        priority: 'p1',
-        note: record.sop || null,
-        reminderIntervalHours: 24,
-        enabled: record.enabled !== false,
-      };
-      try {
-        const result = await createScheduledTask(payload);
-        console.log(`✅ [${result.id}] ${record.name} (${assigneeOpenId.slice(-6)}) @ ${record.schedule}`);
-        created++;
-      } catch (err) {
-        console.error(`❌ ${record.name}: ${err.message}`);
-        failCount++;
-      }
-      await new Promise(r => setTimeout(r, 300)); // 300ms between requests
+    const [primaryOpenId, ...coAssigneeOpenIds] = record.assignees;
+    const payload = {
+      name: record.name,
+      title: record.name,
+      targetOpenId: primaryOpenId,
+      coAssigneeOpenIds,
+      completionMode: 'all',
+      schedule: record.schedule,
+      timezone: TZ,
+      deadlineDays: record.deadlineDays,
+      priority: 'p1',
+      note: record.sop || null,
+      reminderIntervalHours: 24,
+      enabled: record.enabled !== false,
+    };
+    try {
+      const result = await createScheduledTask(payload);
+      console.log(`✅ [${result.id}] ${record.name} (${record.assignees.length} assignees) @ ${record.schedule}`);
+      created++;
+    } catch (err) {
+      console.error(`❌ ${record.name}: ${err.message}`);
+      failCount++;
     }
+    await new Promise(r => setTimeout(r, 300)); // 300ms between requests
   }
   console.log(`\n✅ Done: ${created} created, ${failCount} failed`);
 }
@@ -29,12 +29,12 @@ const records = [
   { name: '银行明细上传', freq: '月初/月末任务', cronOverride: '0 8 1 * *', assignees: ['ou_1c8264871e86c3e61ab96e7d365e699f'], sop: '上传银行明细/银行对账单/支票登记。线下登记表', deadlineDays: 3 },
   { name: '信用卡提报', freq: '月初/月末任务', cronOverride: '0 8 1 * *', assignees: ['ou_1c8264871e86c3e61ab96e7d365e699f', 'ou_7ac0aa0043728927da99b255917d49e0'], sop: '提醒文员报销信用卡(每周催一下)', deadlineDays: 30 },
   { name: '新增门店工资分摊', freq: '月初/月末任务', cronOverride: '0 8 1 * *', assignees: ['ou_9f9b02d3d4bb3d6689dd5ddd2beeaaeb'], sop: '门店工资分摊', deadlineDays: 5 },
-  // Month-end tasks (28th safe last-of-month approx)
-  { name: '员工餐盘点', freq: '月初/月末任务', cronOverride: '0 8 28 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '检查员工餐是否出完/库管的提交盘点表', deadlineDays: 3 },
-  { name: 'KSB1账务检查（月末）', freq: '月初/月末任务', cronOverride: '0 8 28 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '水电气有需要计提未计提，保险房租、洗碗费用每月正常应该入费用的有没有入；做账做错成本中心', deadlineDays: 3 },
-  { name: '检查备用金额盘点情况', freq: '月初/月末任务', cronOverride: '0 8 28 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '每月最后一天中午12点前，文员需将自家门店备用金情况盘点后在报销系统中提单，12点后检查提单情况，还未提单的及时提醒', deadlineDays: 3 },
-  { name: '入库检查', freq: '月初/月末任务', cronOverride: '0 8 28 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '检查库管是否入库完毕', deadlineDays: 3 },
-  { name: '门店盘点财务监盘', freq: '月初/月末任务', cronOverride: '0 8 28 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0', 'ou_1c8264871e86c3e61ab96e7d365e699f'], sop: '每月最后一天，财务要选择区域1家门店进行监盘', deadlineDays: 3 },
+  // Month-end tasks (last day of the month)
+  { name: '员工餐盘点', freq: '月初/月末任务', cronOverride: '0 8 L * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '检查员工餐是否出完/库管的提交盘点表', deadlineDays: 3 },
+  { name: 'KSB1账务检查（月末）', freq: '月初/月末任务', cronOverride: '0 8 L * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '水电气有需要计提未计提，保险房租、洗碗费用每月正常应该入费用的有没有入；做账做错成本中心', deadlineDays: 3 },
+  { name: '检查备用金额盘点情况', freq: '月初/月末任务', cronOverride: '0 8 L * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '每月最后一天中午12点前，文员需将自家门店备用金情况盘点后在报销系统中提单，12点后检查提单情况，还未提单的及时提醒', deadlineDays: 3 },
+  { name: '入库检查', freq: '月初/月末任务', cronOverride: '0 8 L * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '检查库管是否入库完毕', deadlineDays: 3 },
+  { name: '门店盘点财务监盘', freq: '月初/月末任务', cronOverride: '0 8 L * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0', 'ou_1c8264871e86c3e61ab96e7d365e699f'], sop: '每月最后一天，财务要选择区域1家门店进行监盘', deadlineDays: 3 },
 
   // ========== 临时专项任务 mapped to monthly date ==========
   // Day 1
@@ -94,7 +94,7 @@ const records = [
   // Various monthly (1st is fine)
   { name: '纳税申报', freq: '临时专项任务', cronOverride: '0 8 15 * *', assignees: ['ou_9f9b02d3d4bb3d6689dd5ddd2beeaaeb', 'ou_7ac0aa0043728927da99b255917d49e0'], sop: '在费用报销系统中提报withholding tax/gst/pst/qst提单，并在银行中支付；付款信息、workpaper提交到hwcwb邮箱', deadlineDays: 5 },
   { name: '信用卡还款统计', freq: '临时专项任务', cronOverride: '0 8 5 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0', 'ou_1c8264871e86c3e61ab96e7d365e699f'], sop: 'hongming通知cindy信用卡欠款金额; cindy操作还款，提交申请给资金', deadlineDays: 3 },
-  { name: '工作总结', freq: '临时专项任务', cronOverride: '0 8 28 * *', assignees: ['ou_1c8264871e86c3e61ab96e7d365e699f', 'ou_7ac0aa0043728927da99b255917d49e0'], sop: '提交工作总结', deadlineDays: 3 },
+  { name: '工作总结', freq: '临时专项任务', cronOverride: '0 8 L * *', assignees: ['ou_1c8264871e86c3e61ab96e7d365e699f', 'ou_7ac0aa0043728927da99b255917d49e0'], sop: '提交工作总结', deadlineDays: 3 },
   { name: '回复KPMG税务申报问题', freq: '临时专项任务', cronOverride: '0 8 1 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '以收到邮件时间为准，每月回复KPMG关于税务申报相关问题，提供相关发票', deadlineDays: 5 },
   { name: '更新租赁台账', freq: '临时专项任务', cronOverride: '0 8 1 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '以收到邮件时间为准，每月更新工程、租赁台账', deadlineDays: 5 },
   { name: '损耗大的菜品与各门店库管沟通', freq: '临时专项任务', cronOverride: '0 8 10 * *', assignees: ['ou_7ac0aa0043728927da99b255917d49e0'], sop: '每月把附表3中损耗较大的菜品与库管沟通，查找原因', deadlineDays: 5 },
@@ -169,32 +169,34 @@ async function main() {
     const deadlineDays = getDeadlineDays(record);
     const enabled = record.enabled !== false; // default true
 
-    for (const assigneeOpenId of record.assignees) {
-      const payload = {
-        name: record.name,
-        title: record.name,
-        targetOpenId: assigneeOpenId,
-        schedule,
-        timezone: TZ,
-        deadlineDays,
-        priority: 'p1',
-        note: record.sop || null,
-        reminderIntervalHours: 24,
-        enabled,
-      };
+    // One scheduled task per record: first assignee is primary, the rest are co-assignees
+    const [primaryOpenId, ...coAssigneeOpenIds] = record.assignees;
+    const payload = {
+      name: record.name,
+      title: record.name,
+      targetOpenId: primaryOpenId,
+      coAssigneeOpenIds,
+      completionMode: 'all',
+      schedule,
+      timezone: TZ,
+      deadlineDays,
+      priority: 'p1',
+      note: record.sop || null,
+      reminderIntervalHours: 24,
+      enabled,
+    };
 
-      try {
-        const result = await createScheduledTask(payload);
-        console.log(`✅ Created [${result.id}] ${record.name} (${assigneeOpenId.slice(-6)}) @ ${schedule}`);
-        created++;
-      } catch (err) {
-        console.error(`❌ Failed ${record.name} (${assigneeOpenId.slice(-6)}): ${err.message}`);
-        failed++;
-      }
-
-      // Tiny delay to avoid hammering the API
-      await new Promise(r => setTimeout(r, 50));
+    try {
+      const result = await createScheduledTask(payload);
+      console.log(`✅ Created [${result.id}] ${record.name} (${record.assignees.length} assignees) @ ${schedule}`);
+      created++;
+    } catch (err) {
+      console.error(`❌ Failed ${record.name}: ${err.message}`);
+      failed++;
     }
+
+    // Tiny delay to avoid hammering the API
+    await new Promise(r => setTimeout(r, 50));
   }
 
   console.log(`\n🎉 Done: ${created} created, ${failed} failed`);